@@ -0,0 +1,49 @@
+// HUD Digit Calibration for Subway Surfers Bot
+// Adds digit templates from a live screenshot whose HUD value is known
+//
+// Pause a run in the game with the field visible, then run this script on the device.
+// It asks for the HUD field and the text it shows (e.g. "1045" or "x12"), crops the
+// field's glyphs from a screenshot and saves them to digitReader.templatePath.
+
+var config = require('./config.js');
+var deviceProfiles = require('./modules/device_profiles.js');
+var digitReader = require('./modules/digit_reader.js');
+
+console.show();
+deviceProfiles.initialize(config);
+digitReader.initialize(config);
+
+if (!requestScreenCapture()) {
+    toast("Screen capture permission is required");
+    exit();
+}
+
+var fields = ["score", "coins", "multiplier", "hoverboards"];
+
+var fieldIndex = dialogs.select("HUD field", fields);
+if (fieldIndex < 0) {
+    exit();
+}
+var field = fields[fieldIndex];
+
+var knownText = (dialogs.rawInput("Text shown in the " + field + " field", "") || "").trim();
+if (!knownText) {
+    exit();
+}
+
+// Give the user a moment to return to the game
+toast("Capturing in 3 seconds...");
+sleep(3000);
+
+var img = captureScreen();
+
+if (digitReader.calibrate(img, field, knownText, images, colors, config) && digitReader.saveTemplates(config)) {
+    // Check that the field now reads back as the known text
+    var region = digitReader.getFieldRegion(field, img.getWidth(), img.getHeight());
+    var reading = digitReader.readRegion(img, region, images, colors, config);
+    console.log("Saved digit templates to " + config.digitReader.templatePath);
+    console.log("Read back \"" + reading.text + "\" (similarity " + reading.confidence.toFixed(2) + ")");
+    toast("Digit templates saved from the " + field + " field");
+} else {
+    toast("Digit calibration failed, check the log");
+}
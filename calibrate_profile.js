@@ -0,0 +1,50 @@
+// Device Profile Calibration for Subway Surfers Bot
+// Builds a device profile (resolution, DPI, orientation, safe-area insets) from gameplay screenshots
+//
+// Start a run in the game, then run this script on the device. It takes a few
+// screenshots, measures the screen edges the game leaves dark, saves the result
+// as a custom profile and makes it the active profile for this session.
+
+var config = require('./config.js');
+var deviceProfiles = require('./modules/device_profiles.js');
+
+console.show();
+deviceProfiles.initialize(config);
+
+if (!requestScreenCapture()) {
+    toast("Screen capture permission is required");
+    exit();
+}
+
+var name = dialogs.rawInput("Profile name", "device_" + device.width + "x" + device.height);
+if (!name) {
+    exit();
+}
+
+toast("Switch to the game - calibrating in 3 seconds...");
+sleep(3000);
+
+var screenshots = [];
+for (var i = 0; i < config.deviceProfiles.calibrationScreenshots; i++) {
+    // Copy the capture, AutoJS reuses the captured image buffer
+    screenshots.push(images.copy(captureScreen()));
+    sleep(config.deviceProfiles.calibrationInterval);
+}
+
+var profile = deviceProfiles.calibrateProfile(name, screenshots, images, colors, config);
+screenshots.forEach(function(img) {
+    img.recycle();
+});
+
+if (profile && deviceProfiles.saveCustomProfiles(config)) {
+    deviceProfiles.setActiveProfile(name);
+    console.log("Profile " + name + ": " + JSON.stringify(profile));
+
+    var offscreen = deviceProfiles.findOffscreenElements();
+    if (offscreen.length > 0) {
+        console.log("gameElements regions outside the 1280x720 base layout: " + offscreen.join(", "));
+    }
+    toast("Saved device profile " + name + ". Set deviceProfiles.active to use it permanently.");
+} else {
+    toast("Calibration failed, check the log");
+}
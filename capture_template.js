@@ -0,0 +1,62 @@
+// Template Capture Tool for Subway Surfers Bot
+// Adds a powerup, button or ad-close template to the template library from a live screenshot
+//
+// Run this script on the device while the element is on screen. It asks for the
+// template category, element name, theme and screen region ("x,y,width,height"),
+// then saves the region as a new template revision.
+
+var config = require('./config.js');
+var templateLibrary = require('./modules/template_library.js');
+
+console.show();
+console.log("Starting template capture...");
+
+if (!requestScreenCapture()) {
+    toast("Screen capture permission is required");
+    exit();
+}
+
+var categories = [
+    templateLibrary.CATEGORIES.POWERUP,
+    templateLibrary.CATEGORIES.BUTTON,
+    templateLibrary.CATEGORIES.AD_CLOSE
+];
+
+var categoryIndex = dialogs.select("Template category", categories);
+if (categoryIndex < 0) {
+    exit();
+}
+var category = categories[categoryIndex];
+
+var name = dialogs.rawInput("Element name (e.g. jetpack, play, play_again)", "");
+if (!name) {
+    exit();
+}
+
+var theme = dialogs.rawInput("Theme", "default") || "default";
+
+var regionText = dialogs.rawInput("Region on screen: x,y,width,height", "");
+var region = (regionText || "").split(",").map(function(value) {
+    return parseInt(value, 10);
+});
+if (region.length !== 4 || region.some(isNaN) || region[2] <= 0 || region[3] <= 0) {
+    toast("Invalid region: " + regionText);
+    exit();
+}
+
+// Give the user a moment to return to the game
+toast("Capturing in 3 seconds...");
+sleep(3000);
+
+var img = captureScreen();
+var entry = templateLibrary.addTemplate(img, category, name.trim(), region, theme.trim(), images, config);
+
+if (entry) {
+    // Check that the new template is found where it was captured
+    var match = templateLibrary.match(img, category, entry.name, region, images, config);
+    console.log("Saved " + entry.id + " to " + config.templateLibrary.path + entry.file);
+    console.log(match ? "Verification match at " + match.x + "," + match.y : "Warning: template not found in its own screenshot");
+    toast("Template " + entry.id + " saved (library v" + templateLibrary.getVersion(config) + ")");
+} else {
+    toast("Template capture failed, check the log");
+}
@@ -52,6 +52,43 @@ module.exports = {
         learningInterval: 5000, // ms between learning updates
         laneWidthPercent: 0.3, // Default lane width as percentage of screen width
         ocrEnabled: true, // Enable OCR if available
+        // Screen type voting across detection methods
+        screenDetection: {
+            methodWeights: {
+                ocr: 1.0,      // Text indicators are the most specific signal
+                color: 0.8,    // Lane pattern, menu buttons and dark overlays
+                elements: 0.6  // Score display plus player character
+            },
+            minConfidence: 0.6, // Minimum confidence for a frame to count towards a screen change
+            hysteresisFrames: 2 // Consecutive confident frames needed before the screen type changes
+        },
+        // Obstacle type classification from shape and color
+        obstacleClassifier: {
+            trainMinHeight: 0.45,     // Min height as a fraction of the obstacle region for trains and ramps
+            trainMinWidth: 0.5,       // Min width as a fraction of the lane width for trains and ramps
+            rampBottomWeight: 1.6,    // Min lower-half to upper-half pixel ratio of a ramp
+            barrierMinWidth: 0.4,     // Min width as a fraction of the lane width for barriers
+            highBarrierMinGap: 0.08,  // Min gap under an obstacle (fraction of region height) for high barriers
+            highBarrierMaxFill: 0.35, // Raised bars with legs fill less of their bounding box
+            barrierColors: ["#FF0000", "#AA0000", "#880000"],
+            vehicleColors: ["#444444", "#222222", "#111111"]
+        },
+        // Game element detectors composed by analyzeEnvironment
+        // Essential detectors (lanes, player, obstacles) always run; the others are skipped
+        // when their expected cost no longer fits in the frame budget
+        detectors: {
+            frameBudget: 100, // ms available for detection per frame
+            lanes: { enabled: true, costBudget: 25 },
+            player: { enabled: true, costBudget: 10 },
+            obstacles: { enabled: true, costBudget: 20 },
+            coins: { enabled: true, costBudget: 10 },
+            visibleCoins: { enabled: true, costBudget: 20 },
+            powerups: { enabled: true, costBudget: 10 },
+            score: { enabled: true, costBudget: 15 },
+            multiplier: { enabled: true, costBudget: 5 },
+            hoverboards: { enabled: true, costBudget: 5 },
+            specialEvents: { enabled: true, costBudget: 15 }
+        },
         regions: {
             obstacles: {
                 topPercent: 0.4,  // Top of obstacle detection region
@@ -83,6 +120,91 @@ module.exports = {
         }
     },
     
+    // Obstacle tracking across frames with time-to-collision estimates
+    // Positions and speeds are measured in screen heights
+    obstacleTracker: {
+        enabled: true,
+        collisionLine: 0.7,          // Screen height fraction where obstacles reach the player
+        associationGate: 0.15,       // Max distance between a track's prediction and a detection
+        smoothing: 0.5,              // Weight of the newest speed measurement
+        defaultApproachSpeed: 0.5,   // Screen heights per second until a track's speed is measured
+        maxMisses: 2,                // Frames a track may go undetected before it is dropped
+        maxFrameGap: 1000,           // ms without frames after which all tracks are dropped
+        movingTrainSpeed: 0.9,       // Trains approaching faster than this (screen heights per second) are moving
+        reactionTime: 600,           // ms before impact at which to start dodging
+        laneChangeTime: 300          // ms a lane change takes; target lanes must stay clear this long
+    },
+    
+    // Short-horizon lookahead planner (lookahead_planner.js)
+    planner: {
+        horizonSteps: 4,             // Actions per planned sequence (5^steps sequences are searched)
+        stepTime: 300,               // ms between planned actions
+        resolution: 50,              // ms per simulation tick
+        jumpDuration: 700,           // ms the player is in the air after a jump
+        rollDuration: 600,           // ms a roll lasts
+        barrierLength: 150,          // ms a barrier takes to pass the player
+        trainLength: 1500,           // ms a train blocks its lane once it reaches the player
+        distanceArrival: {           // Estimated ms to impact of untracked obstacles by distance band
+            near: 300,
+            medium: 800,
+            far: 1400
+        }
+    },
+    
+    // In-flight action model (action_state.js); durations come from obstacleTracker and planner
+    actionState: {
+        enabled: true,
+        bufferWindow: 150,           // ms before a running action ends in which the game buffers the next input
+        queueTimeout: 400,           // ms a conflicting action may wait in the queue before it is dropped
+        visionLagTolerance: 400      // ms after the last action before vision may correct the predicted lane
+    },
+    
+    // Device profiles (resolution, DPI, orientation, safe-area insets); see calibrate_profile.js
+    deviceProfiles: {
+        active: "auto",              // Profile name, or "auto" to pick one by screen size
+        customProfilesPath: "/storage/emulated/0/SubwayBot/data/device_profiles.json",
+        calibrationScreenshots: 5,   // Screenshots taken by calibrate_profile.js
+        calibrationInterval: 1000,   // ms between calibration screenshots
+        insetMaxBrightness: 24,      // Edge lines darker than this in every screenshot are insets
+        maxInsetFraction: 0.25       // Max inset per edge as a fraction of the screen size
+    },
+    
+    // Learned element store (colors picked up during play, reviewed before use)
+    learnedElements: {
+        enabled: true,
+        path: "/storage/emulated/0/SubwayBot/data/learned_elements.json",
+        reinforcement: 0.2,          // Confidence gained per observation
+        halfLife: 259200000,         // ms without observations for confidence to halve (3 days)
+        minConfidence: 0.5,          // Learned colors below this are not used and pruned on approval
+        minObservations: 5,          // Staged colors seen fewer times are left out on approval
+        colorTolerance: 24,          // Max channel difference for colors to count as the same
+        maxColorsPerElement: 5,
+        maxLearnedObstacleColors: 3, // Learned colors added to the configured obstacle colors
+        maxNewElements: 50,          // Unclassified elements kept for review
+        maxHistory: 10,              // Approved versions kept for rollback
+        autoApprove: false,          // Approve staged changes without review
+        autoApproveAfter: 600000,    // ms a learning pass runs before it is auto-approved
+        saveInterval: 60000          // ms between saves of staged changes
+    },
+    
+    // Template library for powerups, buttons and ad close icons (see capture_template.js)
+    templateLibrary: {
+        enabled: true,
+        path: "/storage/emulated/0/SubwayBot/templates/",
+        threshold: 0.85,             // Min similarity for a template match
+        scales: [1.0, 0.9, 1.1, 0.8, 1.25], // Scale factors tried relative to the capture resolution
+        closeButtonRadius: 40        // px around a known ad position searched for close icons
+    },
+    
+    // HUD digit reader (score, coin counter and multiplier)
+    digitReader: {
+        inkMinBrightness: 200,       // Min channel value of digit pixels
+        inkMaxSaturation: 80,        // Max channel spread of digit pixels (digits are white)
+        minGlyphHeight: 0.6,         // Glyphs shorter than this fraction of the tallest are noise
+        minSimilarity: 0.6,          // Min template similarity for a glyph to be accepted
+        templatePath: "/storage/emulated/0/SubwayBot/data/digit_templates.json"
+    },
+    
     // UI elements with enhanced multi-language support
     ui: {
         playButtons: ["PLAY", "GIOCA", "START", "JUGAR", "JOUER", "SPIELEN"],
@@ -100,6 +222,13 @@ module.exports = {
                 "#0000FF", "#4444FF", "#0044FF", // Blue shades for player
                 "#FFFFFF", "#CCCCFF"             // White/light blue for player highlights
             ],
+            menuButtons: [
+                "#00CC00", "#33DD33",            // Green play button
+                "#FFCC00"                        // Yellow menu buttons
+            ],
+            score: [
+                "#FFFFFF", "#EEEEEE"             // White score digits
+            ],
             powerups: {
                 jetpack: ["#00FFFF", "#0088FF"],
                 magnet: ["#FF00FF", "#8800FF"],
@@ -113,23 +242,88 @@ module.exports = {
     neuralNet: {
         enabled: true,
         modelPath: "/storage/emulated/0/SubwayBot/model/",
-        inputNodes: 20,
-        hiddenNodes: 16,
-        outputNodes: 4,  // left, right, jump, roll
-        learningRate: 0.1
+        features: {              // Network inputs (feature_schema.js); their count sizes the input layer
+            maxTimeToCollision: 3000 // ms; obstacle times are capped here and clear lanes read as this
+        },
+        layers: [                // Dense layers, the last one is the output layer
+            { units: 32, activation: "relu" },    // relu, tanh, sigmoid or softmax
+            { units: 16, activation: "relu" },
+            { units: 4, activation: "softmax" }   // left, right, jump, roll (5 adds none)
+        ],
+        loss: "cross_entropy",   // cross_entropy or mse
+        learningRate: 0.001,     // Base learning rate (0.001 suits Adam, plain SGD needs more)
+        training: {
+            batchSize: 32,
+            optimizer: "adam",   // sgd, momentum or adam
+            momentum: 0.9,       // Momentum optimizer
+            beta1: 0.9,          // Adam moment decay rates
+            beta2: 0.999,
+            epsilon: 1e-8,
+            learningRateSchedule: {
+                type: "cosine",  // constant, step (decay every n epochs), exponential (decay per epoch) or cosine
+                decay: 0.5,
+                every: 10,
+                minLearningRate: 0.0001
+            },
+            l2: 0.0001,          // Weight decay on weights (not biases)
+            dropout: 0.1,        // Fraction of hidden units dropped during training
+            validationSplit: 0.2, // Fraction of samples held out for validation
+            earlyStopping: {
+                enabled: true,
+                patience: 5,     // Epochs without validation improvement before stopping
+                minDelta: 0.0001 // Smallest validation loss decrease that counts as improvement
+            },
+            checkpointPath: "/storage/emulated/0/SubwayBot/model/checkpoint_best.json" // Best model of the last training
+        },
+        inference: {
+            engine: true,        // Typed-array engine for predict() (false uses the training matrix code)
+            quantize: false,     // Use int8 weights once they pass verification and benchmark faster than float32 (the pipeline's quantize stage)
+            minAgreement: 0.99,  // Fraction of samples where int8 must pick the same action as float
+            maxAccuracyDrop: 0.01, // Largest accuracy loss int8 may have
+            latencyWindow: 500   // Recent predictions the latency percentiles cover
+        }
+    },
+    
+    // Model registry settings (see manage_models.js)
+    modelRegistry: {
+        manifestPath: "/storage/emulated/0/SubwayBot/model/registry.json", // Registered models, production model and history
+        datasetPath: "/storage/emulated/0/SubwayBot/data/datasets"          // Dataset versions models are trained and evaluated on
+    },
+    
+    // Behavior cloning pipeline: recorded sessions to a registered model (see train_model.js)
+    trainingPipeline: {
+        runsPath: "/storage/emulated/0/SubwayBot/training_runs/",
+        idleLabelWindow: 0,      // ms without input for a frame to become a "none" sample (0 = recorded actions only; needs a 5-output network)
+        validationSplit: 0.2,    // Latest fraction of each session held out for validation and evaluation
+        epochs: 100,             // Maximum epochs, early stopping usually ends training sooner
+        promote: false           // Promote the registered model to production when the run finishes
     },
     
     // Reinforcement learning settings
     reinforcementLearning: {
         enabled: true,
         bufferPath: "/storage/emulated/0/SubwayBot/data/replay_buffer.json",
-        learningRate: 0.1,       // Rate at which the agent learns from new experiences
+        modelPath: "/storage/emulated/0/SubwayBot/model/dqn.json", // Q-network, its feature schema and training progress
+        learningRate: 0.0005,    // Adam step size of the Q-network
         discountFactor: 0.95,    // How much future rewards are valued (gamma)
         explorationRate: 0.2,    // Initial exploration rate (epsilon)
         minExplorationRate: 0.01, // Minimum exploration rate
         explorationDecay: 0.995, // Rate at which exploration decreases
         replayBufferSize: 1000,  // Maximum size of replay buffer
         miniBatchSize: 32,       // Size of mini-batch for training
+        dqn: {
+            hiddenLayers: [      // Q-network layers before the linear head (left, right, jump, roll, none)
+                { units: 64, activation: "relu" }, // relu, tanh or sigmoid
+                { units: 32, activation: "relu" }
+            ],
+            nStep: 3,            // Rewards summed over this many steps before bootstrapping
+            doubleDqn: true,     // The online network picks the next action, the target network values it
+            targetSyncInterval: 500, // Training steps between target network syncs
+            huberDelta: 1,       // TD errors beyond this are penalized linearly
+            maxGradientNorm: 10, // Batch gradients are scaled down to this global norm (0 disables clipping)
+            trainEvery: 4,       // Frames between training steps
+            minReplaySize: 200   // Experiences collected before training starts
+        },
         // Reward configuration
         rewards: {
             coin: 1,             // Reward for collecting a coin
@@ -137,11 +331,78 @@ module.exports = {
             survival: 0.1,       // Small reward for each frame survived
             distance: 0.01,      // Reward per distance unit traveled
             powerup: 3,          // Reward for collecting a powerup
-            mission: 5,          // Reward for completing a mission
+            mission: 5,          // Reward for completing a mission, paid out as its objective progresses
             death: -10           // Penalty for dying
         }
     },
-    
+
+    // Decision policy settings (policy_registry.js)
+    policies: {
+        active: "auto",          // rules, planner, neural, hybrid, rl, scripted or auto (rl when enabled, otherwise rules)
+        neural: {
+            minConfidence: 0.5   // Predictions below this confidence take no action
+        },
+        hybrid: {                // Network when confident, rules otherwise (hybrid_controller.js)
+            minConfidence: 0.6,  // Network actions need at least this confidence...
+            minMargin: 0.2,      // ...and this lead over the runner-up action (0 disables either check)
+            ensemble: [],        // Registry ids or model paths voting with the production model
+            minAgreement: 1,     // Fraction of the ensemble that must pick the action
+            logPath: "/storage/emulated/0/SubwayBot/logs/hybrid_fallbacks.jsonl", // Every fallback to the rules
+            flushEvery: 20,      // Fallbacks buffered before they are appended to the log
+            logGameState: false  // Also log the full game state of each fallback
+        },
+        scripted: {
+            sequence: ["left", "right", "jump", "roll"], // Actions played in order
+            stepInterval: 1000,  // ms between script steps
+            loop: true           // Restart the sequence when it ends
+        }
+    },
+
+    // Mission objectives pursued during runs (mission_objectives.js)
+    missions: {
+        enabled: true,
+        progressPath: "/storage/emulated/0/SubwayBot/data/mission_progress.json",
+        weightBoost: 0.5,        // An open objective raises its decision weight by up to 50%
+        clearance: 1200,         // ms the lane must stay clear before jumping, rolling or dodging for a mission
+        actionInterval: 1500     // Minimum ms between mission actions
+    },
+
+    // Emergency hoverboard when no action avoids a collision (emergency_hoverboard.js)
+    emergencyHoverboard: {
+        enabled: true,
+        budgetPerRun: 1,         // Hoverboards the bot may spend per run
+        triggerTime: 600,        // ms: only spend one when the unavoidable collision is this close
+        activeDuration: 30000,   // ms a hoverboard protects the player
+        logPath: "/storage/emulated/0/SubwayBot/logs/hoverboard_uses.jsonl"
+    },
+
+    // Per-frame decision trace (decision_trace.js)
+    decisionTrace: {
+        enabled: false,
+        path: "/storage/emulated/0/SubwayBot/logs/decisions/", // One trace_<timestamp>.jsonl file per session
+        includeIdleFrames: false, // Also write frames where the policy took no action
+        flushEvery: 20,          // Entries buffered before they are appended to the file
+        overlay: false,          // Draw the latest decision on top of the game
+        overlayInterval: 200     // ms between overlay updates
+    },
+
+    // Game statistics (statistics_dashboard.js)
+    statistics: {
+        historySize: 200         // Games kept in the run history
+    },
+
+    // Policy arena: alternates runs between contestants and compares them (policy_arena.js)
+    arena: {
+        enabled: false,          // Run the arena instead of the configured policy in auto-play
+        contestants: [           // First contestant is the baseline; modelPath (file or registry id) is optional
+            { name: "rules", policy: "rules" },
+            { name: "planner", policy: "planner" }
+        ],
+        runsPerContestant: 20,
+        confidenceLevel: 0.95,   // 0.8, 0.9, 0.95 or 0.99
+        resultsPath: "/storage/emulated/0/SubwayBot/stats/arena/"
+    },
+
     // Reliability improvement settings (Phase 6.3)
     reliability: {
         // Crash recovery settings
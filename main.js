@@ -129,6 +129,7 @@ var vision = safeRequire('./modules/vision.js');
 var brain = safeRequire('./modules/brain.js');
 var utils = safeRequire('./modules/utils.js');
 var gameElements = safeRequire('./modules/gameElements.js');
+var deviceProfiles = safeRequire('./modules/device_profiles.js');
 var neuralNetwork = safeRequire('./modules/neural_network.js');
 var reinforcementLearning = safeRequire('./modules/reinforcement_learning.js');
 var controls = safeRequire('./modules/controls.js');
@@ -137,6 +138,15 @@ var dataCollection = safeRequire('./modules/data_collection.js');
 var trainingUI = safeRequire('./modules/training_ui.js');
 var uiInteraction = safeRequire('./modules/ui_interaction.js');
 var basicDecision = safeRequire('./modules/basic_decision.js');
+var policyRegistry = safeRequire('./modules/policy_registry.js');
+var decisionTrace = safeRequire('./modules/decision_trace.js');
+var statisticsDashboard = safeRequire('./modules/statistics_dashboard.js');
+var policyArena = safeRequire('./modules/policy_arena.js');
+var missionObjectives = safeRequire('./modules/mission_objectives.js');
+var actionState = safeRequire('./modules/action_state.js');
+var obstacleTracker = safeRequire('./modules/obstacle_tracker.js');
+var digitReader = safeRequire('./modules/digit_reader.js');
+var modelRegistry = safeRequire('./modules/model_registry.js');
 var dataProcessing = safeRequire('./modules/data_processing.js');
 
 // Import reliability modules (Phase 6.3)
@@ -163,6 +173,15 @@ try {
         gameElements = require(pathResolver.resolveModulePath('modules/gameElements.js'));
         neuralNetwork = require(pathResolver.resolveModulePath('modules/neural_network.js'));
         reinforcementLearning = require(pathResolver.resolveModulePath('modules/reinforcement_learning.js'));
+        policyRegistry = require(pathResolver.resolveModulePath('modules/policy_registry.js'));
+        decisionTrace = require(pathResolver.resolveModulePath('modules/decision_trace.js'));
+        statisticsDashboard = require(pathResolver.resolveModulePath('modules/statistics_dashboard.js'));
+        policyArena = require(pathResolver.resolveModulePath('modules/policy_arena.js'));
+        missionObjectives = require(pathResolver.resolveModulePath('modules/mission_objectives.js'));
+        actionState = require(pathResolver.resolveModulePath('modules/action_state.js'));
+        obstacleTracker = require(pathResolver.resolveModulePath('modules/obstacle_tracker.js'));
+        digitReader = require(pathResolver.resolveModulePath('modules/digit_reader.js'));
+        modelRegistry = require(pathResolver.resolveModulePath('modules/model_registry.js'));
         controls = require(pathResolver.resolveModulePath('modules/controls.js'));
         performanceOptimization = require(pathResolver.resolveModulePath('modules/performance_optimization.js'));
         dataCollection = require(pathResolver.resolveModulePath('modules/data_collection.js'));
@@ -311,18 +330,20 @@ function init() {
             console.warn("Some permissions are missing. Bot may not function correctly.");
         }
         
+        // Share the running config with the control panel, which changes settings such as the policy at runtime
+        global.config = config;
+
         // Initialize all modules
         initializeAllModules();
         
         // Display bot information with AI capabilities
         var botVersion = "v2.5"; // Updated version with reliability modules
-        var aiMode = config.reinforcementLearning.enabled ? "RL-AI" : 
-                    (config.neuralNet.enabled ? "Neural-AI" : "Rule-Based");
+        var aiMode = policyRegistry.getActiveName(config);
         
         toast("Subway Surfers Bot " + botVersion + " - " + aiMode + " - " + 
               (config.training.manualMode ? "TRAINING MODE" : "AUTO-PLAY MODE"));
         
-        console.log("Bot initialized with AI mode: " + aiMode);
+        console.log("Bot initialized with decision policy: " + aiMode);
     } catch (e) {
         console.error("Critical initialization error: " + e.message);
         toast("Bot initialization failed: " + e.message);
@@ -343,6 +364,17 @@ function initializeAllModules() {
         // Initialize game elements detection
         gameElements.initialize(config);
         
+        // Select the device profile used to map element coordinates
+        deviceProfiles.initialize(config);
+        // Regions outside the base layout would be tapped or read off screen, so pull them inside it
+        var offscreenElements = deviceProfiles.clampOffscreenElements();
+        if (offscreenElements.length > 0) {
+            console.warn("Moved game element regions inside the base layout: " + offscreenElements.join(", "));
+        }
+        
+        // Load the HUD digit templates calibrated with calibrate_digits.js
+        digitReader.initialize(config);
+        
         // Initialize controls
         controls.initialize(config);
         
@@ -364,6 +396,10 @@ function initializeAllModules() {
         // Initialize neural network if enabled
         if (config.neuralNet && config.neuralNet.enabled) {
             neuralNetwork.initialize(config);
+            
+            // Use the production model from the model registry
+            modelRegistry.initialize(config);
+            modelRegistry.loadProduction(config);
         }
         
         // Initialize adaptive difficulty module
@@ -380,6 +416,9 @@ function initializeAllModules() {
         // Initialize performance optimization
         performanceOptimization.initialize(config);
         
+        // Initialize game statistics (run history used by the policy arena)
+        statisticsDashboard.initialize(config);
+        
         // Initialize reliability modules
         if (config.reliability && config.reliability.recovery && config.reliability.recovery.enabled) {
             console.log("Initializing crash recovery system...");
@@ -448,16 +487,17 @@ function runTrainingMode() {
             
             // Detect game screen type using enhanced vision system
             var img = captureScreen();
-            var screenType = vision.detectScreenType(img, img.getWidth(), img.getHeight(), config);
-            utils.logToFile("Current screen: " + screenType);
+            var screen = vision.detectScreenType(img, img.getWidth(), img.getHeight(), config);
+            var screenType = screen.type;
+            utils.logToFile("Current screen: " + screenType + " (confidence " + screen.confidence.toFixed(2) + ")");
             
             // Clean up image resource
             if (img && img.recycle) {
                 try { img.recycle(); } catch (e) {}
             }
             
-            // Handle non-gameplay screens
-            if (screenType !== "gameplay" && screenType !== "unknown") {
+            // Handle non-gameplay screens only when the current frame confirms them
+            if (screenType !== "gameplay" && screenType !== "unknown" && screen.stable) {
                 uiModule.handleScreen(screenType, config);
                 sleep(1000);
                 continue;
@@ -502,23 +542,17 @@ function runTrainingMode() {
 function runAutoPlayMode() {
     utils.logToFile("Starting in AUTO-PLAY MODE - Bot will play automatically");
     
-    // Initialize neural network and reinforcement learning modules if enabled
-    if (config.neuralNet.enabled) {
-        try {
-            neuralNetwork.initialize(config);
-            console.log("Neural network initialized successfully");
-        } catch (e) {
-            console.error("Failed to initialize neural network: " + e.message);
-        }
-    }
+    // Initialize the decision policy picked in config.policies
+    policyRegistry.initialize(config);
+    decisionTrace.initialize(config);
     
-    if (config.reinforcementLearning.enabled) {
-        try {
-            reinforcementLearning.initialize(config);
-            console.log("Reinforcement learning initialized successfully");
-        } catch (e) {
-            console.error("Failed to initialize reinforcement learning: " + e.message);
-        }
+    // Pursue the missions known from the last visit of the missions screen
+    missionObjectives.initialize(config);
+    missionObjectives.refresh(uiInteraction.getMissionProgress().currentMissions, config);
+    
+    // Alternate runs between the arena contestants instead
+    if (config.arena && config.arena.enabled) {
+        policyArena.start(config);
     }
     
     // Launch game if not running
@@ -535,9 +569,10 @@ function runAutoPlayMode() {
     toast("Auto-play mode active. Bot will play automatically.");
     
     // Main auto-play loop
-    var lastActionTime = 0;
     var gameRunTime = 0;
     var startTime = Date.now();
+    var runStartTime = startTime;
+    var runDuration = 0;
     var isDead = false;
     var previousGameState = null;
     // Initialize performance timer with zero
@@ -560,47 +595,48 @@ function runAutoPlayMode() {
             if (gameRunTime > config.gameplay.maxRunTime) {
                 utils.logToFile("Maximum run time exceeded. Restarting game.");
                 
-                // Save reinforcement learning buffer before restart
-                if (config.reinforcementLearning.enabled) {
-                    reinforcementLearning.saveReplayBuffer(config);
+                // End the episode before restart
+                policyRegistry.notifyEpisodeEnd({
+                    reason: "restart",
+                    runTime: gameRunTime,
+                    state: previousGameState
+                }, config);
+                
+                if (policyArena.isActive()) {
+                    recordArenaRun(previousGameState, Date.now() - runStartTime, "timeout");
                 }
                 
                 uiModule.restartGame(config);
+                obstacleTracker.reset();
+                digitReader.resetReadings();
                 startTime = Date.now();
                 isDead = false;
                 previousGameState = null;
                 
-                // Reset reinforcement learning episode
-                if (config.reinforcementLearning.enabled) {
-                    reinforcementLearning.resetEpisode();
-                }
-                
                 continue;
             }
             
             // Detect game screen type using enhanced vision system
             var img = captureScreen();
-            var screenType = vision.detectScreenType(img, img.getWidth(), img.getHeight(), config);
+            var captureTime = Date.now();
+            var screen = vision.detectScreenType(img, img.getWidth(), img.getHeight(), config);
+            var screenType = screen.type;
             
-            // Check if player died (transition from gameplay to game_over)
-            if (previousGameState && previousGameState.screenType === "gameplay" && screenType === "game_over") {
+            // Check if player died (confirmed transition from gameplay to game_over)
+            if (screen.changed && previousGameState && previousGameState.screenType === "gameplay" && screenType === "game_over") {
                 isDead = true;
+                runDuration = Date.now() - runStartTime;
+                obstacleTracker.reset();
                 
-                // Update reinforcement learning with death penalty
-                if (config.reinforcementLearning.enabled) {
-                    reinforcementLearning.update(previousGameState, true);
-                    
-                    // Log performance metrics
-                    var metrics = reinforcementLearning.getPerformanceMetrics();
-                    utils.logToFile("RL Performance: Avg Reward: " + metrics.averageReward.toFixed(2) + 
-                                  ", Exploration Rate: " + metrics.explorationRate.toFixed(3));
-
-                }
+                // Let the decision policy learn from the death
+                policyRegistry.notifyDeath(previousGameState, config);
             }
             
-            // Handle non-gameplay screens
+            // Handle non-gameplay screens, interacting only when the current frame confirms them
             if (screenType !== "gameplay") {
-                uiModule.handleScreen(screenType, config);
+                if (screen.stable) {
+                    uiModule.handleScreen(screenType, config);
+                }
                 
                 // Clean up image resource
                 if (img && img.recycle) {
@@ -609,45 +645,92 @@ function runAutoPlayMode() {
                 
                 // Reset state if game restarted
                 if (screenType === "menu" && isDead) {
-                    isDead = false;
-                    previousGameState = null;
+                    policyRegistry.notifyEpisodeEnd({
+                        reason: "death",
+                        runTime: runDuration,
+                        state: previousGameState
+                    }, config);
                     
-                    // Reset reinforcement learning episode
-                    if (config.reinforcementLearning.enabled) {
-                        reinforcementLearning.resetEpisode();
+                    // Switches to the next contestant once the run is recorded
+                    if (policyArena.isActive()) {
+                        recordArenaRun(previousGameState, runDuration, policyArena.inferDeathCause(previousGameState));
                     }
+                    
+                    // Missions may have changed with the run
+                    uiInteraction.updateCurrentMissions();
+                    missionObjectives.refresh(uiInteraction.getMissionProgress().currentMissions, config);
+                    
+                    isDead = false;
+                    previousGameState = null;
                 }
                 
                 sleep(1000);
                 continue;
             }
             
-            // Analyze game environment
-            var gameState = brain.analyzeEnvironment(config);
+            // Hold actions while another screen is emerging but not yet confirmed
+            if (screen.rawType !== "gameplay" && screen.rawType !== "unknown") {
+                if (img && img.recycle) {
+                    try { img.recycle(); } catch (e) {}
+                }
+                sleep(50);
+                continue;
+            }
             
-            // Determine best action based on selected decision-making system
-            var action = "none";
+            // First gameplay frame of a run: nothing tracked so far belongs to it
+            if (!previousGameState) {
+                runStartTime = Date.now();
+                actionState.reset(null);
+                obstacleTracker.reset();
+                // A misread HUD must not fall back to the last run's score
+                digitReader.resetReadings();
+            }
             
-            if (config.reinforcementLearning.enabled) {
-                // Use reinforcement learning for decision making
-                action = reinforcementLearning.selectAction(gameState);
-                
-                // Update reinforcement learning with new state (not dead)
-                if (previousGameState) {
-                    reinforcementLearning.update(gameState, false);
+            // Analyze the captured frame with the vision pipeline, which types and tracks obstacles;
+            // the tracked screen result saves classifying the frame again
+            var gameState = vision.analyzeEnvironment(config, { img: img, screen: screen, timestamp: captureTime });
+            if (img && img.recycle) {
+                try { img.recycle(); } catch (e) {}
+            }
+            missionObjectives.updateFromState(gameState);
+            
+            // Deciders see the lane the player is moving into while vision still shows the old one
+            actionState.applyToState(gameState, config);
+            
+            // Determine best action with the active decision policy
+            var decision = policyRegistry.decide(gameState, config);
+            var action = decision.action;
+            var executed = "none";
+            
+            // Execute the action unless it conflicts with one still in flight (then it may be queued)
+            if (action === "hoverboard") {
+                // Emergency hoverboards cannot wait for the action delay
+                utils.logToFile("Executing action: hoverboard (" + decision.reason + ")");
+                if (controls.performGameAction(action, config)) {
+                    missionObjectives.recordAction(action, gameState);
+                    actionState.commit(action, config);
+                    executed = action;
+                } else {
+                    utils.logToFile("Action failed: hoverboard");
                 }
             } else {
-                // Use traditional rule-based decision making
-                action = brain.determineAction(gameState, config);
+                var nextAction = actionState.next(action, config);
+                if (nextAction) {
+                    utils.logToFile("Executing action: " + nextAction + (nextAction === action ?
+                                    " (" + decision.policy + ": " + decision.reason + ")" : " (queued)"));
+                    // Only a sent gesture counts, a failed one leaves the action free to retry
+                    if (controls.performGameAction(nextAction, config)) {
+                        missionObjectives.recordAction(nextAction, gameState);
+                        actionState.commit(nextAction, config);
+                        executed = nextAction;
+                    } else {
+                        utils.logToFile("Action failed: " + nextAction);
+                    }
+                }
             }
             
-            // Execute action if enough time has passed since last action
-            var currentTime = Date.now();
-            if (action !== "none" && (currentTime - lastActionTime) > config.gameplay.actionDelay) {
-                utils.logToFile("Executing action: " + action);
-                uiModule.performAction(action, config);
-                lastActionTime = currentTime;
-            }
+            // Trace the decision together with what was sent, which differs when an action is held or queued
+            decisionTrace.record(gameState, decision, executed, config);
             
             // Store current state for next iteration
             previousGameState = gameState;
@@ -725,10 +808,13 @@ function runAutoPlayMode() {
         }
     }
     
-    // Save reinforcement learning buffer when exiting
-    if (config.reinforcementLearning.enabled) {
-        reinforcementLearning.saveReplayBuffer(config);
-    }
+    // End the episode when exiting
+    policyRegistry.notifyEpisodeEnd({
+        reason: "exit",
+        runTime: Date.now() - startTime,
+        state: previousGameState
+    }, config);
+    decisionTrace.close();
     
     // Stop performance monitoring if enabled
     if (config.reliability && config.reliability.performanceMonitoring && config.reliability.performanceMonitoring.enabled) {
@@ -747,6 +833,25 @@ function runAutoPlayMode() {
     }
 }
 
+/**
+ * Records a finished run for the policy arena
+ * @param {Object} lastState - Last gameplay state of the run
+ * @param {number} duration - Run duration in ms
+ * @param {string} deathCause - What ended the run
+ */
+function recordArenaRun(lastState, duration, deathCause) {
+    var more = policyArena.recordRun({
+        score: lastState && typeof lastState.score === "number" ? lastState.score : 0,
+        coins: lastState && typeof lastState.coins === "number" ? lastState.coins : 0,
+        duration: Math.round(duration / 1000),
+        deathCause: deathCause
+    }, config);
+    
+    if (!more) {
+        toast("Policy arena finished, see the log for the comparison");
+    }
+}
+
 function runAutoPlayLoop() {
     // Main gameplay loop
     while (currentMode === "auto") {
@@ -774,12 +879,23 @@ function runAutoPlayLoop() {
 
             // Analyze game state and make a decision
             var gameState = vision.analyzeEnvironment(config);
-            var action = brain.decideAction(gameState, config);
+            missionObjectives.updateFromState(gameState);
+            actionState.applyToState(gameState, config);
+            var decision = policyRegistry.decide(gameState, config);
+            var action = actionState.next(decision.action, config);
             
+            var executed = "none";
             if (action) {
                 utils.logToFile("Performing action: " + action);
-                utils.executeAction(action, config);
+                if (controls.performGameAction(action, config)) {
+                    missionObjectives.recordAction(action, gameState);
+                    actionState.commit(action, config);
+                    executed = action;
+                } else {
+                    utils.logToFile("Action failed: " + action);
+                }
             }
+            decisionTrace.record(gameState, decision, executed, config);
 
             sleep(config.gameplay.actionDelay);
         } catch (e) {
@@ -0,0 +1,88 @@
+// Model Management Tool for Subway Surfers Bot
+// Chooses which trained model auto-play runs
+//
+// Run this script on the device. Registered models can be evaluated on a dataset
+// version and promoted to production; production can be pinned so nothing replaces
+// it, or rolled back to the model it replaced (e.g. when live runs score worse).
+
+var config = require('./config.js');
+var neuralNetwork = require('./modules/neural_network.js');
+var modelRegistry = require('./modules/model_registry.js');
+var datasetVersioning = require('./modules/dataset_versioning.js');
+
+console.show();
+neuralNetwork.initialize(config);
+modelRegistry.initialize(config);
+
+/**
+ * Lets the user pick a registered model
+ * @param {string} title - Dialog title
+ * @return {Object} Registry entry, or null if cancelled
+ */
+function selectModel(title) {
+    var models = modelRegistry.list();
+    if (models.length === 0) {
+        toast("No registered models");
+        return null;
+    }
+
+    var index = dialogs.select(title, models.map(function(entry) {
+        return modelRegistry.describe(entry);
+    }));
+    return index >= 0 ? models[index] : null;
+}
+
+var running = true;
+while (running) {
+    var production = modelRegistry.getProduction();
+    console.log("Production: " + (production ? modelRegistry.describe(production) : "none") +
+                (modelRegistry.getManifest().pinned ? " (pinned)" : ""));
+    modelRegistry.list().forEach(function(entry) {
+        console.log("  " + modelRegistry.describe(entry));
+    });
+
+    var choice = dialogs.select("Models", ["Promote", "Evaluate", "Pin production", "Unpin production", "Roll back", "Exit"]);
+
+    switch (choice) {
+        case 0:
+            var candidate = selectModel("Promote to production");
+            if (candidate) {
+                var force = modelRegistry.getManifest().pinned &&
+                            dialogs.confirm("Production is pinned", "Replace the pinned model anyway?");
+                toast(modelRegistry.promote(candidate.id, config, force) ? "Promoted " + candidate.id : "Promotion failed, see the log");
+            }
+            break;
+        case 1:
+            var model = selectModel("Evaluate");
+            var versions = model ? datasetVersioning.listDatasetVersions(config.modelRegistry.datasetPath) : [];
+            if (model && versions.length === 0) {
+                toast("No dataset versions in " + config.modelRegistry.datasetPath);
+            } else if (model) {
+                var versionIndex = dialogs.select("Evaluate on dataset", versions.map(function(version) {
+                    return version.version_id + " (" + version.sample_count + " samples)" +
+                           (version.version_id === model.datasetVersion ? " - training data" : "");
+                }));
+                var dataset = versionIndex >= 0 ?
+                    datasetVersioning.loadDatasetVersion(versions[versionIndex].version_id, config.modelRegistry.datasetPath) : null;
+                if (dataset) {
+                    var evaluation = modelRegistry.evaluate(model.id, dataset.data, config, versions[versionIndex].version_id);
+                    toast(evaluation ? "Accuracy " + (evaluation.accuracy * 100).toFixed(1) + "%" : "Evaluation failed, see the log");
+                }
+            }
+            break;
+        case 2:
+            modelRegistry.pin(config);
+            break;
+        case 3:
+            modelRegistry.unpin(config);
+            break;
+        case 4:
+            if (dialogs.confirm("Roll back production?", "The model that was in production before the current one is restored")) {
+                var restored = modelRegistry.rollback(config);
+                toast(restored ? "Rolled back to " + restored : "Nothing to roll back to");
+            }
+            break;
+        default:
+            running = false;
+    }
+}
@@ -0,0 +1,308 @@
+/**
+ * Action State Module for Subway Surfers Bot
+ * Implements Phase 4 (Game Controls): an in-flight action model so inputs do not conflict
+ *
+ * Features:
+ * - Models the game's own action durations: lane change in progress, airborne, rolling
+ * - Tracks the lane the player is expected to end up in after the swipes sent so far
+ * - Accepts, queues or rejects each action against what is still in flight; the game buffers
+ *   an input sent shortly before the running action ends, earlier ones are queued
+ * - Predicted lane fed back to the deciders while vision still shows the old lane
+ *
+ * Durations come from config.obstacleTracker.laneChangeTime and config.planner.jumpDuration /
+ * rollDuration, the same values the lookahead planner simulates with.
+ */
+
+// Lanes from left to right
+var LANES = ["left", "center", "right"];
+
+// In-flight state
+var actionState = {
+    lane: null,              // Lane expected after the swipes sent so far (null until vision reports one)
+    laneChange: null,        // {from, to, until} while a lane change is in progress
+    vertical: null,          // {phase: "airborne" | "rolling", until}
+    queued: null,            // {action, since} waiting for the running action to finish
+    lastCommitTime: 0,
+    lastCommittedAction: null,
+    visionLane: null,
+    stats: {
+        accepted: 0,
+        queued: 0,
+        rejected: 0,
+        resyncs: 0
+    }
+};
+
+/**
+ * Gets the action durations
+ * @param {Object} config - Configuration settings
+ * @return {Object} {laneChangeTime, jumpDuration, rollDuration}
+ */
+function getDurations(config) {
+    return {
+        laneChangeTime: config.obstacleTracker ? config.obstacleTracker.laneChangeTime : 300,
+        jumpDuration: config.planner ? config.planner.jumpDuration : 700,
+        rollDuration: config.planner ? config.planner.rollDuration : 600
+    };
+}
+
+/**
+ * Gets the lane next to a lane
+ * @param {string} lane - Lane name
+ * @param {string} direction - "left" or "right"
+ * @return {string} Neighbouring lane, or null at the edge
+ */
+function neighbourLane(lane, direction) {
+    var index = LANES.indexOf(lane) + (direction === "left" ? -1 : 1);
+    return index >= 0 && index < LANES.length ? LANES[index] : null;
+}
+
+module.exports = {
+    LANES: LANES,
+
+    /**
+     * Resets the model at the start of a run
+     * @param {string} lane - Lane the player starts in (null to wait for vision)
+     */
+    reset: function(lane) {
+        actionState.lane = lane || null;
+        actionState.laneChange = null;
+        actionState.vertical = null;
+        actionState.queued = null;
+        actionState.lastCommittedAction = null;
+        actionState.visionLane = null;
+    },
+
+    /**
+     * Expires finished actions
+     * @param {number} now - Current time in ms
+     */
+    expire: function(now) {
+        if (actionState.laneChange && now >= actionState.laneChange.until) {
+            actionState.laneChange = null;
+        }
+        if (actionState.vertical && now >= actionState.vertical.until) {
+            actionState.vertical = null;
+        }
+    },
+
+    /**
+     * Gets the current phase of the player
+     * @param {number} now - Current time in ms (defaults to Date.now())
+     * @return {string} "changing_lane", "airborne", "rolling" or "running"
+     */
+    getPhase: function(now) {
+        this.expire(now || Date.now());
+        if (actionState.laneChange) {
+            return "changing_lane";
+        }
+        return actionState.vertical ? actionState.vertical.phase : "running";
+    },
+
+    /**
+     * Takes the lane reported by vision and returns the lane the player is predicted to be in
+     * Vision is trusted again once it disagrees longer than config.actionState.visionLagTolerance
+     * after the last action, e.g. when a swipe was not registered by the game
+     * @param {string} visionLane - Lane detected by vision
+     * @param {Object} config - Configuration settings
+     * @return {string} Predicted lane
+     */
+    observeLane: function(visionLane, config) {
+        var now = Date.now();
+        this.expire(now);
+
+        if (LANES.indexOf(visionLane) === -1) {
+            return actionState.lane;
+        }
+
+        if (actionState.lane === null) {
+            actionState.lane = visionLane;
+        } else if (visionLane !== actionState.lane && !actionState.laneChange &&
+                   now - actionState.lastCommitTime > config.actionState.visionLagTolerance) {
+            console.log("Action state resynced to vision: " + actionState.lane + " -> " + visionLane);
+            actionState.lane = visionLane;
+            actionState.stats.resyncs++;
+        }
+
+        actionState.visionLane = visionLane;
+        return actionState.lane;
+    },
+
+    /**
+     * Feeds the predicted lane and phase into a game state for the deciders
+     * The detected lane stays available as gameState.visionLane; the last action sent and the time
+     * since are added as gameState.previousAction and timeSincePreviousAction
+     * @param {Object} gameState - Current game state (modified in place)
+     * @param {Object} config - Configuration settings
+     * @return {Object} The game state
+     */
+    applyToState: function(gameState, config) {
+        if (!gameState || gameState.screenType !== "gameplay" || !config.actionState || !config.actionState.enabled) {
+            return gameState;
+        }
+
+        var predicted = this.observeLane(gameState.playerPosition, config);
+        gameState.visionLane = gameState.playerPosition;
+        if (predicted) {
+            gameState.playerPosition = predicted;
+        }
+        gameState.actionPhase = this.getPhase();
+        gameState.previousAction = actionState.lastCommittedAction || "none";
+        gameState.timeSincePreviousAction = actionState.lastCommitTime ? Date.now() - actionState.lastCommitTime : null;
+
+        return gameState;
+    },
+
+    /**
+     * Checks an action against the actions still in flight
+     * @param {string} action - Normalized action (left, right, jump, roll, hoverboard)
+     * @param {Object} config - Configuration settings
+     * @return {Object} {verdict: "accept" | "queue" | "reject", reason}
+     */
+    check: function(action, config) {
+        var now = Date.now();
+        var buffer = config.actionState.bufferWindow;
+        this.expire(now);
+
+        var laneChange = actionState.laneChange;
+        var vertical = actionState.vertical;
+
+        if (action === "left" || action === "right") {
+            // The game would ignore a swipe towards the wall
+            if (actionState.lane && !neighbourLane(actionState.lane, action)) {
+                return { verdict: "reject", reason: "Already heading for the " + actionState.lane + " lane" };
+            }
+            if (laneChange && laneChange.until - now > buffer) {
+                return { verdict: "queue", reason: "Lane change to " + laneChange.to + " in progress" };
+            }
+            // Lane changes work in the air and while rolling
+            return { verdict: "accept", reason: "No lane change in progress" };
+        }
+
+        if (action === "jump") {
+            if (vertical && vertical.phase === "airborne" && vertical.until - now > buffer) {
+                return { verdict: "reject", reason: "Already airborne" };
+            }
+            // Jumping ends a roll
+            return { verdict: "accept", reason: "Able to jump" };
+        }
+
+        if (action === "roll") {
+            if (vertical && vertical.phase === "rolling" && vertical.until - now > buffer) {
+                return { verdict: "reject", reason: "Already rolling" };
+            }
+            // Rolling in the air drops the player to the ground
+            return { verdict: "accept", reason: "Able to roll" };
+        }
+
+        return { verdict: "accept", reason: "No conflict" };
+    },
+
+    /**
+     * Picks the action to send now: the decided action if it does not conflict,
+     * otherwise a queued action that no longer conflicts
+     * Falls back to config.gameplay.actionDelay between actions when the model is disabled
+     * @param {string} action - Action decided this frame ("none" for no action)
+     * @param {Object} config - Configuration settings
+     * @return {string} Action to send, or null
+     */
+    next: function(action, config) {
+        var now = Date.now();
+        var settings = config.actionState;
+
+        if (!settings || !settings.enabled) {
+            return action !== "none" && now - actionState.lastCommitTime > config.gameplay.actionDelay ? action : null;
+        }
+
+        if (action && action !== "none") {
+            var result = this.check(action, config);
+            if (result.verdict === "accept") {
+                actionState.stats.accepted++;
+                return action;
+            }
+
+            if (result.verdict === "queue") {
+                // The newest decision replaces an older queued one
+                if (!actionState.queued || actionState.queued.action !== action) {
+                    actionState.queued = { action: action, since: now };
+                    actionState.stats.queued++;
+                }
+            } else {
+                actionState.stats.rejected++;
+            }
+            return null;
+        }
+
+        var queued = actionState.queued;
+        if (queued) {
+            if (now - queued.since > settings.queueTimeout) {
+                actionState.queued = null;
+            } else if (this.check(queued.action, config).verdict === "accept") {
+                actionState.queued = null;
+                return queued.action;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Records an action that was sent to the game
+     * @param {string} action - Sent action
+     * @param {Object} config - Configuration settings
+     */
+    commit: function(action, config) {
+        var now = Date.now();
+        var durations = getDurations(config);
+        this.expire(now);
+
+        if (action === "left" || action === "right") {
+            var from = actionState.lane;
+            var to = from ? neighbourLane(from, action) : null;
+            if (to) {
+                actionState.lane = to;
+                actionState.laneChange = { from: from, to: to, until: now + durations.laneChangeTime };
+            }
+        } else if (action === "jump") {
+            actionState.vertical = { phase: "airborne", until: now + durations.jumpDuration };
+        } else if (action === "roll") {
+            actionState.vertical = { phase: "rolling", until: now + durations.rollDuration };
+        }
+
+        // A sent action replaces whatever was waiting, since the queued decision was made for the state before it
+        actionState.queued = null;
+
+        actionState.lastCommitTime = now;
+        actionState.lastCommittedAction = action;
+    },
+
+    /**
+     * Checks whether an action is waiting in the queue
+     * @return {boolean} True if an action is queued
+     */
+    hasQueued: function() {
+        return actionState.queued !== null;
+    },
+
+    /**
+     * Gets the lane the player is expected to be in
+     * @return {string} Lane, or null if unknown
+     */
+    getPredictedLane: function() {
+        return actionState.lane;
+    },
+
+    /**
+     * Gets the model state and counters
+     * @return {Object} {lane, visionLane, phase, queued, stats}
+     */
+    getStats: function() {
+        return {
+            lane: actionState.lane,
+            visionLane: actionState.visionLane,
+            phase: this.getPhase(),
+            queued: actionState.queued ? actionState.queued.action : null,
+            stats: actionState.stats
+        };
+    }
+};
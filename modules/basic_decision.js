@@ -7,6 +7,7 @@
  * - Obstacle avoidance algorithms (Implemented)
  * - Coin collection optimization (Implemented)
  * - Powerup usage strategy (Implemented)
+ * - Mission-aware weighting (Implemented)
  */
 
 // Import required modules
@@ -14,11 +15,15 @@ var utils = require('./utils.js');
 var vision = require('./vision.js');
 var gameElements = require('./gameElements.js');
 var controls = require('./controls.js');
+var obstacleTracker = require('./obstacle_tracker.js');
+var obstacleClassifier = require('./obstacle_classifier.js');
+var missionObjectives = require('./mission_objectives.js');
 
 // Decision state tracking
 var decisionState = {
     lastAction: "",
     lastActionTime: 0,
+    lastMissionActionTime: 0,
     actionHistory: [],
     obstacleAvoidanceStats: {
         successfulAvoids: 0,
@@ -73,6 +78,7 @@ module.exports = {
         decisionState = {
             lastAction: "",
             lastActionTime: 0,
+            lastMissionActionTime: 0,
             actionHistory: [],
             obstacleAvoidanceStats: {
                 successfulAvoids: 0,
@@ -127,12 +133,15 @@ module.exports = {
         
         // Don't make decisions too frequently
         if (timeSinceLastAction < config.gameplay.actionDelay) {
-            return { action: "none", reason: "Too soon after last action" };
+            return { action: "none", reason: "Too soon after last action", candidates: this.scoreActions(gameState, config) };
         }
         
         // Analyze game state and make decision
         var decision = this.analyzeGameState(gameState, config);
         
+        // The rules stop at the first that applies; the trace shows how every legal action compares
+        decision.candidates = this.scoreActions(gameState, config);
+        
         // Record decision
         if (decision.action !== "none") {
             decisionState.lastAction = decision.action;
@@ -169,28 +178,152 @@ module.exports = {
             return obstacleDecision;
         }
         
-        // Check for powerups to collect
-        var powerupDecision = this.collectPowerups(gameState, currentLane, config);
-        if (powerupDecision.action !== "none") {
-            return powerupDecision;
+        // Open mission objectives raise the weights of what they need
+        var multipliers = missionObjectives.getWeightMultipliers(config);
+        var powerupWeight = decisionWeights.powerups * multipliers.powerups;
+        var coinWeight = decisionWeights.coins * multipliers.coins;
+        
+        // Collect powerups and coins, the higher weighted first
+        var collectors = [
+            { weight: powerupWeight, collect: this.collectPowerups },
+            { weight: coinWeight, collect: this.collectCoins }
+        ];
+        if (coinWeight > powerupWeight) {
+            collectors.reverse();
+        }
+        
+        for (var i = 0; i < collectors.length; i++) {
+            var collectDecision = collectors[i].collect.call(this, gameState, currentLane, config);
+            if (collectDecision.action !== "none") {
+                return collectDecision;
+            }
         }
         
-        // Check for coins to collect
-        var coinDecision = this.collectCoins(gameState, currentLane, config);
-        if (coinDecision.action !== "none") {
-            return coinDecision;
+        // Use quiet moments to jump, roll or change lanes for mission objectives
+        var missionDecision = this.pursueMissions(gameState, currentLane, multipliers, config);
+        if (missionDecision.action !== "none") {
+            return missionDecision;
         }
         
         // If no specific action needed, maintain current lane or optimize position
         return this.optimizePosition(gameState, currentLane, config);
     },
     
+    /**
+     * Scores every legal action on the current frame, for the decision trace
+     * Each consideration adds its decision weight to the actions it favors: clearing or escaping
+     * an obstacle (running into one subtracts it), coins and powerups in the lane the action ends
+     * in, open mission objectives and the lane preference
+     * @param {Object} gameState - Current game state
+     * @param {Object} config - Configuration settings
+     * @return {Array} Candidates [{action, score, reason}], best first
+     */
+    scoreActions: function(gameState, config) {
+        var self = this;
+        var currentLane = this.determineCurrentLane(gameState.playerPosition);
+        var obstacles = gameState.obstacles || [];
+        var lanes = gameState.lanes || {};
+        var multipliers = missionObjectives.getWeightMultipliers(config);
+        
+        var blocked = {};
+        ["left", "center", "right"].forEach(function(lane) {
+            blocked[lane] = self.isLaneBlocked(gameState, lane, config);
+        });
+        
+        var powerupLanes = {};
+        (gameState.powerups || []).forEach(function(powerup) {
+            if (powerup && typeof powerup.x === 'number') {
+                powerupLanes[self.getObstacleLane(powerup)] = true;
+            }
+        });
+        
+        var missionTypes = { swipe_up: "jump", swipe_down: "roll", swipe_left: "dodge", swipe_right: "dodge" };
+        var actions = ["none", "swipe_up", "swipe_down"];
+        if (currentLane !== "left") actions.push("swipe_left");
+        if (currentLane !== "right") actions.push("swipe_right");
+        
+        var candidates = actions.map(function(action) {
+            var lane = self.getTargetLane(currentLane, action);
+            var score = decisionWeights.lanes[lane] || 0;
+            var terms = [];
+            
+            if (blocked[lane]) {
+                var clears = (action === "swipe_up" && self.isJumpableObstacle(obstacles, currentLane)) ||
+                             (action === "swipe_down" && self.isRollableObstacle(obstacles, currentLane));
+                score += clears ? decisionWeights.obstacles : -decisionWeights.obstacles;
+                terms.push(clears ? "clears obstacle" : "obstacle in " + lane + " lane");
+            } else if (blocked[currentLane]) {
+                score += decisionWeights.obstacles;
+                terms.push("escapes obstacle");
+            }
+            
+            if (lanes[lane] && lanes[lane].coins) {
+                score += decisionWeights.coins * multipliers.coins;
+                terms.push("coins");
+            }
+            if (powerupLanes[lane]) {
+                score += decisionWeights.powerups * multipliers.powerups;
+                terms.push("powerup");
+            }
+            
+            var missionType = missionTypes[action];
+            if (missionType && multipliers[missionType] > 1) {
+                score += decisionWeights.lanes.center * multipliers[missionType];
+                terms.push(missionType + " mission");
+            }
+            
+            return { action: action, score: score, reason: terms.length > 0 ? terms.join(", ") : "nothing in " + lane + " lane" };
+        });
+        
+        candidates.sort(function(a, b) {
+            return b.score - a.score;
+        });
+        
+        return candidates;
+    },
+    
+    /**
+     * Gets the lane the player ends up in after an action
+     * @param {string} currentLane - Current lane of the player
+     * @param {string} action - Action name
+     * @return {string} Lane ("left", "center", or "right")
+     */
+    getTargetLane: function(currentLane, action) {
+        if (action === "swipe_left") {
+            return currentLane === "right" ? "center" : "left";
+        }
+        if (action === "swipe_right") {
+            return currentLane === "left" ? "center" : "right";
+        }
+        return currentLane;
+    },
+    
+    /**
+     * Checks whether a blocking obstacle reaches a lane before a lane change into it would be done
+     * @param {Object} gameState - Current game state
+     * @param {string} lane - Lane to check
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the lane is blocked
+     */
+    isLaneBlocked: function(gameState, lane, config) {
+        var ttc = gameState.timeToCollision;
+        if (ttc) {
+            return obstacleTracker.isThreat(ttc, lane, config.obstacleTracker.reactionTime + config.obstacleTracker.laneChangeTime);
+        }
+        return !!this.getImminentObstacle(gameState.obstacles || [], lane);
+    },
+    
     /**
      * Determines the current lane of the player
-     * @param {Object} playerPosition - Player position information
+     * @param {Object|string} playerPosition - Player position information or lane name
      * @return {string} Current lane ("left", "center", or "right")
      */
     determineCurrentLane: function(playerPosition) {
+        // Vision reports the lane name directly
+        if (typeof playerPosition === "string") {
+            return playerPosition;
+        }
+        
         if (!playerPosition || typeof playerPosition.x === 'undefined') {
             return "center"; // Default to center if position unknown
         }
@@ -230,27 +363,53 @@ module.exports = {
             right: false
         };
         
-        // Identify which lanes have obstacles
-        for (var i = 0; i < obstacles.length; i++) {
-            var obstacle = obstacles[i];
-            
-            // Skip obstacles that are too far away
-            if (obstacle.distance > 0.7) {
-                continue;
+        var ttc = gameState.timeToCollision;
+        if (ttc) {
+            // Tracked obstacles: wait until impact is within the reaction time, then only
+            // consider lanes that stay clear until the obstacle has passed
+            if (!obstacleTracker.isThreat(ttc, currentLane, config.obstacleTracker.reactionTime)) {
+                return { action: "none", reason: "No obstacle within reaction time" };
             }
             
-            // Determine which lane the obstacle is in
-            if (obstacle.x < 0.33) {
-                laneObstacles.left = true;
-            } else if (obstacle.x > 0.66) {
-                laneObstacles.right = true;
-            } else {
-                laneObstacles.center = true;
+            var clearFor = ttc[currentLane] + config.obstacleTracker.laneChangeTime;
+            laneObstacles.left = obstacleTracker.isThreat(ttc, "left", clearFor);
+            laneObstacles.center = obstacleTracker.isThreat(ttc, "center", clearFor);
+            laneObstacles.right = obstacleTracker.isThreat(ttc, "right", clearFor);
+            laneObstacles[currentLane] = true;
+        } else {
+            // Identify which lanes have obstacles
+            for (var i = 0; i < obstacles.length; i++) {
+                var obstacle = obstacles[i];
+                
+                // Skip obstacles that are too far away or safe to run onto (ramps)
+                if (obstacle.distance > 0.7 || !obstacleClassifier.isBlocking(obstacle.type)) {
+                    continue;
+                }
+                
+                // Determine which lane the obstacle is in
+                if (obstacle.x < 0.33) {
+                    laneObstacles.left = true;
+                } else if (obstacle.x > 0.66) {
+                    laneObstacles.right = true;
+                } else {
+                    laneObstacles.center = true;
+                }
             }
         }
         
         // If obstacle in current lane, need to move
         if (laneObstacles[currentLane]) {
+            // Barriers are cleared without leaving the lane
+            if (this.isJumpableObstacle(obstacles, currentLane)) {
+                decisionState.obstacleAvoidanceStats.successfulAvoids++;
+                return { action: "swipe_up", reason: "Jumping over low barrier" };
+            }
+            if (this.isRollableObstacle(obstacles, currentLane)) {
+                decisionState.obstacleAvoidanceStats.successfulAvoids++;
+                return { action: "swipe_down", reason: "Rolling under high barrier" };
+            }
+            
+            // Trains and unclassified obstacles need a lane change
             // Determine best lane to move to
             if (currentLane === "left") {
                 if (!laneObstacles.center) {
@@ -278,17 +437,10 @@ module.exports = {
                 }
             }
             
-            // If all lanes have obstacles, try to jump or roll
-            var jumpableObstacle = this.isJumpableObstacle(obstacles, currentLane);
-            if (jumpableObstacle) {
-                decisionState.obstacleAvoidanceStats.successfulAvoids++;
-                return { action: "swipe_up", reason: "Jumping over obstacle" };
-            }
-            
-            var rollableObstacle = this.isRollableObstacle(obstacles, currentLane);
-            if (rollableObstacle) {
-                decisionState.obstacleAvoidanceStats.successfulAvoids++;
-                return { action: "swipe_down", reason: "Rolling under obstacle" };
+            // All lanes blocked: jumping is the only chance against an unclassified obstacle
+            var imminent = this.getImminentObstacle(obstacles, currentLane);
+            if (imminent && (!imminent.type || imminent.type === obstacleClassifier.TYPES.UNKNOWN)) {
+                return { action: "swipe_up", reason: "Jumping over unclassified obstacle" };
             }
             
             // If we can't avoid, record collision
@@ -300,34 +452,59 @@ module.exports = {
     },
     
     /**
-     * Determines if an obstacle can be jumped over
+     * Determines the lane of an obstacle
+     * @param {Object} obstacle - Detected obstacle (lane name, or x as a screen fraction)
+     * @return {string} Lane ("left", "center", or "right")
+     */
+    getObstacleLane: function(obstacle) {
+        if (obstacle.lane) {
+            return obstacle.lane;
+        }
+        return obstacle.x < 0.33 ? "left" : (obstacle.x > 0.66 ? "right" : "center");
+    },
+    
+    /**
+     * Finds the closest blocking obstacle in the current lane that is near enough to act on
      * @param {Array} obstacles - List of detected obstacles
      * @param {string} currentLane - Current lane of the player
-     * @return {boolean} True if obstacle can be jumped over
+     * @return {Object} Closest obstacle or null
      */
-    isJumpableObstacle: function(obstacles, currentLane) {
+    getImminentObstacle: function(obstacles, currentLane) {
+        var closest = null;
+        
         for (var i = 0; i < obstacles.length; i++) {
             var obstacle = obstacles[i];
-            
-            // Check if obstacle is in current lane and close enough
-            var inCurrentLane = false;
-            if (currentLane === "left" && obstacle.x < 0.33) {
-                inCurrentLane = true;
-            } else if (currentLane === "center" && obstacle.x >= 0.33 && obstacle.x <= 0.66) {
-                inCurrentLane = true;
-            } else if (currentLane === "right" && obstacle.x > 0.66) {
-                inCurrentLane = true;
+            if (this.getObstacleLane(obstacle) !== currentLane || !obstacleClassifier.isBlocking(obstacle.type)) {
+                continue;
             }
             
-            if (inCurrentLane && obstacle.distance < 0.5 && obstacle.distance > 0.2) {
-                // Check if obstacle type is jumpable (barriers, small obstacles)
-                if (obstacle.type === "barrier" || obstacle.type === "small") {
-                    return true;
-                }
+            // Vision reports distance bands, older detections a 0-1 distance
+            var close = typeof obstacle.distance === "number" ?
+                        (obstacle.distance < 0.5 && obstacle.distance > 0.2) :
+                        (obstacle.distance === "near" || obstacle.distance === "medium");
+            
+            if (close && (closest === null || obstacle.y > closest.y)) {
+                closest = obstacle;
             }
         }
         
-        return false;
+        return closest;
+    },
+    
+    /**
+     * Determines if an obstacle can be jumped over
+     * @param {Array} obstacles - List of detected obstacles
+     * @param {string} currentLane - Current lane of the player
+     * @return {boolean} True if obstacle can be jumped over
+     */
+    isJumpableObstacle: function(obstacles, currentLane) {
+        var obstacle = this.getImminentObstacle(obstacles, currentLane);
+        if (!obstacle) {
+            return false;
+        }
+        
+        // Low barriers, plus the names used by older detections
+        return obstacleClassifier.isJumpable(obstacle.type) || obstacle.type === "barrier" || obstacle.type === "small";
     },
     
     /**
@@ -337,28 +514,13 @@ module.exports = {
      * @return {boolean} True if obstacle can be rolled under
      */
     isRollableObstacle: function(obstacles, currentLane) {
-        for (var i = 0; i < obstacles.length; i++) {
-            var obstacle = obstacles[i];
-            
-            // Check if obstacle is in current lane and close enough
-            var inCurrentLane = false;
-            if (currentLane === "left" && obstacle.x < 0.33) {
-                inCurrentLane = true;
-            } else if (currentLane === "center" && obstacle.x >= 0.33 && obstacle.x <= 0.66) {
-                inCurrentLane = true;
-            } else if (currentLane === "right" && obstacle.x > 0.66) {
-                inCurrentLane = true;
-            }
-            
-            if (inCurrentLane && obstacle.distance < 0.5 && obstacle.distance > 0.2) {
-                // Check if obstacle type is rollable (overhead barriers)
-                if (obstacle.type === "overhead" || obstacle.type === "high") {
-                    return true;
-                }
-            }
+        var obstacle = this.getImminentObstacle(obstacles, currentLane);
+        if (!obstacle) {
+            return false;
         }
         
-        return false;
+        // High barriers, plus the names used by older detections
+        return obstacleClassifier.isRollable(obstacle.type) || obstacle.type === "overhead" || obstacle.type === "high";
     },
     
     /**
@@ -500,6 +662,77 @@ module.exports = {
         return { action: "none", reason: "No coin collection action needed" };
     },
     
+    /**
+     * Determines an action that makes progress on an open mission objective
+     * Only acts when no obstacle reaches the player's lane within config.missions.clearance
+     * @param {Object} gameState - Current game state
+     * @param {string} currentLane - Current lane of the player
+     * @param {Object} multipliers - Weight multipliers from missionObjectives.getWeightMultipliers
+     * @param {Object} config - Configuration settings
+     * @return {Object} Decision for mission progress
+     */
+    pursueMissions: function(gameState, currentLane, multipliers, config) {
+        var settings = config.missions;
+        if (!settings || !settings.enabled) {
+            return { action: "none", reason: "Mission objectives disabled" };
+        }
+        
+        var now = Date.now();
+        if (now - decisionState.lastMissionActionTime < settings.actionInterval) {
+            return { action: "none", reason: "Too soon after last mission action" };
+        }
+        
+        // Pick the most wanted action
+        var best = null;
+        ["jump", "roll", "dodge"].forEach(function(type) {
+            if (multipliers[type] > 1 && (!best || multipliers[type] > multipliers[best])) {
+                best = type;
+            }
+        });
+        if (!best) {
+            return { action: "none", reason: "No open jump, roll or dodge objectives" };
+        }
+        
+        var self = this;
+        var ttc = gameState.timeToCollision;
+        var obstacles = gameState.obstacles || [];
+        var isClear = function(lane) {
+            if (ttc) {
+                return !obstacleTracker.isThreat(ttc, lane, settings.clearance);
+            }
+            return !self.getImminentObstacle(obstacles, lane);
+        };
+        
+        if (!isClear(currentLane)) {
+            return { action: "none", reason: "Lane not clear for a mission action" };
+        }
+        
+        var decision = null;
+        if (best === "jump") {
+            decision = { action: "swipe_up", reason: "Jumping for a mission objective" };
+        } else if (best === "roll") {
+            decision = { action: "swipe_down", reason: "Rolling for a mission objective" };
+        } else {
+            // Dodge towards the center when possible, so the next dodge has both sides free
+            var targets = currentLane === "center" ? ["left", "right"] : ["center"];
+            for (var i = 0; i < targets.length && !decision; i++) {
+                if (isClear(targets[i])) {
+                    decision = {
+                        action: (targets[i] === "left" || currentLane === "right") ? "swipe_left" : "swipe_right",
+                        reason: "Changing lanes for a mission objective"
+                    };
+                }
+            }
+        }
+        
+        if (!decision) {
+            return { action: "none", reason: "No clear lane for a mission action" };
+        }
+        
+        decisionState.lastMissionActionTime = now;
+        return decision;
+    },
+    
     /**
      * Optimizes player position when no immediate actions are needed
      * @param {Object} gameState - Current game state
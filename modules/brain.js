@@ -1,3 +1,6 @@
+var vision = require('./vision.js');
+var digitReader = require('./digit_reader.js');
+
 module.exports = {
     // Helper function to find color in a region
     findColorInRegion: function(img, targetColor, region, threshold) {
@@ -65,54 +68,10 @@ module.exports = {
         };
     },
     
-    analyzeEnvironment: function(config) {
-        var img = null;
-        
-        try {
-            img = captureScreen();
-            if (!img) {
-                console.error("Failed to capture screen");
-                return this.getEmptyGameState();
-            }
-            
-            var width = img.getWidth();
-            var height = img.getHeight();
-            
-            // Screen type detection
-            var screenType = this.detectScreenType(img, width, height);
-            if (screenType !== "gameplay") {
-                return {
-                    screenType: screenType,
-                    timestamp: Date.now()
-                };
-            }
-            
-            // Full game state analysis
-            var gameState = {
-                screenType: "gameplay",
-                lanes: {
-                    left: this.analyzeLane(img, 0.2, width, height, config),
-                    center: this.analyzeLane(img, 0.5, width, height, config),
-                    right: this.analyzeLane(img, 0.8, width, height, config)
-                },
-                playerPosition: this.detectPlayer(img, width, height, config),
-                powerups: this.detectPowerups(img, width, height),
-                coins: this.countCoins(img, width, height, config),
-                score: this.detectScore(img, width, height),
-                obstacles: this.detectObstacles(img, width, height, config),
-                timestamp: Date.now()
-            };
-            
-            return gameState;
-        } catch (e) {
-            console.error("Error analyzing environment: " + e.message);
-            return this.getEmptyGameState();
-        } finally {
-            // Properly clean up the image resource
-            if (img && img.recycle) {
-                try { img.recycle(); } catch (e) {}
-            }
-        }
+    analyzeEnvironment: function(config, frame) {
+        // Training and auto-play both read the game through vision.js, so decisions made
+        // here see the same game state (detectors, tracking, HUD readings) as a trained model
+        return vision.analyzeEnvironment(config, frame);
     },
 
     analyzeLane: function(img, xPercentage, width, height, config) {
@@ -265,10 +224,19 @@ module.exports = {
         return result;
     },
     
-    detectScore: function(img, width, height) {
-        // In a production bot, would use OCR to read the score
-        // For this implementation, we'll just return a placeholder
-        return 0;
+    detectScore: function(img, width, height, config) {
+        return this.readHudField(img, "score", width, height, config);
+    },
+    
+    readHudField: function(img, field, width, height, config) {
+        // Template-match the HUD digits; keeps the last confident value on a misread
+        try {
+            var region = digitReader.getFieldRegion(field, width, height);
+            return digitReader.readField(img, field, region, images, colors, config).value;
+        } catch (e) {
+            console.error("Error reading " + field + ": " + e.message);
+            return digitReader.getLastValue(field);
+        }
     },
     
     detectObstacles: function(img, width, height, config) {
@@ -13,6 +13,7 @@
 var utils = require('./utils.js');
 var performanceOptimization = require('./performance_optimization.js');
 var performanceMonitor = require('./reliability/performance_monitor.js');
+var policyRegistry = require('./policy_registry.js');
 
 // UI state for control panel
 var controlPanelState = {
@@ -123,6 +124,7 @@ module.exports = {
                 '        </frame>' +
                 '        <horizontal gravity="center" marginTop="8">' +
                 '            <button id="startBtn" text="Start Bot" w="*" h="50" layout_weight="1" bg="#4CAF50" marginRight="4"/>' +
+                '            <button id="policyBtn" text="Policy" w="*" h="50" layout_weight="1" bg="#2196F3" marginLeft="4" marginRight="4"/>' +
                 '            <button id="stopBtn" text="Stop Bot" w="*" h="50" layout_weight="1" bg="#F44336" marginLeft="4"/>' +
                 '        </horizontal>' +
                 '    </vertical>' +
@@ -161,6 +163,10 @@ module.exports = {
                 this.startBot();
             });
             
+            window.policyBtn.click(() => {
+                this.selectPolicy();
+            });
+            
             window.stopBtn.click(() => {
                 this.stopBot();
             });
@@ -180,6 +186,32 @@ module.exports = {
         }
     },
     
+    /**
+     * Lets the user pick the decision policy used by auto-play
+     * The choice applies from the next decision, without restarting the bot
+     */
+    selectPolicy: function() {
+        var config = typeof global !== 'undefined' && global.config ? global.config : {};
+        var policies = policyRegistry.list();
+        var activeName = policyRegistry.getActiveName(config);
+        
+        var items = policies.map(function(policy) {
+            return (policy.name === activeName ? "● " : "") + policy.name + " - " + policy.description;
+        });
+        
+        dialogs.select("Decision policy", items, (index) => {
+            if (index < 0) return;
+            
+            if (policyRegistry.setActive(policies[index].name, config)) {
+                toast("Decision policy: " + policies[index].name);
+            } else {
+                toast("Policy " + policies[index].name + " failed to start, check the log");
+            }
+            
+            this.updateTabContent();
+        });
+    },
+    
     /**
      * Makes a UI element draggable
      * @param {Object} element - UI element to make draggable
@@ -349,6 +381,7 @@ module.exports = {
                '  </vertical>' +
                '  <vertical padding="8" bg="#424242" marginTop="8">' +
                '    <text text="AI Settings" textColor="#FFFFFF"/>' +
+               '    <text text="Decision Policy: ' + policyRegistry.getActiveName(config) + '" textColor="#BBBBBB"/>' +
                '    <checkbox id="neuralNetCheck" text="Enable Neural Network" textColor="#FFFFFF" ' + 
                     (config.neuralNet && config.neuralNet.enabled ? 'checked="true"' : '') + '/>' +
                '  </vertical>' +
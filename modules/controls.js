@@ -13,6 +13,8 @@
  * - Gesture recording and playback system
  */
 
+var deviceProfiles = require('./device_profiles.js');
+
 // Cache for screen dimensions and calibration
 var screenCache = {
     width: 0,
@@ -46,6 +48,14 @@ var keyboardMapping = {
     boost: "b"           // B key for boost activation
 };
 
+// Swipe direction of each gameplay action
+var actionSwipes = {
+    left: "left",
+    right: "right",
+    jump: "up",
+    roll: "down"
+};
+
 // Gesture recording system
 var gestureRecording = {
     isRecording: false,
@@ -615,12 +625,12 @@ module.exports = {
         // Different powerups may require different activation methods
         switch(powerupType.toLowerCase()) {
             case "hoverboard":
-                // Tap the hoverboard button (typically bottom left)
-                return this.performTap(60, screenCache.height - 120, config);
+                // Tap the hoverboard button (bottom left)
+                return this.tapGameplayButton("hoverboardButton", config);
                 
             case "boost":
                 // Tap the boost button if available
-                return this.performTap(60, screenCache.height - 220, config);
+                return this.tapGameplayButton("boostButton", config);
                 
             case "jetpack":
             case "magnet":
@@ -635,6 +645,42 @@ module.exports = {
         }
     },
     
+    /**
+     * Tap a gameplay button at its position for the current device profile
+     * @param {string} elementName - gameElements gameplayScreen region (e.g. "hoverboardButton")
+     * @param {Object} config - Configuration settings
+     * @return {boolean} - Success status of the tap (false if the button has no known position)
+     */
+    tapGameplayButton: function(elementName, config) {
+        var center = deviceProfiles.getElementCenter("gameplayScreen", elementName, screenCache.width, screenCache.height);
+        if (!center) {
+            console.error("No position known for gameplay button: " + elementName);
+            return false;
+        }
+        
+        return this.performTap(center.x, center.y, config);
+    },
+    
+    /**
+     * Perform a gameplay action chosen by a decision policy
+     * @param {string} action - Action name (left, right, jump, roll or hoverboard)
+     * @param {Object} config - Configuration settings
+     * @return {boolean} - True if the gesture was sent
+     */
+    performGameAction: function(action, config) {
+        if (action === "hoverboard") {
+            return this.activatePowerup(action, config);
+        }
+        
+        var direction = actionSwipes[action];
+        if (!direction) {
+            console.error("Unknown gameplay action: " + action);
+            return false;
+        }
+        
+        return !!this.performSwipe(direction, config);
+    },
+    
     /**
      * Perform a combo move (combination of gestures in sequence)
      * @param {Array} moves - Array of move names in sequence
@@ -23,6 +23,7 @@ var collectionState = {
     samplesCollected: 0,
     lastSampleTime: 0,
     lastActionTime: 0,
+    lastActionType: null,
     currentScreenshots: [],
     currentActions: [],
     sessionStats: {}
@@ -90,6 +91,7 @@ module.exports = {
             samplesCollected: 0,
             lastSampleTime: 0,
             lastActionTime: 0,
+            lastActionType: null,
             currentScreenshots: [],
             currentActions: [],
             sessionStats: {}
@@ -116,6 +118,7 @@ module.exports = {
             collectionState.sessionId = sessionId;
             collectionState.lastSampleTime = timestamp;
             collectionState.lastActionTime = timestamp;
+            collectionState.lastActionType = null;
             collectionState.samplesCollected = 0;
             collectionState.currentScreenshots = [];
             collectionState.currentActions = [];
@@ -248,6 +251,14 @@ module.exports = {
         var timeSinceLastAction = timestamp - collectionState.lastActionTime;
         
         try {
+            // The recorded state carries the previous action, a network input (feature_schema.js)
+            var recordedState = {};
+            for (var key in gameState || {}) {
+                recordedState[key] = gameState[key];
+            }
+            recordedState.previousAction = collectionState.lastActionType || "none";
+            recordedState.timeSincePreviousAction = collectionState.lastActionType ? timeSinceLastAction : null;
+            
             // Create action record
             var actionRecord = {
                 timestamp: timestamp,
@@ -255,12 +266,13 @@ module.exports = {
                 actionData: actionData || {},
                 timeSinceLastAction: timeSinceLastAction,
                 sampleIndex: collectionState.samplesCollected - 1, // Link to last screenshot
-                gameState: gameState || {}
+                gameState: recordedState
             };
             
             // Add to current actions
             collectionState.currentActions.push(actionRecord);
             collectionState.lastActionTime = timestamp;
+            collectionState.lastActionType = actionType;
             
             return true;
         } catch (e) {
@@ -321,7 +333,9 @@ module.exports = {
             for (var i = 0; i < sessionFiles.length; i++) {
                 var sessionFile = dataPaths.sessions + sessionFiles[i];
                 var sessionData = JSON.parse(files.read(sessionFile));
-                sessions.push(sessionData.stats);
+                var stats = sessionData.stats || {};
+                stats.sessionId = sessionData.sessionId;
+                sessions.push(stats);
             }
             
             return sessions;
@@ -356,13 +370,13 @@ module.exports = {
      * Merges multiple sessions into a single training dataset
      * @param {Array} sessionIds - Array of session IDs to merge
      * @param {string} datasetName - Name for the merged dataset
-     * @return {boolean} Success status
+     * @return {Object} Merged dataset {name, createdAt, sessions, samples, actions}, or null on failure
      */
     mergeSessionsIntoDataset: function(sessionIds, datasetName) {
         try {
             if (!sessionIds || sessionIds.length === 0) {
                 console.error("No sessions provided for merging");
-                return false;
+                return null;
             }
             
             datasetName = datasetName || "dataset_" + Date.now();
@@ -418,10 +432,10 @@ module.exports = {
             console.log("Created merged dataset: " + datasetName + 
                       " with " + mergedData.samples.length + " samples and " + 
                       mergedData.actions.length + " actions");
-            return true;
+            return mergedData;
         } catch (e) {
             console.error("Error merging sessions: " + e.message);
-            return false;
+            return null;
         }
     },
     
@@ -4,8 +4,8 @@
  * Part of Phase 4.3: Data Processing implementation
  */
 
-// Import files module if not available globally
-var files = files || require('../utils/files.js');
+// Import required modules
+var files = require('./utils/files.js');
 
 module.exports = {
     /**
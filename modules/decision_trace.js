@@ -0,0 +1,276 @@
+/**
+ * Decision Trace Module for Subway Surfers Bot
+ * Implements Phase 7.1 (User Interface): visual feedback on why the bot acted
+ *
+ * Features:
+ * - Per-frame trace entry: game state summary, scored candidate actions, chosen action and reason,
+ *   and the action actually executed (held, queued or failed actions differ from the chosen one)
+ * - Entries written as JSON lines, one file per session
+ * - Optional floaty overlay drawing the latest decision on top of the game
+ *
+ * Each line of the trace file looks like:
+ * {"frame": 12, "timestamp": 1700000000000, "policy": "rules",
+ *  "state": {"screenType": "gameplay", "player": "center", "obstacles": [...], ...},
+ *  "candidates": [{"action": "left", "score": 10, "reason": "..."}],
+ *  "action": "left", "reason": "Avoiding obstacle in center lane", "confidence": 1, "executed": "left"}
+ */
+
+// Import required modules
+var files = require('./utils/files.js');
+
+// Trace state
+var traceState = {
+    enabled: false,
+    path: null,
+    frame: 0,
+    buffer: [],
+    overlay: null,
+    lastOverlayUpdate: 0,
+    lastEntry: null
+};
+
+/**
+ * Formats a candidate for the overlay
+ * @param {Object} candidate - Candidate {action, score}
+ * @return {string} e.g. "left 10"
+ */
+function formatCandidate(candidate) {
+    var score = typeof candidate.score === 'number' ? candidate.score : "";
+    if (typeof score === 'number' && score % 1 !== 0) {
+        score = score.toFixed(2);
+    }
+    return candidate.action + " " + score;
+}
+
+module.exports = {
+    /**
+     * Starts a trace session
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if tracing is enabled
+     */
+    initialize: function(config) {
+        this.close();
+
+        var settings = config.decisionTrace;
+        traceState.enabled = !!(settings && settings.enabled);
+        traceState.frame = 0;
+        traceState.buffer = [];
+        traceState.lastEntry = null;
+
+        if (!traceState.enabled) {
+            return false;
+        }
+
+        traceState.path = settings.path + "trace_" + Date.now() + ".jsonl";
+        files.createWithDirs(traceState.path);
+        console.log("Writing decision trace to " + traceState.path);
+
+        if (settings.overlay) {
+            this.showOverlay();
+        }
+
+        return true;
+    },
+
+    /**
+     * Summarizes the parts of a game state the deciders look at
+     * @param {Object} gameState - Current game state
+     * @return {Object} State summary
+     */
+    summarizeState: function(gameState) {
+        if (!gameState) {
+            return null;
+        }
+
+        var coinLanes = [];
+        var lanes = gameState.lanes || {};
+        ["left", "center", "right"].forEach(function(lane) {
+            if (lanes[lane] && lanes[lane].coins) {
+                coinLanes.push(lane);
+            }
+        });
+
+        var tracked = {};
+        (gameState.trackedObstacles || []).forEach(function(track) {
+            tracked[track.id] = track;
+        });
+
+        return {
+            screenType: gameState.screenType,
+            player: gameState.playerPosition,
+            obstacles: (gameState.obstacles || []).map(function(obstacle) {
+                var track = tracked[obstacle.trackId];
+                return {
+                    lane: obstacle.lane,
+                    type: obstacle.type,
+                    distance: obstacle.distance,
+                    timeToCollision: track ? track.timeToCollision : null
+                };
+            }),
+            timeToCollision: gameState.timeToCollision || null,
+            coinLanes: coinLanes,
+            score: gameState.score,
+            coins: gameState.coins
+        };
+    },
+
+    /**
+     * Records the decision of one frame
+     * @param {Object} gameState - Game state the decision was made on
+     * @param {Object} decision - Decision from policyRegistry.decide
+     * @param {string} executed - Action sent to the game this frame ("none" if nothing was sent)
+     * @param {Object} config - Configuration settings
+     * @return {Object} Trace entry, or null if tracing is disabled
+     */
+    record: function(gameState, decision, executed, config) {
+        if (!traceState.enabled) {
+            return null;
+        }
+
+        var entry = {
+            frame: ++traceState.frame,
+            timestamp: Date.now(),
+            policy: decision.policy,
+            state: this.summarizeState(gameState),
+            candidates: decision.candidates || [],
+            action: decision.action,
+            reason: decision.reason,
+            confidence: decision.confidence,
+            executed: executed || "none"
+        };
+        if (decision.plan) {
+            entry.plan = decision.plan;
+        }
+
+        traceState.lastEntry = entry;
+
+        // Idle frames are only written when configured, the overlay still shows them
+        if (entry.action !== "none" || entry.executed !== "none" || config.decisionTrace.includeIdleFrames) {
+            traceState.buffer.push(JSON.stringify(entry));
+            if (traceState.buffer.length >= config.decisionTrace.flushEvery) {
+                this.flush();
+            }
+        }
+
+        if (traceState.overlay && entry.timestamp - traceState.lastOverlayUpdate >= config.decisionTrace.overlayInterval) {
+            this.updateOverlay(entry);
+            traceState.lastOverlayUpdate = entry.timestamp;
+        }
+
+        return entry;
+    },
+
+    /**
+     * Appends buffered entries to the trace file
+     * @return {boolean} Success status
+     */
+    flush: function() {
+        if (traceState.buffer.length === 0) {
+            return true;
+        }
+
+        var lines = traceState.buffer.join("\n") + "\n";
+        traceState.buffer = [];
+
+        if (!files.isAvailable()) {
+            return false;
+        }
+
+        try {
+            files.append(traceState.path, lines);
+            return true;
+        } catch (e) {
+            console.error("Failed to write decision trace: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Shows the decision overlay on top of the game
+     */
+    showOverlay: function() {
+        if (traceState.overlay || typeof floaty === 'undefined') {
+            return;
+        }
+
+        try {
+            var overlay = floaty.rawWindow(
+                '<frame gravity="left" bg="#88000000" padding="6">' +
+                '    <vertical>' +
+                '        <text id="actionText" text="-" textColor="#FFEB3B" textSize="14sp"/>' +
+                '        <text id="reasonText" text="" textColor="#FFFFFF" textSize="11sp"/>' +
+                '        <text id="candidatesText" text="" textColor="#BBBBBB" textSize="10sp"/>' +
+                '    </vertical>' +
+                '</frame>'
+            );
+
+            // Let touches pass through to the game
+            overlay.setTouchable(false);
+            overlay.setPosition(10, 150);
+
+            traceState.overlay = overlay;
+        } catch (e) {
+            console.error("Error creating decision overlay: " + e.message);
+        }
+    },
+
+    /**
+     * Draws a trace entry on the overlay
+     * @param {Object} entry - Trace entry
+     */
+    updateOverlay: function(entry) {
+        var overlay = traceState.overlay;
+        if (!overlay) return;
+
+        var actionText = entry.policy + ": " + entry.action +
+                         (entry.executed !== entry.action ? " -> " + entry.executed : "") +
+                         (entry.state && entry.state.player ? " (in " + entry.state.player + ")" : "");
+        var candidatesText = entry.candidates.map(formatCandidate).join(" | ");
+
+        ui.run(function() {
+            overlay.actionText.setText(actionText);
+            overlay.reasonText.setText(entry.reason || "");
+            overlay.candidatesText.setText(candidatesText);
+        });
+    },
+
+    /**
+     * Hides the decision overlay
+     */
+    hideOverlay: function() {
+        if (traceState.overlay) {
+            try {
+                traceState.overlay.close();
+            } catch (e) {
+                console.error("Error closing decision overlay: " + e.message);
+            }
+            traceState.overlay = null;
+        }
+    },
+
+    /**
+     * Gets the most recent trace entry
+     * @return {Object} Trace entry or null
+     */
+    getLastEntry: function() {
+        return traceState.lastEntry;
+    },
+
+    /**
+     * Gets the path of the current trace file
+     * @return {string} Path, or null if tracing is disabled
+     */
+    getPath: function() {
+        return traceState.enabled ? traceState.path : null;
+    },
+
+    /**
+     * Writes pending entries and removes the overlay
+     */
+    close: function() {
+        if (traceState.enabled) {
+            this.flush();
+        }
+        this.hideOverlay();
+    }
+};
@@ -0,0 +1,279 @@
+/**
+ * Detector Registry Module for Subway Surfers Bot
+ * Implements Phase 2.2 (Game Element Detection) as pluggable detectors
+ *
+ * Features:
+ * - Detectors register with a name, the region of interest they need and a cost budget
+ * - Detectors are enabled, disabled and re-budgeted through config.vision.detectors
+ * - Per-frame time budget: optional detectors are skipped once it is used up
+ * - Per-detector timing statistics
+ *
+ * A detector definition looks like:
+ * {
+ *     name: "player",             // Unique name, also the key under config.vision.detectors
+ *     stateKey: "playerPosition", // Game state field the result is stored in (defaults to name)
+ *     costBudget: 10,             // Expected cost in ms
+ *     essential: true,            // Never skipped because of the frame budget
+ *     roi: function(width, height, config) { return [x, y, w, h]; },
+ *     defaultValue: function() { return "center"; }, // Used when disabled, skipped or failed
+ *     detect: function(img, roi, width, height, config) { ... }
+ * }
+ */
+
+// Registered detectors in execution order
+var registeredDetectors = [];
+
+// Timing statistics per detector name
+var detectorStats = {};
+
+/**
+ * Creates empty timing statistics for a detector
+ * @return {Object} Statistics object
+ */
+function createStats() {
+    return {
+        runs: 0,
+        totalTime: 0,
+        lastTime: 0,
+        maxTime: 0,
+        overBudget: 0,
+        skipped: 0,
+        failures: 0
+    };
+}
+
+/**
+ * Gets the config entry of a detector
+ * @param {Object} config - Configuration settings
+ * @param {string} name - Detector name
+ * @return {Object} Detector settings (empty object if not configured)
+ */
+function getDetectorSettings(config, name) {
+    var settings = config.vision && config.vision.detectors;
+    return (settings && settings[name]) || {};
+}
+
+/**
+ * Gets the expected cost of a detector, preferring measured timings over its budget
+ * @param {Object} detector - Detector definition
+ * @param {number} budget - Configured cost budget in ms
+ * @return {number} Expected cost in ms
+ */
+function getExpectedCost(detector, budget) {
+    var stats = detectorStats[detector.name];
+    if (stats && stats.runs > 0) {
+        return stats.totalTime / stats.runs;
+    }
+    return budget;
+}
+
+module.exports = {
+    /**
+     * Registers a detector, replacing any detector with the same name
+     * @param {Object} detector - Detector definition
+     * @return {boolean} Success status
+     */
+    register: function(detector) {
+        if (!detector || !detector.name || typeof detector.detect !== 'function') {
+            console.error("Invalid detector definition");
+            return false;
+        }
+
+        detector.stateKey = detector.stateKey || detector.name;
+        detector.costBudget = detector.costBudget || 10;
+
+        var existing = this.indexOf(detector.name);
+        if (existing !== -1) {
+            registeredDetectors[existing] = detector;
+        } else {
+            registeredDetectors.push(detector);
+        }
+
+        detectorStats[detector.name] = createStats();
+
+        return true;
+    },
+
+    /**
+     * Removes a detector
+     * @param {string} name - Detector name
+     * @return {boolean} True if a detector was removed
+     */
+    unregister: function(name) {
+        var index = this.indexOf(name);
+        if (index === -1) {
+            return false;
+        }
+
+        registeredDetectors.splice(index, 1);
+        delete detectorStats[name];
+        return true;
+    },
+
+    /**
+     * Finds the position of a detector in execution order
+     * @param {string} name - Detector name
+     * @return {number} Index or -1 if not registered
+     */
+    indexOf: function(name) {
+        for (var i = 0; i < registeredDetectors.length; i++) {
+            if (registeredDetectors[i].name === name) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Gets a registered detector
+     * @param {string} name - Detector name
+     * @return {Object} Detector definition or null
+     */
+    get: function(name) {
+        var index = this.indexOf(name);
+        return index !== -1 ? registeredDetectors[index] : null;
+    },
+
+    /**
+     * Lists registered detector names in execution order
+     * @return {Array} Detector names
+     */
+    list: function() {
+        return registeredDetectors.map(function(detector) {
+            return detector.name;
+        });
+    },
+
+    /**
+     * Checks whether a detector is enabled in config (detectors are enabled unless disabled)
+     * @param {string} name - Detector name
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if enabled
+     */
+    isEnabled: function(name, config) {
+        return getDetectorSettings(config, name).enabled !== false;
+    },
+
+    /**
+     * Runs a single detector on its region of interest
+     * @param {Object} detector - Detector definition
+     * @param {Image} img - Captured screen image
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} config - Configuration settings
+     * @return {*} Detector result, or its default value on failure
+     */
+    runDetector: function(detector, img, width, height, config) {
+        var stats = detectorStats[detector.name];
+        var budget = getDetectorSettings(config, detector.name).costBudget || detector.costBudget;
+        var startTime = Date.now();
+        var result;
+
+        try {
+            var roi = detector.roi ? detector.roi(width, height, config) : [0, 0, width, height];
+            result = detector.detect(img, roi, width, height, config);
+        } catch (e) {
+            console.error("Detector " + detector.name + " failed: " + e.message);
+            stats.failures++;
+            result = this.getDefaultValue(detector);
+        }
+
+        var elapsed = Date.now() - startTime;
+        stats.runs++;
+        stats.totalTime += elapsed;
+        stats.lastTime = elapsed;
+        stats.maxTime = Math.max(stats.maxTime, elapsed);
+
+        if (elapsed > budget) {
+            stats.overBudget++;
+            if (config.debug) {
+                console.log("Detector " + detector.name + " took " + elapsed + "ms (budget " + budget + "ms)");
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Runs every enabled detector within the frame budget
+     * @param {Image} img - Captured screen image
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} config - Configuration settings
+     * @return {Object} {state: results keyed by stateKey, skipped: names of detectors skipped for budget}
+     */
+    runEnabled: function(img, width, height, config) {
+        var settings = (config.vision && config.vision.detectors) || {};
+        var frameBudget = settings.frameBudget || Infinity;
+        var startTime = Date.now();
+        var state = {};
+        var skipped = [];
+
+        for (var i = 0; i < registeredDetectors.length; i++) {
+            var detector = registeredDetectors[i];
+
+            if (!this.isEnabled(detector.name, config)) {
+                state[detector.stateKey] = this.getDefaultValue(detector);
+                continue;
+            }
+
+            // Skip optional detectors that would not fit in what is left of the frame budget
+            var budget = getDetectorSettings(config, detector.name).costBudget || detector.costBudget;
+            var remaining = frameBudget - (Date.now() - startTime);
+            if (!detector.essential && getExpectedCost(detector, budget) > remaining) {
+                detectorStats[detector.name].skipped++;
+                skipped.push(detector.name);
+                state[detector.stateKey] = this.getDefaultValue(detector);
+                continue;
+            }
+
+            state[detector.stateKey] = this.runDetector(detector, img, width, height, config);
+        }
+
+        return {
+            state: state,
+            skipped: skipped
+        };
+    },
+
+    /**
+     * Gets the default result of a detector
+     * @param {Object} detector - Detector definition
+     * @return {*} Default value (null if the detector has none)
+     */
+    getDefaultValue: function(detector) {
+        return detector.defaultValue ? detector.defaultValue() : null;
+    },
+
+    /**
+     * Gets timing statistics of all detectors
+     * @return {Object} Stats keyed by detector name, with averageTime added
+     */
+    getStats: function() {
+        var result = {};
+
+        for (var name in detectorStats) {
+            var stats = detectorStats[name];
+            result[name] = {
+                runs: stats.runs,
+                averageTime: stats.runs > 0 ? stats.totalTime / stats.runs : 0,
+                lastTime: stats.lastTime,
+                maxTime: stats.maxTime,
+                overBudget: stats.overBudget,
+                skipped: stats.skipped,
+                failures: stats.failures
+            };
+        }
+
+        return result;
+    },
+
+    /**
+     * Resets timing statistics of all detectors
+     */
+    resetStats: function() {
+        for (var name in detectorStats) {
+            detectorStats[name] = createStats();
+        }
+    }
+};
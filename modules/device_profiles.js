@@ -0,0 +1,474 @@
+/**
+ * Device Profile Module for Subway Surfers Bot
+ * Implements Phase 2.1 (Screen Capture and Analysis): resolution and aspect ratio support
+ *
+ * Features:
+ * - Named device profiles with resolution, DPI, orientation and safe-area insets
+ * - Maps gameElements coordinates (authored at 1280x720) and fractional ROIs to the screen
+ * - Automatic profile selection by screen size, with custom profiles stored on the device
+ * - Auto-calibration of a new profile from a few gameplay screenshots
+ *
+ * Safe-area insets are screen edges the game does not draw on (notches, letterboxing).
+ * All coordinates are mapped into the content area inside the insets.
+ */
+
+var gameElements = require('./gameElements.js');
+var files = require('./utils/files.js');
+
+// Built-in profiles; insets are in pixels at the profile resolution
+var BUILT_IN_PROFILES = {
+    memu_1280x720: {
+        width: 1280, height: 720, dpi: 240, orientation: "landscape",
+        insets: { top: 0, right: 0, bottom: 0, left: 0 }
+    },
+    memu_1600x900: {
+        width: 1600, height: 900, dpi: 240, orientation: "landscape",
+        insets: { top: 0, right: 0, bottom: 0, left: 0 }
+    },
+    memu_1920x1080: {
+        width: 1920, height: 1080, dpi: 320, orientation: "landscape",
+        insets: { top: 0, right: 0, bottom: 0, left: 0 }
+    },
+    phone_2400x1080: {
+        width: 2400, height: 1080, dpi: 400, orientation: "landscape",
+        insets: { top: 0, right: 0, bottom: 0, left: 80 } // Camera cutout
+    },
+    tablet_2048x1536: {
+        width: 2048, height: 1536, dpi: 320, orientation: "landscape",
+        insets: { top: 0, right: 0, bottom: 0, left: 0 }
+    }
+};
+
+// Profile state
+var profileState = {
+    active: "auto",
+    customProfiles: {},
+    resolved: {} // "WxH" -> profile resolved for that screen size
+};
+
+/**
+ * Gets the width and height of a profile in the orientation of a screen
+ * Devices may report their natural (portrait) size while the game runs in landscape
+ * @param {Object} profile - Device profile
+ * @param {number} width - Screen width
+ * @param {number} height - Screen height
+ * @return {Object} Profile with width, height and insets rotated to match the screen
+ */
+function orientProfile(profile, width, height) {
+    var screenLandscape = width >= height;
+    var profileLandscape = profile.width >= profile.height;
+    if (screenLandscape === profileLandscape) {
+        return profile;
+    }
+
+    var insets = profile.insets;
+    return {
+        name: profile.name,
+        width: profile.height,
+        height: profile.width,
+        dpi: profile.dpi,
+        orientation: screenLandscape ? "landscape" : "portrait",
+        insets: { top: insets.left, right: insets.top, bottom: insets.right, left: insets.bottom }
+    };
+}
+
+/**
+ * Scales a profile to a screen of the same aspect ratio but a different size
+ * @param {Object} profile - Device profile in the screen's orientation
+ * @param {number} width - Screen width
+ * @param {number} height - Screen height
+ * @return {Object} Scaled profile
+ */
+function scaleProfile(profile, width, height) {
+    var scaleX = width / profile.width;
+    var scaleY = height / profile.height;
+
+    return {
+        name: profile.name,
+        width: width,
+        height: height,
+        dpi: Math.round(profile.dpi * Math.sqrt(scaleX * scaleY)),
+        orientation: profile.orientation,
+        insets: {
+            top: Math.round(profile.insets.top * scaleY),
+            right: Math.round(profile.insets.right * scaleX),
+            bottom: Math.round(profile.insets.bottom * scaleY),
+            left: Math.round(profile.insets.left * scaleX)
+        }
+    };
+}
+
+module.exports = {
+    /**
+     * Loads custom profiles and selects the configured profile
+     * @param {Object} config - Configuration settings
+     */
+    initialize: function(config) {
+        var settings = config.deviceProfiles;
+        profileState.active = settings.active || "auto";
+        profileState.resolved = {};
+        profileState.customProfiles = {};
+
+        try {
+            if (files.exists(settings.customProfilesPath)) {
+                profileState.customProfiles = JSON.parse(files.read(settings.customProfilesPath));
+                console.log("Loaded " + Object.keys(profileState.customProfiles).length + " custom device profiles");
+            }
+        } catch (e) {
+            console.error("Failed to load custom device profiles: " + e.message);
+        }
+    },
+
+    /**
+     * Lists the names of all known profiles
+     * @return {Array} Profile names, custom profiles first
+     */
+    listProfiles: function() {
+        return Object.keys(profileState.customProfiles).concat(Object.keys(BUILT_IN_PROFILES));
+    },
+
+    /**
+     * Gets a profile by name
+     * @param {string} name - Profile name
+     * @return {Object} Profile, or null if unknown
+     */
+    getNamedProfile: function(name) {
+        var profile = profileState.customProfiles[name] || BUILT_IN_PROFILES[name];
+        if (!profile) {
+            return null;
+        }
+
+        return {
+            name: name,
+            width: profile.width,
+            height: profile.height,
+            dpi: profile.dpi,
+            orientation: profile.orientation,
+            insets: profile.insets
+        };
+    },
+
+    /**
+     * Selects the profile to use ("auto" picks one by screen size)
+     * @param {string} name - Profile name or "auto"
+     * @return {boolean} True if the profile exists
+     */
+    setActiveProfile: function(name) {
+        if (name !== "auto" && !this.getNamedProfile(name)) {
+            console.error("Unknown device profile: " + name);
+            return false;
+        }
+
+        profileState.active = name;
+        profileState.resolved = {};
+        return true;
+    },
+
+    /**
+     * Gets the profile for a screen size
+     * The active profile is rotated and scaled to the screen if needed; in auto mode the
+     * profile with the same size is used, or a profile without insets if none matches
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Object} Profile {name, width, height, dpi, orientation, insets}
+     */
+    getProfile: function(width, height) {
+        var key = width + "x" + height;
+        if (profileState.resolved[key]) {
+            return profileState.resolved[key];
+        }
+
+        var profile = null;
+        if (profileState.active !== "auto") {
+            profile = this.getNamedProfile(profileState.active);
+        } else {
+            var names = this.listProfiles();
+            for (var i = 0; i < names.length && !profile; i++) {
+                var candidate = orientProfile(this.getNamedProfile(names[i]), width, height);
+                if (candidate.width === width && candidate.height === height) {
+                    profile = candidate;
+                }
+            }
+        }
+
+        if (profile) {
+            profile = scaleProfile(orientProfile(profile, width, height), width, height);
+        } else {
+            profile = {
+                name: "generic_" + key,
+                width: width,
+                height: height,
+                dpi: Math.round(BUILT_IN_PROFILES.memu_1280x720.dpi * Math.min(width, height) / 720),
+                orientation: width >= height ? "landscape" : "portrait",
+                insets: { top: 0, right: 0, bottom: 0, left: 0 }
+            };
+        }
+
+        profileState.resolved[key] = profile;
+        return profile;
+    },
+
+    /**
+     * Gets the area of the screen the game draws on
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Object} Content area {x, y, width, height}
+     */
+    getContentArea: function(width, height) {
+        var insets = this.getProfile(width, height).insets;
+
+        return {
+            x: insets.left,
+            y: insets.top,
+            width: width - insets.left - insets.right,
+            height: height - insets.top - insets.bottom
+        };
+    },
+
+    /**
+     * Maps a point from the gameElements base resolution to the screen
+     * @param {number} x - X at the base resolution
+     * @param {number} y - Y at the base resolution
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Object} Screen point {x, y}
+     */
+    mapPoint: function(x, y, width, height) {
+        var content = this.getContentArea(width, height);
+
+        return {
+            x: Math.round(content.x + x * content.width / gameElements.screenResolution.width),
+            y: Math.round(content.y + y * content.height / gameElements.screenResolution.height)
+        };
+    },
+
+    /**
+     * Maps a fractional region of the content area to screen pixels
+     * @param {number} left - Left edge as a fraction of the content width
+     * @param {number} top - Top edge as a fraction of the content height
+     * @param {number} regionWidth - Width as a fraction of the content width
+     * @param {number} regionHeight - Height as a fraction of the content height
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Array} Region [x, y, width, height]
+     */
+    mapFractionRegion: function(left, top, regionWidth, regionHeight, width, height) {
+        var content = this.getContentArea(width, height);
+
+        return [
+            Math.floor(content.x + left * content.width),
+            Math.floor(content.y + top * content.height),
+            Math.floor(regionWidth * content.width),
+            Math.floor(regionHeight * content.height)
+        ];
+    },
+
+    /**
+     * Maps a horizontal fraction of the content area (e.g. a lane center) to a screen x
+     * @param {number} fraction - Fraction of the content width
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {number} Screen x
+     */
+    mapFractionX: function(fraction, width, height) {
+        var content = this.getContentArea(width, height);
+        return content.x + fraction * content.width;
+    },
+
+    /**
+     * Maps a gameElements region (centered on x/y) to a screen rectangle
+     * @param {string} screenName - gameElements screen (e.g. "gameplayScreen")
+     * @param {string} elementName - Region name (e.g. "hoverboardButton")
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Array} Region [x, y, width, height] clipped to the screen, or null if unknown
+     */
+    getElementRegion: function(screenName, elementName, width, height) {
+        var screen = gameElements[screenName];
+        var element = screen && screen.regions ? screen.regions[elementName] : null;
+        if (!element) {
+            return null;
+        }
+
+        var topLeft = this.mapPoint(element.x - element.width / 2, element.y - element.height / 2, width, height);
+        var bottomRight = this.mapPoint(element.x + element.width / 2, element.y + element.height / 2, width, height);
+        var x = Math.max(0, topLeft.x);
+        var y = Math.max(0, topLeft.y);
+
+        return [x, y, Math.max(0, Math.min(width, bottomRight.x) - x), Math.max(0, Math.min(height, bottomRight.y) - y)];
+    },
+
+    /**
+     * Gets the screen position of the center of a gameElements region
+     * @param {string} screenName - gameElements screen (e.g. "gameplayScreen")
+     * @param {string} elementName - Region name (e.g. "hoverboardButton")
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Object} Screen point {x, y}, or null if unknown
+     */
+    getElementCenter: function(screenName, elementName, width, height) {
+        var screen = gameElements[screenName];
+        var element = screen && screen.regions ? screen.regions[elementName] : null;
+        return element ? this.mapPoint(element.x, element.y, width, height) : null;
+    },
+
+    /**
+     * Lists gameElements regions that fall partly outside the base resolution
+     * @return {Array} Names "screen.region" of the offending regions
+     */
+    findOffscreenElements: function() {
+        var offscreen = [];
+        var base = gameElements.screenResolution;
+
+        for (var screenName in gameElements) {
+            var regions = gameElements[screenName] && gameElements[screenName].regions;
+            if (!regions || typeof regions !== 'object') continue;
+
+            for (var name in regions) {
+                var r = regions[name];
+                if (typeof r.x !== 'number') continue;
+                if (r.x - r.width / 2 < 0 || r.y - r.height / 2 < 0 ||
+                    r.x + r.width / 2 > base.width || r.y + r.height / 2 > base.height) {
+                    offscreen.push(screenName + "." + name);
+                }
+            }
+        }
+
+        return offscreen;
+    },
+
+    /**
+     * Moves gameElements regions that fall partly outside the base resolution back inside it
+     * Regions larger than the base resolution are shrunk to fit. The shared gameElements
+     * definitions are changed, so every later lookup gets the clamped region.
+     * @return {Array} Names "screen.region" of the moved regions
+     */
+    clampOffscreenElements: function() {
+        var base = gameElements.screenResolution;
+        var moved = this.findOffscreenElements();
+
+        moved.forEach(function(qualifiedName) {
+            var parts = qualifiedName.split(".");
+            var r = gameElements[parts[0]].regions[parts[1]];
+
+            r.width = Math.min(r.width, base.width);
+            r.height = Math.min(r.height, base.height);
+            r.x = Math.min(Math.max(r.x, r.width / 2), base.width - r.width / 2);
+            r.y = Math.min(Math.max(r.y, r.height / 2), base.height - r.height / 2);
+        });
+
+        return moved;
+    },
+
+    /**
+     * Builds a profile from gameplay screenshots
+     * Edges that stay uniformly dark in every screenshot are treated as safe-area insets
+     * @param {string} name - Name of the new profile
+     * @param {Array} screenshots - Gameplay screenshots of the same device
+     * @param {Object} imageApi - images implementation with pixel()
+     * @param {Object} colorApi - colors implementation with red/green/blue()
+     * @param {Object} config - Configuration settings
+     * @return {Object} New profile, or null if the screenshots are unusable
+     */
+    calibrateProfile: function(name, screenshots, imageApi, colorApi, config) {
+        var settings = config.deviceProfiles;
+        if (!screenshots || screenshots.length === 0) {
+            console.error("Calibration needs at least one screenshot");
+            return null;
+        }
+
+        var width = screenshots[0].getWidth();
+        var height = screenshots[0].getHeight();
+        for (var i = 1; i < screenshots.length; i++) {
+            if (screenshots[i].getWidth() !== width || screenshots[i].getHeight() !== height) {
+                console.error("Calibration screenshots differ in size");
+                return null;
+            }
+        }
+
+        // A line belongs to the inset if it is dark in every screenshot
+        function isDarkLine(vertical, position) {
+            var length = vertical ? height : width;
+            var step = Math.max(1, Math.floor(length / 64));
+
+            for (var s = 0; s < screenshots.length; s++) {
+                for (var p = 0; p < length; p += step) {
+                    var pixel = vertical ? imageApi.pixel(screenshots[s], position, p) : imageApi.pixel(screenshots[s], p, position);
+                    if (Math.max(colorApi.red(pixel), colorApi.green(pixel), colorApi.blue(pixel)) > settings.insetMaxBrightness) {
+                        return false;
+                    }
+                }
+            }
+            return true;
+        }
+
+        function measureInset(vertical, start, direction, limit) {
+            var inset = 0;
+            while (inset < limit && isDarkLine(vertical, start + direction * inset)) {
+                inset++;
+            }
+            return inset;
+        }
+
+        var maxX = Math.floor(width * settings.maxInsetFraction);
+        var maxY = Math.floor(height * settings.maxInsetFraction);
+        var profile = {
+            width: width,
+            height: height,
+            dpi: this.getDeviceDpi(),
+            orientation: width >= height ? "landscape" : "portrait",
+            insets: {
+                top: measureInset(false, 0, 1, maxY),
+                right: measureInset(true, width - 1, -1, maxX),
+                bottom: measureInset(false, height - 1, -1, maxY),
+                left: measureInset(true, 0, 1, maxX)
+            }
+        };
+
+        if (!profile.dpi) {
+            // Without display metrics, assume the density scales with the content height
+            profile.dpi = Math.round(BUILT_IN_PROFILES.memu_1280x720.dpi *
+                                     (Math.min(width, height) - profile.insets.top - profile.insets.bottom) / 720);
+        }
+
+        profileState.customProfiles[name] = profile;
+        profileState.resolved = {};
+        console.log("Calibrated device profile " + name + ": " + width + "x" + height + " insets " + JSON.stringify(profile.insets));
+        return this.getNamedProfile(name);
+    },
+
+    /**
+     * Gets the display density from the device, if running on one
+     * @return {number} DPI, or 0 if unknown
+     */
+    getDeviceDpi: function() {
+        try {
+            if (typeof context !== 'undefined') {
+                return context.getResources().getDisplayMetrics().densityDpi;
+            }
+        } catch (e) {
+            console.error("Could not read display density: " + e.message);
+        }
+        return 0;
+    },
+
+    /**
+     * Saves the custom profiles
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    saveCustomProfiles: function(config) {
+        if (!files.isAvailable()) {
+            return false;
+        }
+
+        try {
+            files.createWithDirs(config.deviceProfiles.customProfilesPath);
+            files.write(config.deviceProfiles.customProfilesPath, JSON.stringify(profileState.customProfiles, null, 2));
+            return true;
+        } catch (e) {
+            console.error("Failed to save device profiles: " + e.message);
+            return false;
+        }
+    }
+};
@@ -0,0 +1,391 @@
+/**
+ * HUD Digit Reader Module for Subway Surfers Bot
+ * Implements Phase 2.2 (Game Element Detection): score, coin and multiplier reading
+ *
+ * Features:
+ * - Template-matching digit recognition, independent of the OCR module
+ * - Reads the HUD regions defined in gameElements.js, mapped through the device profile
+ * - Built-in glyph templates plus calibration from screenshots with a known value
+ * - Keeps the last confident reading when a frame cannot be read
+ *
+ * Glyphs are cropped to their bounding box and compared as a grid of ink coverage
+ * values together with their aspect ratio.
+ */
+
+var deviceProfiles = require('./device_profiles.js');
+var files = require('./utils/files.js');
+
+// Glyph comparison grid
+var GRID_WIDTH = 5;
+var GRID_HEIGHT = 7;
+
+// Built-in 5x7 glyphs used until templates are calibrated from real screenshots
+var DEFAULT_GLYPHS = {
+    "0": ["01110", "10001", "10011", "10101", "11001", "10001", "01110"],
+    "1": ["00100", "01100", "00100", "00100", "00100", "00100", "01110"],
+    "2": ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+    "3": ["11111", "00010", "00100", "00010", "00001", "10001", "01110"],
+    "4": ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+    "5": ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+    "6": ["00110", "01000", "10000", "11110", "10001", "10001", "01110"],
+    "7": ["11111", "00001", "00010", "00100", "01000", "01000", "01000"],
+    "8": ["01110", "10001", "10001", "01110", "10001", "10001", "01110"],
+    "9": ["01110", "10001", "10001", "01111", "00001", "00010", "01100"],
+    "x": ["00000", "00000", "10001", "01010", "00100", "01010", "10001"]
+};
+
+// HUD fields and the gameElements gameplay regions they are read from
+var HUD_FIELDS = {
+    score: "scoreCounter",
+    coins: "coinCounter",
+    multiplier: "multiplier",
+    hoverboards: "hoverboardCount"
+};
+
+// Reader state
+var readerState = {
+    templates: [],
+    initialized: false,
+    lastValues: {
+        score: null,
+        coins: null,
+        multiplier: null,
+        hoverboards: null
+    }
+};
+
+/**
+ * Converts a binary glyph (rows of booleans) into a comparable template
+ * @param {Array} bitmap - Rows of booleans, cropped to the glyph
+ * @param {string} character - Character the glyph represents (null when unknown)
+ * @return {Object} Template {char, grid, aspect}
+ */
+function toTemplate(bitmap, character) {
+    var height = bitmap.length;
+    var width = bitmap[0].length;
+    var grid = [];
+
+    for (var gy = 0; gy < GRID_HEIGHT; gy++) {
+        var y0 = Math.floor(gy * height / GRID_HEIGHT);
+        var y1 = Math.max(y0 + 1, Math.floor((gy + 1) * height / GRID_HEIGHT));
+
+        for (var gx = 0; gx < GRID_WIDTH; gx++) {
+            var x0 = Math.floor(gx * width / GRID_WIDTH);
+            var x1 = Math.max(x0 + 1, Math.floor((gx + 1) * width / GRID_WIDTH));
+            var ink = 0;
+
+            for (var y = y0; y < y1; y++) {
+                for (var x = x0; x < x1; x++) {
+                    if (bitmap[y][x]) ink++;
+                }
+            }
+            grid.push(ink / ((y1 - y0) * (x1 - x0)));
+        }
+    }
+
+    return { char: character, grid: grid, aspect: width / height };
+}
+
+/**
+ * Crops a binary bitmap to the bounding box of its ink
+ * @param {Array} bitmap - Rows of booleans
+ * @return {Array} Cropped bitmap, or null if there is no ink
+ */
+function cropToInk(bitmap) {
+    var top = -1, bottom = -1, left = Infinity, right = -1;
+
+    for (var y = 0; y < bitmap.length; y++) {
+        for (var x = 0; x < bitmap[y].length; x++) {
+            if (bitmap[y][x]) {
+                if (top === -1) top = y;
+                bottom = y;
+                left = Math.min(left, x);
+                right = Math.max(right, x);
+            }
+        }
+    }
+
+    if (top === -1) {
+        return null;
+    }
+
+    return bitmap.slice(top, bottom + 1).map(function(row) {
+        return row.slice(left, right + 1);
+    });
+}
+
+/**
+ * Builds the templates for the built-in glyphs
+ * @return {Array} Templates
+ */
+function buildDefaultTemplates() {
+    var templates = [];
+
+    for (var character in DEFAULT_GLYPHS) {
+        var bitmap = DEFAULT_GLYPHS[character].map(function(row) {
+            return row.split("").map(function(bit) {
+                return bit === "1";
+            });
+        });
+        templates.push(toTemplate(cropToInk(bitmap), character));
+    }
+
+    return templates;
+}
+
+readerState.templates = buildDefaultTemplates();
+
+module.exports = {
+    /**
+     * Loads calibrated templates, falling back to the built-in glyphs
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if calibrated templates were loaded
+     */
+    initialize: function(config) {
+        readerState.templates = buildDefaultTemplates();
+        readerState.initialized = true;
+
+        try {
+            var path = config.digitReader.templatePath;
+            if (files.exists(path)) {
+                var saved = JSON.parse(files.read(path));
+                // Calibrated glyphs take precedence over built-in ones
+                readerState.templates = saved.templates.concat(readerState.templates);
+                console.log("Loaded " + saved.templates.length + " calibrated digit templates");
+                return true;
+            }
+        } catch (e) {
+            console.error("Failed to load digit templates: " + e.message);
+        }
+
+        return false;
+    },
+
+    /**
+     * Gets the pixel region of a HUD field for the current screen size
+     * @param {string} field - HUD field ("score", "coins", "multiplier" or "hoverboards")
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Array} Region [x, y, width, height]
+     */
+    getFieldRegion: function(field, width, height) {
+        return deviceProfiles.getElementRegion("gameplayScreen", HUD_FIELDS[field], width, height);
+    },
+
+    /**
+     * Converts a region of the image to ink/background
+     * HUD digits are bright and unsaturated (white with a dark outline)
+     * @param {Image} img - Captured screen image
+     * @param {Array} region - Region [x, y, width, height]
+     * @param {Object} imageApi - images implementation with pixel()
+     * @param {Object} colorApi - colors implementation with red/green/blue()
+     * @param {Object} config - Configuration settings
+     * @return {Array} Rows of booleans
+     */
+    binarize: function(img, region, imageApi, colorApi, config) {
+        var settings = config.digitReader;
+        var bitmap = [];
+
+        for (var y = region[1]; y < region[1] + region[3]; y++) {
+            var row = [];
+            for (var x = region[0]; x < region[0] + region[2]; x++) {
+                var pixel = imageApi.pixel(img, x, y);
+                var r = colorApi.red(pixel), g = colorApi.green(pixel), b = colorApi.blue(pixel);
+                var max = Math.max(r, g, b);
+                row.push(max >= settings.inkMinBrightness && max - Math.min(r, g, b) <= settings.inkMaxSaturation);
+            }
+            bitmap.push(row);
+        }
+
+        return bitmap;
+    },
+
+    /**
+     * Splits a binary region into glyph bitmaps at empty columns
+     * @param {Array} bitmap - Rows of booleans
+     * @param {Object} config - Configuration settings
+     * @return {Array} Glyph bitmaps from left to right, cropped to their ink
+     */
+    segmentGlyphs: function(bitmap, config) {
+        var glyphs = [];
+        var width = bitmap.length > 0 ? bitmap[0].length : 0;
+        var start = -1;
+
+        for (var x = 0; x <= width; x++) {
+            var hasInk = false;
+            for (var y = 0; x < width && y < bitmap.length; y++) {
+                if (bitmap[y][x]) {
+                    hasInk = true;
+                    break;
+                }
+            }
+
+            if (hasInk && start === -1) {
+                start = x;
+            } else if (!hasInk && start !== -1) {
+                var glyph = cropToInk(bitmap.map(function(row) {
+                    return row.slice(start, x);
+                }));
+                if (glyph) glyphs.push(glyph);
+                start = -1;
+            }
+        }
+
+        // Drop specks that are much shorter than the tallest glyph
+        var tallest = 0;
+        glyphs.forEach(function(glyph) {
+            tallest = Math.max(tallest, glyph.length);
+        });
+
+        return glyphs.filter(function(glyph) {
+            return glyph.length >= tallest * config.digitReader.minGlyphHeight;
+        });
+    },
+
+    /**
+     * Finds the template that best matches a glyph
+     * @param {Array} glyph - Glyph bitmap
+     * @return {Object} {char, similarity}
+     */
+    matchGlyph: function(glyph) {
+        var candidate = toTemplate(glyph, null);
+        var best = { char: null, similarity: 0 };
+
+        readerState.templates.forEach(function(template) {
+            var difference = 0;
+            for (var i = 0; i < candidate.grid.length; i++) {
+                difference += Math.abs(candidate.grid[i] - template.grid[i]);
+            }
+
+            // Shape difference plus a penalty for a different aspect ratio (e.g. "1" vs "7")
+            var similarity = 1 - difference / candidate.grid.length - Math.abs(candidate.aspect - template.aspect) * 0.5;
+            if (similarity > best.similarity) {
+                best = { char: template.char, similarity: similarity };
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Reads the text in a region
+     * @param {Image} img - Captured screen image
+     * @param {Array} region - Region [x, y, width, height]
+     * @param {Object} imageApi - images implementation with pixel()
+     * @param {Object} colorApi - colors implementation with red/green/blue()
+     * @param {Object} config - Configuration settings
+     * @return {Object} {text, confidence}; text is null if any glyph is unrecognized
+     */
+    readRegion: function(img, region, imageApi, colorApi, config) {
+        var glyphs = this.segmentGlyphs(this.binarize(img, region, imageApi, colorApi, config), config);
+        if (glyphs.length === 0) {
+            return { text: null, confidence: 0 };
+        }
+
+        var text = "";
+        var totalSimilarity = 0;
+
+        for (var i = 0; i < glyphs.length; i++) {
+            var match = this.matchGlyph(glyphs[i]);
+            if (match.similarity < config.digitReader.minSimilarity) {
+                return { text: null, confidence: 0 };
+            }
+            text += match.char;
+            totalSimilarity += match.similarity;
+        }
+
+        return { text: text, confidence: totalSimilarity / glyphs.length };
+    },
+
+    /**
+     * Reads a numeric HUD field
+     * @param {Image} img - Captured screen image
+     * @param {string} field - HUD field ("score", "coins", "multiplier" or "hoverboards")
+     * @param {Array} region - Field region from getFieldRegion [x, y, width, height]
+     * @param {Object} imageApi - images implementation with pixel()
+     * @param {Object} colorApi - colors implementation with red/green/blue()
+     * @param {Object} config - Configuration settings
+     * @return {Object} {value, confidence, fresh}; value is the last confident reading if this frame failed
+     */
+    readField: function(img, field, region, imageApi, colorApi, config) {
+        if (!readerState.initialized) {
+            this.initialize(config);
+        }
+
+        var reading = this.readRegion(img, region, imageApi, colorApi, config);
+        var digits = reading.text !== null ? reading.text.replace(/[^0-9]/g, "") : "";
+
+        if (digits.length > 0 && reading.confidence >= config.digitReader.minSimilarity) {
+            readerState.lastValues[field] = parseInt(digits, 10);
+            return { value: readerState.lastValues[field], confidence: reading.confidence, fresh: true };
+        }
+
+        return { value: readerState.lastValues[field], confidence: 0, fresh: false };
+    },
+
+    /**
+     * Calibrates glyph templates from a screenshot whose HUD field value is known
+     * @param {Image} img - Captured screen image
+     * @param {string} field - HUD field ("score", "coins", "multiplier" or "hoverboards")
+     * @param {string} knownText - Text shown in the field (e.g. "x12" or "1045")
+     * @param {Object} imageApi - images implementation with pixel()
+     * @param {Object} colorApi - colors implementation with red/green/blue()
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the glyph count matched the known text and templates were added
+     */
+    calibrate: function(img, field, knownText, imageApi, colorApi, config) {
+        var region = this.getFieldRegion(field, img.getWidth(), img.getHeight());
+        var glyphs = this.segmentGlyphs(this.binarize(img, region, imageApi, colorApi, config), config);
+
+        if (glyphs.length !== knownText.length) {
+            console.error("Calibration failed: found " + glyphs.length + " glyphs for \"" + knownText + "\"");
+            return false;
+        }
+
+        var calibrated = glyphs.map(function(glyph, i) {
+            return toTemplate(glyph, knownText.charAt(i));
+        });
+        readerState.templates = calibrated.concat(readerState.templates);
+        console.log("Calibrated " + calibrated.length + " digit templates from " + field);
+        return true;
+    },
+
+    /**
+     * Saves the calibrated templates
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    saveTemplates: function(config) {
+        try {
+            var defaults = buildDefaultTemplates().length;
+            var calibrated = readerState.templates.slice(0, readerState.templates.length - defaults);
+
+            files.createWithDirs(config.digitReader.templatePath);
+            return files.write(config.digitReader.templatePath, JSON.stringify({ templates: calibrated }));
+        } catch (e) {
+            console.error("Failed to save digit templates: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Gets the last confident reading of a HUD field
+     * @param {string} field - HUD field ("score", "coins", "multiplier" or "hoverboards")
+     * @return {number} Last value, or null if the field has not been read yet
+     */
+    getLastValue: function(field) {
+        return readerState.lastValues[field];
+    },
+
+    /**
+     * Forgets the last readings (e.g. at the start of a new run)
+     */
+    resetReadings: function() {
+        readerState.lastValues = {
+            score: null,
+            coins: null,
+            multiplier: null,
+            hoverboards: null
+        };
+    }
+};
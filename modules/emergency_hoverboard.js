@@ -0,0 +1,175 @@
+/**
+ * Emergency Hoverboard Module for Subway Surfers Bot
+ * Implements Phase 5.1 (Basic Decision System): powerup usage strategy for unavoidable collisions
+ *
+ * Features:
+ * - Spends a hoverboard when no lane change, jump or roll sequence survives an imminent obstacle
+ * - Hoverboard inventory read from the HUD counter under the hoverboard button
+ * - Configurable budget of hoverboards per run
+ * - Every use logged as a JSON line with the situation that triggered it
+ *
+ * Survivability comes from lookahead_planner.js, so any decision policy is covered,
+ * not only the planner policy.
+ */
+
+// Import required modules
+var lookaheadPlanner = require('./lookahead_planner.js');
+var files = require('./utils/files.js');
+
+// Emergency state
+var emergencyState = {
+    runUsed: 0,          // Hoverboards spent this run
+    activeUntil: 0,      // A hoverboard protects the player until this time
+    inventory: null,     // Last known hoverboard count (null until read from the HUD)
+    lastHudReading: null,
+    uses: []             // Uses this session
+};
+
+module.exports = {
+    /**
+     * Updates the inventory from the HUD reading of a game state
+     * A new HUD value replaces the local estimate; until then each use counts the estimate down
+     * @param {Object} gameState - Current game state with hoverboards
+     * @return {number} Known inventory, or null if it has not been read yet
+     */
+    updateInventory: function(gameState) {
+        var reading = gameState ? gameState.hoverboards : null;
+        if (typeof reading === 'number' && reading !== emergencyState.lastHudReading) {
+            emergencyState.inventory = reading;
+            emergencyState.lastHudReading = reading;
+        }
+        return emergencyState.inventory;
+    },
+
+    /**
+     * Checks whether the player faces a collision no action can avoid
+     * @param {Object} gameState - Current game state
+     * @param {Object} config - Configuration settings
+     * @return {Object} Plan that collides within the trigger time, or null if the player can survive
+     */
+    findUnavoidableCollision: function(gameState, config) {
+        var settings = config.emergencyHoverboard;
+        var lane = gameState.playerPosition;
+
+        // Only plan when something is about to reach the player's lane
+        var threatened = lookaheadPlanner.getHazards(gameState, config).some(function(hazard) {
+            return hazard.lane === lane && hazard.arrival <= settings.triggerTime;
+        });
+        if (!threatened) {
+            return null;
+        }
+
+        var plan = lookaheadPlanner.plan(gameState, config);
+        return !plan.survived && plan.survivalTime <= settings.triggerTime ? plan : null;
+    },
+
+    /**
+     * Reviews a policy decision and replaces it with a hoverboard when the player cannot survive otherwise
+     * @param {Object} gameState - Current game state
+     * @param {Object} decision - Decision from the active policy
+     * @param {Object} config - Configuration settings
+     * @return {Object} The decision, or a hoverboard decision {action: "hoverboard", reason, ...}
+     */
+    review: function(gameState, decision, config) {
+        var settings = config.emergencyHoverboard;
+        if (!settings || !settings.enabled || !gameState || gameState.screenType !== "gameplay") {
+            return decision;
+        }
+
+        var inventory = this.updateInventory(gameState);
+        var now = Date.now();
+
+        if (now < emergencyState.activeUntil || emergencyState.runUsed >= settings.budgetPerRun || inventory === 0) {
+            return decision;
+        }
+
+        var collision = this.findUnavoidableCollision(gameState, config);
+        if (!collision) {
+            return decision;
+        }
+
+        this.recordUse(gameState, decision, collision, config);
+
+        return {
+            action: "hoverboard",
+            reason: "Emergency hoverboard: collision in " + collision.survivalTime + "ms with no way out",
+            confidence: 1,
+            policy: decision.policy,
+            candidates: decision.candidates
+        };
+    },
+
+    /**
+     * Counts a hoverboard use against the budget and logs its situation
+     * @param {Object} gameState - Game state that triggered the use
+     * @param {Object} decision - Decision the policy had made
+     * @param {Object} collision - Best plan found (which still collides)
+     * @param {Object} config - Configuration settings
+     * @return {Object} Logged use
+     */
+    recordUse: function(gameState, decision, collision, config) {
+        var settings = config.emergencyHoverboard;
+        var now = Date.now();
+
+        emergencyState.runUsed++;
+        emergencyState.activeUntil = now + settings.activeDuration;
+        if (emergencyState.inventory !== null) {
+            emergencyState.inventory = Math.max(0, emergencyState.inventory - 1);
+        }
+
+        var use = {
+            timestamp: now,
+            lane: gameState.playerPosition,
+            collisionIn: collision.survivalTime,
+            bestPlan: collision.plan,
+            obstacles: (gameState.trackedObstacles || gameState.obstacles || []).map(function(obstacle) {
+                return {
+                    lane: obstacle.lane,
+                    type: obstacle.type,
+                    timeToCollision: obstacle.timeToCollision !== undefined ? obstacle.timeToCollision : null,
+                    distance: obstacle.distance
+                };
+            }),
+            policy: decision.policy,
+            policyAction: decision.action,
+            score: gameState.score,
+            inventoryLeft: emergencyState.inventory,
+            runUsed: emergencyState.runUsed
+        };
+
+        emergencyState.uses.push(use);
+        console.log("Emergency hoverboard (" + emergencyState.runUsed + "/" + settings.budgetPerRun +
+                    " this run): collision in " + use.collisionIn + "ms in " + use.lane + " lane");
+
+        if (files.isAvailable()) {
+            try {
+                files.createWithDirs(settings.logPath);
+                files.append(settings.logPath, JSON.stringify(use) + "\n");
+            } catch (e) {
+                console.error("Failed to log hoverboard use: " + e.message);
+            }
+        }
+
+        return use;
+    },
+
+    /**
+     * Resets the per-run budget (at the end of a run)
+     */
+    resetRun: function() {
+        emergencyState.runUsed = 0;
+        emergencyState.activeUntil = 0;
+    },
+
+    /**
+     * Gets the hoverboard usage of the session
+     * @return {Object} {inventory, runUsed, uses}
+     */
+    getStats: function() {
+        return {
+            inventory: emergencyState.inventory,
+            runUsed: emergencyState.runUsed,
+            uses: emergencyState.uses.slice()
+        };
+    }
+};
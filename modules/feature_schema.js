@@ -0,0 +1,401 @@
+/**
+ * Feature Schema Module for Subway Surfers Bot
+ * Implements Phase 5.2 (Neural Network Implementation): declarative, versioned network inputs
+ *
+ * Features:
+ * - Named features, each reading one value from the game state and encoding it as
+ *   one_hot (one input per value), binary (one 0/1 input) or numeric (one standardized input)
+ * - Per-lane time to the nearest obstacle and its type, lane coins, player lane,
+ *   previous action and player state (running, changing lane, airborne, rolling)
+ * - Normalization stats (mean, standard deviation) of numeric features fitted on each training run's dataset
+ * - The schema is saved with every model and encodes its inputs, so a model is only ever fed
+ *   the features it was trained on
+ * - Version 1 is the fixed 20-input layout of models saved before schemas existed
+ *
+ * Obstacle times come from the obstacle tracker when it runs, otherwise from
+ * config.planner.distanceArrival. Previous action and player state come from action_state.js
+ * during play and from data_collection.js in recorded samples.
+ */
+
+// Import required modules
+var obstacleClassifier = require('./obstacle_classifier.js');
+var gameActions = require('./utils/actions.js');
+
+// Version written by create(); encode() also supports the versions listed in SUPPORTED_VERSIONS
+var SCHEMA_VERSION = 2;
+var SUPPORTED_VERSIONS = [1, 2];
+
+// Encoded values
+var LANES = ["left", "center", "right"];
+var OBSTACLE_TYPES = ["none"].concat(Object.keys(obstacleClassifier.TYPES).map(function(key) {
+    return obstacleClassifier.TYPES[key];
+}));
+var PREVIOUS_ACTIONS = ["left", "right", "jump", "roll", "hoverboard", "none"];
+var PLAYER_STATES = ["running", "changing_lane", "airborne", "rolling"];
+var ENCODERS = ["one_hot", "binary", "numeric"];
+
+/**
+ * Finds the nearest obstacle in a lane
+ * @param {Object} gameState - Current game state
+ * @param {string} lane - Lane name
+ * @param {Object} settings - Schema settings
+ * @return {Object} {type, time} in ms, or null if the lane is clear
+ */
+function nearestObstacle(gameState, lane, settings) {
+    var nearest = null;
+    var consider = function(type, time) {
+        if (typeof time === 'number' && (!nearest || time < nearest.time)) {
+            nearest = { type: type || obstacleClassifier.TYPES.UNKNOWN, time: Math.max(0, time) };
+        }
+    };
+
+    if (gameState.trackedObstacles) {
+        gameState.trackedObstacles.forEach(function(track) {
+            if (track.lane === lane) {
+                consider(track.type, track.timeToCollision);
+            }
+        });
+    } else {
+        (gameState.obstacles || []).forEach(function(obstacle) {
+            if (obstacle.lane === lane) {
+                consider(obstacle.type, settings.distanceArrival[obstacle.distance]);
+            }
+        });
+    }
+
+    return nearest;
+}
+
+/**
+ * Normalizes an action or recorded gesture name
+ * @param {string} action - Action or gesture
+ * @return {string} Action from PREVIOUS_ACTIONS
+ */
+function normalizeAction(action) {
+    action = gameActions.normalize(action);
+    return PREVIOUS_ACTIONS.indexOf(action) !== -1 ? action : "none";
+}
+
+// Raw value of a feature, by the feature's source name
+var SOURCES = {
+    lane: function(gameState) {
+        return gameState.playerPosition;
+    },
+    obstacleTime: function(gameState, feature, settings) {
+        var obstacle = nearestObstacle(gameState, feature.lane, settings);
+        return obstacle ? Math.min(obstacle.time, settings.maxTimeToCollision) : settings.maxTimeToCollision;
+    },
+    obstacleType: function(gameState, feature, settings) {
+        var obstacle = nearestObstacle(gameState, feature.lane, settings);
+        return obstacle && obstacle.time <= settings.maxTimeToCollision ? obstacle.type : "none";
+    },
+    laneCoins: function(gameState, feature) {
+        return !!(gameState.lanes && gameState.lanes[feature.lane] && gameState.lanes[feature.lane].coins);
+    },
+    previousAction: function(gameState) {
+        return normalizeAction(gameState.previousAction);
+    },
+    playerState: function(gameState, feature, settings) {
+        if (gameState.actionPhase) {
+            return gameState.actionPhase;
+        }
+
+        // Recorded samples: derive the phase from the previous action and the time since
+        var elapsed = gameState.timeSincePreviousAction;
+        if (typeof elapsed !== 'number') {
+            return "running";
+        }
+        switch (normalizeAction(gameState.previousAction)) {
+            case "left":
+            case "right":
+                return elapsed < settings.laneChangeTime ? "changing_lane" : "running";
+            case "jump":
+                return elapsed < settings.jumpDuration ? "airborne" : "running";
+            case "roll":
+                return elapsed < settings.rollDuration ? "rolling" : "running";
+            default:
+                return "running";
+        }
+    },
+    powerups: function(gameState) {
+        return gameState.powerups ? gameState.powerups.length : 0;
+    },
+    score: function(gameState) {
+        return typeof gameState.score === 'number' ? Math.log(1 + Math.max(0, gameState.score)) : 0;
+    },
+    coins: function(gameState) {
+        return typeof gameState.coins === 'number' ? Math.log(1 + Math.max(0, gameState.coins)) : 0;
+    }
+};
+
+/**
+ * Lists the features of the current schema version
+ * Numeric features start with stats that roughly scale them to [0, 1] until fit() replaces them
+ * @param {Object} settings - Schema settings
+ * @return {Array} Feature definitions {name, source, encoder, lane?, values?, stats?}
+ */
+function defineFeatures(settings) {
+    var features = [
+        { name: "lane", source: "lane", encoder: "one_hot", values: LANES }
+    ];
+
+    LANES.forEach(function(lane) {
+        features.push({ name: "obstacle_time_" + lane, source: "obstacleTime", lane: lane, encoder: "numeric",
+                        stats: { mean: 0, std: settings.maxTimeToCollision } });
+        features.push({ name: "obstacle_type_" + lane, source: "obstacleType", lane: lane, encoder: "one_hot",
+                        values: OBSTACLE_TYPES });
+        features.push({ name: "coins_" + lane, source: "laneCoins", lane: lane, encoder: "binary" });
+    });
+
+    features.push({ name: "previous_action", source: "previousAction", encoder: "one_hot", values: PREVIOUS_ACTIONS });
+    features.push({ name: "player_state", source: "playerState", encoder: "one_hot", values: PLAYER_STATES });
+    features.push({ name: "powerups", source: "powerups", encoder: "numeric", stats: { mean: 0, std: 3 } });
+    features.push({ name: "log_score", source: "score", encoder: "numeric", stats: { mean: 0, std: 12 } });
+    features.push({ name: "log_coins", source: "coins", encoder: "numeric", stats: { mean: 0, std: 7 } });
+
+    return features;
+}
+
+/**
+ * Gets the number of inputs a feature encodes to
+ * @param {Object} feature - Feature definition
+ * @return {number} Width
+ */
+function featureWidth(feature) {
+    return feature.encoder === "one_hot" ? feature.values.length : 1;
+}
+
+/**
+ * Encodes a game state with the fixed layout of schema version 1
+ * @param {Object} gameState - Current game state (gameplay)
+ * @param {number} size - Number of inputs
+ * @return {Array} Input values
+ */
+function encodeLegacy(gameState, size) {
+    var values = [];
+    for (var i = 0; i < size; i++) {
+        values[i] = 0;
+    }
+
+    // Inputs 1-3: player lane
+    var laneIndex = LANES.indexOf(gameState.playerPosition);
+    if (laneIndex !== -1) {
+        values[laneIndex] = 1;
+    }
+
+    // Inputs 4-12: obstacle and coin flags per lane, three slots each (the third is unused)
+    LANES.forEach(function(lane, index) {
+        if (gameState.lanes && gameState.lanes[lane]) {
+            values[index * 3 + 3] = gameState.lanes[lane].obstacles ? 1 : 0;
+            values[index * 3 + 4] = gameState.lanes[lane].coins ? 1 : 0;
+        }
+    });
+
+    // Inputs 13-15: one per active powerup
+    for (var p = 0; gameState.powerups && p < gameState.powerups.length && p < 3; p++) {
+        values[12 + p] = 1;
+    }
+
+    // Inputs 16-17: score and coins scaled by assumed maxima
+    if (gameState.score !== undefined) {
+        values[15] = Math.min(gameState.score / 100000, 1);
+    }
+    if (gameState.coins !== undefined) {
+        values[16] = Math.min(gameState.coins / 1000, 1);
+    }
+
+    return values;
+}
+
+module.exports = {
+    SCHEMA_VERSION: SCHEMA_VERSION,
+
+    /**
+     * Creates a schema of the current version with default normalization stats
+     * @param {Object} config - Configuration settings
+     * @return {Object} Schema {version, settings, features, size, fitted}
+     */
+    create: function(config) {
+        var featureSettings = (config.neuralNet && config.neuralNet.features) || {};
+        var planner = config.planner || {};
+        var settings = {
+            maxTimeToCollision: featureSettings.maxTimeToCollision || 3000,
+            distanceArrival: planner.distanceArrival || { near: 300, medium: 800, far: 1400 },
+            laneChangeTime: (config.obstacleTracker && config.obstacleTracker.laneChangeTime) || 300,
+            jumpDuration: planner.jumpDuration || 700,
+            rollDuration: planner.rollDuration || 600
+        };
+
+        var features = defineFeatures(settings);
+        return {
+            version: SCHEMA_VERSION,
+            settings: settings,
+            features: features,
+            size: features.reduce(function(total, feature) {
+                return total + featureWidth(feature);
+            }, 0),
+            fitted: null
+        };
+    },
+
+    /**
+     * Describes the fixed layout of models saved before schemas existed
+     * @param {number} size - Input count of the model
+     * @return {Object} Version 1 schema
+     */
+    legacy: function(size) {
+        return { version: 1, size: size, features: null, fitted: null };
+    },
+
+    /**
+     * Checks that a schema can be encoded and matches a network's input layer
+     * @param {Object} schema - Schema
+     * @param {number} inputNodes - Input count of the network
+     * @return {string} Problem description, or null if the schema is usable
+     */
+    validate: function(schema, inputNodes) {
+        if (!schema || SUPPORTED_VERSIONS.indexOf(schema.version) === -1) {
+            return "unsupported feature schema version " + (schema ? schema.version : "none");
+        }
+        if (schema.size !== inputNodes) {
+            return "feature schema has " + schema.size + " inputs, network has " + inputNodes;
+        }
+        if (schema.version === 1) {
+            return null;
+        }
+
+        var size = 0;
+        for (var i = 0; i < schema.features.length; i++) {
+            var feature = schema.features[i];
+            if (!SOURCES[feature.source] || ENCODERS.indexOf(feature.encoder) === -1) {
+                return "feature " + feature.name + " has an unknown source or encoder";
+            }
+            if (feature.encoder === "one_hot" && (!feature.values || feature.values.length === 0)) {
+                return "feature " + feature.name + " has no values";
+            }
+            if (feature.encoder === "numeric" && (!feature.stats || !(feature.stats.std > 0))) {
+                return "feature " + feature.name + " has no normalization stats";
+            }
+            size += featureWidth(feature);
+        }
+        return size === schema.size ? null : "feature widths add up to " + size + ", schema has " + schema.size;
+    },
+
+    /**
+     * Encodes a game state as network inputs
+     * Screens other than gameplay encode to all zeros
+     * @param {Object} schema - Schema of the model being fed
+     * @param {Object} gameState - Current game state
+     * @return {Array} Input values (schema.size of them)
+     */
+    encode: function(schema, gameState) {
+        if (!gameState || gameState.screenType !== "gameplay") {
+            var zeros = [];
+            for (var z = 0; z < schema.size; z++) {
+                zeros[z] = 0;
+            }
+            return zeros;
+        }
+
+        if (schema.version === 1) {
+            return encodeLegacy(gameState, schema.size);
+        }
+
+        var values = [];
+        schema.features.forEach(function(feature) {
+            var raw = SOURCES[feature.source](gameState, feature, schema.settings);
+            switch (feature.encoder) {
+                case "one_hot":
+                    feature.values.forEach(function(value) {
+                        values.push(raw === value ? 1 : 0);
+                    });
+                    break;
+                case "binary":
+                    values.push(raw ? 1 : 0);
+                    break;
+                default:
+                    values.push((raw - feature.stats.mean) / feature.stats.std);
+            }
+        });
+        return values;
+    },
+
+    /**
+     * Fits the normalization stats of the numeric features to a dataset
+     * Only gameplay samples are used; a constant feature keeps a standard deviation of 1
+     * @param {Object} schema - Schema (modified in place)
+     * @param {Array} data - Array of {gameState, action} pairs
+     * @return {Object} The schema
+     */
+    fit: function(schema, data) {
+        if (schema.version === 1) {
+            return schema;
+        }
+
+        var states = data.filter(function(sample) {
+            return sample && sample.gameState && sample.gameState.screenType === "gameplay";
+        }).map(function(sample) {
+            return sample.gameState;
+        });
+        if (states.length === 0) {
+            return schema;
+        }
+
+        schema.features.forEach(function(feature) {
+            if (feature.encoder !== "numeric") {
+                return;
+            }
+
+            var sum = 0;
+            var sumSquares = 0;
+            states.forEach(function(gameState) {
+                var raw = SOURCES[feature.source](gameState, feature, schema.settings);
+                sum += raw;
+                sumSquares += raw * raw;
+            });
+
+            var mean = sum / states.length;
+            var std = Math.sqrt(Math.max(0, sumSquares / states.length - mean * mean));
+            feature.stats = { mean: mean, std: std > 1e-6 ? std : 1 };
+        });
+
+        schema.fitted = { samples: states.length, fittedAt: Date.now() };
+        return schema;
+    },
+
+    /**
+     * Lists the name of every input, in order
+     * @param {Object} schema - Schema
+     * @return {Array} Input names, e.g. "lane=left", "obstacle_time_left"
+     */
+    getInputNames: function(schema) {
+        if (schema.version === 1) {
+            var names = [];
+            for (var i = 0; i < schema.size; i++) {
+                names.push("input_" + (i + 1));
+            }
+            return names;
+        }
+
+        var inputs = [];
+        schema.features.forEach(function(feature) {
+            if (feature.encoder === "one_hot") {
+                feature.values.forEach(function(value) {
+                    inputs.push(feature.name + "=" + value);
+                });
+            } else {
+                inputs.push(feature.name);
+            }
+        });
+        return inputs;
+    },
+
+    /**
+     * Summarizes a schema
+     * @param {Object} schema - Schema
+     * @return {Object} {version, size, fitted}
+     */
+    summarize: function(schema) {
+        return { version: schema.version, size: schema.size, fitted: schema.fitted };
+    }
+};
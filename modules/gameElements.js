@@ -6,17 +6,76 @@
  * Enhanced with dynamic learning capabilities to adapt to game updates and seasonal themes
  */
 
-// Files module is a built-in global object in AutoJS
-// No need to require it
+// Import required modules
+var files = require('./utils/files.js');
 
 // Storage for learned element data
+// colorProfiles/detectionRegions/newElements hold the approved (in use) state; new
+// observations are staged in pending until they are approved, and every approved
+// version is kept in history so it can be rolled back to
 var learnedElements = {
+    version: 0,
     lastUpdate: Date.now(),
     colorProfiles: {},
     detectionRegions: {},
-    newElements: []
+    newElements: [],
+    pending: null,
+    history: [],
+    loaded: false,
+    lastSave: 0
 };
 
+/**
+ * Creates an empty set of learned sections
+ * @return {Object} {colorProfiles, detectionRegions, newElements}
+ */
+function createLearnedSections() {
+    return {
+        colorProfiles: {},
+        detectionRegions: {},
+        newElements: []
+    };
+}
+
+/**
+ * Copies the approved sections of the store
+ * @return {Object} Deep copy of {colorProfiles, detectionRegions, newElements}
+ */
+function copyApprovedSections() {
+    return JSON.parse(JSON.stringify({
+        colorProfiles: learnedElements.colorProfiles,
+        detectionRegions: learnedElements.detectionRegions,
+        newElements: learnedElements.newElements
+    }));
+}
+
+/**
+ * Gets the confidence of a learned entry after time decay
+ * Confidence halves every config.learnedElements.halfLife ms without new observations
+ * @param {Object} entry - Learned entry {confidence, lastSeen}
+ * @param {number} now - Current time in ms
+ * @param {Object} config - Configuration settings
+ * @return {number} Decayed confidence
+ */
+function getDecayedConfidence(entry, now, config) {
+    var elapsed = Math.max(0, now - entry.lastSeen);
+    return entry.confidence * Math.pow(0.5, elapsed / config.learnedElements.halfLife);
+}
+
+/**
+ * Gets the largest channel difference between two "#RRGGBB" colors
+ * @param {string} a - First color
+ * @param {string} b - Second color
+ * @return {number} Channel difference (0-255)
+ */
+function getColorDistance(a, b) {
+    var difference = 0;
+    for (var i = 1; i < 7; i += 2) {
+        difference = Math.max(difference, Math.abs(parseInt(a.substr(i, 2), 16) - parseInt(b.substr(i, 2), 16)));
+    }
+    return difference;
+}
+
 module.exports = {
     // Base screen resolution for coordinate calculations
     screenResolution: {
@@ -145,6 +204,20 @@ module.exports = {
                 height: 40,
                 colors: ["#00FFFF", "#FF00FF", "#FFFF00"]
             },
+            coinCounter: {
+                x: 640, 
+                y: 85, 
+                width: 160, 
+                height: 36,
+                colors: ["#FFFFFF", "#FFD700"]
+            },
+            multiplier: {
+                x: 500, 
+                y: 40, 
+                width: 70, 
+                height: 40,
+                colors: ["#FFFFFF"]
+            },
             // Bottom UI elements
             hoverboardButton: {
                 x: 60, 
@@ -153,6 +226,14 @@ module.exports = {
                 height: 80,
                 colors: ["#00FFFF", "#FFFFFF"]
             },
+            // Hoverboards left, shown under the hoverboard button
+            hoverboardCount: {
+                x: 85, 
+                y: 652, 
+                width: 40, 
+                height: 24,
+                colors: ["#FFFFFF"]
+            },
             boostButton: {
                 x: 60, 
                 y: 500, 
@@ -186,5 +267,398 @@ module.exports = {
             background: ["#87CEEB", "#1E90FF"], // Sky blue background colors
             obstacles: ["#FF0000", "#8B0000", "#A52A2A"] // Red/brown obstacle colors
         }
+    },
+    
+    /**
+     * Loads the learned element store
+     * @param {Object} config - Configuration settings
+     */
+    initialize: function(config) {
+        this.loadLearnedElements(config);
+    },
+    
+    /**
+     * Loads the learned element store from disk
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if a saved store was found
+     */
+    loadLearnedElements: function(config) {
+        learnedElements.loaded = true;
+        
+        try {
+            var path = config.learnedElements.path;
+            if (files.exists(path)) {
+                var saved = JSON.parse(files.read(path));
+                learnedElements.version = saved.version || 0;
+                learnedElements.lastUpdate = saved.lastUpdate || Date.now();
+                learnedElements.colorProfiles = saved.colorProfiles || {};
+                learnedElements.detectionRegions = saved.detectionRegions || {};
+                learnedElements.newElements = saved.newElements || [];
+                learnedElements.pending = saved.pending || null;
+                learnedElements.history = saved.history || [];
+                console.log("Loaded learned elements v" + learnedElements.version);
+                return true;
+            }
+        } catch (e) {
+            console.error("Failed to load learned elements: " + e.message);
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Saves the learned element store, including pending changes and history
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    saveLearnedElements: function(config) {
+        if (!files.isAvailable()) {
+            return false;
+        }
+        
+        try {
+            var path = config.learnedElements.path;
+            files.createWithDirs(path);
+            files.write(path, JSON.stringify({
+                version: learnedElements.version,
+                lastUpdate: learnedElements.lastUpdate,
+                colorProfiles: learnedElements.colorProfiles,
+                detectionRegions: learnedElements.detectionRegions,
+                newElements: learnedElements.newElements,
+                pending: learnedElements.pending,
+                history: learnedElements.history
+            }));
+            learnedElements.lastSave = Date.now();
+            return true;
+        } catch (e) {
+            console.error("Failed to save learned elements: " + e.message);
+            return false;
+        }
+    },
+    
+    /**
+     * Loads the store on first use
+     * @param {Object} config - Configuration settings
+     */
+    ensureLearnedElementsLoaded: function(config) {
+        if (!learnedElements.loaded) {
+            this.loadLearnedElements(config);
+        }
+    },
+    
+    /**
+     * Stages an observed color of an element for review
+     * Colors within config.learnedElements.colorTolerance of a staged color reinforce it
+     * @param {string} key - Element key (e.g. "obstacle:train")
+     * @param {string} colorHex - Observed color "#RRGGBB"
+     * @param {Object} config - Configuration settings
+     */
+    learnColor: function(key, colorHex, config) {
+        var settings = config.learnedElements;
+        this.ensureLearnedElementsLoaded(config);
+        
+        if (!learnedElements.pending) {
+            learnedElements.pending = createLearnedSections();
+            learnedElements.pending.startedAt = Date.now();
+        }
+        
+        var now = Date.now();
+        var profiles = learnedElements.pending.colorProfiles[key] = learnedElements.pending.colorProfiles[key] || [];
+        var profile = null;
+        
+        for (var i = 0; i < profiles.length; i++) {
+            if (getColorDistance(profiles[i].color, colorHex) <= settings.colorTolerance) {
+                profile = profiles[i];
+                break;
+            }
+        }
+        
+        if (profile) {
+            profile.confidence = getDecayedConfidence(profile, now, config);
+            profile.confidence += (1 - profile.confidence) * settings.reinforcement;
+            profile.observations++;
+            profile.lastSeen = now;
+        } else if (profiles.length < settings.maxColorsPerElement) {
+            profiles.push({
+                color: colorHex,
+                confidence: settings.reinforcement,
+                observations: 1,
+                firstSeen: now,
+                lastSeen: now
+            });
+        }
+        
+        this.finishLearningPass(config);
+    },
+    
+    /**
+     * Stages an element that matched no known type for review
+     * @param {string} kind - Element kind (e.g. "obstacle")
+     * @param {string} colorHex - Element color "#RRGGBB"
+     * @param {Object} bounds - Element bounds {x, y, width, height}
+     * @param {Object} config - Configuration settings
+     */
+    learnNewElement: function(kind, colorHex, bounds, config) {
+        this.ensureLearnedElementsLoaded(config);
+        
+        if (!learnedElements.pending) {
+            learnedElements.pending = createLearnedSections();
+            learnedElements.pending.startedAt = Date.now();
+        }
+        
+        var elements = learnedElements.pending.newElements;
+        elements.push({ kind: kind, color: colorHex, bounds: bounds, seen: Date.now() });
+        if (elements.length > config.learnedElements.maxNewElements) {
+            elements.splice(0, elements.length - config.learnedElements.maxNewElements);
+        }
+        
+        this.finishLearningPass(config);
+    },
+    
+    /**
+     * Approves staged changes automatically if configured, and saves periodically
+     * @param {Object} config - Configuration settings
+     */
+    finishLearningPass: function(config) {
+        var settings = config.learnedElements;
+        learnedElements.lastUpdate = Date.now();
+        
+        if (settings.autoApprove && learnedElements.pending &&
+            Date.now() - learnedElements.pending.startedAt >= settings.autoApproveAfter) {
+            this.approvePending("auto", config);
+        } else if (Date.now() - learnedElements.lastSave >= settings.saveInterval) {
+            this.saveLearnedElements(config);
+        }
+    },
+    
+    /**
+     * Gets the staged changes awaiting review
+     * @param {Object} config - Configuration settings
+     * @return {Object} Summary {colorProfiles, newElements, startedAt}, or null if nothing is staged
+     */
+    getPendingChanges: function(config) {
+        this.ensureLearnedElementsLoaded(config);
+        
+        if (!learnedElements.pending) {
+            return null;
+        }
+        
+        var now = Date.now();
+        var summary = { colorProfiles: {}, newElements: learnedElements.pending.newElements.slice(), startedAt: learnedElements.pending.startedAt };
+        
+        for (var key in learnedElements.pending.colorProfiles) {
+            summary.colorProfiles[key] = learnedElements.pending.colorProfiles[key].map(function(profile) {
+                return {
+                    color: profile.color,
+                    confidence: getDecayedConfidence(profile, now, config),
+                    observations: profile.observations,
+                    isNew: !(learnedElements.colorProfiles[key] || []).some(function(approved) {
+                        return getColorDistance(approved.color, profile.color) <= config.learnedElements.colorTolerance;
+                    })
+                };
+            });
+        }
+        
+        return summary;
+    },
+    
+    /**
+     * Approves the staged changes as a new version of the store
+     * Colors observed fewer than config.learnedElements.minObservations times are left out
+     * @param {string} note - Reason recorded in the history (e.g. "reviewed after update 3.12")
+     * @param {Object} config - Configuration settings
+     * @return {number} New version, or the current version if nothing was staged
+     */
+    approvePending: function(note, config) {
+        this.ensureLearnedElementsLoaded(config);
+        
+        if (!learnedElements.pending) {
+            return learnedElements.version;
+        }
+        
+        var settings = config.learnedElements;
+        var now = Date.now();
+        var pending = learnedElements.pending;
+        
+        for (var key in pending.colorProfiles) {
+            var approved = learnedElements.colorProfiles[key] || [];
+            
+            pending.colorProfiles[key].forEach(function(profile) {
+                if (profile.observations < settings.minObservations) {
+                    return;
+                }
+                
+                var existing = null;
+                for (var i = 0; i < approved.length; i++) {
+                    if (getColorDistance(approved[i].color, profile.color) <= settings.colorTolerance) {
+                        existing = approved[i];
+                        break;
+                    }
+                }
+                
+                if (existing) {
+                    existing.confidence = Math.max(getDecayedConfidence(existing, now, config), getDecayedConfidence(profile, now, config));
+                    existing.observations += profile.observations;
+                    existing.lastSeen = Math.max(existing.lastSeen, profile.lastSeen);
+                } else {
+                    approved.push(profile);
+                }
+            });
+            
+            learnedElements.colorProfiles[key] = approved;
+        }
+        
+        learnedElements.newElements = learnedElements.newElements.concat(pending.newElements).slice(-settings.maxNewElements);
+        this.pruneDecayed(config);
+        
+        learnedElements.version++;
+        learnedElements.pending = null;
+        learnedElements.history.push({
+            version: learnedElements.version,
+            approvedAt: now,
+            note: note || "",
+            snapshot: copyApprovedSections()
+        });
+        if (learnedElements.history.length > settings.maxHistory) {
+            learnedElements.history = learnedElements.history.slice(-settings.maxHistory);
+        }
+        
+        this.saveLearnedElements(config);
+        console.log("Approved learned elements v" + learnedElements.version + (note ? " (" + note + ")" : ""));
+        return learnedElements.version;
+    },
+    
+    /**
+     * Discards the staged changes
+     * @param {Object} config - Configuration settings
+     */
+    rejectPending: function(config) {
+        this.ensureLearnedElementsLoaded(config);
+        learnedElements.pending = null;
+        this.saveLearnedElements(config);
+        console.log("Rejected pending learned elements");
+    },
+    
+    /**
+     * Restores an earlier approved version
+     * Rolling back records a new version, so the rollback itself can be undone
+     * @param {number} version - Version to restore (0 restores the empty store)
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the version was found
+     */
+    rollbackLearnedElements: function(version, config) {
+        this.ensureLearnedElementsLoaded(config);
+        
+        var snapshot = null;
+        if (version === 0) {
+            snapshot = createLearnedSections();
+        } else {
+            for (var i = 0; i < learnedElements.history.length; i++) {
+                if (learnedElements.history[i].version === version) {
+                    snapshot = JSON.parse(JSON.stringify(learnedElements.history[i].snapshot));
+                    break;
+                }
+            }
+        }
+        
+        if (!snapshot) {
+            console.error("Learned elements version " + version + " not found");
+            return false;
+        }
+        
+        learnedElements.colorProfiles = snapshot.colorProfiles;
+        learnedElements.detectionRegions = snapshot.detectionRegions;
+        learnedElements.newElements = snapshot.newElements;
+        learnedElements.pending = null;
+        learnedElements.version++;
+        learnedElements.history.push({
+            version: learnedElements.version,
+            approvedAt: Date.now(),
+            note: "rollback to v" + version,
+            snapshot: copyApprovedSections()
+        });
+        if (learnedElements.history.length > config.learnedElements.maxHistory) {
+            learnedElements.history = learnedElements.history.slice(-config.learnedElements.maxHistory);
+        }
+        
+        this.saveLearnedElements(config);
+        console.log("Rolled learned elements back to v" + version + " (now v" + learnedElements.version + ")");
+        return true;
+    },
+    
+    /**
+     * Lists the approved versions of the store
+     * @param {Object} config - Configuration settings
+     * @return {Array} Versions [{version, approvedAt, note}], oldest first
+     */
+    getLearnedElementsHistory: function(config) {
+        this.ensureLearnedElementsLoaded(config);
+        
+        return learnedElements.history.map(function(entry) {
+            return { version: entry.version, approvedAt: entry.approvedAt, note: entry.note };
+        });
+    },
+    
+    /**
+     * Gets the current approved version of the store
+     * @param {Object} config - Configuration settings
+     * @return {number} Version (0 if nothing has been approved)
+     */
+    getLearnedElementsVersion: function(config) {
+        this.ensureLearnedElementsLoaded(config);
+        return learnedElements.version;
+    },
+    
+    /**
+     * Drops approved colors whose decayed confidence fell below the minimum
+     * @param {Object} config - Configuration settings
+     */
+    pruneDecayed: function(config) {
+        var now = Date.now();
+        
+        for (var key in learnedElements.colorProfiles) {
+            learnedElements.colorProfiles[key] = learnedElements.colorProfiles[key].filter(function(profile) {
+                return getDecayedConfidence(profile, now, config) >= config.learnedElements.minConfidence;
+            });
+            if (learnedElements.colorProfiles[key].length === 0) {
+                delete learnedElements.colorProfiles[key];
+            }
+        }
+    },
+    
+    /**
+     * Gets the approved learned colors of the elements whose key starts with a prefix
+     * Only colors whose decayed confidence is at least config.learnedElements.minConfidence are returned
+     * @param {string} prefix - Element key prefix (e.g. "obstacle:")
+     * @param {Object} config - Configuration settings
+     * @return {Array} Colors "#RRGGBB", most confident first
+     */
+    getLearnedColors: function(prefix, config) {
+        if (!config.learnedElements || !config.learnedElements.enabled) {
+            return [];
+        }
+        this.ensureLearnedElementsLoaded(config);
+        
+        var now = Date.now();
+        var candidates = [];
+        
+        for (var key in learnedElements.colorProfiles) {
+            if (key.indexOf(prefix) !== 0) continue;
+            
+            learnedElements.colorProfiles[key].forEach(function(profile) {
+                var confidence = getDecayedConfidence(profile, now, config);
+                if (confidence >= config.learnedElements.minConfidence) {
+                    candidates.push({ color: profile.color, confidence: confidence });
+                }
+            });
+        }
+        
+        candidates.sort(function(a, b) {
+            return b.confidence - a.confidence;
+        });
+        
+        return candidates.map(function(candidate) {
+            return candidate.color;
+        });
     }
-}
\ No newline at end of file
+}
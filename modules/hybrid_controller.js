@@ -0,0 +1,289 @@
+/**
+ * Hybrid Controller Module for Subway Surfers Bot
+ * Implements Phase 5.2 (Neural Network Implementation): confidence-gated neural control with rule-engine fallback
+ *
+ * Features:
+ * - The network's action is trusted only when its confidence and its margin over the runner-up
+ *   action reach configured thresholds; otherwise the rule engine decides
+ * - Optional ensemble: extra registered models (or model files) vote with the loaded network;
+ *   their averaged confidences are gated, and members disagreeing counts as uncertainty
+ * - Every fallback logged as a JSON line with the situation, the network's and the rules' choice
+ * - Per-run fallback counts by reason and by the network's action, to see where the model is weak
+ *
+ * The hybrid policy in policy_registry.js asks the rules for the fallback decision.
+ * Each line of the fallback log looks like:
+ * {"timestamp": 1700000000000, "reason": "low_margin",
+ *  "neural": {"action": "left", "confidence": 0.48, "margin": 0.05, "agreement": 1, "members": 1},
+ *  "rules": {"action": "jump", "reason": "..."}, "state": {"screenType": "gameplay", "player": "center", ...}}
+ */
+
+// Import required modules
+var neuralNetwork = require('./neural_network.js');
+var modelRegistry = require('./model_registry.js');
+var decisionTrace = require('./decision_trace.js');
+var files = require('./utils/files.js');
+
+// Controller state
+var controllerState = {
+    members: [],     // Ensemble members voting with the loaded network {id, model}
+    buffer: [],      // Fallback log lines not written yet
+    run: null        // Decision counts of the current run
+};
+
+/**
+ * Gets the hybrid policy settings from config
+ * @param {Object} config - Configuration settings
+ * @return {Object} config.policies.hybrid (empty object if not configured)
+ */
+function getSettings(config) {
+    return (config && config.policies && config.policies.hybrid) || {};
+}
+
+/**
+ * Creates empty run counts
+ * @return {Object} Run counts
+ */
+function emptyRunStats() {
+    return {
+        decisions: 0,
+        neural: 0,       // Decisions taken by the network
+        fallbacks: 0,    // Decisions handed to the rules
+        overridden: 0,   // Fallbacks where the rules chose another action than the network
+        byReason: {},
+        byAction: {}     // Fallbacks by the network's action
+    };
+}
+
+/**
+ * Reads an ensemble member's model by registry id or file path
+ * @param {string} idOrPath - Model id or file path
+ * @return {Object} Model data, or null if unreadable
+ */
+function readMember(idOrPath) {
+    var entry = modelRegistry.get(idOrPath);
+    if (entry) {
+        return modelRegistry.readModel(entry);
+    }
+
+    try {
+        return files.exists(idOrPath) ? JSON.parse(files.read(idOrPath)) : null;
+    } catch (e) {
+        console.error("Error reading model " + idOrPath + ": " + e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    /**
+     * Compiles the ensemble members and starts a run
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status (members that fail to load are skipped)
+     */
+    initialize: function(config) {
+        controllerState.members = [];
+        (getSettings(config).ensemble || []).forEach(function(idOrPath) {
+            var model = neuralNetwork.compileModel(readMember(idOrPath));
+            if (model) {
+                controllerState.members.push({ id: idOrPath, model: model });
+            } else {
+                console.error("Ensemble member " + idOrPath + " could not be loaded, skipping it");
+            }
+        });
+
+        controllerState.buffer = [];
+        controllerState.run = emptyRunStats();
+        console.log("Hybrid controller initialized with " + (controllerState.members.length + 1) + " model(s)");
+        return true;
+    },
+
+    /**
+     * Predicts with the loaded network and every ensemble member and combines the predictions
+     * @param {Object} gameState - Current game state
+     * @return {Object} {action, confidence, margin, agreement (fraction of members picking the action),
+     *                  members, votes (member count by action), allConfidences (averaged)}
+     */
+    assess: function(gameState) {
+        var predictions = [neuralNetwork.predict(gameState)].concat(controllerState.members.map(function(member) {
+            return neuralNetwork.predictWithModel(member.model, gameState);
+        }));
+
+        var assessment = {
+            action: "none",
+            confidence: 0,
+            margin: 0,
+            agreement: 0,
+            members: predictions.length,
+            votes: {},
+            allConfidences: {}
+        };
+
+        // Average the confidences; actions a member has no output for count as 0
+        neuralNetwork.ACTIONS.forEach(function(action) {
+            var total = 0;
+            var present = false;
+            predictions.forEach(function(prediction) {
+                if (prediction.allConfidences && typeof prediction.allConfidences[action] === 'number') {
+                    total += prediction.allConfidences[action];
+                    present = true;
+                }
+            });
+            if (present) {
+                assessment.allConfidences[action] = total / predictions.length;
+            }
+        });
+
+        var runnerUp = 0;
+        for (var action in assessment.allConfidences) {
+            var confidence = assessment.allConfidences[action];
+            if (confidence > assessment.confidence) {
+                runnerUp = assessment.confidence;
+                assessment.confidence = confidence;
+                assessment.action = action;
+            } else if (confidence > runnerUp) {
+                runnerUp = confidence;
+            }
+        }
+        assessment.margin = assessment.confidence - runnerUp;
+
+        predictions.forEach(function(prediction) {
+            assessment.votes[prediction.action] = (assessment.votes[prediction.action] || 0) + 1;
+        });
+        assessment.agreement = (assessment.votes[assessment.action] || 0) / predictions.length;
+
+        return assessment;
+    },
+
+    /**
+     * Decides whether an assessment can be trusted
+     * @param {Object} assessment - Result of assess()
+     * @param {Object} config - Configuration settings
+     * @return {string} Fallback reason ("disagreement", "low_confidence" or "low_margin"), or null to trust it
+     */
+    gate: function(assessment, config) {
+        var settings = getSettings(config);
+
+        if (assessment.members > 1 && assessment.agreement < (settings.minAgreement || 0)) {
+            return "disagreement";
+        }
+        if (assessment.confidence < (settings.minConfidence || 0)) {
+            return "low_confidence";
+        }
+        if (assessment.margin < (settings.minMargin || 0)) {
+            return "low_margin";
+        }
+        return null;
+    },
+
+    /**
+     * Counts a decision taken by the network
+     */
+    recordNeural: function() {
+        controllerState.run = controllerState.run || emptyRunStats();
+        controllerState.run.decisions++;
+        controllerState.run.neural++;
+    },
+
+    /**
+     * Counts and logs a fallback to the rules
+     * @param {Object} gameState - Game state the decision was made on
+     * @param {Object} assessment - Untrusted assessment from assess()
+     * @param {string} reason - Fallback reason from gate()
+     * @param {Object} ruleDecision - Normalized decision of the rules {action, reason}
+     * @param {Object} config - Configuration settings
+     * @return {Object} Log entry
+     */
+    recordFallback: function(gameState, assessment, reason, ruleDecision, config) {
+        var run = controllerState.run = controllerState.run || emptyRunStats();
+        run.decisions++;
+        run.fallbacks++;
+        run.byReason[reason] = (run.byReason[reason] || 0) + 1;
+        run.byAction[assessment.action] = (run.byAction[assessment.action] || 0) + 1;
+        if (ruleDecision.action !== assessment.action) {
+            run.overridden++;
+        }
+
+        var settings = getSettings(config);
+        var entry = {
+            timestamp: Date.now(),
+            reason: reason,
+            neural: {
+                action: assessment.action,
+                confidence: assessment.confidence,
+                margin: assessment.margin,
+                agreement: assessment.agreement,
+                members: assessment.members,
+                votes: assessment.votes
+            },
+            rules: {
+                action: ruleDecision.action,
+                reason: ruleDecision.reason
+            },
+            state: decisionTrace.summarizeState(gameState)
+        };
+        if (settings.logGameState) {
+            entry.gameState = gameState;
+        }
+
+        if (settings.logPath) {
+            controllerState.buffer.push(JSON.stringify(entry));
+            if (controllerState.buffer.length >= (settings.flushEvery || 1)) {
+                this.flush(config);
+            }
+        }
+        return entry;
+    },
+
+    /**
+     * Appends buffered fallbacks to the log file
+     * @param {Object} config - Configuration settings
+     */
+    flush: function(config) {
+        var logPath = getSettings(config).logPath;
+        if (controllerState.buffer.length === 0 || !logPath || !files.isAvailable()) {
+            controllerState.buffer = [];
+            return;
+        }
+
+        var lines = controllerState.buffer.join("\n") + "\n";
+        controllerState.buffer = [];
+        try {
+            files.createWithDirs(logPath);
+            files.append(logPath, lines);
+        } catch (e) {
+            console.error("Failed to log hybrid fallbacks: " + e.message);
+        }
+    },
+
+    /**
+     * Gets the decision counts of the current run
+     * @return {Object} Run counts plus fallbackRate
+     */
+    getRunStats: function() {
+        var run = controllerState.run || emptyRunStats();
+        var stats = {};
+        for (var key in run) {
+            stats[key] = run[key];
+        }
+        stats.fallbackRate = run.decisions > 0 ? run.fallbacks / run.decisions : 0;
+        return stats;
+    },
+
+    /**
+     * Ends a run: writes the remaining fallbacks, logs the run's counts and resets them
+     * @param {Object} config - Configuration settings
+     * @return {Object} Counts of the finished run
+     */
+    endRun: function(config) {
+        this.flush(config);
+
+        var stats = this.getRunStats();
+        if (stats.decisions > 0) {
+            console.log("Hybrid control: " + stats.neural + " network decisions, " + stats.fallbacks + " fallbacks (" +
+                        (stats.fallbackRate * 100).toFixed(1) + "%, " + stats.overridden + " changed the action), by reason " +
+                        JSON.stringify(stats.byReason) + ", by network action " + JSON.stringify(stats.byAction));
+        }
+
+        controllerState.run = emptyRunStats();
+        return stats;
+    }
+};
@@ -0,0 +1,320 @@
+/**
+ * Inference Engine Module for Subway Surfers Bot
+ * Implements Phase 5.2 (Neural Network Implementation): fast forward pass for auto-play
+ *
+ * Features:
+ * - Weights flattened into Float32Array rows and every layer output preallocated at compile time,
+ *   so a forward pass allocates nothing
+ * - Fused dense + activation kernel per layer (softmax once the layer's sums are done)
+ * - Optional post-training int8 weights: symmetric per-row scales, dequantized in the kernel;
+ *   verified against the float model before use
+ * - Latency trackers (mean, p50, p95, max over a sliding window) and a benchmark against
+ *   any other forward function
+ *
+ * An engine is compiled from a network snapshot and goes stale when the weights change;
+ * neural_network.js recompiles it after training or loading a model.
+ */
+
+// Clock with sub-millisecond resolution where the runtime has one
+var now = typeof java !== 'undefined' ? function() {
+    return java.lang.System.nanoTime() / 1e6;
+} : (typeof performance !== 'undefined' && performance.now ? function() {
+    return performance.now();
+} : function() {
+    return Date.now();
+});
+
+/**
+ * Applies a layer's dense kernel and activation
+ * @param {Object} layer - Compiled layer
+ * @param {Float32Array} input - Layer input
+ * @param {Float32Array} output - Preallocated layer output
+ * @param {boolean} int8 - Use the int8 weights
+ */
+function denseLayer(layer, input, output, int8) {
+    var fanIn = layer.fanIn;
+    var weights = int8 ? layer.quantized : layer.weights;
+    var activation = layer.activation;
+
+    for (var unit = 0; unit < layer.units; unit++) {
+        var offset = unit * fanIn;
+        var sum = 0;
+        for (var i = 0; i < fanIn; i++) {
+            sum += weights[offset + i] * input[i];
+        }
+        sum = (int8 ? sum * layer.scales[unit] : sum) + layer.bias[unit];
+
+        if (activation === 'relu') {
+            output[unit] = sum > 0 ? sum : 0;
+        } else if (activation === 'tanh') {
+            output[unit] = Math.tanh(sum);
+        } else if (activation === 'softmax' || activation === 'linear') {
+            output[unit] = sum;
+        } else {
+            output[unit] = 1 / (1 + Math.exp(-sum));
+        }
+    }
+
+    if (activation === 'softmax') {
+        var max = -Infinity;
+        for (var j = 0; j < layer.units; j++) {
+            max = output[j] > max ? output[j] : max;
+        }
+        var total = 0;
+        for (var k = 0; k < layer.units; k++) {
+            output[k] = Math.exp(output[k] - max);
+            total += output[k];
+        }
+        for (var m = 0; m < layer.units; m++) {
+            output[m] /= total;
+        }
+    }
+}
+
+/**
+ * Finds the index of the largest value
+ * @param {Float32Array} values - Values
+ * @return {number} Index
+ */
+function argmax(values) {
+    var best = 0;
+    for (var i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) {
+            best = i;
+        }
+    }
+    return best;
+}
+
+module.exports = {
+    /**
+     * Reads the clock latency is measured with
+     * @return {number} Time in ms (fractional where the runtime allows)
+     */
+    now: function() {
+        return now();
+    },
+
+    /**
+     * Compiles a network into an engine
+     * @param {Object} network - {inputNodes, layers [{units, activation}], weights [units x fanIn], biases [units x 1]}
+     * @return {Object} Engine
+     */
+    compile: function(network) {
+        var layers = [];
+        var fanIn = network.inputNodes;
+
+        for (var l = 0; l < network.layers.length; l++) {
+            var units = network.layers[l].units;
+            var weights = new Float32Array(units * fanIn);
+            var bias = new Float32Array(units);
+
+            for (var unit = 0; unit < units; unit++) {
+                for (var i = 0; i < fanIn; i++) {
+                    weights[unit * fanIn + i] = network.weights[l][unit][i];
+                }
+                bias[unit] = network.biases[l][unit][0];
+            }
+
+            layers.push({
+                units: units,
+                fanIn: fanIn,
+                activation: network.layers[l].activation,
+                weights: weights,
+                bias: bias,
+                output: new Float32Array(units),
+                quantized: null,
+                scales: null
+            });
+            fanIn = units;
+        }
+
+        return {
+            inputNodes: network.inputNodes,
+            layers: layers,
+            input: new Float32Array(network.inputNodes),
+            precision: "float32"
+        };
+    },
+
+    /**
+     * Runs a forward pass
+     * The returned array is the engine's output buffer and is overwritten by the next call
+     * @param {Object} engine - Engine
+     * @param {Array} features - Input values (inputNodes of them)
+     * @param {string} precision - Optional "float32" or "int8", defaults to the engine's precision
+     * @return {Float32Array} Output layer values
+     */
+    run: function(engine, features, precision) {
+        var int8 = (precision || engine.precision) === "int8" && engine.layers[0].quantized !== null;
+
+        var input = engine.input;
+        for (var i = 0; i < engine.inputNodes; i++) {
+            input[i] = features[i];
+        }
+        for (var l = 0; l < engine.layers.length; l++) {
+            denseLayer(engine.layers[l], input, engine.layers[l].output, int8);
+            input = engine.layers[l].output;
+        }
+        return input;
+    },
+
+    /**
+     * Creates a latency tracker
+     * @param {number} window - Number of recent measurements percentiles are computed over
+     * @return {Object} Tracker
+     */
+    createLatencyTracker: function(window) {
+        return { window: window || 500, samples: [], next: 0, calls: 0, total: 0, max: 0 };
+    },
+
+    /**
+     * Adds an inference time to a latency tracker
+     * @param {Object} latency - Tracker
+     * @param {number} ms - Inference time
+     */
+    recordLatency: function(latency, ms) {
+        if (latency.samples.length < latency.window) {
+            latency.samples.push(ms);
+        } else {
+            latency.samples[latency.next] = ms;
+            latency.next = (latency.next + 1) % latency.window;
+        }
+        latency.calls++;
+        latency.total += ms;
+        latency.max = Math.max(latency.max, ms);
+    },
+
+    /**
+     * Summarizes the inference times of a latency tracker
+     * @param {Object} latency - Tracker
+     * @return {Object} {calls, meanMs, p50Ms, p95Ms, maxMs} (percentiles over the window)
+     */
+    getLatencyStats: function(latency) {
+        var sorted = latency.samples.slice().sort(function(a, b) {
+            return a - b;
+        });
+        var percentile = function(p) {
+            return sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))] : 0;
+        };
+
+        return {
+            calls: latency.calls,
+            meanMs: latency.calls > 0 ? latency.total / latency.calls : 0,
+            p50Ms: percentile(0.5),
+            p95Ms: percentile(0.95),
+            maxMs: latency.max
+        };
+    },
+
+    /**
+     * Quantizes the weights to int8 with one symmetric scale per output unit
+     * The float weights are kept for verification and for switching back
+     * @param {Object} engine - Engine (modified in place)
+     * @return {Object} {floatBytes, int8Bytes} weight memory of both precisions
+     */
+    quantize: function(engine) {
+        var floatBytes = 0;
+        var int8Bytes = 0;
+
+        engine.layers.forEach(function(layer) {
+            layer.quantized = new Int8Array(layer.weights.length);
+            layer.scales = new Float32Array(layer.units);
+
+            for (var unit = 0; unit < layer.units; unit++) {
+                var offset = unit * layer.fanIn;
+                var maxAbs = 0;
+                for (var i = 0; i < layer.fanIn; i++) {
+                    maxAbs = Math.max(maxAbs, Math.abs(layer.weights[offset + i]));
+                }
+
+                var scale = maxAbs > 0 ? maxAbs / 127 : 1;
+                layer.scales[unit] = scale;
+                for (var j = 0; j < layer.fanIn; j++) {
+                    layer.quantized[offset + j] = Math.round(layer.weights[offset + j] / scale);
+                }
+            }
+
+            floatBytes += layer.weights.length * 4;
+            int8Bytes += layer.quantized.length + layer.scales.length * 4;
+        });
+
+        return { floatBytes: floatBytes, int8Bytes: int8Bytes };
+    },
+
+    /**
+     * Compares int8 inference with float inference on labelled inputs
+     * @param {Object} engine - Quantized engine
+     * @param {Array} samples - Samples {features, label} (label is the expected output index, or -1)
+     * @return {Object} {samples, agreement, floatAccuracy, int8Accuracy, maxOutputError}
+     */
+    verifyQuantization: function(engine, samples) {
+        var agree = 0;
+        var floatCorrect = 0;
+        var int8Correct = 0;
+        var labelled = 0;
+        var maxOutputError = 0;
+
+        for (var s = 0; s < samples.length; s++) {
+            var floatOutput = Array.prototype.slice.call(this.run(engine, samples[s].features, "float32"));
+            var int8Output = this.run(engine, samples[s].features, "int8");
+
+            var floatChoice = argmax(floatOutput);
+            var int8Choice = argmax(int8Output);
+            if (floatChoice === int8Choice) {
+                agree++;
+            }
+            for (var o = 0; o < floatOutput.length; o++) {
+                maxOutputError = Math.max(maxOutputError, Math.abs(floatOutput[o] - int8Output[o]));
+            }
+
+            if (samples[s].label >= 0) {
+                labelled++;
+                floatCorrect += floatChoice === samples[s].label ? 1 : 0;
+                int8Correct += int8Choice === samples[s].label ? 1 : 0;
+            }
+        }
+
+        return {
+            samples: samples.length,
+            agreement: samples.length > 0 ? agree / samples.length : 0,
+            floatAccuracy: labelled > 0 ? floatCorrect / labelled : null,
+            int8Accuracy: labelled > 0 ? int8Correct / labelled : null,
+            maxOutputError: maxOutputError
+        };
+    },
+
+    /**
+     * Measures the mean time per inference of the engine (each precision it has) and of other forward functions
+     * @param {Object} engine - Engine
+     * @param {Array} inputs - Input vectors to cycle through
+     * @param {number} iterations - Inferences per measurement
+     * @param {Object} baselines - Optional functions by name, each taking one input vector
+     * @return {Object} Mean ms per inference by name, e.g. {float32: 0.05, int8: 0.06, nested: 0.4}
+     */
+    benchmark: function(engine, inputs, iterations, baselines) {
+        var results = {};
+        var self = this;
+        var measure = function(name, forward) {
+            var start = now();
+            for (var i = 0; i < iterations; i++) {
+                forward(inputs[i % inputs.length]);
+            }
+            results[name] = (now() - start) / iterations;
+        };
+
+        measure("float32", function(input) {
+            self.run(engine, input, "float32");
+        });
+        if (engine.layers[0].quantized) {
+            measure("int8", function(input) {
+                self.run(engine, input, "int8");
+            });
+        }
+
+        for (var name in baselines || {}) {
+            measure(name, baselines[name]);
+        }
+        return results;
+    }
+};
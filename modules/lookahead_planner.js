@@ -0,0 +1,272 @@
+/**
+ * Lookahead Planner Module for Subway Surfers Bot
+ * Implements Phase 5.1 (Basic Decision System): short-horizon action planning
+ *
+ * Features:
+ * - Per-lane hazard timeline from tracked obstacles (time to collision) or distance bands
+ * - Exhaustive search of lane change / jump / roll sequences over a short horizon
+ * - Sequences scored for survival first, coins second and fewest moves third
+ * - Returns the first action together with the whole plan
+ *
+ * The plan is recomputed on every frame; only its first action is executed. Looking
+ * further ahead keeps the bot from dodging into a lane that is blocked one beat later.
+ */
+
+// Import required modules
+var obstacleClassifier = require('./obstacle_classifier.js');
+
+var LANES = ["left", "center", "right"];
+var ACTIONS = ["none", "left", "right", "jump", "roll"];
+
+// Enumerated action sequences by length
+var sequenceCache = {};
+
+/**
+ * Gets the planner settings, with lane change timing from the obstacle tracker
+ * @param {Object} config - Configuration settings
+ * @return {Object} Planner settings
+ */
+function getSettings(config) {
+    var settings = config.planner;
+    return {
+        horizonSteps: settings.horizonSteps,
+        stepTime: settings.stepTime,
+        resolution: settings.resolution,
+        jumpDuration: settings.jumpDuration,
+        rollDuration: settings.rollDuration,
+        laneChangeTime: config.obstacleTracker ? config.obstacleTracker.laneChangeTime : settings.stepTime,
+        barrierLength: settings.barrierLength,
+        trainLength: settings.trainLength,
+        distanceArrival: settings.distanceArrival
+    };
+}
+
+/**
+ * Gets how long an obstacle type occupies its lane once it reaches the player
+ * @param {string} type - Obstacle type
+ * @param {Object} settings - Planner settings
+ * @return {number} Duration in ms
+ */
+function getObstacleLength(type, settings) {
+    if (type === obstacleClassifier.TYPES.TRAIN || type === obstacleClassifier.TYPES.MOVING_TRAIN) {
+        return settings.trainLength;
+    }
+    return settings.barrierLength;
+}
+
+/**
+ * Enumerates every action sequence of a given length
+ * @param {number} length - Sequence length
+ * @return {Array} Sequences (arrays of action names), "none" first
+ */
+function enumerateSequences(length) {
+    var sequences = [[]];
+
+    for (var step = 0; step < length; step++) {
+        var extended = [];
+        for (var i = 0; i < sequences.length; i++) {
+            for (var a = 0; a < ACTIONS.length; a++) {
+                extended.push(sequences[i].concat(ACTIONS[a]));
+            }
+        }
+        sequences = extended;
+    }
+
+    return sequences;
+}
+
+/**
+ * Compares two simulated sequences: survival first, then coins, then fewer moves
+ * @param {Object} a - Simulation result
+ * @param {Object} b - Simulation result
+ * @return {number} Negative if a is better
+ */
+function compareResults(a, b) {
+    if (a.survivalTime !== b.survivalTime) return b.survivalTime - a.survivalTime;
+    if (a.coins !== b.coins) return b.coins - a.coins;
+    return a.moves - b.moves;
+}
+
+module.exports = {
+    ACTIONS: ACTIONS,
+
+    /**
+     * Builds the hazard timeline from the game state
+     * Tracked obstacles use their time to collision; untracked ones an estimate per distance band
+     * @param {Object} gameState - Current game state
+     * @param {Object} config - Configuration settings
+     * @return {Array} Hazards [{lane, type, arrival, length}] with times in ms from now
+     */
+    getHazards: function(gameState, config) {
+        var settings = getSettings(config);
+        var hazards = [];
+
+        var addHazard = function(lane, type, arrival) {
+            if (LANES.indexOf(lane) === -1 || !obstacleClassifier.isBlocking(type)) {
+                return;
+            }
+            hazards.push({
+                lane: lane,
+                type: type || obstacleClassifier.TYPES.UNKNOWN,
+                arrival: arrival,
+                length: getObstacleLength(type, settings)
+            });
+        };
+
+        if (gameState.trackedObstacles) {
+            gameState.trackedObstacles.forEach(function(track) {
+                addHazard(track.lane, track.type, track.timeToCollision);
+            });
+        } else {
+            (gameState.obstacles || []).forEach(function(obstacle) {
+                var arrival = settings.distanceArrival[obstacle.distance];
+                if (arrival !== undefined) {
+                    addHazard(obstacle.lane, obstacle.type, arrival);
+                }
+            });
+        }
+
+        return hazards;
+    },
+
+    /**
+     * Simulates an action sequence against the hazard timeline
+     * Lane changes occupy both lanes while they last; jumps clear jumpable
+     * obstacles and rolls rollable ones while they last
+     * @param {Array} sequence - Actions, one per step
+     * @param {string} startLane - Player's current lane
+     * @param {Array} hazards - Hazards from getHazards
+     * @param {Object} coinLanes - Lanes with coins {left, center, right}
+     * @param {Object} settings - Planner settings
+     * @return {Object} {valid, survived, survivalTime, coins, moves}, valid is false for moves into a wall
+     */
+    simulate: function(sequence, startLane, hazards, coinLanes, settings) {
+        var lane = LANES.indexOf(startLane);
+        var previousLane = lane;
+        var moveUntil = 0;
+        var airUntil = 0;
+        var rollUntil = 0;
+        var coins = 0;
+        var moves = 0;
+        var horizon = sequence.length * settings.stepTime;
+
+        for (var t = 0; t < horizon; t += settings.resolution) {
+            // Start the step's action
+            if (t % settings.stepTime === 0) {
+                var action = sequence[t / settings.stepTime];
+
+                if (action === "left" || action === "right") {
+                    var target = lane + (action === "left" ? -1 : 1);
+                    if (target < 0 || target >= LANES.length) {
+                        return { valid: false };
+                    }
+                    previousLane = lane;
+                    lane = target;
+                    moveUntil = t + settings.laneChangeTime;
+                } else if (action === "jump") {
+                    airUntil = Math.max(airUntil, t + settings.jumpDuration);
+                    rollUntil = 0;
+                } else if (action === "roll") {
+                    // Rolling in the air drops straight down
+                    rollUntil = t + settings.rollDuration;
+                    airUntil = 0;
+                }
+
+                if (action !== "none") {
+                    moves++;
+                }
+            }
+
+            var moving = t < moveUntil;
+
+            for (var h = 0; h < hazards.length; h++) {
+                var hazard = hazards[h];
+                if (t < hazard.arrival || t >= hazard.arrival + hazard.length) {
+                    continue;
+                }
+
+                var hazardLane = LANES.indexOf(hazard.lane);
+                if (hazardLane !== lane && !(moving && hazardLane === previousLane)) {
+                    continue;
+                }
+
+                var cleared = (t < airUntil && obstacleClassifier.isJumpable(hazard.type)) ||
+                              (t < rollUntil && obstacleClassifier.isRollable(hazard.type));
+                if (!cleared) {
+                    return { valid: true, survived: false, survivalTime: t, coins: coins, moves: moves };
+                }
+            }
+
+            if (!moving && coinLanes[LANES[lane]]) {
+                coins++;
+            }
+        }
+
+        return { valid: true, survived: true, survivalTime: horizon, coins: coins, moves: moves };
+    },
+
+    /**
+     * Plans the next actions
+     * @param {Object} gameState - Current game state
+     * @param {Object} config - Configuration settings
+     * @return {Object} {action, plan, survived, survivalTime, coins, reason, candidates}, candidates
+     *                  being the best plan per first action [{action, score, coins, plan}]
+     */
+    plan: function(gameState, config) {
+        var settings = getSettings(config);
+        var startLane = LANES.indexOf(gameState.playerPosition) !== -1 ? gameState.playerPosition : "center";
+        var hazards = this.getHazards(gameState, config);
+        var lanes = gameState.lanes || {};
+        var coinLanes = {};
+
+        LANES.forEach(function(lane) {
+            coinLanes[lane] = !!(lanes[lane] && lanes[lane].coins);
+        });
+
+        var sequences = sequenceCache[settings.horizonSteps];
+        if (!sequences) {
+            sequences = sequenceCache[settings.horizonSteps] = enumerateSequences(settings.horizonSteps);
+        }
+        var best = null;
+        var bestSequence = null;
+        var bestByAction = {};
+
+        for (var i = 0; i < sequences.length; i++) {
+            var result = this.simulate(sequences[i], startLane, hazards, coinLanes, settings);
+            if (!result.valid) {
+                continue;
+            }
+
+            var first = sequences[i][0];
+            if (!bestByAction[first] || compareResults(result, bestByAction[first].result) < 0) {
+                bestByAction[first] = { result: result, sequence: sequences[i] };
+            }
+            if (!best || compareResults(result, best) < 0) {
+                best = result;
+                bestSequence = sequences[i];
+            }
+        }
+
+        var candidates = [];
+        ACTIONS.forEach(function(action) {
+            if (bestByAction[action]) {
+                candidates.push({
+                    action: action,
+                    score: bestByAction[action].result.survivalTime,
+                    coins: bestByAction[action].result.coins,
+                    plan: bestByAction[action].sequence
+                });
+            }
+        });
+
+        return {
+            action: bestSequence[0],
+            plan: bestSequence,
+            survived: best.survived,
+            survivalTime: best.survivalTime,
+            coins: best.coins,
+            reason: "Plan " + bestSequence.join(", ") + (best.survived ? "" : " (collision at " + best.survivalTime + "ms)"),
+            candidates: candidates
+        };
+    }
+};
@@ -0,0 +1,394 @@
+/**
+ * Mission Objectives Module for Subway Surfers Bot
+ * Implements Phase 3.3 (Mission completion tracking) for gameplay
+ *
+ * Features:
+ * - Mission texts scraped by ui_interaction.js parsed into objectives,
+ *   e.g. "Jump 30 times" -> {type: "jump", target: 30}
+ * - Progress counted during runs from executed actions and HUD coin and score readings
+ * - Weight multipliers for basic_decision.js and a progress reward for reinforcement learning,
+ *   so the bot works towards open objectives while it plays
+ * - Progress persisted between sessions
+ *
+ * Objective types: jump, roll, dodge (lane changes), coins, score, hoverboard, powerup.
+ * Jump and roll missions naming an obstacle ("Roll under 10 barriers", "Jump over 5 trains") only
+ * count actions taken while that obstacle is close in the player's lane.
+ * Powerup objectives are not counted in game (pickups are not detected), they only bias decisions
+ * until the missions screen reports them done.
+ */
+
+// Import required modules
+var files = require('./utils/files.js');
+
+// Objective types, checked in order against the mission text
+var OBJECTIVE_PATTERNS = [
+    { type: "hoverboard", pattern: /hoverboard/i },
+    { type: "powerup", pattern: /power.?up|jetpack|magnet|sneaker|multiplier|mystery box|pogo/i },
+    { type: "jump", pattern: /jump/i },
+    { type: "roll", pattern: /roll|duck|slide/i },
+    { type: "dodge", pattern: /dodge|change lanes?|lane change|sidestep|dash/i },
+    { type: "score", pattern: /score|points/i },
+    { type: "coins", pattern: /coin/i }
+];
+
+// Obstacles a mission can name, with the detected obstacle types they cover
+var OBSTACLE_QUALIFIERS = [
+    { pattern: /barriers?/i, types: ["low_barrier", "high_barrier", "barrier", "small", "overhead", "high"] },
+    { pattern: /trains?/i, types: ["train", "moving_train"] }
+];
+
+// Executed actions that count towards an objective type
+var ACTION_OBJECTIVES = {
+    jump: "jump",
+    roll: "roll",
+    left: "dodge",
+    right: "dodge",
+    hoverboard: "hoverboard"
+};
+
+// Mission state
+var missionState = {
+    objectives: [],
+    lastCoins: null,     // Last HUD readings of the run, for progress deltas
+    lastScore: null,
+    pendingReward: 0,    // Fraction of objectives completed since the last reward was taken
+    completedThisRun: []
+};
+
+/**
+ * Adds progress to the open objectives of a type
+ * @param {string} type - Objective type
+ * @param {number} amount - Progress made
+ * @param {Function} accepts - Optional check whether an objective counts the progress
+ */
+function addProgress(type, amount, accepts) {
+    if (!(amount > 0)) {
+        return;
+    }
+
+    missionState.objectives.forEach(function(objective) {
+        if (objective.type !== type || objective.completed || (accepts && !accepts(objective))) {
+            return;
+        }
+
+        var before = objective.current;
+        objective.current = Math.min(objective.target, objective.current + amount);
+        missionState.pendingReward += (objective.current - before) / objective.target;
+
+        if (objective.current >= objective.target) {
+            objective.completed = true;
+            missionState.completedThisRun.push(objective.text);
+            console.log("Mission objective completed: " + objective.text);
+        }
+    });
+}
+
+/**
+ * Checks whether an obstacle of one of the given types is close in the player's lane
+ * @param {Object} gameState - Game state the action was taken on
+ * @param {Array} types - Obstacle types
+ * @return {boolean} True if such an obstacle is near or at medium distance in the player's lane
+ */
+function hasObstacleInLane(gameState, types) {
+    if (!gameState || typeof gameState.playerPosition !== 'string') {
+        return false;
+    }
+
+    return (gameState.obstacles || []).some(function(obstacle) {
+        return obstacle.lane === gameState.playerPosition && types.indexOf(obstacle.type) !== -1 &&
+               (obstacle.distance === "near" || obstacle.distance === "medium");
+    });
+}
+
+module.exports = {
+    OBJECTIVE_PATTERNS: OBJECTIVE_PATTERNS,
+
+    /**
+     * Initializes the objectives with the progress saved by earlier sessions
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if mission objectives are enabled
+     */
+    initialize: function(config) {
+        var settings = config.missions;
+        missionState.objectives = [];
+        missionState.pendingReward = 0;
+        this.startRun();
+
+        if (!settings || !settings.enabled) {
+            return false;
+        }
+
+        if (files.exists(settings.progressPath)) {
+            try {
+                var saved = JSON.parse(files.read(settings.progressPath));
+                missionState.objectives = saved.objectives || [];
+                console.log("Loaded " + missionState.objectives.length + " mission objectives");
+            } catch (e) {
+                console.error("Error loading mission progress: " + e.message);
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Parses a mission text into an objective
+     * @param {string} text - Mission text, e.g. "Collect 500 coins in one run"
+     * @param {Object} progress - Progress shown next to the mission {current, total}, or null
+     * @return {Object} Objective {text, type, target, current, scope, obstacles, completed}, or null if not understood
+     *                  (obstacles lists the obstacle types a jump or roll must clear, null for any action)
+     */
+    parseMission: function(text, progress) {
+        if (!text) {
+            return null;
+        }
+
+        var type = null;
+        for (var i = 0; i < OBJECTIVE_PATTERNS.length; i++) {
+            if (OBJECTIVE_PATTERNS[i].pattern.test(text)) {
+                type = OBJECTIVE_PATTERNS[i].type;
+                break;
+            }
+        }
+
+        // The target is the total of the progress, otherwise the first number of the text
+        var target = progress ? progress.total : null;
+        if (!target) {
+            var number = text.replace(/(\d+)\s*\/\s*(\d+)/, "").match(/\d[\d,.]*/);
+            target = number ? parseInt(number[0].replace(/[,.]/g, ""), 10) : null;
+        }
+
+        if (!type || !(target > 0)) {
+            return null;
+        }
+
+        var current = progress ? Math.min(progress.current, target) : 0;
+
+        var obstacles = null;
+        if (type === "jump" || type === "roll") {
+            for (var j = 0; j < OBSTACLE_QUALIFIERS.length; j++) {
+                if (OBSTACLE_QUALIFIERS[j].pattern.test(text)) {
+                    obstacles = OBSTACLE_QUALIFIERS[j].types;
+                    break;
+                }
+            }
+        }
+
+        return {
+            text: text,
+            type: type,
+            target: target,
+            current: current,
+            // "in one run" missions start over every run, the others add up over runs
+            scope: /(one|a single|1) (run|game)|in a row/i.test(text) ? "run" : "total",
+            obstacles: obstacles,
+            completed: current >= target
+        };
+    },
+
+    /**
+     * Replaces the objectives with the missions last scraped from the missions screen
+     * Missions shown without progress keep the progress counted for them so far
+     * @param {Array} missions - ui_interaction.getMissionProgress().currentMissions
+     * @param {Object} config - Configuration settings
+     * @return {Array} Current objectives
+     */
+    refresh: function(missions, config) {
+        if (!config.missions || !config.missions.enabled || !missions || missions.length === 0) {
+            return missionState.objectives;
+        }
+
+        var known = {};
+        missionState.objectives.forEach(function(objective) {
+            known[objective.text] = objective;
+        });
+
+        var self = this;
+        var objectives = [];
+        missions.forEach(function(mission) {
+            var objective = self.parseMission(mission.text, mission.progress);
+            if (!objective) {
+                return;
+            }
+
+            var previous = known[objective.text];
+            if (!mission.progress && previous && objective.scope === "total") {
+                objective.current = previous.current;
+            }
+            objective.completed = objective.completed || !!mission.completed || !!(previous && previous.completed);
+            objectives.push(objective);
+        });
+
+        missionState.objectives = objectives;
+        console.log("Mission objectives: " + objectives.filter(function(objective) {
+            return !objective.completed;
+        }).map(function(objective) {
+            return objective.type + " " + objective.current + "/" + objective.target;
+        }).join(", "));
+
+        return objectives;
+    },
+
+    /**
+     * Gets the objectives not completed yet
+     * @return {Array} Open objectives
+     */
+    getOpenObjectives: function() {
+        return missionState.objectives.filter(function(objective) {
+            return !objective.completed;
+        });
+    },
+
+    /**
+     * Checks whether an objective type is open
+     * @param {string} type - Objective type
+     * @return {boolean} True if an open objective of the type exists
+     */
+    hasOpenObjective: function(type) {
+        return this.getOpenObjectives().some(function(objective) {
+            return objective.type === type;
+        });
+    },
+
+    /**
+     * Counts an executed action towards the open objectives
+     * @param {string} action - Executed action (left, right, jump, roll, hoverboard)
+     * @param {Object} gameState - Game state the action was taken on, for objectives naming an obstacle
+     */
+    recordAction: function(action, gameState) {
+        var type = ACTION_OBJECTIVES[action];
+        if (type) {
+            addProgress(type, 1, function(objective) {
+                return !objective.obstacles || hasObstacleInLane(gameState, objective.obstacles);
+            });
+        }
+    },
+
+    /**
+     * Counts coins and score gained since the last gameplay frame towards the open objectives
+     * @param {Object} gameState - Current game state with HUD coins and score
+     */
+    updateFromState: function(gameState) {
+        if (!gameState || gameState.screenType !== "gameplay") {
+            return;
+        }
+
+        // HUD readings are null until the digit reader has a confident value
+        if (typeof gameState.coins === 'number') {
+            if (missionState.lastCoins !== null && gameState.coins > missionState.lastCoins) {
+                addProgress("coins", gameState.coins - missionState.lastCoins);
+            }
+            missionState.lastCoins = gameState.coins;
+        }
+
+        if (typeof gameState.score === 'number') {
+            if (missionState.lastScore !== null && gameState.score > missionState.lastScore) {
+                addProgress("score", gameState.score - missionState.lastScore);
+            }
+            missionState.lastScore = gameState.score;
+        }
+    },
+
+    /**
+     * Gets multipliers for the decision weights of basic_decision.js
+     * An open objective raises its weight by up to config.missions.weightBoost, more the less is left to do
+     * @param {Object} config - Configuration settings
+     * @return {Object} {coins, powerups, jump, roll, dodge} multipliers (1 when no objective is open)
+     */
+    getWeightMultipliers: function(config) {
+        var multipliers = { coins: 1, powerups: 1, jump: 1, roll: 1, dodge: 1 };
+        if (!config.missions || !config.missions.enabled) {
+            return multipliers;
+        }
+
+        var boost = config.missions.weightBoost;
+        this.getOpenObjectives().forEach(function(objective) {
+            var key = objective.type === "powerup" ? "powerups" : objective.type;
+            if (multipliers.hasOwnProperty(key)) {
+                var done = objective.current / objective.target;
+                multipliers[key] = Math.max(multipliers[key], 1 + boost * (0.5 + done / 2));
+            }
+        });
+
+        return multipliers;
+    },
+
+    /**
+     * Takes the mission reward earned since the last call, for reinforcement learning
+     * Completing a whole objective is worth missionReward, spread over its progress
+     * @param {number} missionReward - Reward for completing a mission
+     * @return {number} Reward
+     */
+    takeReward: function(missionReward) {
+        var reward = missionState.pendingReward * missionReward;
+        missionState.pendingReward = 0;
+        return reward;
+    },
+
+    /**
+     * Starts counting a new run
+     */
+    startRun: function() {
+        missionState.lastCoins = null;
+        missionState.lastScore = null;
+        missionState.completedThisRun = [];
+    },
+
+    /**
+     * Ends a run: saves progress and starts "in one run" objectives over
+     * @param {Object} config - Configuration settings
+     * @return {Array} Objectives completed during the run
+     */
+    endRun: function(config) {
+        var completed = missionState.completedThisRun;
+
+        missionState.objectives.forEach(function(objective) {
+            if (objective.scope === "run" && !objective.completed) {
+                objective.current = 0;
+            }
+        });
+
+        if (completed.length > 0) {
+            console.log("Completed " + completed.length + " mission objective(s) this run");
+        }
+
+        this.save(config);
+        this.startRun();
+        return completed;
+    },
+
+    /**
+     * Saves the objectives and their progress
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    save: function(config) {
+        if (!config.missions || !config.missions.enabled || !files.isAvailable()) {
+            return false;
+        }
+
+        try {
+            files.createWithDirs(config.missions.progressPath);
+            files.write(config.missions.progressPath, JSON.stringify({
+                objectives: missionState.objectives,
+                lastUpdate: Date.now()
+            }, null, 2));
+            return true;
+        } catch (e) {
+            console.error("Error saving mission progress: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Gets the objectives and their progress
+     * @return {Object} {objectives, open, completedThisRun}
+     */
+    getStats: function() {
+        return {
+            objectives: missionState.objectives.slice(),
+            open: this.getOpenObjectives().length,
+            completedThisRun: missionState.completedThisRun.slice()
+        };
+    }
+};
@@ -0,0 +1,507 @@
+/**
+ * Model Registry Module for Subway Surfers Bot
+ * Implements Phase 5.2 (Neural Network Implementation): tracking, promoting and rolling back trained models
+ *
+ * Features:
+ * - Manifest of every registered model: file, parent dataset version, architecture and
+ *   training hyperparameters, offline evaluation metrics and live run stats
+ * - One "production" model, loaded whenever auto-play uses the neural policy
+ * - Promote, pin (freeze production against promotions) and rollback to the previous production model
+ * - Every change recorded in the manifest history
+ *
+ * The manifest (config.modelRegistry.manifestPath) looks like:
+ * {"production": "model_2024-05-01_12-00-00", "pinned": false,
+ *  "models": [{"id": ..., "path": ..., "datasetVersion": "v1714...", "hyperparameters": {...},
+ *              "evaluation": {"loss": 0.41, "accuracy": 0.83, "samples": 400},
+ *              "liveStats": {"runs": 12, "meanScore": 5400, ...}, "status": "production"}],
+ *  "history": [{"action": "promote", "modelId": ..., "previous": ..., "timestamp": ...}]}
+ */
+
+// Import required modules
+var neuralNetwork = require('./neural_network.js');
+var featureSchema = require('./feature_schema.js');
+var files = require('./utils/files.js');
+
+// Registry state
+var registryState = {
+    manifest: null,
+    loadedId: null       // Registered model currently loaded into the network
+};
+
+/**
+ * Creates an empty manifest
+ * @return {Object} Manifest
+ */
+function emptyManifest() {
+    return {
+        production: null,
+        pinned: false,
+        models: [],
+        history: []
+    };
+}
+
+module.exports = {
+    /**
+     * Loads the manifest
+     * @param {Object} config - Configuration settings
+     * @return {Object} Manifest
+     */
+    initialize: function(config) {
+        registryState.manifest = emptyManifest();
+
+        var path = config.modelRegistry.manifestPath;
+        if (files.exists(path)) {
+            try {
+                var saved = JSON.parse(files.read(path));
+                registryState.manifest.production = saved.production || null;
+                registryState.manifest.pinned = !!saved.pinned;
+                registryState.manifest.models = saved.models || [];
+                registryState.manifest.history = saved.history || [];
+            } catch (e) {
+                console.error("Error loading model registry: " + e.message);
+            }
+        }
+
+        console.log("Model registry: " + registryState.manifest.models.length + " models, production " +
+                    (registryState.manifest.production || "none") + (registryState.manifest.pinned ? " (pinned)" : ""));
+        return registryState.manifest;
+    },
+
+    /**
+     * Saves the manifest
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    save: function(config) {
+        if (!files.isAvailable()) {
+            return false;
+        }
+
+        try {
+            files.createWithDirs(config.modelRegistry.manifestPath);
+            files.write(config.modelRegistry.manifestPath, JSON.stringify(this.getManifest(), null, 2));
+            return true;
+        } catch (e) {
+            console.error("Error saving model registry: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Gets the manifest
+     * @return {Object} Manifest
+     */
+    getManifest: function() {
+        if (!registryState.manifest) {
+            registryState.manifest = emptyManifest();
+        }
+        return registryState.manifest;
+    },
+
+    /**
+     * Registers a saved model file
+     * @param {Object} info - {path, datasetVersion, hyperparameters, evaluation, note}
+     * @param {Object} config - Configuration settings
+     * @return {Object} Registry entry, or null if the path is missing
+     */
+    register: function(info, config) {
+        if (!info || !info.path) {
+            console.error("Cannot register a model without a path");
+            return null;
+        }
+
+        var manifest = this.getManifest();
+        var fileName = info.path.substring(info.path.lastIndexOf('/') + 1);
+        var baseId = fileName.replace(/\.json$/, "");
+        var id = baseId;
+        for (var n = 2; this.get(id); n++) {
+            id = baseId + "_" + n;
+        }
+
+        var entry = {
+            id: id,
+            path: info.path,
+            createdAt: Date.now(),
+            datasetVersion: info.datasetVersion || null,
+            hyperparameters: info.hyperparameters || null,
+            evaluation: info.evaluation || null,
+            liveStats: { runs: 0, totalScore: 0, totalCoins: 0, totalDuration: 0, meanScore: 0, meanCoins: 0, meanDuration: 0 },
+            status: "candidate",
+            note: info.note || ""
+        };
+
+        manifest.models.push(entry);
+        this.recordHistory("register", id, null);
+        this.save(config);
+
+        console.log("Registered model " + id + (entry.datasetVersion ? " (dataset " + entry.datasetVersion + ")" : ""));
+        return entry;
+    },
+
+    /**
+     * Saves the current network with a timestamp and registers it
+     * The architecture, feature schema version and training settings of the network are recorded as hyperparameters
+     * @param {Object} info - {datasetVersion, evaluation, note, hyperparameters (merged in)}
+     * @param {Object} config - Configuration settings
+     * @return {Object} Registry entry, or null if saving failed
+     */
+    saveAndRegister: function(info, config) {
+        info = info || {};
+        var path = neuralNetwork.saveModelWithTimestamp(config.neuralNet.modelPath);
+        if (!path) {
+            return null;
+        }
+
+        var hyperparameters = {
+            architecture: neuralNetwork.getArchitecture(),
+            featureSchema: featureSchema.summarize(neuralNetwork.getFeatureSchema()),
+            training: neuralNetwork.getTrainingSettings()
+        };
+        for (var key in info.hyperparameters || {}) {
+            hyperparameters[key] = info.hyperparameters[key];
+        }
+
+        var entry = this.register({
+            path: path,
+            datasetVersion: info.datasetVersion,
+            hyperparameters: hyperparameters,
+            evaluation: info.evaluation,
+            note: info.note
+        }, config);
+
+        if (entry) {
+            registryState.loadedId = entry.id;
+        }
+        return entry;
+    },
+
+    /**
+     * Gets a registered model
+     * @param {string} id - Model id
+     * @return {Object} Registry entry, or null
+     */
+    get: function(id) {
+        var models = this.getManifest().models;
+        for (var i = 0; i < models.length; i++) {
+            if (models[i].id === id) {
+                return models[i];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Lists the registered models, newest first
+     * @return {Array} Registry entries
+     */
+    list: function() {
+        return this.getManifest().models.slice().sort(function(a, b) {
+            return b.createdAt - a.createdAt;
+        });
+    },
+
+    /**
+     * Gets the production model
+     * @return {Object} Registry entry, or null if none is promoted
+     */
+    getProduction: function() {
+        var production = this.getManifest().production;
+        return production ? this.get(production) : null;
+    },
+
+    /**
+     * Records a registry change in the manifest history
+     * @param {string} action - register, promote, pin, unpin or rollback
+     * @param {string} modelId - Model the action applies to
+     * @param {string} previous - Previous production model, if production changed
+     */
+    recordHistory: function(action, modelId, previous) {
+        this.getManifest().history.push({
+            action: action,
+            modelId: modelId,
+            previous: previous,
+            timestamp: Date.now()
+        });
+    },
+
+    /**
+     * Makes a model the production model
+     * @param {string} id - Model id
+     * @param {Object} config - Configuration settings
+     * @param {boolean} force - Promote even while production is pinned
+     * @return {boolean} True if the model is now in production
+     */
+    promote: function(id, config, force) {
+        var manifest = this.getManifest();
+        var entry = this.get(id);
+        if (!entry) {
+            console.error("Model " + id + " is not registered");
+            return false;
+        }
+        if (manifest.production === id) {
+            return true;
+        }
+        if (manifest.pinned && !force) {
+            console.error("Production model " + manifest.production + " is pinned, unpin it before promoting " + id);
+            return false;
+        }
+        if (!neuralNetwork.validateModel(this.readModel(entry))) {
+            console.error("Model " + id + " is missing or invalid, not promoting it");
+            return false;
+        }
+
+        this.setProduction(entry, "promote");
+        this.save(config);
+        console.log("Promoted model " + id + " to production");
+        return true;
+    },
+
+    /**
+     * Pins the production model so promotions and rollbacks leave it in place
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if a production model was pinned
+     */
+    pin: function(config) {
+        var manifest = this.getManifest();
+        if (!manifest.production) {
+            console.error("No production model to pin");
+            return false;
+        }
+
+        manifest.pinned = true;
+        this.recordHistory("pin", manifest.production, null);
+        this.save(config);
+        return true;
+    },
+
+    /**
+     * Unpins the production model
+     * @param {Object} config - Configuration settings
+     */
+    unpin: function(config) {
+        var manifest = this.getManifest();
+        manifest.pinned = false;
+        this.recordHistory("unpin", manifest.production, null);
+        this.save(config);
+    },
+
+    /**
+     * Returns production to the model that was in production before the current one
+     * @param {Object} config - Configuration settings
+     * @param {boolean} force - Roll back even while production is pinned
+     * @return {string} Id of the restored model, or null if there is nothing to roll back to
+     */
+    rollback: function(config, force) {
+        var manifest = this.getManifest();
+        if (manifest.pinned && !force) {
+            console.error("Production model " + manifest.production + " is pinned, unpin it before rolling back");
+            return null;
+        }
+
+        // The latest promotion of the current model tells which model it replaced, so repeated
+        // rollbacks walk back through earlier production models
+        for (var i = manifest.history.length - 1; i >= 0; i--) {
+            var change = manifest.history[i];
+            if (change.action === "promote" && change.modelId === manifest.production) {
+                var previous = change.previous ? this.get(change.previous) : null;
+                if (!previous) {
+                    break;
+                }
+                this.setProduction(previous, "rollback");
+                this.save(config);
+                console.log("Rolled back production to model " + previous.id);
+                return previous.id;
+            }
+        }
+
+        console.error("No earlier production model to roll back to");
+        return null;
+    },
+
+    /**
+     * Switches the production model and updates statuses
+     * @param {Object} entry - New production entry
+     * @param {string} action - "promote" or "rollback"
+     */
+    setProduction: function(entry, action) {
+        var manifest = this.getManifest();
+        var previous = manifest.production;
+
+        var current = this.getProduction();
+        if (current) {
+            current.status = "retired";
+        }
+        entry.status = "production";
+        manifest.production = entry.id;
+
+        this.recordHistory(action, entry.id, previous);
+    },
+
+    /**
+     * Reads a registered model file
+     * @param {Object} entry - Registry entry
+     * @return {Object} Model data, or null if unreadable
+     */
+    readModel: function(entry) {
+        try {
+            return files.exists(entry.path) ? JSON.parse(files.read(entry.path)) : null;
+        } catch (e) {
+            console.error("Error reading model " + entry.id + ": " + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Loads a registered model (by id) or a model file (by path) into the network
+     * @param {string} idOrPath - Model id or file path
+     * @return {boolean} Success status
+     */
+    load: function(idOrPath) {
+        var entry = this.get(idOrPath);
+        var path = entry ? entry.path : idOrPath;
+
+        if (!neuralNetwork.loadModel(path)) {
+            return false;
+        }
+
+        // Models loaded by path are still attributed to their entry for live stats
+        registryState.loadedId = entry ? entry.id : null;
+        if (!entry) {
+            var models = this.getManifest().models;
+            for (var i = 0; i < models.length; i++) {
+                if (models[i].path === path) {
+                    registryState.loadedId = models[i].id;
+                }
+            }
+        }
+        return true;
+    },
+
+    /**
+     * Loads the production model into the network
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the production model is loaded
+     */
+    loadProduction: function(config) {
+        var production = this.getProduction();
+        if (!production) {
+            console.log("No production model registered, keeping the current network");
+            return false;
+        }
+        if (registryState.loadedId === production.id) {
+            return true;
+        }
+
+        var loaded = this.load(production.id);
+        if (loaded) {
+            console.log("Loaded production model " + production.id);
+        }
+        return loaded;
+    },
+
+    /**
+     * Gets the registered model currently loaded into the network
+     * @return {string} Model id, or null
+     */
+    getLoadedId: function() {
+        return registryState.loadedId;
+    },
+
+    /**
+     * Records the offline evaluation of a model
+     * @param {string} id - Model id
+     * @param {Object} evaluation - {loss, accuracy, samples, ...}
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the model is registered
+     */
+    recordEvaluation: function(id, evaluation, config) {
+        var entry = this.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        entry.evaluation = evaluation;
+        entry.evaluation.evaluatedAt = Date.now();
+        this.save(config);
+        return true;
+    },
+
+    /**
+     * Evaluates a registered model offline on a held-out dataset and records the metrics
+     * The previously loaded model is restored afterwards
+     * @param {string} id - Model id
+     * @param {Array} data - Array of {gameState, action} pairs
+     * @param {Object} config - Configuration settings
+     * @param {string} datasetVersion - Optional dataset version the data comes from
+     * @return {Object} {loss, accuracy, samples, datasetVersion}, or null if the model could not be evaluated
+     */
+    evaluate: function(id, data, config, datasetVersion) {
+        var previous = registryState.loadedId;
+        if (!this.get(id) || !this.load(id)) {
+            console.error("Cannot evaluate model " + id);
+            return null;
+        }
+
+        var evaluation = neuralNetwork.evaluate(data);
+        if (evaluation) {
+            evaluation.datasetVersion = datasetVersion || null;
+            this.recordEvaluation(id, evaluation, config);
+            console.log("Model " + id + ": loss " + evaluation.loss.toFixed(4) + ", accuracy " +
+                        (evaluation.accuracy * 100).toFixed(1) + "% on " + evaluation.samples + " samples");
+        }
+
+        if (previous && previous !== id) {
+            this.load(previous);
+        }
+        return evaluation;
+    },
+
+    /**
+     * Adds a finished run to the live stats of the loaded model
+     * @param {Object} runStats - {score, coins, duration (seconds), inference (optional latency stats, kept as the latest)}
+     * @param {Object} config - Configuration settings
+     * @return {Object} Updated live stats, or null if no registered model is loaded
+     */
+    recordRun: function(runStats, config) {
+        var entry = registryState.loadedId ? this.get(registryState.loadedId) : null;
+        if (!entry) {
+            return null;
+        }
+
+        var stats = entry.liveStats;
+        stats.runs++;
+        stats.totalScore += runStats.score || 0;
+        stats.totalCoins += runStats.coins || 0;
+        stats.totalDuration += runStats.duration || 0;
+        stats.meanScore = stats.totalScore / stats.runs;
+        stats.meanCoins = stats.totalCoins / stats.runs;
+        stats.meanDuration = stats.totalDuration / stats.runs;
+        stats.lastRunAt = Date.now();
+        if (runStats.inference) {
+            stats.lastInference = runStats.inference;
+        }
+
+        this.save(config);
+        return stats;
+    },
+
+    /**
+     * Formats a registry entry as one line
+     * @param {Object} entry - Registry entry
+     * @return {string} e.g. "model_... [production] acc 83.0%, 12 runs, mean score 5400"
+     */
+    describe: function(entry) {
+        var parts = [entry.id + " [" + entry.status + "]"];
+        if (entry.evaluation && typeof entry.evaluation.accuracy === 'number') {
+            parts.push("acc " + (entry.evaluation.accuracy * 100).toFixed(1) + "%");
+        }
+        if (entry.liveStats.runs > 0) {
+            parts.push(entry.liveStats.runs + " runs, mean score " + Math.round(entry.liveStats.meanScore));
+        }
+        if (entry.datasetVersion) {
+            parts.push("dataset " + entry.datasetVersion);
+        }
+        return parts.join(", ");
+    }
+};
@@ -5,54 +5,263 @@
  */
 
 // Import required modules
-var utils = require('./utils.js');
+var files = require('./utils/files.js');
+var featureSchema = require('./feature_schema.js');
+var inferenceEngine = require('./inference_engine.js');
 
-// Try to import files module with fallback implementation
-var files;
-try {
-    files = require('files');
-    console.log("Files module loaded successfully in neural network module");
-} catch (e) {
-    console.log("Files module not available in neural network module: " + e.message);
-    // Create a minimal fallback implementation
-    files = {
-        exists: function(path) {
-            console.log("[Files Fallback] Checking if exists: " + path);
-            return false; // Default to false in fallback
-        },
-        read: function(path) {
-            console.log("[Files Fallback] Attempting to read: " + path);
-            return null; // Return null in fallback
-        },
-        write: function(path, content) {
-            console.log("[Files Fallback] Attempting to write to: " + path);
-            return false; // Return false in fallback
-        },
-        cwd: function() {
-            return "/storage/emulated/0/SubwayBot/"; // Default path
-        }
-    };
-}
+// Actions by output index (the fifth output is only used by networks with five outputs)
+var ACTIONS = ["left", "right", "jump", "roll", "none"];
+
+// Supported layer activations and losses
+var ACTIVATIONS = ["relu", "tanh", "sigmoid", "softmax"];
+var LOSSES = ["cross_entropy", "mse"];
 
 // Neural network configuration
 var networkConfig = {
-    inputNodes: 20,     // Number of input features
-    hiddenNodes: 16,    // Number of hidden layer neurons
-    outputNodes: 4,     // Number of output actions (left, right, jump, roll)
+    inputNodes: 20,     // Number of input features, set by the feature schema
+    featureSchema: null, // Encodes game states as inputs (feature_schema.js)
+    layers: [           // Dense layers from the first hidden layer to the output layer
+        { units: 16, activation: 'sigmoid' },
+        { units: 4, activation: 'sigmoid' }   // left, right, jump, roll
+    ],
+    loss: 'mse',        // Training loss (cross_entropy or mse)
     learningRate: 0.1,  // Learning rate for training
-    activation: 'sigmoid', // Activation function
-    initialized: false, // Whether the network has been initialized
-    weights: {          // Network weights
-        inputToHidden: null,
-        hiddenToOutput: null
+    training: {         // Training settings, see config.neuralNet.training
+        batchSize: 32,
+        optimizer: 'adam',
+        momentum: 0.9,
+        beta1: 0.9,
+        beta2: 0.999,
+        epsilon: 1e-8,
+        learningRateSchedule: { type: 'constant' },
+        l2: 0,
+        dropout: 0,
+        validationSplit: 0.2,
+        earlyStopping: { enabled: true, patience: 5, minDelta: 0.0001 },
+        checkpointPath: null
     },
-    biases: {           // Network biases
-        hidden: null,
-        output: null
-    }
+    inference: {        // Inference settings, see config.neuralNet.inference
+        engine: true,
+        quantize: false,
+        minAgreement: 0.99,
+        maxAccuracyDrop: 0.01,
+        latencyWindow: 500
+    },
+    initialized: false, // Whether the network has been initialized
+    weights: [],        // Weight matrix per layer (units x inputs of the layer)
+    biases: [],         // Bias column per layer (units x 1)
+    quantization: null, // int8 verification of the current weights, saved with the model
+    engine: null        // Compiled inference engine, rebuilt after the weights change
 };
 
+// Inference times of predict()
+var inferenceLatency = inferenceEngine.createLatencyTracker(networkConfig.inference.latencyWindow);
+
+/**
+ * Draws a standard normal random number (Box-Muller)
+ * @return {number} Random number
+ */
+function randomNormal() {
+    var u = 1 - Math.random();
+    var v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Optimizer state (step count and moment estimates per parameter), reset at the start of training
+var optimizerState = {
+    step: 0,
+    velocity: null,     // Momentum velocity / Adam first moment
+    squared: null       // Adam second moment
+};
+
+/**
+ * Resets the optimizer state
+ */
+function resetOptimizerState() {
+    optimizerState.step = 0;
+    optimizerState.velocity = null;
+    optimizerState.squared = null;
+}
+
+/**
+ * Deep-copies a list of matrices
+ * @param {Array} matrices - Matrices (weights or biases per layer)
+ * @return {Array} Copy
+ */
+function cloneMatrices(matrices) {
+    return matrices.map(function(matrix) {
+        return matrix.map(function(row) {
+            return row.slice();
+        });
+    });
+}
+
+/**
+ * Creates zero-filled matrices with the shapes of other matrices
+ * @param {Array} matrices - Matrices to copy the shapes of
+ * @return {Array} Zero matrices
+ */
+function zerosLike(matrices) {
+    return matrices.map(function(matrix) {
+        return matrix.map(function(row) {
+            return row.map(function() {
+                return 0;
+            });
+        });
+    });
+}
+
+/**
+ * Sums two sets of gradients
+ * @param {Object} total - Running sum {weights, biases}, or null
+ * @param {Object} gradients - Gradients to add
+ * @return {Object} Sum (total, updated in place)
+ */
+function addGradients(total, gradients) {
+    if (!total) {
+        return { weights: cloneMatrices(gradients.weights), biases: cloneMatrices(gradients.biases) };
+    }
+
+    ["weights", "biases"].forEach(function(kind) {
+        for (var l = 0; l < total[kind].length; l++) {
+            for (var i = 0; i < total[kind][l].length; i++) {
+                for (var j = 0; j < total[kind][l][i].length; j++) {
+                    total[kind][l][i][j] += gradients[kind][l][i][j];
+                }
+            }
+        }
+    });
+    return total;
+}
+
+/**
+ * Multiplies gradients by a factor
+ * @param {Object} gradients - Gradients {weights, biases} (updated in place)
+ * @param {number} factor - Factor, e.g. 1 / batch size
+ * @return {Object} The gradients
+ */
+function scaleGradients(gradients, factor) {
+    ["weights", "biases"].forEach(function(kind) {
+        gradients[kind].forEach(function(matrix) {
+            for (var i = 0; i < matrix.length; i++) {
+                for (var j = 0; j < matrix[i].length; j++) {
+                    matrix[i][j] *= factor;
+                }
+            }
+        });
+    });
+    return gradients;
+}
+
+/**
+ * Gets the learning rate of an epoch
+ * @param {number} base - Base learning rate
+ * @param {number} epoch - Epoch index (from 0)
+ * @param {number} epochs - Total epochs
+ * @param {Object} schedule - {type: "constant" | "step" | "exponential" | "cosine", decay, every, minLearningRate}
+ * @return {number} Learning rate
+ */
+function scheduledLearningRate(base, epoch, epochs, schedule) {
+    schedule = schedule || {};
+
+    if (schedule.type === 'step') {
+        // Multiply by decay every `every` epochs
+        return base * Math.pow(schedule.decay, Math.floor(epoch / (schedule.every || 1)));
+    }
+    if (schedule.type === 'exponential') {
+        return base * Math.pow(schedule.decay, epoch);
+    }
+    if (schedule.type === 'cosine') {
+        // Anneal from the base rate to minLearningRate over all epochs
+        var min = schedule.minLearningRate || 0;
+        return min + (base - min) * (1 + Math.cos(Math.PI * epoch / Math.max(1, epochs - 1))) / 2;
+    }
+    return base;
+}
+
+/**
+ * Builds the layer list of a configuration
+ * Configurations without layers describe the original network: one hidden layer, sigmoid everywhere
+ * @param {Object} settings - config.neuralNet or the config of a saved model
+ * @return {Array} Layers [{units, activation}]
+ */
+function buildLayers(settings) {
+    if (settings.layers && settings.layers.length > 0) {
+        return settings.layers.map(function(layer) {
+            return { units: layer.units, activation: layer.activation || 'sigmoid' };
+        });
+    }
+
+    return [
+        { units: settings.hiddenNodes || 16, activation: settings.activation || 'sigmoid' },
+        { units: settings.outputNodes || 4, activation: settings.activation || 'sigmoid' }
+    ];
+}
+
+/**
+ * Converts a model saved before layer specs (inputToHidden / hiddenToOutput) to the layer format
+ * @param {Object} modelData - Loaded model data
+ * @return {Object} Model data with config.layers, weights and biases as per-layer arrays
+ */
+function upgradeLegacyModel(modelData) {
+    if (!modelData || !modelData.config || modelData.config.layers || !modelData.weights ||
+        !modelData.weights.inputToHidden) {
+        return modelData;
+    }
+
+    var config = modelData.config;
+    return {
+        config: {
+            inputNodes: config.inputNodes,
+            layers: buildLayers(config),
+            loss: 'mse',
+            learningRate: config.learningRate
+        },
+        weights: [modelData.weights.inputToHidden, modelData.weights.hiddenToOutput],
+        biases: [modelData.biases.hidden, modelData.biases.output],
+        metadata: modelData.metadata,
+        featureSchema: modelData.featureSchema
+    };
+}
+
+/**
+ * Turns output layer values into a prediction
+ * @param {Array} outputs - Output values in ACTIONS order
+ * @return {Object} {action, confidence, margin (over the runner-up), allConfidences}
+ */
+function toPrediction(outputs) {
+    var prediction = { action: "none", confidence: 0, margin: 0, allConfidences: {} };
+    var runnerUp = 0;
+
+    for (var i = 0; i < outputs.length && i < ACTIONS.length; i++) {
+        var confidence = outputs[i];
+        prediction.allConfidences[ACTIONS[i]] = confidence;
+        if (confidence > prediction.confidence) {
+            runnerUp = prediction.confidence;
+            prediction.confidence = confidence;
+            prediction.action = ACTIONS[i];
+        } else if (confidence > runnerUp) {
+            runnerUp = confidence;
+        }
+    }
+
+    prediction.margin = prediction.confidence - runnerUp;
+    return prediction;
+}
+
+/**
+ * Drops the compiled engine and the quantization check, which no longer match new weights
+ */
+function weightsChanged() {
+    networkConfig.engine = null;
+    networkConfig.quantization = null;
+}
+
 module.exports = {
+    ACTIONS: ACTIONS,
+    ACTIVATIONS: ACTIVATIONS,
+    LOSSES: LOSSES,
+    
     /**
      * Initializes the neural network
      * @param {Object} config - Optional custom configuration
@@ -60,16 +269,37 @@ module.exports = {
     initialize: function(config) {
         console.log("Initializing neural network...");
         
+        // The feature schema determines the input layer
+        networkConfig.featureSchema = featureSchema.create(config || {});
+        networkConfig.inputNodes = networkConfig.featureSchema.size;
+        
         // Update configuration if provided
         if (config) {
             if (config.neuralNet) {
-                networkConfig.inputNodes = config.neuralNet.inputNodes || networkConfig.inputNodes;
-                networkConfig.hiddenNodes = config.neuralNet.hiddenNodes || networkConfig.hiddenNodes;
-                networkConfig.outputNodes = config.neuralNet.outputNodes || networkConfig.outputNodes;
+                networkConfig.layers = buildLayers(config.neuralNet);
+                networkConfig.loss = config.neuralNet.loss || (config.neuralNet.layers ? 'cross_entropy' : 'mse');
                 networkConfig.learningRate = config.neuralNet.learningRate || networkConfig.learningRate;
+                
+                // Training and inference settings override the defaults one by one
+                var training = config.neuralNet.training || {};
+                for (var key in training) {
+                    networkConfig.training[key] = training[key];
+                }
+                var inference = config.neuralNet.inference || {};
+                for (key in inference) {
+                    networkConfig.inference[key] = inference[key];
+                }
+                inferenceLatency = inferenceEngine.createLatencyTracker(networkConfig.inference.latencyWindow);
             }
         }
         
+        var problem = this.validateArchitecture(networkConfig.inputNodes, networkConfig.layers, networkConfig.loss);
+        if (problem) {
+            console.error("Invalid network architecture: " + problem + ", using the default layers");
+            networkConfig.layers = buildLayers({});
+            networkConfig.loss = 'mse';
+        }
+        
         // Initialize weights and biases
         this.initializeWeights();
         
@@ -88,42 +318,125 @@ module.exports = {
         }
         
         networkConfig.initialized = true;
-        console.log("Neural network initialized with " + 
-                  networkConfig.inputNodes + " inputs, " + 
-                  networkConfig.hiddenNodes + " hidden nodes, and " + 
-                  networkConfig.outputNodes + " outputs");
+        console.log("Neural network initialized: " + this.describeArchitecture());
     },
     
     /**
-     * Initializes network weights with random values
+     * Checks a layer specification
+     * @param {number} inputNodes - Number of input features
+     * @param {Array} layers - Layers [{units, activation}]
+     * @param {string} loss - Training loss
+     * @return {string} Description of the problem, or null if the architecture is valid
+     */
+    validateArchitecture: function(inputNodes, layers, loss) {
+        if (!(inputNodes > 0)) {
+            return "inputNodes must be positive";
+        }
+        if (!layers || layers.length === 0) {
+            return "at least one layer is needed";
+        }
+        
+        for (var i = 0; i < layers.length; i++) {
+            if (!(layers[i].units > 0)) {
+                return "layer " + (i + 1) + " needs a positive number of units";
+            }
+            if (ACTIVATIONS.indexOf(layers[i].activation) === -1) {
+                return "layer " + (i + 1) + " has unknown activation " + layers[i].activation;
+            }
+            if (layers[i].activation === 'softmax' && i !== layers.length - 1) {
+                return "softmax is only supported on the output layer";
+            }
+        }
+        
+        if (LOSSES.indexOf(loss) === -1) {
+            return "unknown loss " + loss;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Describes the network topology
+     * @return {string} e.g. "20 inputs -> 32 relu -> 16 relu -> 4 softmax (cross_entropy)"
+     */
+    describeArchitecture: function() {
+        return networkConfig.inputNodes + " inputs -> " + networkConfig.layers.map(function(layer) {
+            return layer.units + " " + layer.activation;
+        }).join(" -> ") + " (" + networkConfig.loss + ")";
+    },
+    
+    /**
+     * Gets the network topology
+     * @return {Object} {inputNodes, layers, loss, learningRate}
+     */
+    getArchitecture: function() {
+        return {
+            inputNodes: networkConfig.inputNodes,
+            layers: networkConfig.layers.map(function(layer) {
+                return { units: layer.units, activation: layer.activation };
+            }),
+            loss: networkConfig.loss,
+            learningRate: networkConfig.learningRate
+        };
+    },
+    
+    /**
+     * Gets the feature schema the network's inputs are encoded with
+     * @return {Object} Copy of the schema
+     */
+    getFeatureSchema: function() {
+        return JSON.parse(JSON.stringify(networkConfig.featureSchema));
+    },
+    
+    /**
+     * Gets the training settings (optimizer, schedule, regularization, early stopping)
+     * @return {Object} Copy of config.neuralNet.training as applied
+     */
+    getTrainingSettings: function() {
+        return JSON.parse(JSON.stringify(networkConfig.training || {}));
+    },
+    
+    /**
+     * Initializes network weights with random values matched to each layer's activation
+     * He initialization for ReLU layers, Xavier (Glorot) initialization for the others; biases start at zero
      */
     initializeWeights: function() {
-        // Initialize input to hidden weights
-        networkConfig.weights.inputToHidden = this.createMatrix(
-            networkConfig.hiddenNodes, 
-            networkConfig.inputNodes, 
-            true // randomize
-        );
-        
-        // Initialize hidden to output weights
-        networkConfig.weights.hiddenToOutput = this.createMatrix(
-            networkConfig.outputNodes, 
-            networkConfig.hiddenNodes, 
-            true // randomize
-        );
-        
-        // Initialize biases
-        networkConfig.biases.hidden = this.createMatrix(
-            networkConfig.hiddenNodes, 
-            1, 
-            true // randomize
-        );
-        
-        networkConfig.biases.output = this.createMatrix(
-            networkConfig.outputNodes, 
-            1, 
-            true // randomize
-        );
+        networkConfig.weights = [];
+        networkConfig.biases = [];
+        
+        var fanIn = networkConfig.inputNodes;
+        for (var i = 0; i < networkConfig.layers.length; i++) {
+            var layer = networkConfig.layers[i];
+            networkConfig.weights.push(this.createLayerWeights(layer.units, fanIn, layer.activation));
+            networkConfig.biases.push(this.createMatrix(layer.units, 1, false));
+            fanIn = layer.units;
+        }
+        weightsChanged();
+    },
+    
+    /**
+     * Creates the weight matrix of a dense layer
+     * @param {number} units - Number of units of the layer
+     * @param {number} fanIn - Number of inputs of the layer
+     * @param {string} activation - Activation of the layer
+     * @return {Array} Weight matrix (units x fanIn)
+     */
+    createLayerWeights: function(units, fanIn, activation) {
+        var matrix = this.createMatrix(units, fanIn, false);
+        
+        // He: normal with variance 2 / fanIn; Xavier: uniform with limit sqrt(6 / (fanIn + fanOut))
+        var heScale = Math.sqrt(2 / fanIn);
+        var xavierLimit = Math.sqrt(6 / (fanIn + units));
+        
+        for (var i = 0; i < units; i++) {
+            for (var j = 0; j < fanIn; j++) {
+                matrix[i][j] = activation === 'relu' ?
+                               randomNormal() * heScale :
+                               (Math.random() * 2 - 1) * xavierLimit;
+            }
+        }
+        
+        return matrix;
     },
     
     /**
@@ -152,48 +465,44 @@ module.exports = {
     },
     
     /**
-     * Applies the activation function to a value
+     * Applies an activation function to a value
+     * Softmax needs the whole layer, see activateMatrix
      * @param {number} x - Input value
+     * @param {string} activation - Activation function (defaults to sigmoid)
      * @return {number} Activated value
      */
-    activate: function(x) {
-        // Sigmoid activation function
-        if (networkConfig.activation === 'sigmoid') {
-            return 1 / (1 + Math.exp(-x));
-        }
+    activate: function(x, activation) {
         // ReLU activation function
-        else if (networkConfig.activation === 'relu') {
+        if (activation === 'relu') {
             return Math.max(0, x);
         }
         // Tanh activation function
-        else if (networkConfig.activation === 'tanh') {
+        else if (activation === 'tanh') {
             return Math.tanh(x);
         }
         
-        // Default to sigmoid
+        // Sigmoid activation function (default)
         return 1 / (1 + Math.exp(-x));
     },
     
     /**
-     * Derivative of the activation function
+     * Derivative of an activation function, from the activated value
+     * Softmax is handled with its Jacobian in outputDelta
      * @param {number} y - Activated value
+     * @param {string} activation - Activation function (defaults to sigmoid)
      * @return {number} Derivative value
      */
-    activationDerivative: function(y) {
-        // Sigmoid derivative: y * (1 - y)
-        if (networkConfig.activation === 'sigmoid') {
-            return y * (1 - y);
-        }
+    activationDerivative: function(y, activation) {
         // ReLU derivative: 1 if x > 0, 0 otherwise
-        else if (networkConfig.activation === 'relu') {
+        if (activation === 'relu') {
             return y > 0 ? 1 : 0;
         }
         // Tanh derivative: 1 - y^2
-        else if (networkConfig.activation === 'tanh') {
+        else if (activation === 'tanh') {
             return 1 - (y * y);
         }
         
-        // Default to sigmoid derivative
+        // Sigmoid derivative: y * (1 - y)
         return y * (1 - y);
     },
     
@@ -255,19 +564,60 @@ module.exports = {
     },
     
     /**
-     * Applies activation function to each element in a matrix
+     * Transposes a matrix
      * @param {Array} matrix - Input matrix
+     * @return {Array} Transposed matrix
+     */
+    transposeMatrix: function(matrix) {
+        var result = [];
+        var rows = matrix.length;
+        var cols = matrix[0].length;
+        
+        for (var j = 0; j < cols; j++) {
+            result[j] = [];
+            for (var i = 0; i < rows; i++) {
+                result[j][i] = matrix[i][j];
+            }
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Applies an activation function to each element in a matrix
+     * Softmax normalizes each column (one column per sample)
+     * @param {Array} matrix - Input matrix
+     * @param {string} activation - Activation function (defaults to sigmoid)
      * @return {Array} Activated matrix
      */
-    activateMatrix: function(matrix) {
+    activateMatrix: function(matrix, activation) {
         var result = [];
         var rows = matrix.length;
         var cols = matrix[0].length;
         
         for (var i = 0; i < rows; i++) {
             result[i] = [];
-            for (var j = 0; j < cols; j++) {
-                result[i][j] = this.activate(matrix[i][j]);
+        }
+        
+        for (var j = 0; j < cols; j++) {
+            if (activation === 'softmax') {
+                // Subtract the maximum for numerical stability
+                var max = -Infinity;
+                for (var i = 0; i < rows; i++) {
+                    max = Math.max(max, matrix[i][j]);
+                }
+                var sum = 0;
+                for (var i = 0; i < rows; i++) {
+                    result[i][j] = Math.exp(matrix[i][j] - max);
+                    sum += result[i][j];
+                }
+                for (var i = 0; i < rows; i++) {
+                    result[i][j] /= sum;
+                }
+            } else {
+                for (var i = 0; i < rows; i++) {
+                    result[i][j] = this.activate(matrix[i][j], activation);
+                }
             }
         }
         
@@ -275,74 +625,223 @@ module.exports = {
     },
     
     /**
-     * Converts game state to neural network input features
-     * @param {Object} gameState - Current game state
-     * @return {Array} Feature matrix (2D array with 1 row)
+     * Runs a forward pass through all layers
+     * @param {Array} inputFeatures - Feature matrix (1 row)
+     * @param {number} dropoutRate - Optional fraction of hidden units dropped (training only)
+     * @param {Array} masks - Optional array receiving the dropout scale of each hidden unit per layer
+     * @return {Array} Activations per layer as columns, starting with the input
      */
-    extractFeatures: function(gameState) {
-        if (!gameState) {
-            console.error("Neural network received null or undefined game state");
-            return this.createMatrix(1, networkConfig.inputNodes, false);
+    forward: function(inputFeatures, dropoutRate, masks) {
+        var activations = [this.transposeMatrix(inputFeatures)];
+        var lastLayer = networkConfig.layers.length - 1;
+        
+        for (var l = 0; l <= lastLayer; l++) {
+            var inputs = this.matrixMultiply(networkConfig.weights[l], activations[l]);
+            inputs = this.matrixAdd(inputs, networkConfig.biases[l]);
+            var outputs = this.activateMatrix(inputs, networkConfig.layers[l].activation);
+            
+            // Inverted dropout on hidden layers: kept units are scaled so inference needs no change
+            if (dropoutRate > 0 && l < lastLayer) {
+                var mask = [];
+                for (var i = 0; i < outputs.length; i++) {
+                    mask[i] = Math.random() < dropoutRate ? 0 : 1 / (1 - dropoutRate);
+                    outputs[i][0] *= mask[i];
+                }
+                if (masks) {
+                    masks[l] = mask;
+                }
+            }
+            
+            activations.push(outputs);
         }
         
-        // Initialize feature matrix with zeros
-        var features = this.createMatrix(1, networkConfig.inputNodes, false);
+        return activations;
+    },
+    
+    /**
+     * Computes the loss of an output column
+     * @param {Array} output - Output column
+     * @param {Array} target - Target column
+     * @return {number} Cross-entropy or mean squared error
+     */
+    computeLoss: function(output, target) {
+        var loss = 0;
+        var epsilon = 1e-7;
+        var activation = networkConfig.layers[networkConfig.layers.length - 1].activation;
         
-        try {
-            // Skip if not in gameplay
-            if (gameState.screenType !== "gameplay") {
-                return features;
+        for (var i = 0; i < output.length; i++) {
+            var y = output[i][0];
+            var t = target[i][0];
+            if (networkConfig.loss === 'cross_entropy') {
+                // Softmax outputs are one distribution, other outputs are independent binary predictions
+                loss -= t * Math.log(Math.max(y, epsilon));
+                if (activation !== 'softmax') {
+                    loss -= (1 - t) * Math.log(Math.max(1 - y, epsilon));
+                }
+            } else {
+                loss += (y - t) * (y - t);
             }
-            
-            // Feature 1-3: Player position (one-hot encoding)
-            if (gameState.playerPosition === "left") {
-                features[0][0] = 1;
-            } else if (gameState.playerPosition === "center") {
-                features[0][1] = 1;
-            } else if (gameState.playerPosition === "right") {
-                features[0][2] = 1;
+        }
+        
+        return networkConfig.loss === 'cross_entropy' ? loss : loss / output.length;
+    },
+    
+    /**
+     * Computes the error signal of the output layer (gradient of the loss by the layer's pre-activations)
+     * @param {Array} output - Output column
+     * @param {Array} target - Target column
+     * @return {Array} Delta column
+     */
+    outputDelta: function(output, target) {
+        var activation = networkConfig.layers[networkConfig.layers.length - 1].activation;
+        var delta = this.createMatrix(output.length, 1, false);
+        var i;
+        
+        // Cross-entropy on softmax or sigmoid outputs simplifies to output - target
+        if (networkConfig.loss === 'cross_entropy' && (activation === 'softmax' || activation === 'sigmoid')) {
+            for (i = 0; i < output.length; i++) {
+                delta[i][0] = output[i][0] - target[i][0];
             }
-            
-            // Feature 4-6: Left lane obstacles
-            if (gameState.lanes && gameState.lanes.left) {
-                features[0][3] = gameState.lanes.left.obstacles ? 1 : 0;
-                features[0][4] = gameState.lanes.left.coins ? 1 : 0;
+            return delta;
+        }
+        
+        // Gradient of the loss by the outputs
+        var gradient = [];
+        for (i = 0; i < output.length; i++) {
+            var y = output[i][0];
+            var t = target[i][0];
+            gradient[i] = networkConfig.loss === 'cross_entropy' ?
+                          -t / Math.max(y, 1e-7) :
+                          2 * (y - t) / output.length;
+        }
+        
+        if (activation === 'softmax') {
+            // Softmax Jacobian: dy_i / dz_j = y_i * (delta_ij - y_j)
+            var dot = 0;
+            for (i = 0; i < output.length; i++) {
+                dot += gradient[i] * output[i][0];
             }
-            
-            // Feature 7-9: Center lane obstacles
-            if (gameState.lanes && gameState.lanes.center) {
-                features[0][6] = gameState.lanes.center.obstacles ? 1 : 0;
-                features[0][7] = gameState.lanes.center.coins ? 1 : 0;
+            for (i = 0; i < output.length; i++) {
+                delta[i][0] = output[i][0] * (gradient[i] - dot);
             }
-            
-            // Feature 10-12: Right lane obstacles
-            if (gameState.lanes && gameState.lanes.right) {
-                features[0][9] = gameState.lanes.right.obstacles ? 1 : 0;
-                features[0][10] = gameState.lanes.right.coins ? 1 : 0;
+        } else {
+            for (i = 0; i < output.length; i++) {
+                delta[i][0] = gradient[i] * this.activationDerivative(output[i][0], activation);
             }
+        }
+        
+        return delta;
+    },
+    
+    /**
+     * Backpropagates the error of one sample
+     * @param {Array} activations - Activations from forward()
+     * @param {Array} target - Target column
+     * @param {Array} masks - Optional dropout masks filled by forward()
+     * @return {Object} {weights, biases} gradients per layer, same shapes as the parameters
+     */
+    backward: function(activations, target, masks) {
+        var layerCount = networkConfig.layers.length;
+        var weightGradients = [];
+        var biasGradients = [];
+        var delta = this.outputDelta(activations[layerCount], target);
+        
+        for (var l = layerCount - 1; l >= 0; l--) {
+            weightGradients[l] = this.matrixMultiply(delta, this.transposeMatrix(activations[l]));
+            biasGradients[l] = delta;
             
-            // Feature 13-15: Powerups (if available)
-            if (gameState.powerups && gameState.powerups.length > 0) {
-                for (var i = 0; i < gameState.powerups.length && i < 3; i++) {
-                    features[0][12 + i] = 1;
+            if (l > 0) {
+                // Error of the previous layer
+                var previous = this.matrixMultiply(this.transposeMatrix(networkConfig.weights[l]), delta);
+                var activation = networkConfig.layers[l - 1].activation;
+                var mask = masks ? masks[l - 1] : null;
+                for (var i = 0; i < previous.length; i++) {
+                    if (mask) {
+                        // Dropped units pass no error; kept ones were scaled after activation
+                        previous[i][0] = mask[i] === 0 ? 0 :
+                                         previous[i][0] * mask[i] * this.activationDerivative(activations[l][i][0] / mask[i], activation);
+                    } else {
+                        previous[i][0] *= this.activationDerivative(activations[l][i][0], activation);
+                    }
                 }
+                delta = previous;
             }
-            
-            // Feature 16-17: Normalized score and coins (if available)
-            if (gameState.score !== undefined) {
-                // Normalize score (assuming max score of 100000)
-                features[0][15] = Math.min(gameState.score / 100000, 1);
+        }
+        
+        return { weights: weightGradients, biases: biasGradients };
+    },
+    
+    /**
+     * Applies gradients with the configured optimizer
+     * @param {Object} gradients - Gradients from backward() (averaged over a batch)
+     * @param {number} learningRate - Step size
+     * @param {Object} settings - Optional training settings {optimizer: "sgd" | "momentum" | "adam", l2, ...}
+     */
+    applyGradients: function(gradients, learningRate, settings) {
+        settings = settings || { optimizer: 'sgd', l2: 0 };
+        var optimizer = settings.optimizer || 'sgd';
+        
+        if (optimizer !== 'sgd' && !optimizerState.velocity) {
+            optimizerState.velocity = {
+                weights: zerosLike(networkConfig.weights),
+                biases: zerosLike(networkConfig.biases)
+            };
+            optimizerState.squared = {
+                weights: zerosLike(networkConfig.weights),
+                biases: zerosLike(networkConfig.biases)
+            };
+        }
+        optimizerState.step++;
+        
+        // Adam bias corrections
+        var correction1 = 1 - Math.pow(settings.beta1, optimizerState.step);
+        var correction2 = 1 - Math.pow(settings.beta2, optimizerState.step);
+        
+        var update = function(kind, l, i, j, gradient) {
+            if (optimizer === 'momentum') {
+                var velocity = optimizerState.velocity[kind][l][i];
+                velocity[j] = settings.momentum * velocity[j] + gradient;
+                return learningRate * velocity[j];
             }
-            
-            if (gameState.coins !== undefined) {
-                // Normalize coins (assuming max coins of 1000)
-                features[0][16] = Math.min(gameState.coins / 1000, 1);
+            if (optimizer === 'adam') {
+                var m = optimizerState.velocity[kind][l][i];
+                var v = optimizerState.squared[kind][l][i];
+                m[j] = settings.beta1 * m[j] + (1 - settings.beta1) * gradient;
+                v[j] = settings.beta2 * v[j] + (1 - settings.beta2) * gradient * gradient;
+                return learningRate * (m[j] / correction1) / (Math.sqrt(v[j] / correction2) + settings.epsilon);
             }
-            
-            // Feature 18-20: Reserved for future use
-            // Can be used for additional game state information
-            
-            return features;
+            return learningRate * gradient;
+        };
+        
+        for (var l = 0; l < networkConfig.layers.length; l++) {
+            var weights = networkConfig.weights[l];
+            var biases = networkConfig.biases[l];
+            for (var i = 0; i < weights.length; i++) {
+                for (var j = 0; j < weights[i].length; j++) {
+                    // L2 regularization applies to weights, not biases
+                    var gradient = gradients.weights[l][i][j] + (settings.l2 || 0) * weights[i][j];
+                    weights[i][j] -= update('weights', l, i, j, gradient);
+                }
+                biases[i][0] -= update('biases', l, i, 0, gradients.biases[l][i][0]);
+            }
+        }
+        weightsChanged();
+    },
+    
+    /**
+     * Extracts the network inputs from a game state with the network's feature schema
+     * @param {Object} gameState - Current game state
+     * @param {Object} schema - Optional feature schema to encode with instead of the network's
+     * @return {Array} Feature matrix (1 x inputNodes)
+     */
+    extractFeatures: function(gameState, schema) {
+        if (!gameState) {
+            console.error("Neural network received null or undefined game state");
+            return this.createMatrix(1, networkConfig.inputNodes, false);
+        }
+        
+        try {
+            return [featureSchema.encode(schema || networkConfig.featureSchema, gameState)];
         } catch (e) {
             console.error("Error extracting features: " + e.message);
             return this.createMatrix(1, networkConfig.inputNodes, false);
@@ -352,7 +851,8 @@ module.exports = {
     /**
      * Predicts the best action based on current game state
      * @param {Object} gameState - Current game state
-     * @return {Object} Predicted action and confidence
+     * @return {Object} {action, confidence, margin (over the runner-up action), allConfidences,
+     *                  latencyMs (inference time, feature extraction included)}
      */
     predict: function(gameState) {
         if (!networkConfig.initialized) {
@@ -361,57 +861,209 @@ module.exports = {
         }
         
         try {
+            var start = inferenceEngine.now();
+            
             // Extract features from game state
             var inputFeatures = this.extractFeatures(gameState);
             
-            // Forward propagation
-            // Hidden layer: input -> hidden
-            var hiddenInputs = this.matrixMultiply(networkConfig.weights.inputToHidden, utils.transposeMatrix(inputFeatures));
-            hiddenInputs = this.matrixAdd(hiddenInputs, networkConfig.biases.hidden);
-            var hiddenOutputs = this.activateMatrix(hiddenInputs);
-            
-            // Output layer: hidden -> output
-            var finalInputs = this.matrixMultiply(networkConfig.weights.hiddenToOutput, hiddenOutputs);
-            finalInputs = this.matrixAdd(finalInputs, networkConfig.biases.output);
-            var finalOutputs = this.activateMatrix(finalInputs);
+            // Forward pass through the compiled engine, or the matrix code if it is disabled
+            var finalOutputs;
+            if (networkConfig.inference.engine) {
+                finalOutputs = inferenceEngine.run(this.getInferenceEngine(), inputFeatures[0]);
+            } else {
+                var activations = this.forward(inputFeatures);
+                finalOutputs = activations[activations.length - 1].map(function(row) {
+                    return row[0];
+                });
+            }
             
             // Find the highest confidence prediction
-            var maxConfidence = 0;
-            var predictedAction = "none";
-            var actionMap = ["left", "right", "jump", "roll"];
-            
-            for (var i = 0; i < finalOutputs.length; i++) {
-                var confidence = finalOutputs[i][0];
-                if (confidence > maxConfidence) {
-                    maxConfidence = confidence;
-                    predictedAction = actionMap[i];
-                }
-            }
+            var prediction = toPrediction(finalOutputs);
             
-            return {
-                action: predictedAction,
-                confidence: maxConfidence,
-                allConfidences: {
-                    left: finalOutputs[0][0],
-                    right: finalOutputs[1][0],
-                    jump: finalOutputs[2][0],
-                    roll: finalOutputs[3][0]
-                }
-            };
+            prediction.latencyMs = inferenceEngine.now() - start;
+            inferenceEngine.recordLatency(inferenceLatency, prediction.latencyMs);
+            return prediction;
         } catch (e) {
             console.error("Error making prediction: " + e.message);
             return { action: "none", confidence: 0 };
         }
     },
     
+    /**
+     * Compiles a saved model for prediction next to the loaded network (e.g. an ensemble member)
+     * @param {Object} modelData - Model file contents
+     * @return {Object} Compiled model {featureSchema, engine}, or null if the model is invalid
+     */
+    compileModel: function(modelData) {
+        if (!this.validateModel(modelData)) {
+            return null;
+        }
+        
+        modelData = upgradeLegacyModel(modelData);
+        return {
+            featureSchema: modelData.featureSchema || featureSchema.legacy(modelData.config.inputNodes),
+            engine: inferenceEngine.compile({
+                inputNodes: modelData.config.inputNodes,
+                layers: modelData.config.layers,
+                weights: modelData.weights,
+                biases: modelData.biases
+            })
+        };
+    },
+    
+    /**
+     * Predicts an action with a compiled model
+     * @param {Object} model - Compiled model from compileModel
+     * @param {Object} gameState - Current game state
+     * @return {Object} {action, confidence, margin, allConfidences}
+     */
+    predictWithModel: function(model, gameState) {
+        try {
+            return toPrediction(inferenceEngine.run(model.engine, featureSchema.encode(model.featureSchema, gameState)));
+        } catch (e) {
+            console.error("Error making prediction: " + e.message);
+            return { action: "none", confidence: 0, margin: 0, allConfidences: {} };
+        }
+    },
+    
+    /**
+     * Gets the compiled inference engine, compiling it if the weights changed
+     * int8 weights are used when config.neuralNet.inference.quantize is set and the current
+     * weights passed quantization verification and ran faster than float32 in benchmarkInference;
+     * otherwise int8 only tells how much memory the weights could save
+     * @return {Object} Engine (inference_engine.js)
+     */
+    getInferenceEngine: function() {
+        if (!networkConfig.engine) {
+            networkConfig.engine = inferenceEngine.compile(networkConfig);
+            var quantization = networkConfig.quantization;
+            if (networkConfig.inference.quantize && quantization && quantization.passed && quantization.int8Faster) {
+                inferenceEngine.quantize(networkConfig.engine);
+                networkConfig.engine.precision = "int8";
+            }
+        }
+        return networkConfig.engine;
+    },
+    
+    /**
+     * Quantizes the weights to int8 and verifies the result against the float model
+     * The int8 model passes when it picks the same action as the float model on at least
+     * minAgreement of the samples and loses at most maxAccuracyDrop accuracy
+     * @param {Array} data - Verification data, array of {gameState, action} pairs
+     * @return {Object} {passed, samples, agreement, floatAccuracy, int8Accuracy, accuracyDrop,
+     *                  maxOutputError, floatBytes, int8Bytes}, saved with the model
+     */
+    quantize: function(data) {
+        var engine = inferenceEngine.compile(networkConfig);
+        var memory = inferenceEngine.quantize(engine);
+        var samples = this.encodeSamples(data || []).map(function(sample) {
+            var label = 0;
+            for (var i = 1; i < sample.target.length; i++) {
+                if (sample.target[i][0] > sample.target[label][0]) label = i;
+            }
+            return { features: sample.features[0], label: label };
+        });
+        
+        var result = inferenceEngine.verifyQuantization(engine, samples);
+        result.accuracyDrop = result.floatAccuracy !== null ? result.floatAccuracy - result.int8Accuracy : 0;
+        result.passed = samples.length > 0 && result.agreement >= networkConfig.inference.minAgreement &&
+                        result.accuracyDrop <= networkConfig.inference.maxAccuracyDrop;
+        result.floatBytes = memory.floatBytes;
+        result.int8Bytes = memory.int8Bytes;
+        result.verifiedAt = Date.now();
+        
+        networkConfig.quantization = result;
+        networkConfig.engine = null;
+        
+        console.log("int8 quantization " + (result.passed ? "passed" : "failed") + ": " +
+                    (result.agreement * 100).toFixed(1) + "% agreement on " + result.samples + " samples, accuracy drop " +
+                    (result.accuracyDrop * 100).toFixed(2) + " points, weights " +
+                    result.floatBytes + " -> " + result.int8Bytes + " bytes");
+        return result;
+    },
+    
+    /**
+     * Gets the int8 verification of the current weights
+     * @return {Object} Result of quantize(), or null if the weights were not verified
+     */
+    getQuantization: function() {
+        return networkConfig.quantization;
+    },
+    
+    /**
+     * Measures the mean inference time of the matrix code, the float32 engine and,
+     * if the weights passed verification, the int8 engine
+     * Whether int8 was faster is kept with the verification (int8Faster), so it is saved with the
+     * model and getInferenceEngine only switches to int8 where it pays off
+     * @param {Array} data - Array of {gameState, action} pairs (or game states) to run on
+     * @param {number} iterations - Inferences per measurement
+     * @return {Object} Mean ms per inference by path, e.g. {nested: 0.4, float32: 0.05, int8: 0.06}
+     */
+    benchmarkInference: function(data, iterations) {
+        var self = this;
+        var inputs = (data || []).map(function(sample) {
+            return self.extractFeatures(sample.gameState || sample)[0];
+        });
+        if (inputs.length === 0) {
+            inputs.push(this.createMatrix(1, networkConfig.inputNodes, false)[0]);
+        }
+        
+        var engine = inferenceEngine.compile(networkConfig);
+        if (networkConfig.quantization && networkConfig.quantization.passed) {
+            inferenceEngine.quantize(engine);
+        }
+        
+        var results = inferenceEngine.benchmark(engine, inputs, iterations || 1000, {
+            nested: function(input) {
+                self.forward([input]);
+            }
+        });
+        
+        console.log("Inference benchmark (ms per inference): " + Object.keys(results).map(function(name) {
+            return name + " " + results[name].toFixed(4);
+        }).join(", "));
+        
+        if (typeof results.int8 === "number") {
+            networkConfig.quantization.int8Faster = results.int8 < results.float32;
+            networkConfig.engine = null;
+            if (!networkConfig.quantization.int8Faster) {
+                console.log("int8 is not faster than float32 here, inference keeps float32 weights");
+            }
+        }
+        return results;
+    },
+    
+    /**
+     * Gets the inference times of predict()
+     * @return {Object} {path, calls, meanMs, p50Ms, p95Ms, maxMs}; path is "int8", "float32" or "nested"
+     */
+    getInferenceStats: function() {
+        var stats = inferenceEngine.getLatencyStats(inferenceLatency);
+        stats.path = networkConfig.inference.engine ? this.getInferenceEngine().precision : "nested";
+        return stats;
+    },
+    
+    /**
+     * Clears the recorded inference times
+     */
+    resetInferenceStats: function() {
+        inferenceLatency = inferenceEngine.createLatencyTracker(networkConfig.inference.latencyWindow);
+    },
+    
     /**
      * Trains the neural network on a dataset of game states and actions
+     * Mini-batch training with the configured optimizer, learning rate schedule, L2 and dropout.
+     * A held-out validation split drives early stopping, and the weights of the epoch with the
+     * lowest validation loss are restored (and checkpointed) at the end
      * @param {Array} trainingData - Array of {gameState, action} pairs
-     * @param {number} epochs - Number of training epochs
-     * @param {function} progressCallback - Optional callback for progress updates
-     * @return {Object} Training results
+     * @param {number} epochs - Maximum number of training epochs
+     * @param {function} progressCallback - Optional callback receiving the metrics of each epoch
+     * @param {Object} options - Optional overrides of config.neuralNet.training, plus validationData
+     *                           ({gameState, action} pairs used instead of a validation split)
+     * @return {Object} Training results (errors are the mean training loss per epoch, featureSchema
+     *                  describes the normalization fitted on the training split)
      */
-    train: function(trainingData, epochs, progressCallback) {
+    train: function(trainingData, epochs, progressCallback, options) {
         if (!networkConfig.initialized) {
             console.error("Neural network not initialized");
             return { success: false, error: "Network not initialized" };
@@ -423,145 +1075,164 @@ module.exports = {
         }
         
         epochs = epochs || 1;
-        var batchSize = 10; // Process 10 samples at a time
-        var totalSamples = trainingData.length;
-        var actionMap = { "left": 0, "right": 1, "jump": 2, "roll": 3 };
-        var errors = [];
-        
-        console.log("Starting training with " + totalSamples + " samples for " + epochs + " epochs");
+        var settings = {};
+        var key;
+        for (key in networkConfig.training) {
+            settings[key] = networkConfig.training[key];
+        }
+        for (key in options || {}) {
+            settings[key] = options[key];
+        }
         
         try {
+            // Only samples the output layer can represent are trained on
+            var outputNodes = networkConfig.layers[networkConfig.layers.length - 1].units;
+            var actionMap = ACTIONS.slice(0, outputNodes);
+            var usable = trainingData.filter(function(sample) {
+                return sample && sample.gameState && actionMap.indexOf(sample.action) !== -1;
+            });
+            
+            if (usable.length === 0) {
+                console.error("No valid training samples");
+                return { success: false, error: "No valid training samples" };
+            }
+            
+            // Hold out the validation split unless a validation set is given
+            var validationData;
+            var trainingSplit;
+            if (settings.validationData) {
+                validationData = settings.validationData;
+                trainingSplit = usable;
+            } else {
+                usable = this.shuffleArray(usable);
+                var validationSize = usable.length > 1 ? Math.floor(usable.length * settings.validationSplit) : 0;
+                validationData = usable.slice(usable.length - validationSize);
+                trainingSplit = usable.slice(0, usable.length - validationSize);
+            }
+            
+            // Normalization stats are fitted on the training split only, into a copy of the schema that
+            // replaces the network's once training succeeds. Saved models carry it, so inference
+            // normalizes the way the weights were trained
+            var fittedSchema = featureSchema.fit(this.getFeatureSchema(), trainingSplit);
+            
+            // Encode the samples once
+            var trainingSet = this.encodeSamples(trainingSplit, fittedSchema);
+            var validationSet = this.encodeSamples(validationData, fittedSchema);
+            var batchSize = Math.max(1, settings.batchSize);
+            
+            console.log("Starting training with " + trainingSet.length + " samples (" + validationSet.length +
+                        " for validation) for up to " + epochs + " epochs, " + settings.optimizer + " optimizer");
+            
+            resetOptimizerState();
+            
+            var errors = [];
+            var validationErrors = [];
+            var best = { loss: Infinity, epoch: 0, weights: null, biases: null };
+            var epochsWithoutImprovement = 0;
+            var stoppedEarly = false;
+            
             // Training loop
             for (var epoch = 0; epoch < epochs; epoch++) {
-                var epochError = 0;
-                
-                // Shuffle training data for each epoch
-                var shuffledData = this.shuffleArray(trainingData);
+                var learningRate = scheduledLearningRate(networkConfig.learningRate, epoch, epochs, settings.learningRateSchedule);
+                var shuffled = this.shuffleArray(trainingSet);
+                var epochLoss = 0;
                 
-                // Process in batches
-                for (var batchStart = 0; batchStart < totalSamples; batchStart += batchSize) {
-                    var batchEnd = Math.min(batchStart + batchSize, totalSamples);
-                    var batchError = 0;
+                // Process in mini-batches
+                for (var batchStart = 0; batchStart < shuffled.length; batchStart += batchSize) {
+                    var batchEnd = Math.min(batchStart + batchSize, shuffled.length);
+                    var batchGradients = null;
                     
-                    // Process each sample in the batch
                     for (var i = batchStart; i < batchEnd; i++) {
-                        var sample = shuffledData[i];
-                        var gameState = sample.gameState;
-                        var targetAction = sample.action;
-                        
-                        // Skip invalid samples
-                        if (!gameState || !targetAction || !(targetAction in actionMap)) {
-                            continue;
-                        }
-                        
-                        // Create target output (one-hot encoding)
-                        var targetOutput = this.createMatrix(networkConfig.outputNodes, 1, false);
-                        targetOutput[actionMap[targetAction]][0] = 1;
-                        
-                        // Extract features
-                        var inputFeatures = this.extractFeatures(gameState);
-                        
-                        // Forward pass
-                        // Hidden layer
-                        var hiddenInputs = this.matrixMultiply(
-                            networkConfig.weights.inputToHidden, 
-                            utils.transposeMatrix(inputFeatures)
-                        );
-                        hiddenInputs = this.matrixAdd(hiddenInputs, networkConfig.biases.hidden);
-                        var hiddenOutputs = this.activateMatrix(hiddenInputs);
-                        
-                        // Output layer
-                        var finalInputs = this.matrixMultiply(
-                            networkConfig.weights.hiddenToOutput,
-                            hiddenOutputs
-                        );
-                        finalInputs = this.matrixAdd(finalInputs, networkConfig.biases.output);
-                        var finalOutputs = this.activateMatrix(finalInputs);
-                        
-                        // Calculate output layer error
-                        var outputErrors = [];
-                        for (var j = 0; j < networkConfig.outputNodes; j++) {
-                            outputErrors[j] = [];
-                            outputErrors[j][0] = targetOutput[j][0] - finalOutputs[j][0];
-                        }
-                        
-                        // Calculate hidden layer error
-                        var transposedHiddenToOutput = utils.transposeMatrix(networkConfig.weights.hiddenToOutput);
-                        var hiddenErrors = this.matrixMultiply(transposedHiddenToOutput, outputErrors);
-                        
-                        // Update hidden to output weights
-                        for (var j = 0; j < networkConfig.outputNodes; j++) {
-                            for (var k = 0; k < networkConfig.hiddenNodes; k++) {
-                                var delta = outputErrors[j][0] * 
-                                          this.activationDerivative(finalOutputs[j][0]) * 
-                                          hiddenOutputs[k][0] * 
-                                          networkConfig.learningRate;
-                                          
-                                networkConfig.weights.hiddenToOutput[j][k] += delta;
-                            }
-                            // Update output bias
-                            networkConfig.biases.output[j][0] += outputErrors[j][0] * 
-                                                              this.activationDerivative(finalOutputs[j][0]) * 
-                                                              networkConfig.learningRate;
-                        }
-                        
-                        // Update input to hidden weights
-                        for (var j = 0; j < networkConfig.hiddenNodes; j++) {
-                            for (var k = 0; k < networkConfig.inputNodes; k++) {
-                                var delta = hiddenErrors[j][0] * 
-                                          this.activationDerivative(hiddenOutputs[j][0]) * 
-                                          inputFeatures[0][k] * 
-                                          networkConfig.learningRate;
-                                          
-                                networkConfig.weights.inputToHidden[j][k] += delta;
-                            }
-                            // Update hidden bias
-                            networkConfig.biases.hidden[j][0] += hiddenErrors[j][0] * 
-                                                              this.activationDerivative(hiddenOutputs[j][0]) * 
-                                                              networkConfig.learningRate;
-                        }
-                        
-                        // Calculate error for this sample
-                        var sampleError = 0;
-                        for (var j = 0; j < outputErrors.length; j++) {
-                            sampleError += Math.abs(outputErrors[j][0]);
-                        }
-                        batchError += sampleError / outputErrors.length;
+                        var masks = [];
+                        var activations = this.forward(shuffled[i].features, settings.dropout, masks);
+                        epochLoss += this.computeLoss(activations[activations.length - 1], shuffled[i].target);
+                        batchGradients = addGradients(batchGradients, this.backward(activations, shuffled[i].target, masks));
                     }
                     
-                    // Average batch error
-                    batchError = batchError / (batchEnd - batchStart);
-                    epochError += batchError;
-                    
-                    // Report progress if callback provided
-                    if (progressCallback && typeof progressCallback === 'function') {
-                        var progress = {
-                            epoch: epoch + 1,
-                            totalEpochs: epochs,
-                            batchStart: batchStart,
-                            batchEnd: batchEnd,
-                            totalSamples: totalSamples,
-                            batchError: batchError
-                        };
-                        progressCallback(progress);
-                    }
+                    this.applyGradients(scaleGradients(batchGradients, 1 / (batchEnd - batchStart)), learningRate, settings);
+                }
+                
+                var trainLoss = epochLoss / shuffled.length;
+                errors.push(trainLoss);
+                
+                // Validation metrics (no dropout); without a validation split the training loss is tracked
+                var validation = validationSet.length > 0 ? this.evaluateSamples(validationSet) : null;
+                var monitoredLoss = validation ? validation.loss : trainLoss;
+                if (validation) {
+                    validationErrors.push(validation.loss);
                 }
                 
-                // Average epoch error
-                epochError = epochError / Math.ceil(totalSamples / batchSize);
-                errors.push(epochError);
+                var improved = monitoredLoss < best.loss - settings.earlyStopping.minDelta;
+                if (improved) {
+                    best = {
+                        loss: monitoredLoss,
+                        epoch: epoch + 1,
+                        weights: cloneMatrices(networkConfig.weights),
+                        biases: cloneMatrices(networkConfig.biases)
+                    };
+                    epochsWithoutImprovement = 0;
+                } else {
+                    epochsWithoutImprovement++;
+                }
+                
+                console.log("Epoch " + (epoch + 1) + "/" + epochs + ", Loss: " + trainLoss.toFixed(4) +
+                            (validation ? ", Validation loss: " + validation.loss.toFixed(4) +
+                                          ", Validation accuracy: " + (validation.accuracy * 100).toFixed(1) + "%" : "") +
+                            ", Learning rate: " + learningRate.toPrecision(3));
+                
+                // Report progress if callback provided
+                if (progressCallback && typeof progressCallback === 'function') {
+                    progressCallback({
+                        epoch: epoch + 1,
+                        totalEpochs: epochs,
+                        totalSamples: trainingSet.length,
+                        validationSamples: validationSet.length,
+                        trainLoss: trainLoss,
+                        validationLoss: validation ? validation.loss : null,
+                        validationAccuracy: validation ? validation.accuracy : null,
+                        learningRate: learningRate,
+                        improved: improved,
+                        bestEpoch: best.epoch
+                    });
+                }
                 
-                console.log("Epoch " + (epoch + 1) + "/" + epochs + ", Error: " + epochError.toFixed(4));
+                // Early stopping
+                if (settings.earlyStopping.enabled && epochsWithoutImprovement >= settings.earlyStopping.patience) {
+                    console.log("Early stopping after epoch " + (epoch + 1) + ", best epoch " + best.epoch);
+                    stoppedEarly = true;
+                    break;
+                }
+            }
+            
+            // Keep the best weights and checkpoint them with the schema they were trained on
+            networkConfig.featureSchema = fittedSchema;
+            var checkpointSaved = false;
+            if (best.weights) {
+                networkConfig.weights = best.weights;
+                networkConfig.biases = best.biases;
+                weightsChanged();
+                if (settings.checkpointPath) {
+                    checkpointSaved = this.saveModel(settings.checkpointPath);
+                }
             }
             
-            console.log("Training completed with final error: " + errors[errors.length - 1].toFixed(4));
+            console.log("Training completed with final loss: " + errors[errors.length - 1].toFixed(4) +
+                        ", best " + (validationSet.length > 0 ? "validation " : "") + "loss " + best.loss.toFixed(4) +
+                        " at epoch " + best.epoch);
             
             return {
                 success: true,
-                epochs: epochs,
+                epochs: errors.length,
                 errors: errors,
+                validationErrors: validationErrors,
                 finalError: errors[errors.length - 1],
-                samplesProcessed: totalSamples
+                bestEpoch: best.epoch,
+                bestLoss: best.loss,
+                stoppedEarly: stoppedEarly,
+                checkpointPath: checkpointSaved ? settings.checkpointPath : null,
+                samplesProcessed: trainingSet.length,
+                validationSamples: validationSet.length,
+                featureSchema: featureSchema.summarize(networkConfig.featureSchema)
             };
         } catch (e) {
             console.error("Error during training: " + e.message);
@@ -569,6 +1240,75 @@ module.exports = {
         }
     },
     
+    /**
+     * Encodes {gameState, action} pairs as feature vectors and one-hot targets
+     * Samples without a game state or with an action the output layer cannot represent are skipped
+     * @param {Array} data - Array of {gameState, action} pairs
+     * @param {Object} schema - Optional feature schema to encode with instead of the network's
+     * @return {Array} Samples {features, target}
+     */
+    encodeSamples: function(data, schema) {
+        var outputNodes = networkConfig.layers[networkConfig.layers.length - 1].units;
+        var actionMap = ACTIONS.slice(0, outputNodes);
+        var samples = [];
+        
+        for (var i = 0; i < data.length; i++) {
+            var sample = data[i];
+            if (!sample || !sample.gameState || actionMap.indexOf(sample.action) === -1) {
+                continue;
+            }
+            var target = this.createMatrix(outputNodes, 1, false);
+            target[actionMap.indexOf(sample.action)][0] = 1;
+            samples.push({ features: this.extractFeatures(sample.gameState, schema), target: target });
+        }
+        
+        return samples;
+    },
+    
+    /**
+     * Evaluates the network offline on a held-out dataset
+     * @param {Array} data - Array of {gameState, action} pairs
+     * @return {Object} {loss, accuracy, samples}, or null if the network is not initialized
+     */
+    evaluate: function(data) {
+        if (!networkConfig.initialized || !Array.isArray(data)) {
+            return null;
+        }
+        return this.evaluateSamples(this.encodeSamples(data));
+    },
+    
+    /**
+     * Computes the mean loss and accuracy of encoded samples without updating the network
+     * @param {Array} samples - Samples {features, target}
+     * @return {Object} {loss, accuracy, samples}
+     */
+    evaluateSamples: function(samples) {
+        var loss = 0;
+        var correct = 0;
+        
+        for (var i = 0; i < samples.length; i++) {
+            var activations = this.forward(samples[i].features);
+            var output = activations[activations.length - 1];
+            loss += this.computeLoss(output, samples[i].target);
+            
+            var predicted = 0;
+            var expected = 0;
+            for (var j = 1; j < output.length; j++) {
+                if (output[j][0] > output[predicted][0]) predicted = j;
+                if (samples[i].target[j][0] > samples[i].target[expected][0]) expected = j;
+            }
+            if (predicted === expected) {
+                correct++;
+            }
+        }
+        
+        return {
+            loss: samples.length > 0 ? loss / samples.length : 0,
+            accuracy: samples.length > 0 ? correct / samples.length : 0,
+            samples: samples.length
+        };
+    },
+    
     /**
      * Shuffles an array randomly
      * @param {Array} array - Array to shuffle
@@ -597,26 +1337,16 @@ module.exports = {
         }
         
         try {
-            // Create model data object
+            // Create model data object; the architecture lets loadModel rebuild any topology
             var modelData = {
-                config: {
-                    inputNodes: networkConfig.inputNodes,
-                    hiddenNodes: networkConfig.hiddenNodes,
-                    outputNodes: networkConfig.outputNodes,
-                    learningRate: networkConfig.learningRate,
-                    activation: networkConfig.activation
-                },
-                weights: {
-                    inputToHidden: networkConfig.weights.inputToHidden,
-                    hiddenToOutput: networkConfig.weights.hiddenToOutput
-                },
-                biases: {
-                    hidden: networkConfig.biases.hidden,
-                    output: networkConfig.biases.output
-                },
+                config: this.getArchitecture(),
+                featureSchema: networkConfig.featureSchema,
+                quantization: networkConfig.quantization,
+                weights: networkConfig.weights,
+                biases: networkConfig.biases,
                 metadata: {
                     timestamp: new Date().getTime(),
-                    version: "1.0"
+                    version: "2.0"
                 }
             };
             
@@ -680,12 +1410,12 @@ module.exports = {
      * Saves the model with a timestamp in the filename
      * @param {string} baseDir - Base directory to save the model
      * @param {string} prefix - Optional prefix for the filename
-     * @return {boolean} Success status
+     * @return {string} Path of the saved model, or null if saving failed
      */
     saveModelWithTimestamp: function(baseDir, prefix) {
         if (!networkConfig.initialized) {
             console.error("Cannot save model: Neural network not initialized");
-            return false;
+            return null;
         }
         
         try {
@@ -710,15 +1440,16 @@ module.exports = {
             var fullPath = baseDir + filename;
             
             // Save the model
-            return this.saveModel(fullPath);
+            return this.saveModel(fullPath) ? fullPath : null;
         } catch (e) {
             console.error("Error saving model with timestamp: " + e.message);
-            return false;
+            return null;
         }
     },
     
     /**
      * Loads a neural network model from a file
+     * Rebuilds the network with the topology recorded in the model
      * @param {string} filePath - Path to load the model from
      * @return {boolean} Success status
      */
@@ -730,9 +1461,9 @@ module.exports = {
                 return false;
             }
             
-            // Read and parse model file
+            // Read and parse model file (models saved before layer specs are converted)
             var modelJson = files.read(filePath);
-            var modelData = JSON.parse(modelJson);
+            var modelData = upgradeLegacyModel(JSON.parse(modelJson));
             
             // Validate model structure
             if (!this.validateModel(modelData)) {
@@ -740,20 +1471,20 @@ module.exports = {
                 return false;
             }
             
-            // Update network configuration
+            // Update network configuration; models saved before feature schemas use the version 1 layout
             networkConfig.inputNodes = modelData.config.inputNodes;
-            networkConfig.hiddenNodes = modelData.config.hiddenNodes;
-            networkConfig.outputNodes = modelData.config.outputNodes;
-            networkConfig.learningRate = modelData.config.learningRate;
-            networkConfig.activation = modelData.config.activation;
-            
-            // Load weights and biases
-            networkConfig.weights.inputToHidden = modelData.weights.inputToHidden;
-            networkConfig.weights.hiddenToOutput = modelData.weights.hiddenToOutput;
-            networkConfig.biases.hidden = modelData.biases.hidden;
-            networkConfig.biases.output = modelData.biases.output;
-            
-            console.log("Model successfully loaded from: " + filePath);
+            networkConfig.featureSchema = modelData.featureSchema || featureSchema.legacy(modelData.config.inputNodes);
+            networkConfig.layers = buildLayers(modelData.config);
+            networkConfig.loss = modelData.config.loss || 'mse';
+            networkConfig.learningRate = modelData.config.learningRate || networkConfig.learningRate;
+            
+            // Load weights and biases, and their int8 verification if the model has one
+            networkConfig.weights = modelData.weights;
+            networkConfig.biases = modelData.biases;
+            weightsChanged();
+            networkConfig.quantization = modelData.quantization || null;
+            
+            console.log("Model successfully loaded from: " + filePath + " (" + this.describeArchitecture() + ")");
             return true;
         } catch (e) {
             console.error("Error loading model: " + e.message);
@@ -767,39 +1498,55 @@ module.exports = {
      * @return {boolean} Whether the model is valid
      */
     validateModel: function(modelData) {
+        modelData = upgradeLegacyModel(modelData);
+        
         // Check if all required properties exist
-        if (!modelData.config || !modelData.weights || !modelData.biases) {
+        if (!modelData || !modelData.config || !modelData.weights || !modelData.biases) {
             return false;
         }
         
-        // Check config parameters
+        // Check the architecture
         var config = modelData.config;
-        if (!config.inputNodes || !config.hiddenNodes || !config.outputNodes) {
+        var problem = this.validateArchitecture(config.inputNodes, config.layers, config.loss || 'mse');
+        if (problem) {
+            console.error("Invalid model architecture: " + problem);
             return false;
         }
         
-        // Check weights
-        var weights = modelData.weights;
-        if (!weights.inputToHidden || !weights.hiddenToOutput) {
+        // Check that the model's inputs can be encoded
+        problem = featureSchema.validate(modelData.featureSchema || featureSchema.legacy(config.inputNodes), config.inputNodes);
+        if (problem) {
+            console.error("Invalid model features: " + problem);
             return false;
         }
         
-        // Check biases
+        // Check weights and biases
+        var weights = modelData.weights;
         var biases = modelData.biases;
-        if (!biases.hidden || !biases.output) {
+        if (!Array.isArray(weights) || !Array.isArray(biases) ||
+            weights.length !== config.layers.length || biases.length !== config.layers.length) {
             return false;
         }
         
-        // Check dimensions
-        if (weights.inputToHidden.length !== config.hiddenNodes ||
-            weights.inputToHidden[0].length !== config.inputNodes ||
-            weights.hiddenToOutput.length !== config.outputNodes ||
-            weights.hiddenToOutput[0].length !== config.hiddenNodes ||
-            biases.hidden.length !== config.hiddenNodes ||
-            biases.output.length !== config.outputNodes) {
-            return false;
+        // Check dimensions layer by layer
+        var fanIn = config.inputNodes;
+        for (var l = 0; l < config.layers.length; l++) {
+            var units = config.layers[l].units;
+            if (!weights[l] || weights[l].length !== units || !weights[l][0] || weights[l][0].length !== fanIn ||
+                !biases[l] || biases[l].length !== units) {
+                return false;
+            }
+            fanIn = units;
         }
         
         return true;
+    },
+    
+    /**
+     * Checks if the neural network is initialized
+     * @return {boolean} Whether the network is initialized
+     */
+    isInitialized: function() {
+        return networkConfig.initialized;
     }
 };
\ No newline at end of file
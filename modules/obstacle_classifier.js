@@ -0,0 +1,158 @@
+/**
+ * Obstacle Classifier Module for Subway Surfers Bot
+ * Implements Phase 2.2 (Game Element Detection): obstacle type classification
+ *
+ * Features:
+ * - Bounding-box, fill and shape features from an obstacle's matching pixels
+ * - Rule-based classification into low barrier, high barrier, train and ramp
+ * - Color family agreement raises or lowers the classification confidence
+ *
+ * Moving trains look like trains in a single frame; obstacle_tracker.js promotes
+ * them to "moving_train" once their approach speed is known.
+ */
+
+// Obstacle types reported in gameState.obstacles
+var OBSTACLE_TYPES = {
+    LOW_BARRIER: "low_barrier",   // Jump over
+    HIGH_BARRIER: "high_barrier", // Roll under
+    TRAIN: "train",               // Change lane
+    MOVING_TRAIN: "moving_train", // Change lane early
+    RAMP: "ramp",                 // Safe to run up
+    UNKNOWN: "unknown"
+};
+
+module.exports = {
+    TYPES: OBSTACLE_TYPES,
+
+    /**
+     * Extracts shape features from the pixels of one obstacle
+     * @param {Array} points - Matching pixels [{x, y}]
+     * @param {Array} region - Region the points were searched in [x, y, width, height]
+     * @param {number} laneWidth - Lane width in pixels
+     * @param {number} trackHeight - Height of the obstacle detection region in pixels
+     * @return {Object} Features, or null if there are no points
+     */
+    extractFeatures: function(points, region, laneWidth, trackHeight) {
+        if (!points || points.length === 0) {
+            return null;
+        }
+
+        var minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (var i = 0; i < points.length; i++) {
+            minX = Math.min(minX, points[i].x);
+            maxX = Math.max(maxX, points[i].x);
+            minY = Math.min(minY, points[i].y);
+            maxY = Math.max(maxY, points[i].y);
+        }
+
+        var boxWidth = maxX - minX + 1;
+        var boxHeight = maxY - minY + 1;
+        var middleY = minY + boxHeight / 2;
+        var upperPoints = 0;
+
+        for (var j = 0; j < points.length; j++) {
+            if (points[j].y < middleY) upperPoints++;
+        }
+        var lowerPoints = points.length - upperPoints;
+
+        return {
+            bounds: { x: minX, y: minY, width: boxWidth, height: boxHeight },
+            widthRatio: boxWidth / laneWidth,
+            heightRatio: boxHeight / trackHeight,
+            aspectRatio: boxWidth / boxHeight,
+            fill: points.length / (boxWidth * boxHeight),
+            // How much heavier the lower half is than the upper half (ramps are wedges)
+            bottomWeight: upperPoints > 0 ? lowerPoints / upperPoints : lowerPoints,
+            // Empty space between the obstacle and the bottom of its region (gap under high barriers)
+            groundGap: (region[1] + region[3] - 1 - maxY) / trackHeight
+        };
+    },
+
+    /**
+     * Classifies an obstacle from its features and color
+     * @param {Object} features - Features from extractFeatures
+     * @param {string} colorHex - Obstacle color that matched
+     * @param {Object} config - Configuration settings
+     * @return {Object} {type, confidence}
+     */
+    classify: function(features, colorHex, config) {
+        if (!features) {
+            return { type: OBSTACLE_TYPES.UNKNOWN, confidence: 0 };
+        }
+
+        var settings = config.vision.obstacleClassifier;
+        var type = OBSTACLE_TYPES.UNKNOWN;
+        var confidence = 0.4;
+
+        if (features.heightRatio >= settings.trainMinHeight && features.widthRatio >= settings.trainMinWidth) {
+            // Large blocks: ramps rise towards the player, trains are roughly rectangular
+            if (features.bottomWeight >= settings.rampBottomWeight) {
+                type = OBSTACLE_TYPES.RAMP;
+            } else {
+                type = OBSTACLE_TYPES.TRAIN;
+            }
+            confidence = 0.6;
+        } else if (features.widthRatio >= settings.barrierMinWidth && features.aspectRatio >= 1) {
+            // Wide, short obstacles: raised bars have legs and a gap beneath them
+            if (features.groundGap >= settings.highBarrierMinGap || features.fill < settings.highBarrierMaxFill) {
+                type = OBSTACLE_TYPES.HIGH_BARRIER;
+            } else {
+                type = OBSTACLE_TYPES.LOW_BARRIER;
+            }
+            confidence = 0.6;
+        }
+
+        // Barriers are painted in barrier colors, trains and ramps are not
+        var family = this.getColorFamily(colorHex, config);
+        if (type !== OBSTACLE_TYPES.UNKNOWN && family !== null) {
+            var isBarrier = type === OBSTACLE_TYPES.LOW_BARRIER || type === OBSTACLE_TYPES.HIGH_BARRIER;
+            confidence += (isBarrier === (family === "barrier")) ? 0.2 : -0.2;
+        }
+
+        return { type: type, confidence: Math.max(0, Math.min(1, confidence)) };
+    },
+
+    /**
+     * Gets the color family of an obstacle color
+     * @param {string} colorHex - Obstacle color
+     * @param {Object} config - Configuration settings
+     * @return {string} "barrier", "vehicle" or null if the color is in neither list
+     */
+    getColorFamily: function(colorHex, config) {
+        var settings = config.vision.obstacleClassifier;
+        if (settings.barrierColors.indexOf(colorHex) !== -1) {
+            return "barrier";
+        }
+        if (settings.vehicleColors.indexOf(colorHex) !== -1) {
+            return "vehicle";
+        }
+        return null;
+    },
+
+    /**
+     * Checks whether an obstacle type can be jumped over
+     * @param {string} type - Obstacle type
+     * @return {boolean} True if jumpable
+     */
+    isJumpable: function(type) {
+        return type === OBSTACLE_TYPES.LOW_BARRIER;
+    },
+
+    /**
+     * Checks whether an obstacle type can be rolled under
+     * @param {string} type - Obstacle type
+     * @return {boolean} True if rollable
+     */
+    isRollable: function(type) {
+        return type === OBSTACLE_TYPES.HIGH_BARRIER;
+    },
+
+    /**
+     * Checks whether an obstacle type blocks its lane
+     * @param {string} type - Obstacle type (unknown types are treated as blocking)
+     * @return {boolean} True if the player must react to it
+     */
+    isBlocking: function(type) {
+        return type !== OBSTACLE_TYPES.RAMP;
+    }
+};
@@ -0,0 +1,262 @@
+/**
+ * Obstacle Tracker Module for Subway Surfers Bot
+ * Implements Phase 2.2 (Game Element Detection): obstacle tracking across frames
+ *
+ * Features:
+ * - Associates per-frame obstacle detections with tracks in the same lane
+ * - Estimates each obstacle's approach speed from its movement down the screen
+ * - Time-to-collision in milliseconds per track and per lane
+ * - Promotes trains that approach faster than the scenery to moving trains
+ *
+ * Positions are normalized to screen height (0 = top, 1 = bottom). An obstacle
+ * reaches the player when it crosses config.obstacleTracker.collisionLine.
+ */
+
+var obstacleClassifier = require('./obstacle_classifier.js');
+
+// Lane names used in game states
+var LANES = ["left", "center", "right"];
+
+// Tracker state
+var trackerState = {
+    tracks: [],
+    nextId: 1,
+    lastUpdate: 0
+};
+
+/**
+ * Gets the normalized vertical position of a detection
+ * @param {Object} obstacle - Detected obstacle {lane, distance, y}
+ * @param {number} screenHeight - Screen height in pixels
+ * @return {number} Position from 0 (top) to 1 (bottom)
+ */
+function getNormalizedY(obstacle, screenHeight) {
+    if (typeof obstacle.y === 'number' && screenHeight > 0) {
+        return obstacle.y / screenHeight;
+    }
+
+    // Detections without a position only carry their distance band
+    return obstacle.distance === "near" ? 0.65 : (obstacle.distance === "medium" ? 0.55 : 0.45);
+}
+
+module.exports = {
+    /**
+     * Clears all tracks (e.g. after a death or restart)
+     */
+    reset: function() {
+        trackerState.tracks = [];
+        trackerState.lastUpdate = 0;
+    },
+
+    /**
+     * Updates tracks with the obstacles of a new frame
+     * @param {Array} obstacles - Detected obstacles [{lane, distance, y}]
+     * @param {number} screenHeight - Screen height in pixels
+     * @param {number} timestamp - Frame time in ms
+     * @param {Object} config - Configuration settings
+     * @return {Array} Current tracks
+     */
+    update: function(obstacles, screenHeight, timestamp, config) {
+        var settings = config.obstacleTracker;
+        var dt = timestamp - trackerState.lastUpdate;
+
+        // Tracks are meaningless across long pauses (menus, ads, lag spikes)
+        if (trackerState.lastUpdate === 0 || dt > settings.maxFrameGap) {
+            trackerState.tracks = [];
+            dt = 0;
+        }
+        trackerState.lastUpdate = timestamp;
+
+        var detections = (obstacles || []).map(function(obstacle, index) {
+            return {
+                index: index,
+                lane: obstacle.lane,
+                y: getNormalizedY(obstacle, screenHeight),
+                type: obstacle.type || obstacleClassifier.TYPES.UNKNOWN,
+                matched: false
+            };
+        });
+
+        // Match tracks to the closest detection near their predicted position
+        trackerState.tracks.forEach(function(track) {
+            var predictedY = track.y + this.getSpeed(track, config) * dt;
+            var best = null;
+            var bestDistance = settings.associationGate;
+
+            for (var i = 0; i < detections.length; i++) {
+                var detection = detections[i];
+                // Obstacles only approach, so ignore detections clearly behind the track
+                if (detection.matched || detection.lane !== track.lane || detection.y < track.y - settings.associationGate / 2) {
+                    continue;
+                }
+
+                var distance = Math.abs(detection.y - predictedY);
+                if (distance <= bestDistance) {
+                    best = detection;
+                    bestDistance = distance;
+                }
+            }
+
+            if (best) {
+                best.matched = true;
+                if (dt > 0) {
+                    var measuredSpeed = Math.max(0, (best.y - track.y) / dt);
+                    track.speed = track.speed === null ? measuredSpeed :
+                                  settings.smoothing * measuredSpeed + (1 - settings.smoothing) * track.speed;
+                }
+                track.y = best.y;
+                track.type = this.getTrackType(best.type, track, config);
+                track.detectionIndex = best.index;
+                track.hits++;
+                track.misses = 0;
+                track.lastSeen = timestamp;
+            } else {
+                // Coast on the prediction until the track is confirmed lost
+                track.y = predictedY;
+                track.detectionIndex = -1;
+                track.misses++;
+            }
+        }, this);
+
+        // Drop lost tracks and tracks that have passed the player
+        trackerState.tracks = trackerState.tracks.filter(function(track) {
+            return track.misses <= settings.maxMisses && track.y <= settings.collisionLine + settings.associationGate;
+        });
+
+        // Start tracks for new detections
+        detections.forEach(function(detection) {
+            if (!detection.matched) {
+                trackerState.tracks.push({
+                    id: trackerState.nextId++,
+                    lane: detection.lane,
+                    y: detection.y,
+                    type: detection.type,
+                    detectionIndex: detection.index,
+                    speed: null,
+                    hits: 1,
+                    misses: 0,
+                    firstSeen: timestamp,
+                    lastSeen: timestamp
+                });
+            }
+        });
+
+        return trackerState.tracks;
+    },
+
+    /**
+     * Gets the type of a track from its latest detection
+     * A train that approaches faster than the moving-train speed is a moving train
+     * @param {string} detectedType - Type reported by the classifier
+     * @param {Object} track - Obstacle track
+     * @param {Object} config - Configuration settings
+     * @return {string} Obstacle type
+     */
+    getTrackType: function(detectedType, track, config) {
+        var isTrain = detectedType === obstacleClassifier.TYPES.TRAIN || detectedType === obstacleClassifier.TYPES.MOVING_TRAIN;
+        if (isTrain && track.speed !== null && track.speed * 1000 >= config.obstacleTracker.movingTrainSpeed) {
+            return obstacleClassifier.TYPES.MOVING_TRAIN;
+        }
+        return detectedType;
+    },
+
+    /**
+     * Gets the approach speed of a track, falling back to the configured default
+     * until it has been measured
+     * @param {Object} track - Obstacle track
+     * @param {Object} config - Configuration settings
+     * @return {number} Speed in screen heights per ms
+     */
+    getSpeed: function(track, config) {
+        if (track.speed !== null && track.speed > 0) {
+            return track.speed;
+        }
+        return config.obstacleTracker.defaultApproachSpeed / 1000;
+    },
+
+    /**
+     * Estimates the time until a track reaches the player
+     * @param {Object} track - Obstacle track
+     * @param {Object} config - Configuration settings
+     * @return {number} Time to collision in ms (0 if it is already at the player)
+     */
+    getTimeToCollision: function(track, config) {
+        var remaining = config.obstacleTracker.collisionLine - track.y;
+        if (remaining <= 0) {
+            return 0;
+        }
+        return Math.round(remaining / this.getSpeed(track, config));
+    },
+
+    /**
+     * Gets the earliest time to collision with a blocking obstacle in each lane
+     * @param {Object} config - Configuration settings
+     * @return {Object} {left, center, right} in ms, null for lanes without tracked obstacles
+     */
+    getLaneTimeToCollision: function(config) {
+        var result = { left: null, center: null, right: null };
+
+        trackerState.tracks.forEach(function(track) {
+            if (LANES.indexOf(track.lane) === -1 || !obstacleClassifier.isBlocking(track.type)) {
+                return;
+            }
+            var ttc = this.getTimeToCollision(track, config);
+            if (result[track.lane] === null || ttc < result[track.lane]) {
+                result[track.lane] = ttc;
+            }
+        }, this);
+
+        return result;
+    },
+
+    /**
+     * Tracks the obstacles of a game state and adds the tracking results to it
+     * Adds gameState.trackedObstacles and gameState.timeToCollision, and trackId/type to each obstacle
+     * @param {Object} gameState - Game state with obstacles
+     * @param {number} screenHeight - Screen height in pixels
+     * @param {Object} config - Configuration settings
+     * @return {Object} The annotated game state
+     */
+    track: function(gameState, screenHeight, config) {
+        if (!config.obstacleTracker || !config.obstacleTracker.enabled) {
+            return gameState;
+        }
+
+        var tracks = this.update(gameState.obstacles, screenHeight, gameState.timestamp || Date.now(), config);
+
+        // Pass track identities and refined types back to the detections
+        tracks.forEach(function(track) {
+            if (track.detectionIndex >= 0 && gameState.obstacles[track.detectionIndex]) {
+                gameState.obstacles[track.detectionIndex].trackId = track.id;
+                gameState.obstacles[track.detectionIndex].type = track.type;
+            }
+        });
+
+        gameState.trackedObstacles = tracks.map(function(track) {
+            return {
+                id: track.id,
+                lane: track.lane,
+                type: track.type,
+                y: track.y,
+                speed: track.speed === null ? null : track.speed * 1000, // screen heights per second
+                timeToCollision: this.getTimeToCollision(track, config),
+                hits: track.hits
+            };
+        }, this);
+        gameState.timeToCollision = this.getLaneTimeToCollision(config);
+
+        return gameState;
+    },
+
+    /**
+     * Checks whether a lane's obstacle will arrive within a time window
+     * @param {Object} timeToCollision - Per-lane times from getLaneTimeToCollision
+     * @param {string} lane - Lane name
+     * @param {number} window - Time window in ms
+     * @return {boolean} True if an obstacle arrives within the window
+     */
+    isThreat: function(timeToCollision, lane, window) {
+        return timeToCollision[lane] !== null && timeToCollision[lane] !== undefined &&
+               timeToCollision[lane] <= window;
+    }
+};
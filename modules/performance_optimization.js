@@ -13,6 +13,7 @@
 var utils = require('./utils.js');
 var cpuOptimizer = require('./cpu_optimizer.js');
 var memoryOptimizer = require('./memory_optimizer.js');
+var deviceProfiles = require('./device_profiles.js');
 
 // Import timing optimization library
 var TimingOptimizer;
@@ -122,52 +123,40 @@ module.exports = {
      * @param {Object} config - Configuration settings
      */
     updateRegionsOfInterest: function(width, height, config) {
-        // Calculate ROIs based on screen dimensions and config settings
+        // Calculate ROIs as fractions of the content area of the device profile
         var visionConfig = config.vision;
         
         // Obstacles ROI - middle portion of the screen where obstacles appear
-        regionOfInterest.obstacles = {
-            x: Math.floor(width * 0.1),
-            y: Math.floor(height * visionConfig.regions.obstacles.topPercent),
-            width: Math.floor(width * 0.8),
-            height: Math.floor(height * visionConfig.regions.obstacles.heightPercent)
-        };
+        regionOfInterest.obstacles = this.toRegionObject(deviceProfiles.mapFractionRegion(
+            0.1, visionConfig.regions.obstacles.topPercent, 0.8, visionConfig.regions.obstacles.heightPercent, width, height));
         
         // Player ROI - bottom portion where player character is visible
-        regionOfInterest.player = {
-            x: Math.floor(width * 0.3),
-            y: Math.floor(height * visionConfig.regions.player.topPercent),
-            width: Math.floor(width * 0.4),
-            height: Math.floor(height * visionConfig.regions.player.heightPercent)
-        };
+        regionOfInterest.player = this.toRegionObject(deviceProfiles.mapFractionRegion(
+            0.3, visionConfig.regions.player.topPercent, 0.4, visionConfig.regions.player.heightPercent, width, height));
         
         // Coins ROI - middle-top portion where coins appear
-        regionOfInterest.coins = {
-            x: Math.floor(width * 0.2),
-            y: Math.floor(height * visionConfig.regions.coins.topPercent),
-            width: Math.floor(width * 0.6),
-            height: Math.floor(height * visionConfig.regions.coins.heightPercent)
-        };
+        regionOfInterest.coins = this.toRegionObject(deviceProfiles.mapFractionRegion(
+            0.2, visionConfig.regions.coins.topPercent, 0.6, visionConfig.regions.coins.heightPercent, width, height));
         
         // Powerups ROI - similar to coins but slightly larger
-        regionOfInterest.powerups = {
-            x: Math.floor(width * 0.15),
-            y: Math.floor(height * visionConfig.regions.powerups.topPercent),
-            width: Math.floor(width * 0.7),
-            height: Math.floor(height * visionConfig.regions.powerups.heightPercent)
-        };
+        regionOfInterest.powerups = this.toRegionObject(deviceProfiles.mapFractionRegion(
+            0.15, visionConfig.regions.powerups.topPercent, 0.7, visionConfig.regions.powerups.heightPercent, width, height));
         
         // UI ROI - top portion of screen for score, coins count, etc.
-        regionOfInterest.ui = {
-            x: 0,
-            y: 0,
-            width: width,
-            height: Math.floor(height * 0.15)
-        };
+        regionOfInterest.ui = this.toRegionObject(deviceProfiles.mapFractionRegion(0, 0, 1, 0.15, width, height));
         
         console.log("Updated regions of interest for screen dimensions: " + width + "x" + height);
     },
     
+    /**
+     * Converts a region array to a region object
+     * @param {Array} region - Region [x, y, width, height]
+     * @return {Object} Region {x, y, width, height}
+     */
+    toRegionObject: function(region) {
+        return { x: region[0], y: region[1], width: region[2], height: region[3] };
+    },
+    
     /**
      * Determines if the current frame should be processed or skipped
      * @param {Object} config - Configuration settings
@@ -0,0 +1,392 @@
+/**
+ * Policy Arena Module for Subway Surfers Bot
+ * Implements Phase 5 (AI Decision Making): A/B comparison of decision policies and models
+ *
+ * Features:
+ * - Alternates runs between two or more contestants (a policy, optionally with a model file)
+ * - Records score, coins, duration and death cause per run through
+ *   statistics_dashboard.recordGameStats, labelled with the contestant and arena id
+ * - Compares contestants with mean, standard deviation and t confidence intervals per metric,
+ *   and a Welch confidence interval for the difference to the first contestant (the baseline)
+ *
+ * Contestants are configured in config.arena.contestants, e.g.
+ * [{name: "rules", policy: "rules"}, {name: "nn_v2", policy: "neural", modelPath: ".../model_v2.json"}]
+ * modelPath is a model file or a model registry id; contestants without one run the production model
+ */
+
+// Import required modules
+var statisticsDashboard = require('./statistics_dashboard.js');
+var policyRegistry = require('./policy_registry.js');
+var modelRegistry = require('./model_registry.js');
+var files = require('./utils/files.js');
+
+// Metrics compared between contestants
+var METRICS = ["score", "coins", "duration"];
+
+// Two-sided standard normal quantiles by confidence level
+var Z_VALUES = {
+    "0.8": 1.2816,
+    "0.9": 1.6449,
+    "0.95": 1.9600,
+    "0.99": 2.5758
+};
+
+// Arena state
+var arenaState = {
+    active: false,
+    id: null,
+    contestants: [],
+    runsPerContestant: 0,
+    runIndex: 0,
+    startedAt: 0
+};
+
+/**
+ * Gets the critical value of Student's t distribution
+ * Cornish-Fisher expansion around the normal quantile, accurate to about 1% from 3 degrees of freedom
+ * @param {number} df - Degrees of freedom
+ * @param {number} level - Confidence level (0.8, 0.9, 0.95 or 0.99)
+ * @return {number} Two-sided critical value
+ */
+function tCritical(df, level) {
+    var z = Z_VALUES[String(level)] || Z_VALUES["0.95"];
+    if (!isFinite(df)) {
+        return z;
+    }
+
+    var z3 = z * z * z;
+    var z5 = z3 * z * z;
+    return z + (z3 + z) / (4 * df) + (5 * z5 + 16 * z3 + 3 * z) / (96 * df * df);
+}
+
+/**
+ * Summarizes the values of a metric
+ * @param {Array} values - Metric values
+ * @param {number} level - Confidence level
+ * @return {Object} {n, mean, stdDev, ciLow, ciHigh}
+ */
+function summarize(values, level) {
+    var n = values.length;
+    if (n === 0) {
+        return { n: 0, mean: 0, stdDev: 0, ciLow: 0, ciHigh: 0 };
+    }
+
+    var mean = values.reduce(function(sum, value) { return sum + value; }, 0) / n;
+    var variance = n > 1 ? values.reduce(function(sum, value) {
+        return sum + (value - mean) * (value - mean);
+    }, 0) / (n - 1) : 0;
+    var stdDev = Math.sqrt(variance);
+    var margin = n > 1 ? tCritical(n - 1, level) * stdDev / Math.sqrt(n) : 0;
+
+    return {
+        n: n,
+        mean: mean,
+        stdDev: stdDev,
+        ciLow: mean - margin,
+        ciHigh: mean + margin
+    };
+}
+
+/**
+ * Compares a metric summary against the baseline summary (Welch's t interval)
+ * @param {Object} summary - Contestant summary
+ * @param {Object} baseline - Baseline summary
+ * @param {number} level - Confidence level
+ * @return {Object} {difference, ciLow, ciHigh, significant}, significant when the interval excludes 0
+ */
+function compareToBaseline(summary, baseline, level) {
+    var difference = summary.mean - baseline.mean;
+    if (summary.n < 2 || baseline.n < 2) {
+        return { difference: difference, ciLow: -Infinity, ciHigh: Infinity, significant: false };
+    }
+
+    var a = summary.stdDev * summary.stdDev / summary.n;
+    var b = baseline.stdDev * baseline.stdDev / baseline.n;
+    var standardError = Math.sqrt(a + b);
+    if (standardError === 0) {
+        return { difference: difference, ciLow: difference, ciHigh: difference, significant: difference !== 0 };
+    }
+
+    // Welch-Satterthwaite degrees of freedom
+    var df = (a + b) * (a + b) / (a * a / (summary.n - 1) + b * b / (baseline.n - 1));
+    var margin = tCritical(df, level) * standardError;
+
+    return {
+        difference: difference,
+        ciLow: difference - margin,
+        ciHigh: difference + margin,
+        significant: difference - margin > 0 || difference + margin < 0
+    };
+}
+
+module.exports = {
+    METRICS: METRICS,
+    summarize: summarize,
+    compareToBaseline: compareToBaseline,
+
+    /**
+     * Starts an arena with the configured contestants
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the arena started
+     */
+    start: function(config) {
+        var settings = config.arena;
+        var contestants = (settings.contestants || []).filter(function(contestant) {
+            if (!policyRegistry.get(contestant.policy)) {
+                console.error("Arena contestant " + contestant.name + " uses unknown policy " + contestant.policy);
+                return false;
+            }
+            return true;
+        });
+
+        if (contestants.length < 2) {
+            console.error("The arena needs at least two contestants");
+            return false;
+        }
+
+        arenaState = {
+            active: true,
+            id: "arena_" + Date.now(),
+            contestants: contestants,
+            runsPerContestant: settings.runsPerContestant,
+            runIndex: 0,
+            startedAt: Date.now()
+        };
+
+        console.log("Started " + arenaState.id + ": " + contestants.map(function(contestant) {
+            return contestant.name;
+        }).join(" vs ") + ", " + settings.runsPerContestant + " runs each");
+
+        return this.activateContestant(this.getCurrentContestant(), config);
+    },
+
+    /**
+     * Checks whether an arena is running
+     * @return {boolean} True while runs are being alternated
+     */
+    isActive: function() {
+        return arenaState.active;
+    },
+
+    /**
+     * Gets the contestant playing the current run
+     * Runs alternate between contestants in configuration order (A, B, A, B, ...)
+     * @return {Object} Contestant, or null if no arena is running
+     */
+    getCurrentContestant: function() {
+        if (!arenaState.active) {
+            return null;
+        }
+        return arenaState.contestants[arenaState.runIndex % arenaState.contestants.length];
+    },
+
+    /**
+     * Switches the bot to a contestant's policy and model
+     * @param {Object} contestant - Contestant {name, policy, modelPath}
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    activateContestant: function(contestant, config) {
+        // Contestants can share a policy (e.g. two neural models), so initialize it on every switch
+        if (!policyRegistry.setActive(contestant.policy, config, true)) {
+            return false;
+        }
+
+        // Load the model after the policy, whose init may load the production model
+        if (contestant.modelPath) {
+            if (!modelRegistry.load(contestant.modelPath)) {
+                console.error("Arena contestant " + contestant.name + " could not load " + contestant.modelPath);
+                return false;
+            }
+        } else {
+            modelRegistry.loadProduction(config);
+        }
+
+        console.log("Arena run " + (arenaState.runIndex + 1) + ": " + contestant.name);
+        return true;
+    },
+
+    /**
+     * Guesses what ended a run from the last gameplay state
+     * @param {Object} gameState - Last gameplay state before the game over screen
+     * @return {string} Type of the closest obstacle in the player's lane, or "unknown"
+     */
+    inferDeathCause: function(gameState) {
+        if (!gameState) {
+            return "unknown";
+        }
+
+        var lane = gameState.playerPosition;
+        var closest = null;
+
+        (gameState.trackedObstacles || []).forEach(function(track) {
+            if (track.lane === lane && (!closest || track.timeToCollision < closest.timeToCollision)) {
+                closest = track;
+            }
+        });
+        if (closest) {
+            return closest.type || "unknown";
+        }
+
+        var near = (gameState.obstacles || []).filter(function(obstacle) {
+            return obstacle.lane === lane && obstacle.distance === "near";
+        });
+        return near.length > 0 && near[0].type ? near[0].type : "unknown";
+    },
+
+    /**
+     * Records the result of the current run and moves on to the next contestant
+     * @param {Object} runStats - {score, coins, duration (seconds), deathCause}
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the arena has more runs to play
+     */
+    recordRun: function(runStats, config) {
+        var contestant = this.getCurrentContestant();
+        if (!contestant) {
+            return false;
+        }
+
+        statisticsDashboard.recordGameStats({
+            score: runStats.score,
+            coins: runStats.coins,
+            duration: runStats.duration,
+            deathCause: runStats.deathCause,
+            policy: contestant.name,
+            arenaId: arenaState.id
+        });
+
+        arenaState.runIndex++;
+        if (arenaState.runIndex >= arenaState.runsPerContestant * arenaState.contestants.length) {
+            this.finish(config);
+            return false;
+        }
+
+        return this.activateContestant(this.getCurrentContestant(), config);
+    },
+
+    /**
+     * Compares the contestants of an arena
+     * @param {Object} config - Configuration settings
+     * @param {string} arenaId - Arena to compare (defaults to the current or last arena)
+     * @return {Object} {arenaId, confidenceLevel, baseline, contestants: [{name, runs, metrics, vsBaseline, deathCauses}]}
+     */
+    compare: function(config, arenaId) {
+        var id = arenaId || arenaState.id;
+        var level = config.arena.confidenceLevel;
+        var runs = statisticsDashboard.getGameHistory(function(game) {
+            return game.arenaId === id;
+        });
+
+        var results = arenaState.contestants.map(function(contestant) {
+            var contestantRuns = runs.filter(function(game) {
+                return game.policy === contestant.name;
+            });
+
+            var metrics = {};
+            METRICS.forEach(function(metric) {
+                metrics[metric] = summarize(contestantRuns.map(function(game) {
+                    return game[metric] || 0;
+                }), level);
+            });
+
+            var deathCauses = {};
+            contestantRuns.forEach(function(game) {
+                var cause = game.deathCause || "unknown";
+                deathCauses[cause] = (deathCauses[cause] || 0) + 1;
+            });
+
+            return {
+                name: contestant.name,
+                runs: contestantRuns.length,
+                metrics: metrics,
+                deathCauses: deathCauses
+            };
+        });
+
+        var baseline = results[0];
+        results.forEach(function(result, index) {
+            if (index === 0) return;
+            result.vsBaseline = {};
+            METRICS.forEach(function(metric) {
+                result.vsBaseline[metric] = compareToBaseline(result.metrics[metric], baseline.metrics[metric], level);
+            });
+        });
+
+        return {
+            arenaId: id,
+            confidenceLevel: level,
+            baseline: baseline ? baseline.name : null,
+            contestants: results
+        };
+    },
+
+    /**
+     * Formats a comparison as readable lines
+     * @param {Object} comparison - Result of compare()
+     * @return {Array} Report lines
+     */
+    formatReport: function(comparison) {
+        var percent = Math.round(comparison.confidenceLevel * 100) + "%";
+        var lines = [comparison.arenaId + " (" + percent + " confidence intervals, baseline " + comparison.baseline + ")"];
+
+        comparison.contestants.forEach(function(result) {
+            lines.push(result.name + " - " + result.runs + " runs");
+
+            METRICS.forEach(function(metric) {
+                var summary = result.metrics[metric];
+                var line = "  " + metric + ": " + summary.mean.toFixed(1) +
+                           " [" + summary.ciLow.toFixed(1) + ", " + summary.ciHigh.toFixed(1) + "]";
+
+                if (result.vsBaseline) {
+                    var diff = result.vsBaseline[metric];
+                    line += ", vs baseline " + (diff.difference >= 0 ? "+" : "") + diff.difference.toFixed(1) +
+                            " [" + diff.ciLow.toFixed(1) + ", " + diff.ciHigh.toFixed(1) + "]" +
+                            (diff.significant ? " *" : "");
+                }
+                lines.push(line);
+            });
+
+            var causes = [];
+            for (var cause in result.deathCauses) {
+                causes.push(cause + " " + result.deathCauses[cause]);
+            }
+            lines.push("  deaths: " + (causes.join(", ") || "none"));
+        });
+
+        return lines;
+    },
+
+    /**
+     * Ends the arena, saves the comparison and returns to the configured policy
+     * @param {Object} config - Configuration settings
+     * @return {Object} Final comparison
+     */
+    finish: function(config) {
+        var comparison = this.compare(config);
+        arenaState.active = false;
+
+        this.formatReport(comparison).forEach(function(line) {
+            console.log(line);
+        });
+
+        if (files.isAvailable()) {
+            try {
+                var path = config.arena.resultsPath + comparison.arenaId + ".json";
+                files.createWithDirs(path);
+                files.write(path, JSON.stringify(comparison, null, 2));
+                console.log("Arena results saved to " + path);
+            } catch (e) {
+                console.error("Failed to save arena results: " + e.message);
+            }
+        }
+
+        // Persist the arena's runs with the rest of the game history
+        statisticsDashboard.saveStatistics();
+
+        // Back to the configured policy and the production model
+        policyRegistry.setActive(null, config, true);
+        modelRegistry.loadProduction(config);
+
+        return comparison;
+    }
+};
@@ -0,0 +1,560 @@
+/**
+ * Policy Registry Module for Subway Surfers Bot
+ * Implements Phase 5 (AI Decision Making) as pluggable decision policies
+ *
+ * Features:
+ * - One contract for every decider (rules, lookahead planner, neural network, hybrid network with rule
+ *   fallback, reinforcement learning, scripted)
+ * - Lifecycle hooks for initialization, deaths and episode ends
+ * - Named policy registry; the active policy is picked by config.policies.active
+ *   or switched at runtime (e.g. from the control panel)
+ * - Decisions normalized to {action, reason, confidence} whatever the policy returns
+ * - Any policy's decision is overridden by an emergency hoverboard when no action survives
+ *
+ * A policy definition looks like:
+ * {
+ *     name: "rules",                              // Unique name, the value of config.policies.active
+ *     description: "Rule-based decision system",  // Shown when picking a policy
+ *     init: function(config) { return true; },    // Optional, called when the policy becomes active
+ *     decide: function(gameState, config) { ... }, // Returns {action, reason, confidence}, an action string or null
+ *     onDeath: function(gameState, config) { ... },   // Optional, last gameplay state before game over
+ *     onEpisodeEnd: function(stats, config) { ... }   // Optional, stats {reason, runTime, state}
+ * }
+ */
+
+// Import required modules
+var basicDecision = require('./basic_decision.js');
+var lookaheadPlanner = require('./lookahead_planner.js');
+var emergencyHoverboard = require('./emergency_hoverboard.js');
+var missionObjectives = require('./mission_objectives.js');
+var neuralNetwork = require('./neural_network.js');
+var modelRegistry = require('./model_registry.js');
+var hybridController = require('./hybrid_controller.js');
+var reinforcementLearning = require('./reinforcement_learning.js');
+var gameActions = require('./utils/actions.js');
+
+// Actions a decision may carry
+var VALID_ACTIONS = ["left", "right", "jump", "roll", "hoverboard", "none"];
+
+// Registered policies in registration order
+var registeredPolicies = [];
+
+// Registry state
+var registryState = {
+    activeName: null,  // Name of the initialized active policy
+    override: null,    // Policy picked at runtime, takes precedence over config
+    decisions: 0,
+    lastDecision: null
+};
+
+// Scripted policy state
+var scriptState = {
+    step: 0,
+    lastStepTime: 0
+};
+
+/**
+ * Turns a policy result into a decision object
+ * @param {*} result - Result of policy.decide (object, action string or null)
+ * @param {string} policyName - Name of the deciding policy
+ * @return {Object} Decision {action, reason, confidence, policy}, plus the plan and scored
+ *                  candidates [{action, score}] when the policy reports them
+ */
+function normalizeDecision(result, policyName) {
+    var decision = {
+        action: "none",
+        reason: "No action",
+        confidence: 1,
+        policy: policyName
+    };
+
+    if (typeof result === 'string') {
+        decision.action = result;
+        decision.reason = policyName;
+    } else if (result && typeof result === 'object') {
+        decision.action = result.action || "none";
+        decision.reason = result.reason || policyName;
+        if (typeof result.confidence === 'number') {
+            decision.confidence = result.confidence;
+        }
+        if (result.plan) {
+            decision.plan = result.plan;
+        }
+        if (result.candidates) {
+            decision.candidates = result.candidates.map(function(candidate) {
+                var copy = {};
+                for (var key in candidate) {
+                    copy[key] = candidate[key];
+                }
+                copy.action = gameActions.normalize(candidate.action);
+                return copy;
+            });
+        }
+    }
+
+    decision.action = gameActions.normalize(decision.action);
+
+    if (VALID_ACTIONS.indexOf(decision.action) === -1) {
+        console.error("Policy " + policyName + " returned unknown action: " + decision.action);
+        decision.action = "none";
+        decision.reason = "Unknown action";
+    }
+
+    return decision;
+}
+
+/**
+ * Turns a prediction's confidences into scored candidates
+ * @param {Object} allConfidences - Confidence by action
+ * @return {Array} Candidates [{action, score}]
+ */
+function toCandidates(allConfidences) {
+    var candidates = [];
+    for (var action in allConfidences) {
+        candidates.push({ action: action, score: allConfidences[action] });
+    }
+    return candidates;
+}
+
+/**
+ * Logs the inference times of the network's last run and starts counting anew
+ * @return {Object} Inference stats of the run (neural_network.getInferenceStats)
+ */
+function logInferenceStats() {
+    var inference = neuralNetwork.getInferenceStats();
+    console.log("Inference (" + inference.path + "): mean " + inference.meanMs.toFixed(2) + " ms, p95 " +
+                inference.p95Ms.toFixed(2) + " ms, max " + inference.maxMs.toFixed(2) + " ms over " + inference.calls + " predictions");
+    neuralNetwork.resetInferenceStats();
+    return inference;
+}
+
+/**
+ * Gets the policy settings from config
+ * @param {Object} config - Configuration settings
+ * @return {Object} config.policies (empty object if not configured)
+ */
+function getSettings(config) {
+    return (config && config.policies) || {};
+}
+
+// Built-in policies
+var BUILT_IN_POLICIES = [
+    {
+        name: "rules",
+        description: "Rule-based decision system",
+        init: function(config) {
+            return basicDecision.initialize(config);
+        },
+        decide: function(gameState, config) {
+            return basicDecision.makeDecision(gameState, config);
+        },
+        onEpisodeEnd: function(stats, config) {
+            basicDecision.resetDecisionState();
+        }
+    },
+    {
+        name: "planner",
+        description: "Lookahead search over lane, jump and roll sequences",
+        decide: function(gameState, config) {
+            if (gameState.screenType !== "gameplay") {
+                return null;
+            }
+            return lookaheadPlanner.plan(gameState, config);
+        }
+    },
+    {
+        name: "neural",
+        description: "Neural network trained on recorded play",
+        init: function(config) {
+            if (!neuralNetwork.isInitialized()) {
+                neuralNetwork.initialize(config);
+            }
+            // Auto-play always runs the production model
+            modelRegistry.loadProduction(config);
+            return neuralNetwork.isInitialized();
+        },
+        decide: function(gameState, config) {
+            if (gameState.screenType !== "gameplay") {
+                return null;
+            }
+
+            var prediction = neuralNetwork.predict(gameState);
+            var candidates = toCandidates(prediction.allConfidences);
+
+            var minConfidence = getSettings(config).neural ? getSettings(config).neural.minConfidence : 0;
+            if (prediction.confidence < minConfidence) {
+                return {
+                    action: "none",
+                    reason: "Prediction below confidence threshold",
+                    confidence: prediction.confidence,
+                    candidates: candidates
+                };
+            }
+
+            return {
+                action: prediction.action,
+                reason: "Neural network prediction",
+                confidence: prediction.confidence,
+                candidates: candidates
+            };
+        },
+        onEpisodeEnd: function(stats, config) {
+            var inference = logInferenceStats();
+
+            // Live stats of the loaded model; partial runs cut short by an exit are not counted
+            if (stats.reason !== "exit") {
+                modelRegistry.recordRun({
+                    score: stats.state && typeof stats.state.score === "number" ? stats.state.score : 0,
+                    coins: stats.state && typeof stats.state.coins === "number" ? stats.state.coins : 0,
+                    duration: Math.round(stats.runTime / 1000),
+                    inference: inference
+                }, config);
+            }
+        }
+    },
+    {
+        name: "hybrid",
+        description: "Neural network when confident, rules otherwise",
+        init: function(config) {
+            if (!neuralNetwork.isInitialized()) {
+                neuralNetwork.initialize(config);
+            }
+            modelRegistry.loadProduction(config);
+            return neuralNetwork.isInitialized() && basicDecision.initialize(config) && hybridController.initialize(config);
+        },
+        decide: function(gameState, config) {
+            if (gameState.screenType !== "gameplay") {
+                return null;
+            }
+
+            var assessment = hybridController.assess(gameState);
+            var uncertainty = hybridController.gate(assessment, config);
+            if (!uncertainty) {
+                hybridController.recordNeural();
+                return {
+                    action: assessment.action,
+                    reason: assessment.members > 1 ? "Neural network ensemble prediction" : "Neural network prediction",
+                    confidence: assessment.confidence,
+                    candidates: toCandidates(assessment.allConfidences)
+                };
+            }
+
+            var rules = normalizeDecision(basicDecision.makeDecision(gameState, config), "rules");
+            hybridController.recordFallback(gameState, assessment, uncertainty, rules, config);
+            return {
+                action: rules.action,
+                reason: rules.reason + " (rules, network " + uncertainty.replace("_", " ") + ")",
+                confidence: rules.confidence,
+                candidates: rules.candidates
+            };
+        },
+        onEpisodeEnd: function(stats, config) {
+            // Runs are not added to the model's live stats, since the rules played part of them
+            logInferenceStats();
+            hybridController.endRun(config);
+            basicDecision.resetDecisionState();
+        }
+    },
+    {
+        name: "rl",
+        description: "Reinforcement learning agent",
+        init: function(config) {
+            if (!reinforcementLearning.isInitialized()) {
+                reinforcementLearning.initialize(config);
+            }
+            return reinforcementLearning.isInitialized();
+        },
+        decide: function(gameState, config) {
+            // Learn from the outcome of the previous action before choosing the next one
+            reinforcementLearning.update(gameState, false);
+            return {
+                action: reinforcementLearning.selectAction(gameState),
+                reason: "Reinforcement learning"
+            };
+        },
+        onDeath: function(gameState, config) {
+            reinforcementLearning.update(gameState, true);
+
+            var metrics = reinforcementLearning.getPerformanceMetrics();
+            console.log("RL Performance: Avg Reward: " + metrics.averageReward.toFixed(2) +
+                        ", Exploration Rate: " + metrics.explorationRate.toFixed(3) +
+                        ", Training Steps: " + metrics.trainingSteps + ", Avg Loss: " + metrics.averageLoss.toFixed(4));
+        },
+        onEpisodeEnd: function(stats, config) {
+            if (stats.reason !== "death") {
+                reinforcementLearning.saveReplayBuffer(config);
+            }
+            reinforcementLearning.resetEpisode();
+            reinforcementLearning.saveModel(config);
+        }
+    },
+    {
+        name: "scripted",
+        description: "Fixed action sequence from config (control testing)",
+        init: function(config) {
+            scriptState.step = 0;
+            scriptState.lastStepTime = 0;
+            return true;
+        },
+        decide: function(gameState, config) {
+            var script = getSettings(config).scripted || {};
+            var sequence = script.sequence || [];
+            if (gameState.screenType !== "gameplay" || sequence.length === 0) {
+                return null;
+            }
+
+            var now = Date.now();
+            if (now - scriptState.lastStepTime < (script.stepInterval || 0)) {
+                return null;
+            }
+            if (scriptState.step >= sequence.length) {
+                if (!script.loop) {
+                    return null;
+                }
+                scriptState.step = 0;
+            }
+
+            scriptState.lastStepTime = now;
+            return {
+                action: sequence[scriptState.step++],
+                reason: "Script step " + scriptState.step + "/" + sequence.length
+            };
+        },
+        onEpisodeEnd: function(stats, config) {
+            scriptState.step = 0;
+            scriptState.lastStepTime = 0;
+        }
+    }
+];
+
+module.exports = {
+    VALID_ACTIONS: VALID_ACTIONS,
+
+    /**
+     * Registers a policy, replacing any policy with the same name
+     * @param {Object} policy - Policy definition
+     * @return {boolean} Success status
+     */
+    register: function(policy) {
+        if (!policy || !policy.name || typeof policy.decide !== 'function') {
+            console.error("Invalid policy definition");
+            return false;
+        }
+
+        var existing = this.indexOf(policy.name);
+        if (existing !== -1) {
+            registeredPolicies[existing] = policy;
+            // Re-initialize a replaced active policy on its next use
+            if (registryState.activeName === policy.name) {
+                registryState.activeName = null;
+            }
+        } else {
+            registeredPolicies.push(policy);
+        }
+
+        return true;
+    },
+
+    /**
+     * Finds the position of a policy in registration order
+     * @param {string} name - Policy name
+     * @return {number} Index or -1 if not registered
+     */
+    indexOf: function(name) {
+        for (var i = 0; i < registeredPolicies.length; i++) {
+            if (registeredPolicies[i].name === name) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Gets a registered policy
+     * @param {string} name - Policy name
+     * @return {Object} Policy definition or null
+     */
+    get: function(name) {
+        var index = this.indexOf(name);
+        return index !== -1 ? registeredPolicies[index] : null;
+    },
+
+    /**
+     * Lists registered policies
+     * @return {Array} Policies as {name, description}
+     */
+    list: function() {
+        return registeredPolicies.map(function(policy) {
+            return {
+                name: policy.name,
+                description: policy.description || ""
+            };
+        });
+    },
+
+    /**
+     * Resolves the name of the policy that should be active
+     * "auto" keeps the previous behavior: reinforcement learning when enabled, rules otherwise
+     * @param {Object} config - Configuration settings
+     * @return {string} Policy name
+     */
+    resolveActiveName: function(config) {
+        var name = registryState.override || getSettings(config).active || "auto";
+
+        if (name === "auto") {
+            name = config.reinforcementLearning && config.reinforcementLearning.enabled ? "rl" : "rules";
+        }
+
+        if (!this.get(name)) {
+            console.error("Unknown policy " + name + ", using rules");
+            name = "rules";
+        }
+
+        return name;
+    },
+
+    /**
+     * Initializes the active policy
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    initialize: function(config) {
+        registryState.activeName = null;
+        return !!this.getActive(config);
+    },
+
+    /**
+     * Switches the active policy at runtime, overriding config.policies.active
+     * @param {string} name - Policy name, or null to go back to the configured policy
+     * @param {Object} config - Configuration settings
+     * @param {boolean} reinitialize - Initialize the policy even if it is already active
+     * @return {boolean} True if the policy exists and initialized
+     */
+    setActive: function(name, config, reinitialize) {
+        if (name && !this.get(name)) {
+            console.error("Unknown policy: " + name);
+            return false;
+        }
+
+        registryState.override = name;
+        if (reinitialize) {
+            registryState.activeName = null;
+        }
+        return !!this.getActive(config);
+    },
+
+    /**
+     * Gets the active policy, initializing it when it changed since the last call
+     * @param {Object} config - Configuration settings
+     * @return {Object} Policy definition, or null if it failed to initialize
+     */
+    getActive: function(config) {
+        var name = this.resolveActiveName(config);
+        var policy = this.get(name);
+
+        if (registryState.activeName !== name) {
+            try {
+                if (policy.init && policy.init(config) === false) {
+                    console.error("Policy " + name + " failed to initialize");
+                    return null;
+                }
+            } catch (e) {
+                console.error("Error initializing policy " + name + ": " + e.message);
+                return null;
+            }
+
+            registryState.activeName = name;
+            console.log("Active decision policy: " + name);
+        }
+
+        return policy;
+    },
+
+    /**
+     * Gets the name of the active policy
+     * @param {Object} config - Configuration settings
+     * @return {string} Policy name
+     */
+    getActiveName: function(config) {
+        return this.resolveActiveName(config);
+    },
+
+    /**
+     * Asks the active policy for the next action
+     * The emergency hoverboard check may replace the decision with "hoverboard"
+     * @param {Object} gameState - Current game state
+     * @param {Object} config - Configuration settings
+     * @return {Object} Decision {action, reason, confidence, policy}
+     */
+    decide: function(gameState, config) {
+        var policy = this.getActive(config);
+        if (!policy) {
+            return normalizeDecision(null, this.resolveActiveName(config));
+        }
+
+        var decision;
+        try {
+            decision = normalizeDecision(policy.decide(gameState, config), policy.name);
+        } catch (e) {
+            console.error("Policy " + policy.name + " failed to decide: " + e.message);
+            decision = normalizeDecision(null, policy.name);
+        }
+
+        decision = emergencyHoverboard.review(gameState, decision, config);
+
+        registryState.decisions++;
+        registryState.lastDecision = decision;
+        return decision;
+    },
+
+    /**
+     * Tells the active policy that the player died
+     * @param {Object} gameState - Last gameplay state before the game over screen
+     * @param {Object} config - Configuration settings
+     */
+    notifyDeath: function(gameState, config) {
+        var policy = this.getActive(config);
+        if (policy && policy.onDeath) {
+            try {
+                policy.onDeath(gameState, config);
+            } catch (e) {
+                console.error("Policy " + policy.name + " onDeath failed: " + e.message);
+            }
+        }
+    },
+
+    /**
+     * Tells the active policy that an episode ended
+     * @param {Object} stats - Episode stats {reason: "death" | "restart" | "exit", runTime, state}
+     * @param {Object} config - Configuration settings
+     */
+    notifyEpisodeEnd: function(stats, config) {
+        emergencyHoverboard.resetRun();
+        missionObjectives.endRun(config);
+
+        var policy = this.getActive(config);
+        if (policy && policy.onEpisodeEnd) {
+            try {
+                policy.onEpisodeEnd(stats, config);
+            } catch (e) {
+                console.error("Policy " + policy.name + " onEpisodeEnd failed: " + e.message);
+            }
+        }
+    },
+
+    /**
+     * Gets decision statistics
+     * @return {Object} {activePolicy, decisions, lastDecision}
+     */
+    getStats: function() {
+        return {
+            activePolicy: registryState.activeName,
+            decisions: registryState.decisions,
+            lastDecision: registryState.lastDecision
+        };
+    }
+};
+
+BUILT_IN_POLICIES.forEach(function(policy) {
+    module.exports.register(policy);
+});
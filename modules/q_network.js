@@ -0,0 +1,263 @@
+/**
+ * Q-Network Module for Subway Surfers Bot
+ * Implements Phase 5.3 (Advanced AI Features): action-value network for deep Q-learning
+ *
+ * Features:
+ * - Dense hidden layers and a linear head with one Q-value per action
+ * - Weights kept as a compiled inference engine (inference_engine.js), so acting runs the typed-array path
+ * - Mini-batch updates of the taken actions' Q-values with Huber loss, global-norm gradient
+ *   clipping and Adam
+ * - Weight copies for target networks, saved in the nested layout of neural_network.js models
+ *
+ * Unlike neural_network.js, which holds the one behavior-cloning network, every function here
+ * takes the network it works on, so an agent can keep an online and a target network.
+ */
+
+// Import required modules
+var neuralNetwork = require('./neural_network.js');
+var inferenceEngine = require('./inference_engine.js');
+
+// Hidden layer activations with a derivative the update can use
+var HIDDEN_ACTIVATIONS = ["relu", "tanh", "sigmoid"];
+
+/**
+ * Gets the derivative of an activation from its output
+ * @param {string} activation - Activation name
+ * @param {number} output - Activation output
+ * @return {number} Derivative
+ */
+function activationDerivative(activation, output) {
+    if (activation === 'relu') {
+        return output > 0 ? 1 : 0;
+    }
+    if (activation === 'tanh') {
+        return 1 - output * output;
+    }
+    if (activation === 'sigmoid') {
+        return output * (1 - output);
+    }
+    return 1;
+}
+
+/**
+ * Wraps a compiled engine with Adam moments
+ * @param {Object} engine - Compiled engine
+ * @return {Object} Q-network
+ */
+function wrap(engine) {
+    return {
+        engine: engine,
+        adam: {
+            step: 0,
+            weights: engine.layers.map(function(layer) {
+                return { m: new Float32Array(layer.weights.length), v: new Float32Array(layer.weights.length) };
+            }),
+            biases: engine.layers.map(function(layer) {
+                return { m: new Float32Array(layer.units), v: new Float32Array(layer.units) };
+            })
+        }
+    };
+}
+
+/**
+ * Applies one Adam step to a parameter array
+ * @param {Float32Array} params - Parameters (updated in place)
+ * @param {Float32Array} gradients - Gradients
+ * @param {Object} moments - {m, v} moment estimates (updated in place)
+ * @param {number} step - Adam step count, from 1
+ * @param {Object} settings - {learningRate, beta1, beta2, epsilon}
+ */
+function adamUpdate(params, gradients, moments, step, settings) {
+    var correction1 = 1 - Math.pow(settings.beta1, step);
+    var correction2 = 1 - Math.pow(settings.beta2, step);
+
+    for (var i = 0; i < params.length; i++) {
+        moments.m[i] = settings.beta1 * moments.m[i] + (1 - settings.beta1) * gradients[i];
+        moments.v[i] = settings.beta2 * moments.v[i] + (1 - settings.beta2) * gradients[i] * gradients[i];
+        params[i] -= settings.learningRate * (moments.m[i] / correction1) /
+                     (Math.sqrt(moments.v[i] / correction2) + settings.epsilon);
+    }
+}
+
+module.exports = {
+    /**
+     * Creates a Q-network with freshly initialized weights
+     * @param {number} inputNodes - Number of inputs
+     * @param {Array} hiddenLayers - Hidden layer specs [{units, activation}] (relu, tanh or sigmoid)
+     * @param {number} actionCount - Number of actions, the units of the linear head
+     * @return {Object} Q-network, or null if a layer spec is invalid
+     */
+    create: function(inputNodes, hiddenLayers, actionCount) {
+        var layers = [];
+        for (var i = 0; i < hiddenLayers.length; i++) {
+            if (!(hiddenLayers[i].units > 0) || HIDDEN_ACTIVATIONS.indexOf(hiddenLayers[i].activation) === -1) {
+                console.error("Invalid Q-network hidden layer " + (i + 1) + ": " + JSON.stringify(hiddenLayers[i]));
+                return null;
+            }
+            layers.push({ units: hiddenLayers[i].units, activation: hiddenLayers[i].activation });
+        }
+        layers.push({ units: actionCount, activation: "linear" });
+
+        var weights = [];
+        var biases = [];
+        var fanIn = inputNodes;
+        layers.forEach(function(layer) {
+            weights.push(neuralNetwork.createLayerWeights(layer.units, fanIn, layer.activation));
+            biases.push(neuralNetwork.createMatrix(layer.units, 1, false));
+            fanIn = layer.units;
+        });
+
+        return this.fromJSON({ inputNodes: inputNodes, layers: layers, weights: weights, biases: biases });
+    },
+
+    /**
+     * Restores a Q-network saved with toJSON
+     * @param {Object} data - {inputNodes, layers [{units, activation}], weights [units x fanIn], biases [units x 1]}
+     * @return {Object} Q-network (fresh optimizer state)
+     */
+    fromJSON: function(data) {
+        return wrap(inferenceEngine.compile(data));
+    },
+
+    /**
+     * Converts a Q-network to plain arrays for saving
+     * @param {Object} network - Q-network
+     * @return {Object} {inputNodes, layers, weights, biases} in the layout of neural_network.js models
+     */
+    toJSON: function(network) {
+        var engine = network.engine;
+        return {
+            inputNodes: engine.inputNodes,
+            layers: engine.layers.map(function(layer) {
+                return { units: layer.units, activation: layer.activation };
+            }),
+            weights: engine.layers.map(function(layer) {
+                var rows = [];
+                for (var unit = 0; unit < layer.units; unit++) {
+                    rows.push(Array.prototype.slice.call(layer.weights, unit * layer.fanIn, (unit + 1) * layer.fanIn));
+                }
+                return rows;
+            }),
+            biases: engine.layers.map(function(layer) {
+                return Array.prototype.map.call(layer.bias, function(value) {
+                    return [value];
+                });
+            })
+        };
+    },
+
+    /**
+     * Computes the Q-values of a state
+     * @param {Object} network - Q-network
+     * @param {Array} features - Encoded state
+     * @return {Array} Q-value per action
+     */
+    predict: function(network, features) {
+        return Array.prototype.slice.call(inferenceEngine.run(network.engine, features));
+    },
+
+    /**
+     * Copies the weights of one Q-network into another of the same shape (target network sync)
+     * @param {Object} source - Q-network to copy from
+     * @param {Object} target - Q-network to overwrite
+     */
+    copyWeights: function(source, target) {
+        for (var l = 0; l < source.engine.layers.length; l++) {
+            target.engine.layers[l].weights.set(source.engine.layers[l].weights);
+            target.engine.layers[l].bias.set(source.engine.layers[l].bias);
+        }
+    },
+
+    /**
+     * Moves the Q-values of the taken actions toward their targets
+     * Only the taken action's output gets an error; the Huber loss keeps large TD errors from
+     * dominating, and the batch gradient is scaled down to maxGradientNorm before the Adam step
+     * @param {Object} network - Q-network (updated in place)
+     * @param {Array} batch - Samples {features, action (output index), target}
+     * @param {Object} settings - {learningRate, huberDelta, maxGradientNorm, beta1, beta2, epsilon}
+     * @return {Object} {loss (mean Huber loss), gradientNorm (before clipping), clipped}
+     */
+    train: function(network, batch, settings) {
+        var layers = network.engine.layers;
+        var delta = settings.huberDelta;
+        var gradWeights = layers.map(function(layer) {
+            return new Float32Array(layer.weights.length);
+        });
+        var gradBiases = layers.map(function(layer) {
+            return new Float32Array(layer.units);
+        });
+        var loss = 0;
+
+        batch.forEach(function(sample) {
+            // Forward pass, keeping every layer's output
+            inferenceEngine.run(network.engine, sample.features, "float32");
+            var activations = [new Float32Array(sample.features)];
+            layers.forEach(function(layer) {
+                activations.push(new Float32Array(layer.output));
+            });
+
+            var error = activations[layers.length][sample.action] - sample.target;
+            var absError = Math.abs(error);
+            loss += absError <= delta ? 0.5 * error * error : delta * (absError - 0.5 * delta);
+
+            // The Huber gradient is the error clipped to [-delta, delta]
+            var deltas = new Float32Array(layers[layers.length - 1].units);
+            deltas[sample.action] = Math.max(-delta, Math.min(delta, error));
+
+            for (var l = layers.length - 1; l >= 0; l--) {
+                var layer = layers[l];
+                var input = activations[l];
+                var previous = l > 0 ? new Float32Array(layer.fanIn) : null;
+
+                for (var unit = 0; unit < layer.units; unit++) {
+                    if (deltas[unit] === 0) {
+                        continue;
+                    }
+                    var offset = unit * layer.fanIn;
+                    gradBiases[l][unit] += deltas[unit];
+                    for (var i = 0; i < layer.fanIn; i++) {
+                        gradWeights[l][offset + i] += deltas[unit] * input[i];
+                        if (previous) {
+                            previous[i] += layer.weights[offset + i] * deltas[unit];
+                        }
+                    }
+                }
+
+                if (previous) {
+                    for (var j = 0; j < previous.length; j++) {
+                        previous[j] *= activationDerivative(layers[l - 1].activation, input[j]);
+                    }
+                    deltas = previous;
+                }
+            }
+        });
+
+        // Mean gradient over the batch, then global-norm clipping
+        var squaredNorm = 0;
+        var scale = 1 / batch.length;
+        gradWeights.concat(gradBiases).forEach(function(gradients) {
+            for (var i = 0; i < gradients.length; i++) {
+                gradients[i] *= scale;
+                squaredNorm += gradients[i] * gradients[i];
+            }
+        });
+        var gradientNorm = Math.sqrt(squaredNorm);
+        var clipped = settings.maxGradientNorm > 0 && gradientNorm > settings.maxGradientNorm;
+        if (clipped) {
+            var clipScale = settings.maxGradientNorm / gradientNorm;
+            gradWeights.concat(gradBiases).forEach(function(gradients) {
+                for (var i = 0; i < gradients.length; i++) {
+                    gradients[i] *= clipScale;
+                }
+            });
+        }
+
+        network.adam.step++;
+        for (var l = 0; l < layers.length; l++) {
+            adamUpdate(layers[l].weights, gradWeights[l], network.adam.weights[l], network.adam.step, settings);
+            adamUpdate(layers[l].bias, gradBiases[l], network.adam.biases[l], network.adam.step, settings);
+        }
+
+        return { loss: loss / batch.length, gradientNorm: gradientNorm, clipped: clipped };
+    }
+};
@@ -2,44 +2,27 @@
  * Reinforcement Learning Module for Subway Surfers Bot
  * Implements advanced AI features with reinforcement learning capabilities
  * Part of Phase 5.3: Advanced AI Features implementation
+ *
+ * The agent is a DQN: its own Q-network (q_network.js) with one output per action including "none",
+ * a target network synced every targetSyncInterval training steps, Double-DQN targets on n-step
+ * returns, Huber loss and gradient clipping. States are encoded with the feature schema
+ * (feature_schema.js), which is saved with the Q-network.
  */
 
 // Import required modules
 var utils = require('./utils.js');
-var neuralNetwork = require('./neural_network.js');
+var featureSchema = require('./feature_schema.js');
+var qNetwork = require('./q_network.js');
+var missionObjectives = require('./mission_objectives.js');
+var files = require('./utils/files.js');
 
-// Try to import files module with fallback implementation
-var files;
-try {
-    files = require('files');
-    console.log("Files module loaded successfully in reinforcement learning module");
-} catch (e) {
-    console.log("Files module not available in reinforcement learning module: " + e.message);
-    // Create a minimal fallback implementation
-    files = {
-        exists: function(path) {
-            console.log("[Files Fallback] Checking if exists: " + path);
-            return false; // Default to false in fallback
-        },
-        read: function(path) {
-            console.log("[Files Fallback] Attempting to read: " + path);
-            return null; // Return null in fallback
-        },
-        write: function(path, content) {
-            console.log("[Files Fallback] Attempting to write to: " + path);
-            return false; // Return false in fallback
-        },
-        createWithDirs: function(path) {
-            console.log("[Files Fallback] Attempting to create directory: " + path);
-            return false; // Return false in fallback
-        }
-    };
-}
+// Actions in Q-network output order
+var ACTIONS = ["left", "right", "jump", "roll", "none"];
 
 // Reinforcement learning configuration
 var rlConfig = {
     // Learning parameters
-    learningRate: 0.1,       // Rate at which the agent learns from new experiences
+    learningRate: 0.0005,    // Adam step size of the Q-network
     discountFactor: 0.95,    // How much future rewards are valued (gamma)
     explorationRate: 0.2,    // Initial exploration rate (epsilon)
     minExplorationRate: 0.01, // Minimum exploration rate
@@ -50,6 +33,27 @@ var rlConfig = {
     replayBufferSize: 1000,  // Maximum size of replay buffer
     miniBatchSize: 32,       // Size of mini-batch for training
     
+    // DQN settings, see config.reinforcementLearning.dqn
+    dqn: {
+        hiddenLayers: [{ units: 64, activation: "relu" }, { units: 32, activation: "relu" }],
+        nStep: 3,
+        doubleDqn: true,
+        targetSyncInterval: 500,
+        huberDelta: 1,
+        maxGradientNorm: 10,
+        trainEvery: 4,
+        minReplaySize: 200
+    },
+    
+    // Networks
+    featureSchema: null,     // State encoding of the Q-network
+    qNetwork: null,          // Online network, acts and learns
+    targetNetwork: null,     // Lagging copy that values next states
+    trainingSteps: 0,        // Mini-batch updates so far
+    framesSinceTraining: 0,
+    recentLosses: [],        // Huber losses of the last updates
+    nStepQueue: [],          // Latest transitions not yet folded into an n-step experience
+    
     // Reward configuration
     rewards: {
         coin: 1,             // Reward for collecting a coin
@@ -66,11 +70,53 @@ var rlConfig = {
     lastState: null,         // Previous game state
     lastAction: null,        // Last action taken
     lastReward: 0,           // Last reward received
+    episodeReward: 0,        // Reward summed over the current episode
     episodeRewards: [],      // Rewards for each episode
     initialized: false       // Whether the RL system has been initialized
 };
 
+/**
+ * Finds the index of the largest value
+ * @param {Array} values - Values
+ * @return {number} Index
+ */
+function argmax(values) {
+    var best = 0;
+    for (var i = 1; i < values.length; i++) {
+        if (values[i] > values[best]) {
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Folds the oldest queued transition and the rewards after it into an n-step experience
+ * @param {Object} nextState - State the last queued transition led to
+ * @param {boolean} done - Whether the episode ended in nextState
+ * @return {Object} Experience {state, action, reward (discounted sum), nextState, done, steps}
+ */
+function foldOldestTransition(nextState, done) {
+    var queue = rlConfig.nStepQueue;
+    var reward = 0;
+    for (var i = queue.length - 1; i >= 0; i--) {
+        reward = queue[i].reward + rlConfig.discountFactor * reward;
+    }
+
+    var oldest = queue.shift();
+    return {
+        state: oldest.state,
+        action: oldest.action,
+        reward: reward,
+        nextState: nextState,
+        done: done,
+        steps: queue.length + 1
+    };
+}
+
 module.exports = {
+    ACTIONS: ACTIONS,
+    
     /**
      * Initializes the reinforcement learning module
      * @param {Object} config - Optional custom configuration
@@ -89,6 +135,11 @@ module.exports = {
             rlConfig.replayBufferSize = rlSettings.replayBufferSize || rlConfig.replayBufferSize;
             rlConfig.miniBatchSize = rlSettings.miniBatchSize || rlConfig.miniBatchSize;
             
+            // DQN settings override the defaults one by one
+            for (var key in rlSettings.dqn || {}) {
+                rlConfig.dqn[key] = rlSettings.dqn[key];
+            }
+            
             // Update reward values if provided
             if (rlSettings.rewards) {
                 for (var rewardType in rlSettings.rewards) {
@@ -99,10 +150,16 @@ module.exports = {
             }
         }
         
-        // Initialize neural network if not already initialized
-        if (!neuralNetwork.isInitialized()) {
-            neuralNetwork.initialize(config);
+        // Load the saved Q-network, or start a fresh one
+        if (!this.loadModel(config)) {
+            rlConfig.featureSchema = featureSchema.create(config || {});
+            rlConfig.qNetwork = qNetwork.create(rlConfig.featureSchema.size, rlConfig.dqn.hiddenLayers, ACTIONS.length);
+            rlConfig.trainingSteps = 0;
+            if (!rlConfig.qNetwork) {
+                return;
+            }
         }
+        rlConfig.targetNetwork = qNetwork.fromJSON(qNetwork.toJSON(rlConfig.qNetwork));
         
         // Try to load existing replay buffer if available
         this.loadReplayBuffer(config);
@@ -111,7 +168,102 @@ module.exports = {
         console.log("Reinforcement learning module initialized with learning rate: " + 
                   rlConfig.learningRate + ", discount factor: " + 
                   rlConfig.discountFactor + ", exploration rate: " + 
-                  rlConfig.explorationRate);
+                  rlConfig.explorationRate + ", " + rlConfig.featureSchema.size + " inputs, " +
+                  rlConfig.trainingSteps + " training steps so far");
+    },
+    
+    /**
+     * Gets the path of the saved Q-network
+     * @param {Object} config - Configuration object with paths
+     * @return {string} File path
+     */
+    getModelPath: function(config) {
+        if (config && config.reinforcementLearning && config.reinforcementLearning.modelPath) {
+            return config.reinforcementLearning.modelPath;
+        }
+        return "/storage/emulated/0/SubwayBot/model/dqn.json";
+    },
+    
+    /**
+     * Loads the saved Q-network, its feature schema and training progress
+     * A saved network whose layers differ from config.reinforcementLearning.dqn is still used
+     * @param {Object} config - Configuration object with paths
+     * @return {boolean} True if a usable Q-network was loaded
+     */
+    loadModel: function(config) {
+        try {
+            var modelPath = this.getModelPath(config);
+            if (!files.exists(modelPath)) {
+                console.log("No saved Q-network found, starting a new one");
+                return false;
+            }
+            
+            var saved = JSON.parse(files.read(modelPath));
+            var network = saved.qNetwork;
+            var problem = featureSchema.validate(saved.featureSchema, network ? network.inputNodes : 0);
+            if (!problem && (!network.layers || network.layers[network.layers.length - 1].units !== ACTIONS.length)) {
+                problem = "the Q-network has no head of " + ACTIONS.length + " actions";
+            }
+            if (problem) {
+                console.error("Saved Q-network cannot be used: " + problem);
+                return false;
+            }
+            
+            rlConfig.featureSchema = saved.featureSchema;
+            rlConfig.qNetwork = qNetwork.fromJSON(network);
+            rlConfig.trainingSteps = saved.trainingSteps || 0;
+            if (typeof saved.explorationRate === 'number') {
+                rlConfig.explorationRate = Math.max(rlConfig.minExplorationRate, saved.explorationRate);
+            }
+            console.log("Loaded Q-network from " + modelPath);
+            return true;
+        } catch (e) {
+            console.error("Error loading Q-network: " + e.message);
+            return false;
+        }
+    },
+    
+    /**
+     * Saves the Q-network with its feature schema and training progress
+     * @param {Object} config - Configuration object with paths
+     * @return {boolean} Success status
+     */
+    saveModel: function(config) {
+        if (!rlConfig.qNetwork) {
+            return false;
+        }
+        
+        try {
+            var modelPath = this.getModelPath(config);
+            files.createWithDirs(modelPath);
+            files.write(modelPath, JSON.stringify({
+                actions: ACTIONS,
+                featureSchema: rlConfig.featureSchema,
+                qNetwork: qNetwork.toJSON(rlConfig.qNetwork),
+                trainingSteps: rlConfig.trainingSteps,
+                explorationRate: rlConfig.explorationRate,
+                savedAt: Date.now()
+            }));
+            console.log("Saved Q-network after " + rlConfig.trainingSteps + " training steps");
+            return true;
+        } catch (e) {
+            console.error("Error saving Q-network: " + e.message);
+            return false;
+        }
+    },
+    
+    /**
+     * Computes the Q-values of a game state with the online network
+     * @param {Object} gameState - Game state
+     * @return {Object} Q-value by action
+     */
+    getQValues: function(gameState) {
+        var values = qNetwork.predict(rlConfig.qNetwork, featureSchema.encode(rlConfig.featureSchema, gameState));
+        var qValues = {};
+        ACTIONS.forEach(function(action, index) {
+            qValues[action] = values[index];
+        });
+        return qValues;
     },
     
     /**
@@ -192,26 +344,13 @@ module.exports = {
         // Epsilon-greedy action selection
         if (Math.random() < rlConfig.explorationRate) {
             // Exploration: choose random action
-            var actions = ["left", "right", "jump", "roll", "none"];
-            var randomAction = actions[Math.floor(Math.random() * actions.length)];
+            var randomAction = ACTIONS[Math.floor(Math.random() * ACTIONS.length)];
             rlConfig.lastAction = randomAction;
             return randomAction;
         } else {
-            // Exploitation: choose best action according to neural network
-            var features = neuralNetwork.extractFeatures(gameState);
-            var prediction = neuralNetwork.predict(features);
-            
-            // Find action with highest Q-value
-            var maxIndex = 0;
-            for (var i = 1; i < prediction[0].length; i++) {
-                if (prediction[0][i] > prediction[0][maxIndex]) {
-                    maxIndex = i;
-                }
-            }
-            
-            // Map index to action
-            var actionMap = ["left", "right", "jump", "roll"];
-            var bestAction = maxIndex < actionMap.length ? actionMap[maxIndex] : "none";
+            // Exploitation: choose the action with the highest Q-value
+            var qValues = qNetwork.predict(rlConfig.qNetwork, featureSchema.encode(rlConfig.featureSchema, gameState));
+            var bestAction = ACTIONS[argmax(qValues)];
             
             rlConfig.lastAction = bestAction;
             return bestAction;
@@ -237,13 +376,20 @@ module.exports = {
         reward += rlConfig.rewards.survival;
         
         // Reward for distance traveled
-        if (currentState.score > previousState.score) {
+        // Scores read from the HUD are null until the digit reader has a confident value
+        if (typeof currentState.score === 'number' && typeof previousState.score === 'number' &&
+            currentState.score > previousState.score) {
             var scoreDiff = currentState.score - previousState.score;
+            // The score grows by distance times the multiplier, so divide it out when known
+            if (typeof currentState.multiplier === 'number' && currentState.multiplier > 0) {
+                scoreDiff = scoreDiff / currentState.multiplier;
+            }
             reward += scoreDiff * rlConfig.rewards.distance;
         }
         
-        // Reward for collecting coins
-        if (currentState.coins > previousState.coins) {
+        // Reward for collecting coins (HUD coin counter)
+        if (typeof currentState.coins === 'number' && typeof previousState.coins === 'number' &&
+            currentState.coins > previousState.coins) {
             var coinsDiff = currentState.coins - previousState.coins;
             reward += coinsDiff * rlConfig.rewards.coin;
         }
@@ -256,6 +402,9 @@ module.exports = {
             reward += newPowerups.length * rlConfig.rewards.powerup;
         }
         
+        // Reward for progress on open mission objectives, a whole mission is worth the mission reward
+        reward += missionObjectives.takeReward(rlConfig.rewards.mission);
+        
         // Penalty for hitting obstacles or dying
         if (isDead) {
             reward += rlConfig.rewards.death;
@@ -271,11 +420,12 @@ module.exports = {
      * Adds an experience to the replay buffer
      * @param {Object} state - Current state
      * @param {string} action - Action taken
-     * @param {number} reward - Reward received
+     * @param {number} reward - Reward received (discounted sum over the steps)
      * @param {Object} nextState - Next state
      * @param {boolean} done - Whether the episode is done
+     * @param {number} steps - Optional number of steps between state and nextState, defaults to 1
      */
-    addExperience: function(state, action, reward, nextState, done) {
+    addExperience: function(state, action, reward, nextState, done, steps) {
         // Create experience object
         var experience = {
             state: state,
@@ -283,6 +433,7 @@ module.exports = {
             reward: reward,
             nextState: nextState,
             done: done,
+            steps: steps || 1,
             timestamp: Date.now()
         };
         
@@ -296,62 +447,71 @@ module.exports = {
     },
     
     /**
-     * Trains the neural network using a random batch from the replay buffer
+     * Computes the Q-value target of an experience
+     * The n-step return, bootstrapped from the target network unless the episode ended: with
+     * Double DQN the online network picks the next action and the target network values it
+     * @param {Object} experience - Experience {reward, nextState, done, steps}
+     * @return {number} Target for the Q-value of the experience's action
+     */
+    computeTarget: function(experience) {
+        var target = experience.reward;
+        if (!experience.done) {
+            var nextFeatures = featureSchema.encode(rlConfig.featureSchema, experience.nextState);
+            var nextTargetQ = qNetwork.predict(rlConfig.targetNetwork, nextFeatures);
+            var nextAction = rlConfig.dqn.doubleDqn ?
+                argmax(qNetwork.predict(rlConfig.qNetwork, nextFeatures)) : argmax(nextTargetQ);
+            target += Math.pow(rlConfig.discountFactor, experience.steps || 1) * nextTargetQ[nextAction];
+        }
+        return target;
+    },
+    
+    /**
+     * Trains the Q-network on a random batch from the replay buffer, with targets from computeTarget
+     * @return {Object} {loss, gradientNorm, clipped}, or null if the buffer is still too small
      */
     trainFromReplayBuffer: function() {
-        if (rlConfig.replayBuffer.length < rlConfig.miniBatchSize) {
+        var minimum = Math.max(rlConfig.miniBatchSize, rlConfig.dqn.minReplaySize);
+        if (!rlConfig.qNetwork || rlConfig.replayBuffer.length < minimum) {
             // Not enough experiences to train
-            return;
+            return null;
         }
         
         // Select random mini-batch
-        var batchIndices = [];
+        var batch = [];
         for (var i = 0; i < rlConfig.miniBatchSize; i++) {
-            var randomIndex = Math.floor(Math.random() * rlConfig.replayBuffer.length);
-            batchIndices.push(randomIndex);
-        }
-        
-        // Process each experience in the batch
-        for (var j = 0; j < batchIndices.length; j++) {
-            var experience = rlConfig.replayBuffer[batchIndices[j]];
-            
-            // Extract features from states
-            var stateFeatures = neuralNetwork.extractFeatures(experience.state);
-            var nextStateFeatures = neuralNetwork.extractFeatures(experience.nextState);
-            
-            // Get current Q values
-            var currentQ = neuralNetwork.predict(stateFeatures);
-            
-            // Get next Q values
-            var nextQ = neuralNetwork.predict(nextStateFeatures);
-            
-            // Find max Q value for next state
-            var maxNextQ = 0;
-            for (var k = 0; k < nextQ[0].length; k++) {
-                if (nextQ[0][k] > maxNextQ) {
-                    maxNextQ = nextQ[0][k];
-                }
-            }
-            
-            // Map action to index
-            var actionMap = {"left": 0, "right": 1, "jump": 2, "roll": 3, "none": 4};
-            var actionIndex = actionMap[experience.action] || 0;
-            
-            // Calculate target Q value using Q-learning formula
-            var targetQ = experience.reward;
-            if (!experience.done) {
-                targetQ += rlConfig.discountFactor * maxNextQ;
-            }
-            
-            // Update Q value for the action taken
-            var updatedQ = currentQ.slice();
-            if (actionIndex < updatedQ[0].length) {
-                updatedQ[0][actionIndex] = (1 - rlConfig.learningRate) * updatedQ[0][actionIndex] + 
-                                         rlConfig.learningRate * targetQ;
+            var experience = rlConfig.replayBuffer[Math.floor(Math.random() * rlConfig.replayBuffer.length)];
+            var actionIndex = ACTIONS.indexOf(experience.action);
+            if (actionIndex === -1) {
+                continue;
             }
             
-            // Train network with this sample
-            neuralNetwork.train(stateFeatures, updatedQ);
+            batch.push({
+                features: featureSchema.encode(rlConfig.featureSchema, experience.state),
+                action: actionIndex,
+                target: this.computeTarget(experience)
+            });
+        }
+        if (batch.length === 0) {
+            return null;
+        }
+        
+        var result = qNetwork.train(rlConfig.qNetwork, batch, {
+            learningRate: rlConfig.learningRate,
+            huberDelta: rlConfig.dqn.huberDelta,
+            maxGradientNorm: rlConfig.dqn.maxGradientNorm,
+            beta1: 0.9,
+            beta2: 0.999,
+            epsilon: 1e-8
+        });
+        rlConfig.trainingSteps++;
+        rlConfig.recentLosses.push(result.loss);
+        if (rlConfig.recentLosses.length > 100) {
+            rlConfig.recentLosses.shift();
+        }
+        
+        // Periodically sync the target network
+        if (rlConfig.trainingSteps % rlConfig.dqn.targetSyncInterval === 0) {
+            qNetwork.copyWeights(rlConfig.qNetwork, rlConfig.targetNetwork);
         }
         
         // Decay exploration rate
@@ -361,7 +521,7 @@ module.exports = {
         );
         
         // If adaptive difficulty module is provided, adjust exploration rate based on skill level
-        if (adaptiveDifficulty && typeof adaptiveDifficulty.getSkillLevel === 'function') {
+        if (typeof adaptiveDifficulty !== 'undefined' && typeof adaptiveDifficulty.getSkillLevel === 'function') {
             var skillLevel = adaptiveDifficulty.getSkillLevel();
             // Adjust exploration rate inversely to skill level
             // Higher skill = lower exploration (more exploitation)
@@ -371,6 +531,8 @@ module.exports = {
                 rlConfig.explorationRate * skillAdjustment
             );
         }
+        
+        return result;
     },
     
     /**
@@ -379,6 +541,11 @@ module.exports = {
      * @param {boolean} isDead - Whether the player died
      */
     update: function(gameState, isDead) {
+        // Menus and the game over screen are not steps of the run
+        if (!isDead && (!gameState || gameState.screenType !== "gameplay")) {
+            return;
+        }
+        
         if (!rlConfig.initialized || !rlConfig.currentState || !rlConfig.lastAction) {
             // Not enough information to update
             rlConfig.currentState = gameState;
@@ -387,18 +554,23 @@ module.exports = {
         
         // Calculate reward
         var reward = this.calculateReward(gameState, rlConfig.currentState, rlConfig.lastAction, isDead);
+        rlConfig.episodeReward += reward;
         
-        // Add experience to replay buffer
-        this.addExperience(
-            rlConfig.currentState,
-            rlConfig.lastAction,
-            reward,
-            gameState,
-            isDead
-        );
+        // Queue the transition; once n rewards are known (or the episode ends) the oldest
+        // transitions become n-step experiences
+        rlConfig.nStepQueue.push({ state: rlConfig.currentState, action: rlConfig.lastAction, reward: reward });
+        while (rlConfig.nStepQueue.length >= rlConfig.dqn.nStep || (isDead && rlConfig.nStepQueue.length > 0)) {
+            var experience = foldOldestTransition(gameState, isDead);
+            this.addExperience(experience.state, experience.action, experience.reward,
+                               experience.nextState, experience.done, experience.steps);
+        }
         
-        // Train from replay buffer periodically
-        this.trainFromReplayBuffer();
+        // Train from replay buffer every few frames
+        rlConfig.framesSinceTraining++;
+        if (rlConfig.framesSinceTraining >= rlConfig.dqn.trainEvery) {
+            rlConfig.framesSinceTraining = 0;
+            this.trainFromReplayBuffer();
+        }
         
         // Update current state
         rlConfig.currentState = gameState;
@@ -408,9 +580,10 @@ module.exports = {
             // End of episode
             rlConfig.episodeRewards.push({
                 timestamp: Date.now(),
-                totalReward: rlConfig.lastReward,
+                totalReward: rlConfig.episodeReward,
                 explorationRate: rlConfig.explorationRate
             });
+            rlConfig.episodeReward = 0;
             
             // Limit episode history
             if (rlConfig.episodeRewards.length > 100) {
@@ -428,6 +601,10 @@ module.exports = {
             explorationRate: rlConfig.explorationRate,
             replayBufferSize: rlConfig.replayBuffer.length,
             episodeCount: rlConfig.episodeRewards.length,
+            trainingSteps: rlConfig.trainingSteps,
+            averageLoss: rlConfig.recentLosses.length > 0 ? rlConfig.recentLosses.reduce(function(total, loss) {
+                return total + loss;
+            }, 0) / rlConfig.recentLosses.length : 0,
             averageReward: 0,
             recentRewards: []
         };
@@ -450,8 +627,15 @@ module.exports = {
     
     /**
      * Resets the reinforcement learning agent for a new episode
+     * Transitions of an episode cut short (restart or exit) bootstrap from its last state
      */
     resetEpisode: function() {
+        while (rlConfig.nStepQueue.length > 0) {
+            var experience = foldOldestTransition(rlConfig.currentState, false);
+            this.addExperience(experience.state, experience.action, experience.reward,
+                               experience.nextState, experience.done, experience.steps);
+        }
+        rlConfig.episodeReward = 0;
         rlConfig.currentState = null;
         rlConfig.lastState = null;
         rlConfig.lastAction = null;
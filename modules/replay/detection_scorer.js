@@ -0,0 +1,470 @@
+/**
+ * Detection Scorer for Subway Surfers Bot
+ * Measures vision accuracy against hand-labelled frames and flags regressions
+ * against a stored baseline
+ *
+ * Labelled-frame manifest format (paths are relative to the manifest file):
+ * {
+ *     "version": 1,
+ *     "frames": [
+ *         {
+ *             "frame": "screenshots/session_1700000000000_12.png",
+ *             "expected": {
+ *                 "screenType": "gameplay",
+ *                 "lanes": {
+ *                     "left": {"obstacles": true, "coins": false},
+ *                     "center": {"obstacles": false, "coins": true},
+ *                     "right": {"obstacles": false, "coins": false}
+ *                 },
+ *                 "playerPosition": "center",
+ *                 "obstacles": [{"lane": "left", "distance": "near", "type": "low_barrier"}]
+ *             }
+ *         }
+ *     ]
+ * }
+ * Only "screenType" is required; the other expected fields are scored when present.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var frameReplay = require('./frame_replay.js');
+var obstacleTracker = require('../obstacle_tracker.js');
+var digitReader = require('../digit_reader.js');
+
+// Current manifest format version
+var MANIFEST_VERSION = 1;
+
+// Screen type detection methods reported by vision.getScreenTypeVotes
+var DETECTOR_METHODS = ["ocr", "color", "elements"];
+
+// Lane names used in game states and manifests
+var LANES = ["left", "center", "right"];
+
+// Default allowed drop of any metric before it counts as a regression
+var DEFAULT_TOLERANCE = 0.02;
+
+/**
+ * Divides two counts, returning null when the denominator is zero
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @return {number|null} Ratio or null
+ */
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * Computes per-label precision/recall from (expected, predicted) pairs
+ * @param {Array} pairs - Array of {expected, predicted}; predicted may be null for abstentions
+ * @param {Array} labels - Labels to report
+ * @return {Object} Per-label {precision, recall, support} plus macro averages
+ */
+function precisionRecall(pairs, labels) {
+    var perLabel = {};
+    var precisionSum = 0, precisionCount = 0;
+    var recallSum = 0, recallCount = 0;
+
+    labels.forEach(function(label) {
+        var tp = 0, fp = 0, fn = 0;
+
+        pairs.forEach(function(pair) {
+            if (pair.predicted === label && pair.expected === label) tp++;
+            else if (pair.predicted === label) fp++;
+            else if (pair.expected === label) fn++;
+        });
+
+        var precision = ratio(tp, tp + fp);
+        var recall = ratio(tp, tp + fn);
+        perLabel[label] = { precision: precision, recall: recall, support: tp + fn };
+
+        if (precision !== null) { precisionSum += precision; precisionCount++; }
+        if (recall !== null) { recallSum += recall; recallCount++; }
+    });
+
+    return {
+        perLabel: perLabel,
+        macroPrecision: ratio(precisionSum, precisionCount),
+        macroRecall: ratio(recallSum, recallCount)
+    };
+}
+
+module.exports = {
+    /**
+     * Loads and validates a labelled-frame manifest
+     * @param {string} manifestPath - Path to the manifest JSON file
+     * @return {Object} Manifest with frame paths resolved to absolute paths
+     */
+    loadManifest: function(manifestPath) {
+        var manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+        var baseDir = path.dirname(path.resolve(manifestPath));
+
+        if (manifest.version !== MANIFEST_VERSION) {
+            throw new Error("Unsupported manifest version: " + manifest.version);
+        }
+        if (!Array.isArray(manifest.frames)) {
+            throw new Error("Manifest has no frames array");
+        }
+
+        manifest.frames.forEach(function(entry, i) {
+            if (!entry.frame || !entry.expected || !entry.expected.screenType) {
+                throw new Error("Manifest frame " + i + " needs a frame path and an expected screenType");
+            }
+            entry.path = path.resolve(baseDir, entry.frame);
+        });
+
+        return manifest;
+    },
+
+    /**
+     * Runs the vision pipeline over every labelled frame
+     * @param {Object} vision - Vision module
+     * @param {Object} config - Bot configuration
+     * @param {Object} manifest - Manifest from loadManifest
+     * @return {Array} Per-frame detections {frame, votes, screenType, confidence, state, error}
+     */
+    evaluateManifest: function(vision, config, manifest) {
+        var framePaths = manifest.frames.map(function(entry) {
+            return entry.path;
+        });
+        var source = frameReplay.attach(vision, framePaths);
+        var detections = [];
+
+        try {
+            for (var i = 0; source.next(); i++) {
+                var img = source.capture();
+                var detection = { frame: manifest.frames[i].frame, votes: {}, screenType: null, confidence: 0, state: null };
+
+                // Labelled frames are independent: clear everything vision carries over from the
+                // previous frame so a frame scores the same wherever it sits in the manifest
+                vision.resetScreenTracking();
+                obstacleTracker.reset();
+                digitReader.resetReadings();
+
+                if (!img) {
+                    detection.error = "Could not decode frame";
+                } else {
+                    var width = img.getWidth();
+                    var height = img.getHeight();
+                    var adaptedConfig = vision.adaptToScreenResolution(width, height, config);
+
+                    // Score single-frame classification rather than the hysteresis-tracked screen type
+                    var screen = vision.classifyScreenType(img, width, height, adaptedConfig);
+                    detection.votes = screen.votes;
+                    detection.screenType = screen.type;
+                    detection.confidence = screen.confidence;
+                    detection.state = vision.analyzeEnvironment(config, { img: img, screen: screen });
+                }
+
+                detections.push(detection);
+            }
+        } finally {
+            frameReplay.detach(vision);
+        }
+
+        return detections;
+    },
+
+    /**
+     * Scores detections against the manifest labels
+     * @param {Object} manifest - Manifest from loadManifest
+     * @param {Array} detections - Output of evaluateManifest
+     * @return {Object} Accuracy report
+     */
+    scoreDetections: function(manifest, detections) {
+        var labels = [];
+        var confusion = {};
+        var screenPairs = [];
+        var correct = 0;
+
+        manifest.frames.forEach(function(entry, i) {
+            var expected = entry.expected.screenType;
+            var detected = detections[i].screenType || "unknown";
+
+            [expected, detected].forEach(function(label) {
+                if (labels.indexOf(label) === -1) labels.push(label);
+            });
+
+            confusion[expected] = confusion[expected] || {};
+            confusion[expected][detected] = (confusion[expected][detected] || 0) + 1;
+            screenPairs.push({ expected: expected, predicted: detected });
+            if (expected === detected) correct++;
+        });
+        labels.sort();
+
+        var report = {
+            createdAt: new Date().toISOString(),
+            frameCount: manifest.frames.length,
+            screenType: {
+                accuracy: ratio(correct, manifest.frames.length),
+                labels: labels,
+                confusion: confusion,
+                perType: precisionRecall(screenPairs, labels).perLabel
+            },
+            methods: this.scoreMethods(manifest, detections, labels),
+            lanes: this.scoreLanes(manifest, detections),
+            playerPosition: this.scorePlayerPosition(manifest, detections),
+            obstacles: this.scoreObstacles(manifest, detections)
+        };
+
+        report.metrics = this.summarize(report);
+        return report;
+    },
+
+    /**
+     * Computes precision/recall for each screen type detection method
+     * @param {Object} manifest - Manifest from loadManifest
+     * @param {Array} detections - Output of evaluateManifest
+     * @param {Array} labels - Screen type labels
+     * @return {Object} Per-method {coverage, precision, recall, perType}
+     */
+    scoreMethods: function(manifest, detections, labels) {
+        var methods = {};
+
+        DETECTOR_METHODS.forEach(function(method) {
+            var pairs = [];
+            var voted = 0;
+
+            manifest.frames.forEach(function(entry, i) {
+                var vote = detections[i].votes[method] ? detections[i].votes[method].type : null;
+                if (vote !== null) voted++;
+                pairs.push({ expected: entry.expected.screenType, predicted: vote });
+            });
+
+            var scores = precisionRecall(pairs, labels);
+            methods[method] = {
+                coverage: ratio(voted, manifest.frames.length),
+                precision: scores.macroPrecision,
+                recall: scores.macroRecall,
+                perType: scores.perLabel
+            };
+        });
+
+        return methods;
+    },
+
+    /**
+     * Scores per-lane obstacle and coin flags on frames that label lanes
+     * @param {Object} manifest - Manifest from loadManifest
+     * @param {Array} detections - Output of evaluateManifest
+     * @return {Object} {frames, obstacleAccuracy, coinAccuracy}
+     */
+    scoreLanes: function(manifest, detections) {
+        var frames = 0, checks = 0, obstacleHits = 0, coinHits = 0;
+
+        manifest.frames.forEach(function(entry, i) {
+            var expectedLanes = entry.expected.lanes;
+            if (!expectedLanes) return;
+
+            var state = detections[i].state || {};
+            var detectedLanes = state.lanes || {};
+            frames++;
+
+            LANES.forEach(function(lane) {
+                if (!expectedLanes[lane]) return;
+                var detected = detectedLanes[lane] || {};
+                checks++;
+                if (!!expectedLanes[lane].obstacles === !!detected.obstacles) obstacleHits++;
+                if (!!expectedLanes[lane].coins === !!detected.coins) coinHits++;
+            });
+        });
+
+        return {
+            frames: frames,
+            obstacleAccuracy: ratio(obstacleHits, checks),
+            coinAccuracy: ratio(coinHits, checks)
+        };
+    },
+
+    /**
+     * Scores player lane detection on frames that label it
+     * @param {Object} manifest - Manifest from loadManifest
+     * @param {Array} detections - Output of evaluateManifest
+     * @return {Object} {frames, accuracy}
+     */
+    scorePlayerPosition: function(manifest, detections) {
+        var frames = 0, hits = 0;
+
+        manifest.frames.forEach(function(entry, i) {
+            if (!entry.expected.playerPosition) return;
+            var state = detections[i].state || {};
+            frames++;
+            if (state.playerPosition === entry.expected.playerPosition) hits++;
+        });
+
+        return { frames: frames, accuracy: ratio(hits, frames) };
+    },
+
+    /**
+     * Scores obstacle detections by matching lane and distance band
+     * @param {Object} manifest - Manifest from loadManifest
+     * @param {Array} detections - Output of evaluateManifest
+     * @return {Object} {frames, precision, recall, typeAccuracy}
+     */
+    scoreObstacles: function(manifest, detections) {
+        var frames = 0, tp = 0, fp = 0, fn = 0;
+        var typed = 0, typeHits = 0;
+
+        manifest.frames.forEach(function(entry, i) {
+            if (!Array.isArray(entry.expected.obstacles)) return;
+            var state = detections[i].state || {};
+            var unmatched = (state.obstacles || []).slice();
+            frames++;
+
+            entry.expected.obstacles.forEach(function(obstacle) {
+                var index = -1;
+                for (var j = 0; j < unmatched.length; j++) {
+                    if (unmatched[j].lane === obstacle.lane && unmatched[j].distance === obstacle.distance) {
+                        index = j;
+                        break;
+                    }
+                }
+
+                if (index !== -1) {
+                    // Obstacle types are only scored where the label gives one
+                    if (obstacle.type) {
+                        typed++;
+                        if (unmatched[index].type === obstacle.type) typeHits++;
+                    }
+                    unmatched.splice(index, 1);
+                    tp++;
+                } else {
+                    fn++;
+                }
+            });
+            fp += unmatched.length;
+        });
+
+        return {
+            frames: frames,
+            precision: ratio(tp, tp + fp),
+            recall: ratio(tp, tp + fn),
+            typeAccuracy: ratio(typeHits, typed)
+        };
+    },
+
+    /**
+     * Flattens a report into the named metrics tracked against a baseline
+     * @param {Object} report - Report from scoreDetections
+     * @return {Object} Map of metric name to value (null when not measurable)
+     */
+    summarize: function(report) {
+        var metrics = {
+            "screenType.accuracy": report.screenType.accuracy,
+            "lanes.obstacleAccuracy": report.lanes.obstacleAccuracy,
+            "lanes.coinAccuracy": report.lanes.coinAccuracy,
+            "playerPosition.accuracy": report.playerPosition.accuracy,
+            "obstacles.precision": report.obstacles.precision,
+            "obstacles.recall": report.obstacles.recall,
+            "obstacles.typeAccuracy": report.obstacles.typeAccuracy
+        };
+
+        report.screenType.labels.forEach(function(label) {
+            metrics["screenType." + label + ".recall"] = report.screenType.perType[label].recall;
+        });
+
+        DETECTOR_METHODS.forEach(function(method) {
+            metrics["methods." + method + ".precision"] = report.methods[method].precision;
+            metrics["methods." + method + ".recall"] = report.methods[method].recall;
+        });
+
+        return metrics;
+    },
+
+    /**
+     * Compares a report with a stored baseline
+     * @param {Object} report - Current report
+     * @param {Object} baseline - Baseline report (only its metrics are used)
+     * @param {number} tolerance - Allowed drop before a metric counts as regressed
+     * @return {Object} {regressions, improvements} lists of {metric, baseline, current, delta}
+     */
+    compareToBaseline: function(report, baseline, tolerance) {
+        tolerance = tolerance === undefined ? DEFAULT_TOLERANCE : tolerance;
+        var result = { regressions: [], improvements: [] };
+        var baselineMetrics = baseline.metrics || {};
+
+        for (var metric in baselineMetrics) {
+            var before = baselineMetrics[metric];
+            var after = report.metrics[metric];
+            if (before === null || before === undefined) continue;
+
+            // A metric that could be measured before but no longer can is a regression
+            if (after === null || after === undefined) {
+                result.regressions.push({ metric: metric, baseline: before, current: null, delta: null });
+                continue;
+            }
+
+            var delta = after - before;
+            if (delta < -tolerance) {
+                result.regressions.push({ metric: metric, baseline: before, current: after, delta: delta });
+            } else if (delta > tolerance) {
+                result.improvements.push({ metric: metric, baseline: before, current: after, delta: delta });
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Saves a report as the new baseline
+     * @param {Object} report - Report to store
+     * @param {string} baselinePath - Destination file
+     */
+    saveBaseline: function(report, baselinePath) {
+        fs.writeFileSync(baselinePath, JSON.stringify(report, null, 2));
+    },
+
+    /**
+     * Loads a stored baseline report
+     * @param {string} baselinePath - Baseline file
+     * @return {Object} Baseline report or null if it does not exist
+     */
+    loadBaseline: function(baselinePath) {
+        if (!fs.existsSync(baselinePath)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(baselinePath, "utf8"));
+    },
+
+    /**
+     * Renders a report as readable text
+     * @param {Object} report - Report from scoreDetections
+     * @return {string} Text report
+     */
+    formatReport: function(report) {
+        var pct = function(value) {
+            return value === null ? "n/a" : (value * 100).toFixed(1) + "%";
+        };
+        var lines = [];
+        var labels = report.screenType.labels;
+
+        lines.push("Frames scored: " + report.frameCount);
+        lines.push("Screen type accuracy: " + pct(report.screenType.accuracy));
+        lines.push("");
+        lines.push("Confusion matrix (rows = expected, columns = detected):");
+        lines.push(["expected"].concat(labels).join("\t"));
+        labels.forEach(function(expected) {
+            var row = report.screenType.confusion[expected] || {};
+            lines.push([expected].concat(labels.map(function(detected) {
+                return row[detected] || 0;
+            })).join("\t"));
+        });
+        lines.push("");
+        lines.push("Per-method precision / recall / coverage:");
+        DETECTOR_METHODS.forEach(function(method) {
+            var scores = report.methods[method];
+            lines.push("  " + method + ": " + pct(scores.precision) + " / " + pct(scores.recall) +
+                       " / " + pct(scores.coverage));
+        });
+        lines.push("");
+        lines.push("Lane obstacle accuracy: " + pct(report.lanes.obstacleAccuracy) +
+                   ", lane coin accuracy: " + pct(report.lanes.coinAccuracy) +
+                   " (" + report.lanes.frames + " frames)");
+        lines.push("Player position accuracy: " + pct(report.playerPosition.accuracy) +
+                   " (" + report.playerPosition.frames + " frames)");
+        lines.push("Obstacle precision / recall: " + pct(report.obstacles.precision) + " / " +
+                   pct(report.obstacles.recall) + " (" + report.obstacles.frames + " frames)");
+        lines.push("Obstacle type accuracy: " + pct(report.obstacles.typeAccuracy));
+
+        return lines.join("\n");
+    }
+};
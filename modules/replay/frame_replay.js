@@ -0,0 +1,179 @@
+/**
+ * Frame Replay Harness for Subway Surfers Bot
+ * Runs the vision pipeline against sessions recorded by data_collection on a plain
+ * Node.js box, so detection changes can be regression-tested without an emulator
+ *
+ * A session is the set of "<sessionId>_<index>.png" screenshots plus the
+ * "<sessionId>_metadata.json" file written by data_collection.captureScreen.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var nodeImageBackend = require('./node_image_backend.js');
+
+module.exports = {
+    /**
+     * Loads the screenshot metadata of a recorded session
+     * @param {string} screenshotsDir - Directory holding the session screenshots
+     * @param {string} sessionId - Session ID (e.g. "session_1700000000000")
+     * @return {Array} Frame metadata entries sorted by index
+     */
+    loadSessionFrames: function(screenshotsDir, sessionId) {
+        var metadataFile = path.join(screenshotsDir, sessionId + "_metadata.json");
+        if (!fs.existsSync(metadataFile)) {
+            throw new Error("Session metadata not found: " + metadataFile);
+        }
+
+        var frames = JSON.parse(fs.readFileSync(metadataFile, "utf8"));
+        frames.sort(function(a, b) {
+            return a.index - b.index;
+        });
+
+        return frames;
+    },
+
+    /**
+     * Lists the session IDs that have screenshot metadata in a directory
+     * @param {string} screenshotsDir - Directory holding the session screenshots
+     * @return {Array} Session IDs
+     */
+    listSessions: function(screenshotsDir) {
+        return fs.readdirSync(screenshotsDir).filter(function(name) {
+            return name.endsWith("_metadata.json");
+        }).map(function(name) {
+            return name.substring(0, name.length - "_metadata.json".length);
+        }).sort();
+    },
+
+    /**
+     * Creates a frame source that serves saved screenshots in place of captureScreen
+     * @param {Array} framePaths - Image file paths in playback order
+     * @param {Object} backend - Image backend used to decode frames
+     * @param {Array} timestamps - Optional recording time in ms of each frame
+     * @return {Object} Frame source with capture(), timestamp(), next(), hasNext() and current()
+     */
+    createFileFrameSource: function(framePaths, backend, timestamps) {
+        backend = backend || nodeImageBackend;
+        var position = -1;
+        var cachedImage = null;
+
+        return {
+            /**
+             * Advances to the next frame
+             * @return {boolean} False once all frames have been served
+             */
+            next: function() {
+                cachedImage = null;
+                position++;
+                return position < framePaths.length;
+            },
+
+            /**
+             * @return {boolean} Whether another frame is available
+             */
+            hasNext: function() {
+                return position + 1 < framePaths.length;
+            },
+
+            /**
+             * @return {string} Path of the current frame
+             */
+            current: function() {
+                return framePaths[position];
+            },
+
+            /**
+             * Returns the current frame, decoding it once per position
+             * @return {Object} Image object or null if no frame is selected
+             */
+            capture: function() {
+                if (position < 0 || position >= framePaths.length) {
+                    return null;
+                }
+                if (!cachedImage) {
+                    cachedImage = backend.images.read(framePaths[position]);
+                }
+                return cachedImage;
+            },
+
+            /**
+             * @return {number} Recording time of the current frame, or null if unknown
+             */
+            timestamp: function() {
+                return timestamps && typeof timestamps[position] === 'number' ? timestamps[position] : null;
+            }
+        };
+    },
+
+    /**
+     * Installs the Node.js image backend and a file frame source into the vision module
+     * @param {Object} vision - Vision module
+     * @param {Array} framePaths - Image file paths in playback order
+     * @param {Array} timestamps - Optional recording time in ms of each frame
+     * @return {Object} The installed frame source
+     */
+    attach: function(vision, framePaths, timestamps) {
+        var source = this.createFileFrameSource(framePaths, nodeImageBackend, timestamps);
+        vision.setImageBackend(nodeImageBackend);
+        vision.setFrameSource(source);
+        return source;
+    },
+
+    /**
+     * Restores live capture and the AutoJS image backend in the vision module
+     * @param {Object} vision - Vision module
+     */
+    detach: function(vision) {
+        vision.setFrameSource(null);
+        vision.setImageBackend(null);
+    },
+
+    /**
+     * Runs vision.analyzeEnvironment over every frame of a recorded session
+     * @param {Object} vision - Vision module
+     * @param {Object} config - Bot configuration
+     * @param {string} screenshotsDir - Directory holding the session screenshots
+     * @param {string} sessionId - Session ID to replay
+     * @param {function} frameCallback - Optional callback invoked with each frame result
+     * @return {Array} Per-frame results {index, filename, recordedAt, recordedState, detectedState}
+     */
+    replaySession: function(vision, config, screenshotsDir, sessionId, frameCallback) {
+        var frames = this.loadSessionFrames(screenshotsDir, sessionId);
+        var framePaths = frames.map(function(frame) {
+            return path.join(screenshotsDir, frame.filename);
+        });
+        var timestamps = frames.map(function(frame) {
+            return frame.timestamp;
+        });
+        var source = this.attach(vision, framePaths, timestamps);
+        var results = [];
+
+        try {
+            for (var i = 0; source.next(); i++) {
+                var frame = frames[i];
+                var result = {
+                    index: frame.index,
+                    filename: frame.filename,
+                    recordedAt: frame.timestamp,
+                    recordedState: frame.gameState || {},
+                    detectedState: null
+                };
+
+                if (!source.capture()) {
+                    result.error = "Could not decode frame";
+                } else {
+                    result.detectedState = vision.analyzeEnvironment(config);
+                }
+
+                results.push(result);
+                if (typeof frameCallback === 'function') {
+                    frameCallback(result);
+                }
+            }
+        } finally {
+            this.detach(vision);
+        }
+
+        return results;
+    }
+};
@@ -0,0 +1,420 @@
+/**
+ * Node.js Image Backend for Subway Surfers Bot
+ * Stands in for the AutoJS images, colors and files globals so the vision pipeline can
+ * run against saved screenshots without an emulator
+ *
+ * Colors follow the AutoJS convention of signed 32-bit ARGB integers.
+ */
+
+var fs = require('fs');
+var pngDecoder = require('./png_decoder.js');
+
+// Default per-channel tolerance used by AutoJS findColor
+var DEFAULT_THRESHOLD = 4;
+
+/**
+ * Wraps RGBA pixel data in an object exposing the AutoJS image methods vision relies on
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Buffer} data - RGBA pixel data
+ * @return {Object} Image object
+ */
+function createImage(width, height, data) {
+    return {
+        width: width,
+        height: height,
+        data: data,
+        getWidth: function() {
+            return width;
+        },
+        getHeight: function() {
+            return height;
+        },
+        recycle: function() {
+            // Pixel buffers are garbage collected, nothing to release
+        }
+    };
+}
+
+/**
+ * Clamps a region to the image bounds
+ * @param {Object} img - Image object
+ * @param {Array} region - Region [x, y, width, height], defaults to the whole image
+ * @return {Object} Integer bounds {x1, y1, x2, y2} (x2/y2 exclusive)
+ */
+function clampRegion(img, region) {
+    region = region || [0, 0, img.width, img.height];
+    var x1 = Math.max(0, Math.floor(region[0]));
+    var y1 = Math.max(0, Math.floor(region[1]));
+    var x2 = Math.min(img.width, Math.floor(region[0] + (region[2] === undefined ? img.width : region[2])));
+    var y2 = Math.min(img.height, Math.floor(region[1] + (region[3] === undefined ? img.height : region[3])));
+
+    return { x1: x1, y1: y1, x2: x2, y2: y2 };
+}
+
+var colors = {
+    /**
+     * Parses "#RRGGBB" or "#AARRGGBB" into an ARGB integer
+     * @param {string} colorString - Color string
+     * @return {number} ARGB color value
+     */
+    parseColor: function(colorString) {
+        var hex = String(colorString).replace("#", "");
+        if (hex.length === 6) {
+            hex = "FF" + hex;
+        }
+        if (!/^[0-9a-fA-F]{8}$/.test(hex)) {
+            throw new Error("Unknown color: " + colorString);
+        }
+        return parseInt(hex, 16) | 0;
+    },
+
+    /**
+     * Gets the alpha channel of a color
+     * @param {number} color - ARGB color value
+     * @return {number} Channel value (0-255)
+     */
+    alpha: function(color) {
+        return (color >>> 24) & 0xFF;
+    },
+
+    /**
+     * Gets the red channel of a color
+     * @param {number} color - ARGB color value
+     * @return {number} Channel value (0-255)
+     */
+    red: function(color) {
+        return (color >> 16) & 0xFF;
+    },
+
+    /**
+     * Gets the green channel of a color
+     * @param {number} color - ARGB color value
+     * @return {number} Channel value (0-255)
+     */
+    green: function(color) {
+        return (color >> 8) & 0xFF;
+    },
+
+    /**
+     * Gets the blue channel of a color
+     * @param {number} color - ARGB color value
+     * @return {number} Channel value (0-255)
+     */
+    blue: function(color) {
+        return color & 0xFF;
+    },
+
+    /**
+     * Builds an opaque color from its channels
+     * @param {number} red - Red value (0-255)
+     * @param {number} green - Green value (0-255)
+     * @param {number} blue - Blue value (0-255)
+     * @return {number} ARGB color value
+     */
+    rgb: function(red, green, blue) {
+        return (0xFF000000 | (red << 16) | (green << 8) | blue) | 0;
+    }
+};
+
+/**
+ * Normalizes a color argument that may be a string or an ARGB integer
+ * @param {string|number} color - Color to normalize
+ * @return {number} ARGB color value
+ */
+function toColorInt(color) {
+    return typeof color === "string" ? colors.parseColor(color) : color;
+}
+
+/**
+ * Averages an image region over square blocks
+ * @param {Object} img - Image object
+ * @param {number} x - Region start x
+ * @param {number} y - Region start y
+ * @param {number} width - Region width
+ * @param {number} height - Region height
+ * @param {number} factor - Block size in pixels
+ * @return {Object} {width, height, data} with RGB averages per block
+ */
+function blockAverage(img, x, y, width, height, factor) {
+    var w = Math.floor(width / factor);
+    var h = Math.floor(height / factor);
+    var data = new Float32Array(w * h * 3);
+    var area = factor * factor;
+
+    for (var by = 0; by < h; by++) {
+        for (var bx = 0; bx < w; bx++) {
+            var r = 0, g = 0, b = 0;
+            for (var py = 0; py < factor; py++) {
+                var offset = ((y + by * factor + py) * img.width + x + bx * factor) * 4;
+                for (var px = 0; px < factor; px++, offset += 4) {
+                    r += img.data[offset];
+                    g += img.data[offset + 1];
+                    b += img.data[offset + 2];
+                }
+            }
+            var o = (by * w + bx) * 3;
+            data[o] = r / area;
+            data[o + 1] = g / area;
+            data[o + 2] = b / area;
+        }
+    }
+
+    return { width: w, height: h, data: data };
+}
+
+var images = {
+    /**
+     * Reads and decodes a PNG file
+     * @param {string} path - File path
+     * @return {Object} Image object, or null if the file cannot be read
+     */
+    read: function(path) {
+        try {
+            var decoded = pngDecoder.decode(fs.readFileSync(path));
+            return createImage(decoded.width, decoded.height, decoded.data);
+        } catch (e) {
+            console.error("Failed to read image " + path + ": " + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Gets the ARGB color of a pixel
+     * @param {Object} img - Image object
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @return {number} ARGB color value
+     */
+    pixel: function(img, x, y) {
+        x = Math.min(img.width - 1, Math.max(0, Math.floor(x)));
+        y = Math.min(img.height - 1, Math.max(0, Math.floor(y)));
+        var offset = (y * img.width + x) * 4;
+        var d = img.data;
+
+        return ((d[offset + 3] << 24) | (d[offset] << 16) | (d[offset + 1] << 8) | d[offset + 2]) | 0;
+    },
+
+    /**
+     * Finds the first pixel matching a color within a per-channel threshold
+     * @param {Object} img - Image object
+     * @param {string|number} color - Target color
+     * @param {Object} options - {region: [x, y, w, h], threshold: number}
+     * @return {Object|null} Matching point {x, y} or null
+     */
+    findColor: function(img, color, options) {
+        var points = this.findAllPointsForColor(img, color, options, 1);
+        return points.length > 0 ? points[0] : null;
+    },
+
+    /**
+     * Finds all pixels matching a color within a per-channel threshold
+     * @param {Object} img - Image object
+     * @param {string|number} color - Target color
+     * @param {Object} options - {region: [x, y, w, h], threshold: number}
+     * @param {number} limit - Optional maximum number of points to return
+     * @return {Array} Matching points [{x, y}]
+     */
+    findAllPointsForColor: function(img, color, options, limit) {
+        options = options || {};
+        var target = toColorInt(color);
+        var r = colors.red(target);
+        var g = colors.green(target);
+        var b = colors.blue(target);
+        var threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+        var bounds = clampRegion(img, options.region);
+        var d = img.data;
+        var points = [];
+
+        for (var y = bounds.y1; y < bounds.y2; y++) {
+            for (var x = bounds.x1; x < bounds.x2; x++) {
+                var offset = (y * img.width + x) * 4;
+                if (Math.abs(d[offset] - r) <= threshold &&
+                    Math.abs(d[offset + 1] - g) <= threshold &&
+                    Math.abs(d[offset + 2] - b) <= threshold) {
+                    points.push({ x: x, y: y });
+                    if (limit && points.length >= limit) {
+                        return points;
+                    }
+                }
+            }
+        }
+
+        return points;
+    },
+
+    /**
+     * Finds the best position of a template image, like AutoJS images.findImage
+     * Block-averaged copies of both images are searched exhaustively first, then the
+     * best coarse positions are refined at full resolution. Similarity is one minus
+     * the mean channel difference over sampled template pixels
+     * @param {Object} img - Image object
+     * @param {Object} template - Template image object
+     * @param {Object} options - {region: [x, y, w, h], threshold: minimum similarity (0-1)}
+     * @return {Object|null} Top-left point {x, y} of the match or null
+     */
+    findImage: function(img, template, options) {
+        options = options || {};
+        var threshold = options.threshold === undefined ? 0.9 : options.threshold;
+        var bounds = clampRegion(img, options.region);
+        var maxX = bounds.x2 - template.width;
+        var maxY = bounds.y2 - template.height;
+        if (maxX < bounds.x1 || maxY < bounds.y1) {
+            return null;
+        }
+
+        // Compare at most 16x16 template pixels per position
+        var sampleStep = Math.max(1, Math.floor(Math.max(template.width, template.height) / 16));
+        var samples = [];
+        for (var ty = 0; ty < template.height; ty += sampleStep) {
+            for (var tx = 0; tx < template.width; tx += sampleStep) {
+                samples.push({ x: tx, y: ty, offset: (ty * template.width + tx) * 4 });
+            }
+        }
+
+        function similarityAt(x, y) {
+            var d = img.data, t = template.data, diff = 0;
+            for (var i = 0; i < samples.length; i++) {
+                var offset = ((y + samples[i].y) * img.width + x + samples[i].x) * 4;
+                var to = samples[i].offset;
+                diff += Math.abs(d[offset] - t[to]) + Math.abs(d[offset + 1] - t[to + 1]) + Math.abs(d[offset + 2] - t[to + 2]);
+            }
+            return 1 - diff / (samples.length * 3 * 255);
+        }
+
+        // Coarse search on block averages, which tolerate misalignment and pixel noise
+        var factor = Math.max(1, Math.floor(Math.min(template.width, template.height) / 8));
+        var coarseImg = blockAverage(img, bounds.x1, bounds.y1, bounds.x2 - bounds.x1, bounds.y2 - bounds.y1, factor);
+        var coarseTemplate = blockAverage(template, 0, 0, template.width, template.height, factor);
+        var candidates = [];
+        var x, y;
+
+        for (y = 0; y + coarseTemplate.height <= coarseImg.height; y++) {
+            for (x = 0; x + coarseTemplate.width <= coarseImg.width; x++) {
+                var diff = 0;
+                for (var cy = 0; cy < coarseTemplate.height; cy++) {
+                    for (var cx = 0; cx < coarseTemplate.width; cx++) {
+                        var io = ((y + cy) * coarseImg.width + x + cx) * 3;
+                        var to = (cy * coarseTemplate.width + cx) * 3;
+                        diff += Math.abs(coarseImg.data[io] - coarseTemplate.data[to]) +
+                                Math.abs(coarseImg.data[io + 1] - coarseTemplate.data[to + 1]) +
+                                Math.abs(coarseImg.data[io + 2] - coarseTemplate.data[to + 2]);
+                    }
+                }
+                candidates.push({ x: bounds.x1 + x * factor, y: bounds.y1 + y * factor, diff: diff });
+            }
+        }
+        candidates.sort(function(a, b) {
+            return a.diff - b.diff;
+        });
+
+        var best = { x: bounds.x1, y: bounds.y1, similarity: -1 };
+        candidates.slice(0, 16).forEach(function(coarse) {
+            for (y = Math.max(bounds.y1, coarse.y - factor); y <= Math.min(maxY, coarse.y + factor); y++) {
+                for (x = Math.max(bounds.x1, coarse.x - factor); x <= Math.min(maxX, coarse.x + factor); x++) {
+                    var similarity = similarityAt(x, y);
+                    if (similarity > best.similarity) {
+                        best = { x: x, y: y, similarity: similarity };
+                    }
+                }
+            }
+        });
+
+        return best.similarity >= threshold ? { x: best.x, y: best.y } : null;
+    },
+
+    /**
+     * Crops an image to a region
+     * @param {Object} img - Image object
+     * @param {number} x - Start x coordinate
+     * @param {number} y - Start y coordinate
+     * @param {number} width - Region width
+     * @param {number} height - Region height
+     * @return {Object} Cropped image
+     */
+    clip: function(img, x, y, width, height) {
+        var bounds = clampRegion(img, [x, y, width, height]);
+        var w = Math.max(0, bounds.x2 - bounds.x1);
+        var h = Math.max(0, bounds.y2 - bounds.y1);
+        var data = Buffer.alloc(w * h * 4);
+
+        for (var row = 0; row < h; row++) {
+            var start = ((bounds.y1 + row) * img.width + bounds.x1) * 4;
+            img.data.copy(data, row * w * 4, start, start + w * 4);
+        }
+
+        return createImage(w, h, data);
+    },
+
+    /**
+     * Scales an image with nearest-neighbour sampling
+     * @param {Object} img - Image object
+     * @param {number} xScale - Horizontal scale factor
+     * @param {number} yScale - Vertical scale factor
+     * @return {Object} Scaled image
+     */
+    scale: function(img, xScale, yScale) {
+        var w = Math.max(1, Math.round(img.width * xScale));
+        var h = Math.max(1, Math.round(img.height * yScale));
+        var data = Buffer.alloc(w * h * 4);
+
+        for (var y = 0; y < h; y++) {
+            var srcY = Math.min(img.height - 1, Math.floor(y / yScale));
+            for (var x = 0; x < w; x++) {
+                var srcX = Math.min(img.width - 1, Math.floor(x / xScale));
+                img.data.copy(data, (y * w + x) * 4, (srcY * img.width + srcX) * 4, (srcY * img.width + srcX) * 4 + 4);
+            }
+        }
+
+        return createImage(w, h, data);
+    },
+
+    /**
+     * Releases image resources
+     * @param {Object} img - Image to release
+     */
+    recycle: function(img) {
+        // Nothing to release for in-memory buffers
+    }
+};
+
+// Read-only stand-in for the AutoJS files global, so template manifests and other bot data
+// can be loaded; replaying frames must never change the bot's data files
+var files = {
+    exists: function(path) {
+        return fs.existsSync(path);
+    },
+
+    read: function(path) {
+        return fs.readFileSync(path, "utf8");
+    },
+
+    listDir: function(path, filter) {
+        return fs.readdirSync(path).filter(function(name) {
+            return !filter || filter(name);
+        });
+    },
+
+    write: function() {
+        return false;
+    },
+
+    append: function() {
+        return false;
+    },
+
+    createWithDirs: function() {
+        return false;
+    },
+
+    remove: function() {
+        return false;
+    }
+};
+
+module.exports = {
+    images: images,
+    colors: colors,
+    files: files,
+    createImage: createImage
+};
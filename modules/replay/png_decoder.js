@@ -0,0 +1,205 @@
+/**
+ * Minimal PNG Decoder for Subway Surfers Bot
+ * Decodes the screenshots written by data_collection.captureScreen on plain Node.js,
+ * using only the built-in zlib module
+ *
+ * Supports non-interlaced 8-bit grayscale, RGB, palette, gray+alpha and RGBA images
+ */
+
+var zlib = require('zlib');
+
+// PNG file signature
+var PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Channels per pixel for each PNG color type
+var CHANNELS = {
+    0: 1, // Grayscale
+    2: 3, // RGB
+    3: 1, // Palette index
+    4: 2, // Grayscale + alpha
+    6: 4  // RGBA
+};
+
+module.exports = {
+    /**
+     * Decodes a PNG buffer into RGBA pixel data
+     * @param {Buffer} buffer - Raw PNG file contents
+     * @return {Object} Decoded image {width, height, data} where data is an RGBA Buffer
+     */
+    decode: function(buffer) {
+        for (var i = 0; i < PNG_SIGNATURE.length; i++) {
+            if (buffer[i] !== PNG_SIGNATURE[i]) {
+                throw new Error("Not a PNG file");
+            }
+        }
+
+        var header = null;
+        var palette = null;
+        var transparency = null;
+        var dataChunks = [];
+        var offset = PNG_SIGNATURE.length;
+
+        // Walk the chunk list
+        while (offset < buffer.length) {
+            var length = buffer.readUInt32BE(offset);
+            var type = buffer.toString("ascii", offset + 4, offset + 8);
+            var chunk = buffer.slice(offset + 8, offset + 8 + length);
+            offset += length + 12; // length + type + data + CRC
+
+            if (type === "IHDR") {
+                header = {
+                    width: chunk.readUInt32BE(0),
+                    height: chunk.readUInt32BE(4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === "PLTE") {
+                palette = chunk;
+            } else if (type === "tRNS") {
+                transparency = chunk;
+            } else if (type === "IDAT") {
+                dataChunks.push(chunk);
+            } else if (type === "IEND") {
+                break;
+            }
+        }
+
+        if (!header) {
+            throw new Error("PNG is missing its IHDR chunk");
+        }
+        if (header.bitDepth !== 8) {
+            throw new Error("Unsupported PNG bit depth: " + header.bitDepth);
+        }
+        if (header.interlace !== 0) {
+            throw new Error("Interlaced PNGs are not supported");
+        }
+        if (!CHANNELS[header.colorType]) {
+            throw new Error("Unsupported PNG color type: " + header.colorType);
+        }
+
+        var channels = CHANNELS[header.colorType];
+        var raw = zlib.inflateSync(Buffer.concat(dataChunks));
+        var scanlines = this.unfilter(raw, header.width, header.height, channels);
+
+        return {
+            width: header.width,
+            height: header.height,
+            data: this.toRGBA(scanlines, header, channels, palette, transparency)
+        };
+    },
+
+    /**
+     * Reverses the per-scanline PNG filters
+     * @param {Buffer} raw - Inflated image data including filter bytes
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} channels - Bytes per pixel
+     * @return {Buffer} Unfiltered pixel bytes without filter markers
+     */
+    unfilter: function(raw, width, height, channels) {
+        var stride = width * channels;
+        var out = Buffer.alloc(stride * height);
+
+        for (var y = 0; y < height; y++) {
+            var filterType = raw[y * (stride + 1)];
+            var inStart = y * (stride + 1) + 1;
+            var outStart = y * stride;
+
+            for (var x = 0; x < stride; x++) {
+                var value = raw[inStart + x];
+                var left = x >= channels ? out[outStart + x - channels] : 0;
+                var up = y > 0 ? out[outStart - stride + x] : 0;
+                var upLeft = (y > 0 && x >= channels) ? out[outStart - stride + x - channels] : 0;
+
+                if (filterType === 1) {
+                    value += left;
+                } else if (filterType === 2) {
+                    value += up;
+                } else if (filterType === 3) {
+                    value += Math.floor((left + up) / 2);
+                } else if (filterType === 4) {
+                    value += this.paeth(left, up, upLeft);
+                } else if (filterType !== 0) {
+                    throw new Error("Unknown PNG filter type: " + filterType);
+                }
+
+                out[outStart + x] = value & 0xFF;
+            }
+        }
+
+        return out;
+    },
+
+    /**
+     * Paeth predictor used by PNG filter type 4
+     * @param {number} a - Left byte
+     * @param {number} b - Upper byte
+     * @param {number} c - Upper-left byte
+     * @return {number} Predicted byte
+     */
+    paeth: function(a, b, c) {
+        var p = a + b - c;
+        var pa = Math.abs(p - a);
+        var pb = Math.abs(p - b);
+        var pc = Math.abs(p - c);
+
+        if (pa <= pb && pa <= pc) return a;
+        if (pb <= pc) return b;
+        return c;
+    },
+
+    /**
+     * Expands unfiltered pixel bytes of any supported color type to RGBA
+     * @param {Buffer} pixels - Unfiltered pixel bytes
+     * @param {Object} header - Parsed IHDR values
+     * @param {number} channels - Bytes per pixel
+     * @param {Buffer} palette - PLTE chunk for palette images
+     * @param {Buffer} transparency - tRNS chunk for palette images
+     * @return {Buffer} RGBA pixel data
+     */
+    toRGBA: function(pixels, header, channels, palette, transparency) {
+        var count = header.width * header.height;
+        var rgba = Buffer.alloc(count * 4);
+
+        for (var i = 0; i < count; i++) {
+            var src = i * channels;
+            var dst = i * 4;
+
+            switch (header.colorType) {
+                case 0:
+                    rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = pixels[src];
+                    rgba[dst + 3] = 255;
+                    break;
+                case 2:
+                    rgba[dst] = pixels[src];
+                    rgba[dst + 1] = pixels[src + 1];
+                    rgba[dst + 2] = pixels[src + 2];
+                    rgba[dst + 3] = 255;
+                    break;
+                case 3:
+                    var index = pixels[src];
+                    if (!palette) {
+                        throw new Error("Palette PNG is missing its PLTE chunk");
+                    }
+                    rgba[dst] = palette[index * 3];
+                    rgba[dst + 1] = palette[index * 3 + 1];
+                    rgba[dst + 2] = palette[index * 3 + 2];
+                    rgba[dst + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+                    break;
+                case 4:
+                    rgba[dst] = rgba[dst + 1] = rgba[dst + 2] = pixels[src];
+                    rgba[dst + 3] = pixels[src + 1];
+                    break;
+                case 6:
+                    rgba[dst] = pixels[src];
+                    rgba[dst + 1] = pixels[src + 1];
+                    rgba[dst + 2] = pixels[src + 2];
+                    rgba[dst + 3] = pixels[src + 3];
+                    break;
+            }
+        }
+
+        return rgba;
+    }
+};
@@ -30,7 +30,8 @@ var dashboardState = {
         averageScore: 0,
         longestRun: 0,
         lastGameStats: null,
-        gameHistory: []
+        gameHistory: [],
+        maxHistory: 50 // Games kept in gameHistory
     },
     performanceStats: {
         fps: [],
@@ -76,6 +77,10 @@ module.exports = {
                 dashboardState.updateFrequency = config.statistics.updateFrequency;
             }
             
+            if (config.statistics.historySize) {
+                dashboardState.gameStats.maxHistory = config.statistics.historySize;
+            }
+            
             if (config.statistics.export) {
                 dashboardState.exportData.autoExport = config.statistics.export.autoExport || false;
                 dashboardState.exportData.autoExportInterval = config.statistics.export.interval || 
@@ -114,7 +119,8 @@ module.exports = {
                 averageScore: 0,
                 longestRun: 0,
                 lastGameStats: null,
-                gameHistory: []
+                gameHistory: [],
+                maxHistory: 50
             },
             performanceStats: {
                 fps: [],
@@ -150,9 +156,9 @@ module.exports = {
                     dashboardState.gameStats.averageScore = savedStats.gameStats.averageScore || 0;
                     dashboardState.gameStats.longestRun = savedStats.gameStats.longestRun || 0;
                     
-                    // Load game history (limited to last 50 games)
+                    // Load game history (limited to the configured number of games)
                     if (savedStats.gameStats.gameHistory && Array.isArray(savedStats.gameStats.gameHistory)) {
-                        dashboardState.gameStats.gameHistory = savedStats.gameStats.gameHistory.slice(-50);
+                        dashboardState.gameStats.gameHistory = savedStats.gameStats.gameHistory.slice(-dashboardState.gameStats.maxHistory);
                     }
                 }
                 
@@ -447,7 +453,8 @@ module.exports = {
     
     /**
      * Records game statistics after a game ends
-     * @param {Object} gameStats - Statistics from the completed game
+     * @param {Object} gameStats - Statistics from the completed game; optional policy, deathCause
+     *                             and arenaId labels are kept in the game history
      */
     recordGameStats: function(gameStats) {
         try {
@@ -486,11 +493,16 @@ module.exports = {
                 timestamp: Date.now()
             };
             
+            // Labels used to compare runs (e.g. by the policy arena)
+            if (gameStats.policy) stats.lastGameStats.policy = gameStats.policy;
+            if (gameStats.deathCause) stats.lastGameStats.deathCause = gameStats.deathCause;
+            if (gameStats.arenaId) stats.lastGameStats.arenaId = gameStats.arenaId;
+            
             // Add to game history
             stats.gameHistory.push(stats.lastGameStats);
             
-            // Trim history if needed (keep last 50 games)
-            if (stats.gameHistory.length > 50) {
+            // Trim history if needed
+            if (stats.gameHistory.length > stats.maxHistory) {
                 stats.gameHistory.shift();
             }
             
@@ -526,7 +538,7 @@ module.exports = {
             
             // Export game history to CSV
             var gameHistoryPath = exportPath + "game_history_" + this.getTimestamp() + ".csv";
-            var gameHistoryContent = "Timestamp,Score,Coins,Distance,Duration\n";
+            var gameHistoryContent = "Timestamp,Score,Coins,Distance,Duration,Policy,DeathCause\n";
             
             dashboardState.gameStats.gameHistory.forEach(function(game) {
                 gameHistoryContent += 
@@ -534,7 +546,9 @@ module.exports = {
                     game.score + "," +
                     game.coins + "," +
                     game.distance + "," +
-                    game.duration + "\n";
+                    game.duration + "," +
+                    (game.policy || "") + "," +
+                    (game.deathCause || "") + "\n";
             });
             
             files.write(gameHistoryPath, gameHistoryContent);
@@ -625,6 +639,15 @@ module.exports = {
         return dashboardState.gameStats;
     },
     
+    /**
+     * Gets the recorded games matching a filter
+     * @param {function} filter - Optional predicate on a game history entry
+     * @return {Array} Game history entries, oldest first
+     */
+    getGameHistory: function(filter) {
+        return filter ? dashboardState.gameStats.gameHistory.filter(filter) : dashboardState.gameStats.gameHistory.slice();
+    },
+    
     /**
      * Gets current performance statistics
      * @return {Object} Current performance statistics
@@ -0,0 +1,380 @@
+/**
+ * Template Library Module for Subway Surfers Bot
+ * Implements Phase 2.2 (Game Element Detection): template matching for powerups and UI buttons
+ *
+ * Features:
+ * - Versioned library of reference images per powerup, button and ad-close icon
+ * - Several variants per element (e.g. seasonal themes), each with its own revision
+ * - Multi-scale matching on top of images.findImage, scaled to the screen resolution
+ * - Capturing new templates from a region of a live screenshot
+ *
+ * Templates live in config.templateLibrary.path as PNG files, described by a
+ * library.json manifest. Elements without templates fall back to color checks.
+ */
+
+// Import required modules
+var files = require('./utils/files.js');
+
+// Template categories
+var CATEGORIES = {
+    POWERUP: "powerup",
+    BUTTON: "button",
+    AD_CLOSE: "adClose"
+};
+
+var MANIFEST_FILE = "library.json";
+
+// Library state
+var libraryState = {
+    manifest: null,
+    loaded: false,
+    imageCache: {} // template id -> {scale -> image}
+};
+
+/**
+ * Creates an empty manifest
+ * @return {Object} Manifest {version, updatedAt, templates}
+ */
+function createManifest() {
+    return {
+        version: 0,
+        updatedAt: 0,
+        templates: []
+    };
+}
+
+module.exports = {
+    CATEGORIES: CATEGORIES,
+
+    /**
+     * Loads the library manifest
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if a manifest was found
+     */
+    load: function(config) {
+        libraryState.manifest = createManifest();
+        libraryState.imageCache = {};
+        libraryState.loaded = true;
+
+        try {
+            var manifestPath = config.templateLibrary.path + MANIFEST_FILE;
+            if (files.exists(manifestPath)) {
+                libraryState.manifest = JSON.parse(files.read(manifestPath));
+                console.log("Loaded template library v" + libraryState.manifest.version +
+                            " (" + libraryState.manifest.templates.length + " templates)");
+                return true;
+            }
+        } catch (e) {
+            console.error("Failed to load template library: " + e.message);
+        }
+
+        return false;
+    },
+
+    /**
+     * Writes the library manifest
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    saveManifest: function(config) {
+        if (!files.isAvailable()) {
+            console.error("Cannot save template library: files API not available");
+            return false;
+        }
+
+        try {
+            var manifestPath = config.templateLibrary.path + MANIFEST_FILE;
+            files.createWithDirs(manifestPath);
+            files.write(manifestPath, JSON.stringify(libraryState.manifest, null, 2));
+            return true;
+        } catch (e) {
+            console.error("Failed to save template library: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Gets the library version, which increases with every change
+     * @param {Object} config - Configuration settings
+     * @return {number} Library version (0 for an empty library)
+     */
+    getVersion: function(config) {
+        this.ensureLoaded(config);
+        return libraryState.manifest.version;
+    },
+
+    /**
+     * Loads the manifest on first use
+     * @param {Object} config - Configuration settings
+     */
+    ensureLoaded: function(config) {
+        if (!libraryState.loaded) {
+            this.load(config);
+        }
+    },
+
+    /**
+     * Lists the active templates of a category
+     * @param {string} category - Template category
+     * @param {string} name - Optional element name to filter by
+     * @param {Object} config - Configuration settings
+     * @return {Array} Template entries
+     */
+    list: function(category, name, config) {
+        this.ensureLoaded(config);
+
+        return libraryState.manifest.templates.filter(function(entry) {
+            return entry.active && entry.category === category && (!name || entry.name === name);
+        });
+    },
+
+    /**
+     * Gets the names of the elements with active templates in a category
+     * @param {string} category - Template category
+     * @param {Object} config - Configuration settings
+     * @return {Array} Element names
+     */
+    getNames: function(category, config) {
+        var names = [];
+
+        this.list(category, null, config).forEach(function(entry) {
+            if (names.indexOf(entry.name) === -1) {
+                names.push(entry.name);
+            }
+        });
+
+        return names;
+    },
+
+    /**
+     * Checks whether an element has any active templates
+     * @param {string} category - Template category
+     * @param {string} name - Element name
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the element can be matched by template
+     */
+    hasTemplates: function(category, name, config) {
+        return config.templateLibrary.enabled && this.list(category, name, config).length > 0;
+    },
+
+    /**
+     * Captures a new template from a region of a screenshot
+     * Earlier revisions of the element stay active as variants unless deactivated
+     * @param {Image} img - Screenshot
+     * @param {string} category - Template category
+     * @param {string} name - Element name (e.g. "jetpack", "play")
+     * @param {Array} region - Region to capture [x, y, width, height]
+     * @param {string} theme - Theme the template was captured in (e.g. "default", "winter")
+     * @param {Object} imageApi - images implementation with clip() and save()
+     * @param {Object} config - Configuration settings
+     * @return {Object} New template entry, or null on failure
+     */
+    addTemplate: function(img, category, name, region, theme, imageApi, config) {
+        this.ensureLoaded(config);
+
+        var revision = 1;
+        libraryState.manifest.templates.forEach(function(entry) {
+            if (entry.category === category && entry.name === name) {
+                revision = Math.max(revision, entry.revision + 1);
+            }
+        });
+
+        var entry = {
+            id: category + "/" + name + "@" + revision,
+            category: category,
+            name: name,
+            revision: revision,
+            theme: theme || "default",
+            file: category + "/" + name + "_r" + revision + ".png",
+            width: Math.round(region[2]),
+            height: Math.round(region[3]),
+            screenWidth: img.getWidth(),
+            addedAt: Date.now(),
+            active: true
+        };
+
+        var template = null;
+        try {
+            template = imageApi.clip(img, region[0], region[1], region[2], region[3]);
+            var path = config.templateLibrary.path + entry.file;
+            files.createWithDirs(path);
+            imageApi.save(template, path);
+        } catch (e) {
+            console.error("Failed to capture template " + entry.id + ": " + e.message);
+            return null;
+        } finally {
+            if (template && template.recycle) {
+                try { template.recycle(); } catch (e) {}
+            }
+        }
+
+        libraryState.manifest.templates.push(entry);
+        libraryState.manifest.version++;
+        libraryState.manifest.updatedAt = entry.addedAt;
+        this.saveManifest(config);
+
+        console.log("Added template " + entry.id + " (library v" + libraryState.manifest.version + ")");
+        return entry;
+    },
+
+    /**
+     * Activates or retires a template revision
+     * @param {string} id - Template id ("category/name@revision")
+     * @param {boolean} active - Whether the revision should be matched
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the template was found
+     */
+    setActive: function(id, active, config) {
+        this.ensureLoaded(config);
+
+        for (var i = 0; i < libraryState.manifest.templates.length; i++) {
+            var entry = libraryState.manifest.templates[i];
+            if (entry.id === id) {
+                entry.active = active;
+                libraryState.manifest.version++;
+                libraryState.manifest.updatedAt = Date.now();
+                delete libraryState.imageCache[id];
+                return this.saveManifest(config);
+            }
+        }
+
+        console.error("Template not found: " + id);
+        return false;
+    },
+
+    /**
+     * Gets the scale factors to try for a template on the current screen
+     * Factors are relative to the capture resolution, closest to 1 first
+     * @param {Object} entry - Template entry
+     * @param {number} screenWidth - Current screen width
+     * @param {Object} config - Configuration settings
+     * @return {Array} Scale factors
+     */
+    getScales: function(entry, screenWidth, config) {
+        var screenScale = screenWidth / (entry.screenWidth || screenWidth);
+
+        return config.templateLibrary.scales.slice().sort(function(a, b) {
+            return Math.abs(a - 1) - Math.abs(b - 1);
+        }).map(function(scale) {
+            return scale * screenScale;
+        });
+    },
+
+    /**
+     * Loads a template image at a scale, caching the result
+     * @param {Object} entry - Template entry
+     * @param {number} scale - Scale factor
+     * @param {Object} imageApi - images implementation with read() and scale()
+     * @param {Object} config - Configuration settings
+     * @return {Image} Template image, or null if it cannot be read
+     */
+    getTemplateImage: function(entry, scale, imageApi, config) {
+        var cache = libraryState.imageCache[entry.id];
+        if (!cache) {
+            var original = imageApi.read(config.templateLibrary.path + entry.file);
+            if (!original) {
+                console.error("Template image missing: " + entry.file);
+                return null;
+            }
+            cache = libraryState.imageCache[entry.id] = { "1": original };
+        }
+
+        var key = scale.toFixed(3);
+        if (key === "1.000") {
+            return cache["1"];
+        }
+        if (!cache[key]) {
+            cache[key] = imageApi.scale(cache["1"], scale, scale);
+        }
+
+        return cache[key];
+    },
+
+    /**
+     * Finds an element in a screenshot by matching its templates at several scales
+     * @param {Image} img - Screenshot
+     * @param {string} category - Template category
+     * @param {string} name - Element name
+     * @param {Array} region - Search region [x, y, width, height]
+     * @param {Object} imageApi - images implementation with findImage(), read() and scale()
+     * @param {Object} config - Configuration settings
+     * @return {Object} Match {id, name, x, y, width, height, scale} (x/y are the center), or null
+     */
+    match: function(img, category, name, region, imageApi, config) {
+        if (!config.templateLibrary.enabled) {
+            return null;
+        }
+
+        var entries = this.list(category, name, config);
+
+        for (var i = 0; i < entries.length; i++) {
+            var scales = this.getScales(entries[i], img.getWidth(), config);
+
+            for (var s = 0; s < scales.length; s++) {
+                try {
+                    var template = this.getTemplateImage(entries[i], scales[s], imageApi, config);
+                    if (!template) break;
+
+                    var point = imageApi.findImage(img, template, {
+                        region: region,
+                        threshold: config.templateLibrary.threshold
+                    });
+
+                    if (point) {
+                        return {
+                            id: entries[i].id,
+                            name: entries[i].name,
+                            x: point.x + template.getWidth() / 2,
+                            y: point.y + template.getHeight() / 2,
+                            width: template.getWidth(),
+                            height: template.getHeight(),
+                            scale: scales[s]
+                        };
+                    }
+                } catch (e) {
+                    console.error("Error matching template " + entries[i].id + ": " + e.message);
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Finds every element of a category in a screenshot
+     * @param {Image} img - Screenshot
+     * @param {string} category - Template category
+     * @param {Array} region - Search region [x, y, width, height]
+     * @param {Object} imageApi - images implementation with findImage(), read() and scale()
+     * @param {Object} config - Configuration settings
+     * @return {Array} Matches, one per element found
+     */
+    findAll: function(img, category, region, imageApi, config) {
+        var matches = [];
+
+        this.getNames(category, config).forEach(function(name) {
+            var match = this.match(img, category, name, region, imageApi, config);
+            if (match) {
+                matches.push(match);
+            }
+        }, this);
+
+        return matches;
+    },
+
+    /**
+     * Drops cached template images (e.g. after a resolution change)
+     */
+    clearCache: function() {
+        libraryState.imageCache = {};
+    },
+
+    /**
+     * Forgets the loaded manifest so the next use reads it again (e.g. after the file backend changed)
+     */
+    unload: function() {
+        libraryState.manifest = null;
+        libraryState.imageCache = {};
+        libraryState.loaded = false;
+    }
+};
@@ -0,0 +1,1011 @@
+/**
+ * AI Unit Tests for Subway Surfers Bot
+ * Implements Phase 6.1: Automated Testing - Unit tests of the decision and learning modules
+ *
+ * Features:
+ * - Lookahead planner choices
+ * - Welch confidence intervals of the policy arena
+ * - Mission parsing, progress and rewards
+ * - In-flight action checks, queueing and the predicted lane
+ * - Early stopping of behavior cloning training
+ * - Feature normalization fitted on the training split only
+ * - int8 quantization verification
+ * - Q-network updates: Huber loss, gradient clipping and Adam steps
+ * - DQN targets: terminal rewards and n-step returns bootstrapped from the target network
+ * - Model registration, promotion, pinning and rollback
+ * - Feature schema encoding, normalization and the legacy input layout
+ * - Resuming and rerunning training pipeline stages
+ *
+ * The suites run on the unit_test.js framework; test_runner.js defines them with the other unit tests.
+ */
+
+// Import test modules
+var unitTest = require('./unit_test.js');
+
+// Import modules to test
+var lookaheadPlanner = require('../lookahead_planner.js');
+var policyArena = require('../policy_arena.js');
+var missionObjectives = require('../mission_objectives.js');
+var actionState = require('../action_state.js');
+var neuralNetwork = require('../neural_network.js');
+var inferenceEngine = require('../inference_engine.js');
+var qNetwork = require('../q_network.js');
+var reinforcementLearning = require('../reinforcement_learning.js');
+var modelRegistry = require('../model_registry.js');
+var featureSchema = require('../feature_schema.js');
+var trainingPipeline = require('../training_pipeline.js');
+var files = require('../utils/files.js');
+
+// Fixed planner settings, so expectations do not follow config changes
+var PLANNER_CONFIG = {
+    planner: {
+        horizonSteps: 3,
+        stepTime: 300,
+        resolution: 50,
+        jumpDuration: 700,
+        rollDuration: 600,
+        barrierLength: 150,
+        trainLength: 1500,
+        distanceArrival: { near: 300, medium: 800, far: 1400 }
+    },
+    obstacleTracker: {
+        laneChangeTime: 300
+    }
+};
+
+// Mission settings; progress is saved to an in-memory files backend
+var MISSION_CONFIG = {
+    missions: {
+        enabled: true,
+        progressPath: "/test/mission_progress.json",
+        weightBoost: 0.5
+    }
+};
+
+// Action state settings with short actions, so tests can wait for them to end
+var ACTION_CONFIG = {
+    actionState: {
+        enabled: true,
+        bufferWindow: 20,
+        queueTimeout: 400,
+        visionLagTolerance: 400
+    },
+    obstacleTracker: {
+        laneChangeTime: 100
+    },
+    planner: {
+        jumpDuration: 300,
+        rollDuration: 300
+    },
+    gameplay: {
+        actionDelay: 500
+    }
+};
+
+// Small network without a model path, so tests train from random weights and save nothing
+var NETWORK_CONFIG = {
+    neuralNet: {
+        layers: [
+            { units: 8, activation: "relu" },
+            { units: 4, activation: "softmax" }
+        ],
+        loss: "cross_entropy",
+        learningRate: 0.01,
+        training: {
+            batchSize: 8,
+            optimizer: "adam",
+            dropout: 0,
+            validationSplit: 0.25,
+            checkpointPath: null
+        }
+    }
+};
+
+// Registry manifest in the in-memory files backend
+var REGISTRY_CONFIG = {
+    modelRegistry: {
+        manifestPath: "/test/model/registry.json"
+    }
+};
+
+// Feature settings, so encoded values do not follow config changes
+var SCHEMA_CONFIG = {
+    neuralNet: {
+        features: { maxTimeToCollision: 3000 }
+    },
+    planner: {
+        jumpDuration: 700,
+        rollDuration: 600,
+        distanceArrival: { near: 300, medium: 800, far: 1400 }
+    },
+    obstacleTracker: {
+        laneChangeTime: 300
+    }
+};
+
+// Pipeline settings for runs in the in-memory files backend, with a small, quickly trained network
+var PIPELINE_CONFIG = {
+    trainingPipeline: {
+        runsPath: "/test/runs/",
+        idleLabelWindow: 0,
+        validationSplit: 0.25,
+        epochs: 3,
+        promote: true
+    },
+    modelRegistry: {
+        manifestPath: "/test/model/registry.json",
+        datasetPath: "/test/datasets"
+    },
+    neuralNet: {
+        modelPath: "/test/model/",
+        layers: NETWORK_CONFIG.neuralNet.layers,
+        loss: "cross_entropy",
+        training: NETWORK_CONFIG.neuralNet.training
+    }
+};
+
+// Q-network update settings without clipping
+var UPDATE_SETTINGS = {
+    learningRate: 0.1,
+    huberDelta: 1,
+    maxGradientNorm: 0,
+    beta1: 0.9,
+    beta2: 0.999,
+    epsilon: 1e-8
+};
+
+// Small DQN agent; its network and replay buffer paths are in the in-memory files backend
+var RL_CONFIG = {
+    reinforcementLearning: {
+        modelPath: "/test/model/dqn.json",
+        bufferPath: "/test/replay_buffer.json",
+        discountFactor: 0.9,
+        dqn: {
+            hiddenLayers: [{ units: 8, activation: "relu" }],
+            doubleDqn: true
+        }
+    }
+};
+
+/**
+ * Creates an in-memory stand-in for the AutoJS files global
+ * Tests install it with files.setBackend() so they never touch the bot's data
+ * @return {Object} Files backend; its contents map holds the written files by path
+ */
+function createMemoryFiles() {
+    var contents = {};
+    return {
+        contents: contents,
+        exists: function(path) {
+            if (contents.hasOwnProperty(path)) {
+                return true;
+            }
+            // Directories exist while they hold a file
+            var dir = path.charAt(path.length - 1) === "/" ? path : path + "/";
+            for (var key in contents) {
+                if (key.indexOf(dir) === 0) {
+                    return true;
+                }
+            }
+            return false;
+        },
+        read: function(path) {
+            return contents.hasOwnProperty(path) ? contents[path] : null;
+        },
+        write: function(path, text) {
+            contents[path] = String(text);
+        },
+        append: function(path, text) {
+            contents[path] = (contents[path] || "") + text;
+        },
+        createWithDirs: function() {
+            return true;
+        },
+        listDir: function(path, filter) {
+            var names = [];
+            for (var key in contents) {
+                var name = key.indexOf(path) === 0 ? key.substring(path.length).split("/")[0] : "";
+                if (name && names.indexOf(name) === -1 && (!filter || filter(name))) {
+                    names.push(name);
+                }
+            }
+            return names;
+        },
+        remove: function(path) {
+            var existed = contents.hasOwnProperty(path);
+            delete contents[path];
+            return existed;
+        }
+    };
+}
+
+/**
+ * Runs a test with an in-memory files backend installed
+ * @param {Function} testFn - Test, called with the backend
+ */
+function withMemoryFiles(testFn) {
+    var memory = createMemoryFiles();
+    files.setBackend(memory);
+    try {
+        testFn(memory);
+    } finally {
+        files.setBackend(null);
+    }
+}
+
+/**
+ * Creates a Q-network with one input, one action and a single weight
+ * @param {number} weight - Weight of the input
+ * @return {Object} Q-network with a zero bias
+ */
+function createSingleWeightNetwork(weight) {
+    return qNetwork.fromJSON({
+        inputNodes: 1,
+        layers: [{ units: 1, activation: "linear" }],
+        weights: [[[weight]]],
+        biases: [[[0]]]
+    });
+}
+
+/**
+ * Creates a copy of a settings object with some values replaced
+ * @param {Object} settings - Settings to copy
+ * @param {Object} overrides - Values to replace
+ * @return {Object} Copy
+ */
+function withSettings(settings, overrides) {
+    var copy = {};
+    var key;
+    for (key in settings) {
+        copy[key] = settings[key];
+    }
+    for (key in overrides) {
+        copy[key] = overrides[key];
+    }
+    return copy;
+}
+
+/**
+ * Waits without yielding, so no other test can change module state meanwhile
+ * @param {number} ms - Time to wait
+ */
+function waitFor(ms) {
+    var until = Date.now() + ms;
+    while (Date.now() < until) {
+        // Busy wait
+    }
+}
+
+/**
+ * Creates a gameplay state with an obstacle in one lane
+ * @param {string} lane - Obstacle lane
+ * @param {string} type - Obstacle type
+ * @return {Object} Game state
+ */
+function createGameState(lane, type) {
+    return {
+        screenType: "gameplay",
+        playerPosition: "center",
+        lanes: { left: {}, center: {}, right: {} },
+        obstacles: [{ lane: lane, type: type, distance: "near" }],
+        score: 100,
+        coins: 10,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Creates a game state with tracked obstacles for the planner
+ * @param {string} playerLane - Player's lane
+ * @param {Array} tracks - Tracked obstacles [{lane, type, timeToCollision}]
+ * @return {Object} Game state
+ */
+function createPlannerState(playerLane, tracks) {
+    return {
+        screenType: "gameplay",
+        playerPosition: playerLane,
+        lanes: { left: {}, center: {}, right: {} },
+        trackedObstacles: tracks
+    };
+}
+
+/**
+ * Writes a pipeline run whose merge, clean and version stages are done
+ * @param {Object} memory - In-memory files backend
+ * @param {string} runId - Run id
+ * @return {Array} Cleaned samples of two sessions, for writeCleanedSamples()
+ */
+function createPipelineRun(memory, runId) {
+    var run = {
+        id: runId,
+        sessionIds: ["a", "b"],
+        createdAt: Date.now(),
+        status: "failed",
+        stages: {},
+        datasetVersion: "v1",
+        evaluation: null,
+        modelId: null
+    };
+    trainingPipeline.STAGES.forEach(function(stage, index) {
+        run.stages[stage] = index < 3 ? { status: "done", report: {} } : { status: "pending", report: null };
+    });
+    memory.write(PIPELINE_CONFIG.trainingPipeline.runsPath + runId + "/run.json", JSON.stringify(run));
+
+    var samples = [];
+    ["a", "b"].forEach(function(sessionId) {
+        for (var i = 0; i < 8; i++) {
+            var low = i % 2 === 0;
+            samples.push({
+                gameState: createGameState("center", low ? "low_barrier" : "high_barrier"),
+                action: low ? "jump" : "roll",
+                sessionId: sessionId,
+                timestamp: 1000 + i * 100
+            });
+        }
+    });
+    return samples;
+}
+
+/**
+ * Writes the output of the clean stage of a run
+ * @param {Object} memory - In-memory files backend
+ * @param {string} runId - Run id
+ * @param {Array} samples - Cleaned samples
+ */
+function writeCleanedSamples(memory, runId, samples) {
+    memory.write(PIPELINE_CONFIG.trainingPipeline.runsPath + runId + "/cleaned.json", JSON.stringify(samples));
+}
+
+/**
+ * Gets one encoded input by name
+ * @param {Object} schema - Feature schema
+ * @param {Object} gameState - Game state to encode
+ * @param {string} name - Input name, e.g. "lane=left"
+ * @return {number} Input value
+ */
+function encodedInput(schema, gameState, name) {
+    return featureSchema.encode(schema, gameState)[featureSchema.getInputNames(schema).indexOf(name)];
+}
+
+module.exports = {
+    /**
+     * Defines the unit tests of the decision and learning modules
+     */
+    defineTests: function() {
+        unitTest.describe("Lookahead Planner", function() {
+            unitTest.it("should keep running on a clear track", function() {
+                var plan = lookaheadPlanner.plan(createPlannerState("center", []), PLANNER_CONFIG);
+                unitTest.assert.strictEqual(plan.action, "none");
+                unitTest.assert.isTrue(plan.survived, "Plan does not survive an empty track");
+            });
+
+            unitTest.it("should jump a low barrier between blocked lanes", function() {
+                var plan = lookaheadPlanner.plan(createPlannerState("center", [
+                    { lane: "left", type: "train", timeToCollision: 0 },
+                    { lane: "right", type: "train", timeToCollision: 0 },
+                    { lane: "center", type: "low_barrier", timeToCollision: 200 }
+                ]), PLANNER_CONFIG);
+                unitTest.assert.strictEqual(plan.action, "jump");
+                unitTest.assert.isTrue(plan.survived, "Plan does not survive");
+            });
+
+            unitTest.it("should roll under a high barrier between blocked lanes", function() {
+                var plan = lookaheadPlanner.plan(createPlannerState("center", [
+                    { lane: "left", type: "train", timeToCollision: 0 },
+                    { lane: "right", type: "train", timeToCollision: 0 },
+                    { lane: "center", type: "high_barrier", timeToCollision: 200 }
+                ]), PLANNER_CONFIG);
+                unitTest.assert.strictEqual(plan.action, "roll");
+            });
+
+            unitTest.it("should leave a lane a train is coming down", function() {
+                // The lane change takes until the train arrives, so it cannot wait for the next step
+                var plan = lookaheadPlanner.plan(createPlannerState("center", [
+                    { lane: "left", type: "train", timeToCollision: 300 },
+                    { lane: "center", type: "train", timeToCollision: 300 }
+                ]), PLANNER_CONFIG);
+                unitTest.assert.strictEqual(plan.action, "right");
+                unitTest.assert.isTrue(plan.survived, "Plan does not survive");
+            });
+
+            unitTest.it("should move off a blocked edge lane toward the center", function() {
+                var plan = lookaheadPlanner.plan(createPlannerState("left", [
+                    { lane: "left", type: "train", timeToCollision: 300 }
+                ]), PLANNER_CONFIG);
+                unitTest.assert.strictEqual(plan.action, "right");
+                unitTest.assert.isTrue(plan.survived, "Plan does not survive");
+            });
+
+            unitTest.it("should not plan moves into the wall", function() {
+                var plan = lookaheadPlanner.plan(createPlannerState("left", []), PLANNER_CONFIG);
+                var actions = plan.candidates.map(function(candidate) {
+                    return candidate.action;
+                });
+                unitTest.assert.strictEqual(actions.indexOf("left"), -1);
+            });
+        });
+
+        unitTest.describe("Policy Arena Statistics", function() {
+            unitTest.it("t intervals should be wider than normal intervals", function() {
+                var summary = policyArena.summarize([1, 2, 3], 0.95);
+                unitTest.assert.strictEqual(summary.mean, 2);
+                unitTest.assert.strictEqual(summary.stdDev, 1);
+                unitTest.assert.isTrue(summary.ciHigh - summary.mean > 1.96 / Math.sqrt(3), "Interval is not a t interval");
+                unitTest.assert.closeTo(summary.mean - summary.ciLow, summary.ciHigh - summary.mean, 1e-9);
+            });
+
+            unitTest.it("Welch interval should exclude 0 for clearly different runs", function() {
+                var baseline = policyArena.summarize([100, 120, 140], 0.95);
+                var contestant = policyArena.summarize([200, 210, 220], 0.95);
+                var comparison = policyArena.compareToBaseline(contestant, baseline, 0.95);
+                var standardError = Math.sqrt(400 / 3 + 100 / 3);
+                var margin = comparison.ciHigh - comparison.difference;
+
+                unitTest.assert.strictEqual(comparison.difference, 90);
+                unitTest.assert.closeTo(comparison.difference - comparison.ciLow, margin, 1e-9);
+                // About 2.9 Welch degrees of freedom: between the normal and the 2 degree t quantile
+                unitTest.assert.isTrue(margin > 1.96 * standardError && margin < 4.303 * standardError,
+                                       "Margin " + margin + " for standard error " + standardError);
+                unitTest.assert.isTrue(comparison.significant, "Difference is not significant");
+            });
+
+            unitTest.it("Welch interval should include 0 for overlapping runs", function() {
+                var comparison = policyArena.compareToBaseline(policyArena.summarize([12, 22, 28], 0.95),
+                                                               policyArena.summarize([10, 20, 30], 0.95), 0.95);
+                unitTest.assert.isTrue(comparison.ciLow < 0 && comparison.ciHigh > 0, "Interval excludes 0");
+                unitTest.assert.isFalse(comparison.significant, "Difference is significant");
+            });
+
+            unitTest.it("should need two runs per contestant", function() {
+                var comparison = policyArena.compareToBaseline(policyArena.summarize([500], 0.95),
+                                                               policyArena.summarize([10, 20, 30], 0.95), 0.95);
+                unitTest.assert.strictEqual(comparison.ciLow, -Infinity);
+                unitTest.assert.isFalse(comparison.significant, "A single run is significant");
+            });
+        });
+
+        unitTest.describe("Mission Objectives", function() {
+            unitTest.it("should parse mission texts into objectives", function() {
+                var coins = missionObjectives.parseMission("Collect 500 coins in one run", null);
+                unitTest.assert.strictEqual(coins.type, "coins");
+                unitTest.assert.strictEqual(coins.target, 500);
+                unitTest.assert.strictEqual(coins.scope, "run");
+
+                var jumps = missionObjectives.parseMission("Jump 20 times", { current: 5, total: 20 });
+                unitTest.assert.strictEqual(jumps.type, "jump");
+                unitTest.assert.strictEqual(jumps.current, 5);
+                unitTest.assert.strictEqual(jumps.scope, "total");
+
+                unitTest.assert.strictEqual(missionObjectives.parseMission("Visit the shop", null), null);
+            });
+
+            unitTest.it("should keep counted progress of missions shown without progress", function() {
+                withMemoryFiles(function() {
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    missionObjectives.refresh([{ text: "Jump 20 times" }], MISSION_CONFIG);
+                    missionObjectives.recordAction("jump");
+                    missionObjectives.recordAction("jump");
+
+                    var objectives = missionObjectives.refresh([{ text: "Jump 20 times" }], MISSION_CONFIG);
+                    unitTest.assert.strictEqual(objectives[0].current, 2);
+                });
+            });
+
+            unitTest.it("should reward progress in proportion to the target", function() {
+                withMemoryFiles(function() {
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    missionObjectives.refresh([{ text: "Roll 4 times" }], MISSION_CONFIG);
+                    missionObjectives.recordAction("roll");
+                    missionObjectives.recordAction("left");
+                    unitTest.assert.closeTo(missionObjectives.takeReward(20), 5, 1e-9);
+                    unitTest.assert.strictEqual(missionObjectives.takeReward(20), 0);
+
+                    for (var i = 0; i < 5; i++) {
+                        missionObjectives.recordAction("roll");
+                    }
+                    unitTest.assert.isFalse(missionObjectives.hasOpenObjective("roll"), "Roll objective is still open");
+                    unitTest.assert.closeTo(missionObjectives.takeReward(20), 15, 1e-9);
+                });
+            });
+
+            unitTest.it("should count HUD coins gained since the last gameplay frame", function() {
+                withMemoryFiles(function() {
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    missionObjectives.refresh([{ text: "Collect 100 coins" }], MISSION_CONFIG);
+                    missionObjectives.updateFromState({ screenType: "gameplay", coins: 40 });
+                    missionObjectives.updateFromState({ screenType: "gameplay", coins: null });
+                    missionObjectives.updateFromState({ screenType: "gameplay", coins: 55 });
+                    unitTest.assert.strictEqual(missionObjectives.getOpenObjectives()[0].current, 15);
+                });
+            });
+
+            unitTest.it("should start one-run objectives over and save progress at the end of a run", function() {
+                withMemoryFiles(function(memory) {
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    missionObjectives.refresh([
+                        { text: "Jump 10 times in one run" },
+                        { text: "Dodge 10 times" }
+                    ], MISSION_CONFIG);
+                    missionObjectives.recordAction("jump");
+                    missionObjectives.recordAction("right");
+                    missionObjectives.endRun(MISSION_CONFIG);
+
+                    var saved = JSON.parse(memory.contents[MISSION_CONFIG.missions.progressPath]);
+                    unitTest.assert.strictEqual(saved.objectives[0].current, 0);
+                    unitTest.assert.strictEqual(saved.objectives[1].current, 1);
+
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    unitTest.assert.strictEqual(missionObjectives.getOpenObjectives().length, 2);
+                });
+            });
+
+            unitTest.it("should boost the weights of open objectives", function() {
+                withMemoryFiles(function() {
+                    missionObjectives.initialize(MISSION_CONFIG);
+                    missionObjectives.refresh([{ text: "Collect 100 coins", progress: { current: 50, total: 100 } }],
+                                              MISSION_CONFIG);
+                    var multipliers = missionObjectives.getWeightMultipliers(MISSION_CONFIG);
+                    unitTest.assert.closeTo(multipliers.coins, 1.375, 1e-9);
+                    unitTest.assert.strictEqual(multipliers.jump, 1);
+                });
+            });
+        });
+
+        unitTest.describe("Action State", function() {
+            unitTest.it("should reject a swipe toward the wall", function() {
+                actionState.reset("left");
+                unitTest.assert.strictEqual(actionState.check("left", ACTION_CONFIG).verdict, "reject");
+                unitTest.assert.strictEqual(actionState.check("right", ACTION_CONFIG).verdict, "accept");
+            });
+
+            unitTest.it("should queue a lane change until the running one ends", function() {
+                actionState.reset("center");
+                actionState.commit("left", ACTION_CONFIG);
+                unitTest.assert.strictEqual(actionState.next("right", ACTION_CONFIG), null);
+                unitTest.assert.isTrue(actionState.hasQueued(), "Lane change was not queued");
+
+                waitFor(100);
+                unitTest.assert.strictEqual(actionState.next("none", ACTION_CONFIG), "right");
+                unitTest.assert.isFalse(actionState.hasQueued(), "Queued action was not taken");
+            });
+
+            unitTest.it("should drop the queued action when another action is sent", function() {
+                actionState.reset("center");
+                actionState.commit("left", ACTION_CONFIG);
+                actionState.next("right", ACTION_CONFIG);
+                actionState.commit("jump", ACTION_CONFIG);
+                unitTest.assert.isFalse(actionState.hasQueued(), "Queued action survived a sent action");
+
+                waitFor(100);
+                unitTest.assert.strictEqual(actionState.next("none", ACTION_CONFIG), null);
+            });
+
+            unitTest.it("should allow lane changes in the air but not a second jump", function() {
+                actionState.reset("center");
+                actionState.commit("jump", ACTION_CONFIG);
+                unitTest.assert.strictEqual(actionState.check("left", ACTION_CONFIG).verdict, "accept");
+                unitTest.assert.strictEqual(actionState.check("jump", ACTION_CONFIG).verdict, "reject");
+                unitTest.assert.strictEqual(actionState.check("roll", ACTION_CONFIG).verdict, "accept");
+            });
+
+            unitTest.it("should report the predicted lane while vision still shows the old one", function() {
+                actionState.reset("center");
+                actionState.commit("left", ACTION_CONFIG);
+                var state = actionState.applyToState({ screenType: "gameplay", playerPosition: "center" }, ACTION_CONFIG);
+                unitTest.assert.strictEqual(state.playerPosition, "left");
+                unitTest.assert.strictEqual(state.visionLane, "center");
+                unitTest.assert.strictEqual(state.actionPhase, "changing_lane");
+            });
+
+            unitTest.it("should space actions by the action delay when disabled", function() {
+                var config = { actionState: { enabled: false }, gameplay: { actionDelay: 500 } };
+                actionState.reset("center");
+                unitTest.assert.strictEqual(actionState.next("none", config), null);
+                actionState.commit("jump", config);
+                unitTest.assert.strictEqual(actionState.next("left", config), null);
+            });
+        });
+
+        unitTest.describe("Early Stopping", function() {
+            var data = [];
+            for (var i = 0; i < 40; i++) {
+                var low = i % 2 === 0;
+                data.push({
+                    gameState: createGameState("center", low ? "low_barrier" : "high_barrier"),
+                    action: low ? "jump" : "roll"
+                });
+            }
+
+            unitTest.it("should stop after patience epochs without improvement", function() {
+                neuralNetwork.initialize(NETWORK_CONFIG);
+                // No epoch after the first can improve by minDelta
+                var result = neuralNetwork.train(data, 20, null, {
+                    earlyStopping: { enabled: true, patience: 2, minDelta: 1e9 }
+                });
+                unitTest.assert.isTrue(result.success, "Training failed: " + result.error);
+                unitTest.assert.isTrue(result.stoppedEarly, "Training did not stop early");
+                unitTest.assert.strictEqual(result.epochs, 3);
+                unitTest.assert.strictEqual(result.bestEpoch, 1);
+            });
+
+            unitTest.it("should run every epoch when early stopping is disabled", function() {
+                neuralNetwork.initialize(NETWORK_CONFIG);
+                var result = neuralNetwork.train(data, 4, null, {
+                    earlyStopping: { enabled: false, patience: 1, minDelta: 1e9 }
+                });
+                unitTest.assert.isFalse(result.stoppedEarly, "Training stopped early");
+                unitTest.assert.strictEqual(result.epochs, 4);
+            });
+        });
+
+        unitTest.describe("Model Registry", function() {
+            var registerModel = function(path) {
+                neuralNetwork.initialize(NETWORK_CONFIG);
+                neuralNetwork.saveModel(path);
+                return modelRegistry.register({ path: path, datasetVersion: "v1" }, REGISTRY_CONFIG);
+            };
+
+            unitTest.it("should give models registered from the same file name distinct ids", function() {
+                withMemoryFiles(function(memory) {
+                    modelRegistry.initialize(REGISTRY_CONFIG);
+                    var first = registerModel("/test/model/a.json");
+                    var second = registerModel("/test/model/a.json");
+                    unitTest.assert.strictEqual(first.id, "a");
+                    unitTest.assert.strictEqual(second.id, "a_2");
+                    unitTest.assert.strictEqual(second.status, "candidate");
+
+                    var saved = JSON.parse(memory.contents[REGISTRY_CONFIG.modelRegistry.manifestPath]);
+                    unitTest.assert.strictEqual(saved.models.length, 2);
+                });
+            });
+
+            unitTest.it("should only promote models whose file is valid", function() {
+                withMemoryFiles(function(memory) {
+                    modelRegistry.initialize(REGISTRY_CONFIG);
+                    var valid = registerModel("/test/model/a.json");
+                    var broken = registerModel("/test/model/b.json");
+                    memory.contents[broken.path] = "{}";
+
+                    unitTest.assert.isFalse(modelRegistry.promote(broken.id, REGISTRY_CONFIG), "Broken model was promoted");
+                    unitTest.assert.isTrue(modelRegistry.promote(valid.id, REGISTRY_CONFIG), "Valid model was not promoted");
+                    unitTest.assert.strictEqual(modelRegistry.getProduction().id, valid.id);
+                    unitTest.assert.strictEqual(valid.status, "production");
+                });
+            });
+
+            unitTest.it("should roll back through earlier production models", function() {
+                withMemoryFiles(function() {
+                    modelRegistry.initialize(REGISTRY_CONFIG);
+                    var a = registerModel("/test/model/a.json");
+                    var b = registerModel("/test/model/b.json");
+                    var c = registerModel("/test/model/c.json");
+                    modelRegistry.promote(a.id, REGISTRY_CONFIG);
+                    modelRegistry.promote(b.id, REGISTRY_CONFIG);
+                    modelRegistry.promote(c.id, REGISTRY_CONFIG);
+
+                    unitTest.assert.strictEqual(modelRegistry.rollback(REGISTRY_CONFIG), b.id);
+                    unitTest.assert.strictEqual(modelRegistry.rollback(REGISTRY_CONFIG), a.id);
+                    unitTest.assert.strictEqual(modelRegistry.rollback(REGISTRY_CONFIG), null);
+                    unitTest.assert.strictEqual(c.status, "retired");
+                });
+            });
+
+            unitTest.it("should keep a pinned production model until it is unpinned", function() {
+                withMemoryFiles(function() {
+                    modelRegistry.initialize(REGISTRY_CONFIG);
+                    var a = registerModel("/test/model/a.json");
+                    var b = registerModel("/test/model/b.json");
+                    modelRegistry.promote(a.id, REGISTRY_CONFIG);
+                    modelRegistry.pin(REGISTRY_CONFIG);
+
+                    unitTest.assert.isFalse(modelRegistry.promote(b.id, REGISTRY_CONFIG), "Pinned model was replaced");
+                    unitTest.assert.isTrue(modelRegistry.promote(b.id, REGISTRY_CONFIG, true), "Forced promotion failed");
+                    unitTest.assert.strictEqual(modelRegistry.rollback(REGISTRY_CONFIG), null);
+
+                    modelRegistry.initialize(REGISTRY_CONFIG);
+                    unitTest.assert.isTrue(modelRegistry.getManifest().pinned, "Pin was not saved");
+                    modelRegistry.unpin(REGISTRY_CONFIG);
+                    unitTest.assert.strictEqual(modelRegistry.rollback(REGISTRY_CONFIG), a.id);
+                });
+            });
+        });
+
+        unitTest.describe("Feature Schema", function() {
+            unitTest.it("should name every input and match only its own input count", function() {
+                var schema = featureSchema.create(SCHEMA_CONFIG);
+                unitTest.assert.strictEqual(featureSchema.getInputNames(schema).length, schema.size);
+                unitTest.assert.strictEqual(featureSchema.validate(schema, schema.size), null);
+                unitTest.assert.isTrue(featureSchema.validate(schema, schema.size - 1) !== null,
+                                       "Schema matched a smaller input layer");
+            });
+
+            unitTest.it("should encode the nearest tracked obstacle of each lane", function() {
+                var schema = featureSchema.create(SCHEMA_CONFIG);
+                var state = createPlannerState("left", [
+                    { lane: "center", type: "low_barrier", timeToCollision: 1500 },
+                    { lane: "center", type: "train", timeToCollision: 2500 }
+                ]);
+                unitTest.assert.strictEqual(encodedInput(schema, state, "lane=left"), 1);
+                unitTest.assert.closeTo(encodedInput(schema, state, "obstacle_time_center"), 0.5, 1e-9);
+                unitTest.assert.strictEqual(encodedInput(schema, state, "obstacle_type_center=low_barrier"), 1);
+                unitTest.assert.strictEqual(encodedInput(schema, state, "obstacle_type_right=none"), 1);
+                unitTest.assert.closeTo(encodedInput(schema, state, "obstacle_time_right"), 1, 1e-9);
+            });
+
+            unitTest.it("should derive the player state of recorded samples", function() {
+                var schema = featureSchema.create(SCHEMA_CONFIG);
+                var state = createGameState("center", "low_barrier");
+                state.previousAction = "swipe_up";
+                state.timeSincePreviousAction = 200;
+                unitTest.assert.strictEqual(encodedInput(schema, state, "previous_action=jump"), 1);
+                unitTest.assert.strictEqual(encodedInput(schema, state, "player_state=airborne"), 1);
+
+                state.timeSincePreviousAction = 900;
+                unitTest.assert.strictEqual(encodedInput(schema, state, "player_state=running"), 1);
+            });
+
+            unitTest.it("should encode screens other than gameplay as zeros", function() {
+                var schema = featureSchema.create(SCHEMA_CONFIG);
+                var values = featureSchema.encode(schema, { screenType: "menu", playerPosition: "left" });
+                unitTest.assert.strictEqual(values.length, schema.size);
+                unitTest.assert.isTrue(values.every(function(value) {
+                    return value === 0;
+                }), "Menu screen encoded to non-zero inputs");
+            });
+
+            unitTest.it("should fit numeric features on gameplay samples only", function() {
+                var schema = featureSchema.create(SCHEMA_CONFIG);
+                var data = [100, 300, 700].map(function(coins) {
+                    var state = createGameState("center", "train");
+                    state.coins = coins;
+                    return { gameState: state, action: "left" };
+                });
+                data.push({ gameState: { screenType: "menu", coins: 1e6 }, action: "none" });
+                featureSchema.fit(schema, data);
+
+                var logCoins = schema.features.filter(function(feature) {
+                    return feature.name === "log_coins";
+                })[0];
+                var expectedMean = (Math.log(101) + Math.log(301) + Math.log(701)) / 3;
+                unitTest.assert.strictEqual(schema.fitted.samples, 3);
+                unitTest.assert.closeTo(logCoins.stats.mean, expectedMean, 1e-9);
+
+                // Every sample has the same score, so its spread falls back to 1
+                var logScore = schema.features.filter(function(feature) {
+                    return feature.name === "log_score";
+                })[0];
+                unitTest.assert.strictEqual(logScore.stats.std, 1);
+            });
+
+            unitTest.it("should encode legacy models with the fixed 20-input layout", function() {
+                var schema = featureSchema.legacy(20);
+                var state = createGameState("center", "train");
+                state.lanes.right = { obstacles: true, coins: true };
+                state.score = 50000;
+                var values = featureSchema.encode(schema, state);
+
+                unitTest.assert.strictEqual(values.length, 20);
+                unitTest.assert.strictEqual(values[1], 1);
+                unitTest.assert.strictEqual(values[9], 1);
+                unitTest.assert.strictEqual(values[10], 1);
+                unitTest.assert.strictEqual(values[15], 0.5);
+                unitTest.assert.strictEqual(featureSchema.validate(schema, 20), null);
+            });
+        });
+
+        unitTest.describe("Training Pipeline", function() {
+            unitTest.it("should resume a failed run at the stage that failed", function() {
+                withMemoryFiles(function(memory) {
+                    var samples = createPipelineRun(memory, "run_1");
+                    var run = trainingPipeline.resume("run_1", PIPELINE_CONFIG);
+                    unitTest.assert.strictEqual(run.status, "failed");
+                    unitTest.assert.strictEqual(run.stages.split.status, "failed");
+                    unitTest.assert.isTrue(run.stages.split.error.indexOf("cleaned.json") !== -1,
+                                           "Unexpected error: " + run.stages.split.error);
+
+                    writeCleanedSamples(memory, "run_1", samples);
+                    run = trainingPipeline.resume("run_1", PIPELINE_CONFIG);
+                    unitTest.assert.strictEqual(run.status, "done");
+                    unitTest.assert.strictEqual(run.stages.merge.startedAt, undefined);
+                    unitTest.assert.strictEqual(run.evaluation.datasetVersion, "v1");
+
+                    modelRegistry.initialize(PIPELINE_CONFIG);
+                    unitTest.assert.strictEqual(modelRegistry.getProduction().id, run.modelId);
+                    unitTest.assert.strictEqual(trainingPipeline.getRun("run_1", PIPELINE_CONFIG).status, "done");
+                });
+            });
+
+            unitTest.it("should hold out the latest samples of each session", function() {
+                withMemoryFiles(function(memory) {
+                    writeCleanedSamples(memory, "run_1", createPipelineRun(memory, "run_1"));
+                    var run = trainingPipeline.resume("run_1", PIPELINE_CONFIG);
+                    unitTest.assert.strictEqual(run.stages.split.report.train, 12);
+                    unitTest.assert.strictEqual(run.stages.split.report.validation, 4);
+
+                    var validation = JSON.parse(memory.read(PIPELINE_CONFIG.trainingPipeline.runsPath + "run_1/validation.json"));
+                    unitTest.assert.isTrue(validation.every(function(sample) {
+                        return sample.timestamp >= 1600;
+                    }), "Validation holds earlier samples");
+                });
+            });
+
+            unitTest.it("should rerun a stage with the stages after it", function() {
+                withMemoryFiles(function(memory) {
+                    writeCleanedSamples(memory, "run_1", createPipelineRun(memory, "run_1"));
+                    var trained = trainingPipeline.resume("run_1", PIPELINE_CONFIG).stages.train.startedAt;
+                    waitFor(5);
+
+                    var run = trainingPipeline.resume("run_1", PIPELINE_CONFIG, "evaluate");
+                    unitTest.assert.strictEqual(run.status, "done");
+                    unitTest.assert.strictEqual(run.stages.train.startedAt, trained);
+                    unitTest.assert.isTrue(run.stages.evaluate.startedAt > trained, "Evaluate did not rerun");
+
+                    modelRegistry.initialize(PIPELINE_CONFIG);
+                    unitTest.assert.strictEqual(modelRegistry.list().length, 2);
+                });
+            });
+
+            unitTest.it("should refuse unknown runs and stages", function() {
+                withMemoryFiles(function(memory) {
+                    createPipelineRun(memory, "run_1");
+                    unitTest.assert.strictEqual(trainingPipeline.resume("run_2", PIPELINE_CONFIG), null);
+                    var run = trainingPipeline.resume("run_1", PIPELINE_CONFIG, "deploy");
+                    unitTest.assert.strictEqual(run.stages.split.status, "pending");
+                    unitTest.assert.strictEqual(trainingPipeline.listRuns(PIPELINE_CONFIG).length, 1);
+                });
+            });
+        });
+
+        unitTest.describe("int8 Quantization", function() {
+            unitTest.it("should agree with float32 on separated outputs", function() {
+                var engine = inferenceEngine.compile({
+                    inputNodes: 2,
+                    layers: [{ units: 2, activation: "linear" }],
+                    weights: [[[1, 0], [0, 1]]],
+                    biases: [[[0], [0]]]
+                });
+                var memory = inferenceEngine.quantize(engine);
+                var result = inferenceEngine.verifyQuantization(engine, [
+                    { features: [1, 0], label: 0 },
+                    { features: [0, 1], label: 1 }
+                ]);
+
+                unitTest.assert.strictEqual(result.agreement, 1);
+                unitTest.assert.strictEqual(result.int8Accuracy, 1);
+                unitTest.assert.isTrue(result.maxOutputError < 0.01, "Output error " + result.maxOutputError);
+                unitTest.assert.isTrue(memory.int8Bytes < memory.floatBytes, "int8 weights are not smaller");
+            });
+
+            unitTest.it("should report a decision flipped by rounding", function() {
+                // The 0.003 weight rounds to 0 in int8, so output 1 overtakes output 0
+                var engine = inferenceEngine.compile({
+                    inputNodes: 2,
+                    layers: [{ units: 2, activation: "linear" }],
+                    weights: [[[1, 0.003], [1.001, 0]]],
+                    biases: [[[0], [0]]]
+                });
+                inferenceEngine.quantize(engine);
+                var result = inferenceEngine.verifyQuantization(engine, [{ features: [1, 1], label: 0 }]);
+
+                unitTest.assert.strictEqual(result.agreement, 0);
+                unitTest.assert.strictEqual(result.floatAccuracy, 1);
+                unitTest.assert.strictEqual(result.int8Accuracy, 0);
+            });
+        });
+
+        unitTest.describe("Q-Network Updates", function() {
+            unitTest.it("Huber loss should be quadratic within delta", function() {
+                var network = createSingleWeightNetwork(0);
+                var result = qNetwork.train(network, [{ features: [1], action: 0, target: 0.5 }], UPDATE_SETTINGS);
+                unitTest.assert.closeTo(result.loss, 0.125, 1e-6);
+            });
+
+            unitTest.it("Huber loss should be linear beyond delta", function() {
+                var network = createSingleWeightNetwork(0);
+                var result = qNetwork.train(network, [{ features: [1], action: 0, target: 3 }], UPDATE_SETTINGS);
+                unitTest.assert.closeTo(result.loss, 2.5, 1e-6);
+            });
+
+            unitTest.it("should clip the gradient to the maximum norm", function() {
+                // Weight and bias gradients are the TD error clipped to delta, so the norm is sqrt(2)
+                var network = createSingleWeightNetwork(0);
+                var result = qNetwork.train(network, [{ features: [1], action: 0, target: 3 }],
+                                            withSettings(UPDATE_SETTINGS, { maxGradientNorm: 1 }));
+                unitTest.assert.closeTo(result.gradientNorm, Math.SQRT2, 1e-6);
+                unitTest.assert.isTrue(result.clipped, "Gradient was not clipped");
+            });
+
+            unitTest.it("Adam's first step should move each parameter by the learning rate", function() {
+                // Bias correction makes the first step the gradient's sign times the learning rate
+                [3, 100].forEach(function(target) {
+                    var network = createSingleWeightNetwork(0);
+                    qNetwork.train(network, [{ features: [1], action: 0, target: target }], UPDATE_SETTINGS);
+                    var saved = qNetwork.toJSON(network);
+                    unitTest.assert.closeTo(saved.weights[0][0][0], 0.1, 1e-5);
+                    unitTest.assert.closeTo(saved.biases[0][0][0], 0.1, 1e-5);
+                });
+            });
+
+            unitTest.it("Adam should converge to the target", function() {
+                var network = createSingleWeightNetwork(0);
+                var settings = withSettings(UPDATE_SETTINGS, { learningRate: 0.05 });
+                for (var step = 0; step < 300; step++) {
+                    qNetwork.train(network, [{ features: [1], action: 0, target: 2 }], settings);
+                }
+                unitTest.assert.closeTo(qNetwork.predict(network, [1])[0], 2, 0.05);
+            });
+        });
+
+        unitTest.describe("DQN Targets", function() {
+            withMemoryFiles(function() {
+                reinforcementLearning.initialize(RL_CONFIG);
+            });
+            var state = createGameState("center", "low_barrier");
+
+            unitTest.it("should use the reward alone when the episode ended", function() {
+                var target = reinforcementLearning.computeTarget({ reward: -10, nextState: state, done: true, steps: 1 });
+                unitTest.assert.strictEqual(target, -10);
+            });
+
+            unitTest.it("should discount the bootstrapped value by the number of steps", function() {
+                // Right after initialization the target network is a copy of the online network
+                var qValues = reinforcementLearning.getQValues(state);
+                var best = Math.max.apply(null, Object.keys(qValues).map(function(action) {
+                    return qValues[action];
+                }));
+
+                var target = reinforcementLearning.computeTarget({ reward: 1.5, nextState: state, done: false, steps: 3 });
+                unitTest.assert.closeTo(target, 1.5 + Math.pow(0.9, 3) * best, 1e-5);
+            });
+        });
+
+        unitTest.describe("Training Normalization", function() {
+            var createSamples = function(coinCounts) {
+                return coinCounts.map(function(coins, index) {
+                    var low = index % 2 === 0;
+                    var state = createGameState("center", low ? "low_barrier" : "high_barrier");
+                    state.coins = coins;
+                    return { gameState: state, action: low ? "jump" : "roll" };
+                });
+            };
+            var getStats = function(name) {
+                return neuralNetwork.getFeatureSchema().features.filter(function(feature) {
+                    return feature.name === name;
+                })[0].stats;
+            };
+
+            unitTest.it("should fit normalization on the training split only", function() {
+                neuralNetwork.initialize(NETWORK_CONFIG);
+                // validationSplit 0.25 holds out one of the four samples
+                var result = neuralNetwork.train(createSamples([100, 100, 100, 100]), 1);
+                unitTest.assert.isTrue(result.success, "Training failed: " + result.error);
+                unitTest.assert.strictEqual(result.featureSchema.fitted.samples, 3);
+
+                result = neuralNetwork.train(createSamples([100, 100]), 1, null, {
+                    validationData: createSamples([1e6, 1e6])
+                });
+                unitTest.assert.strictEqual(result.featureSchema.fitted.samples, 2);
+                unitTest.assert.closeTo(getStats("log_coins").mean, Math.log(101), 1e-9);
+            });
+
+            unitTest.it("should keep the schema when training fails", function() {
+                neuralNetwork.initialize(NETWORK_CONFIG);
+                var before = JSON.stringify(neuralNetwork.getFeatureSchema());
+
+                var unusable = createSamples([100, 200]).map(function(sample) {
+                    return { gameState: sample.gameState, action: "hoverboard" };
+                });
+                unitTest.assert.isFalse(neuralNetwork.train(unusable, 1).success, "Unusable samples were trained on");
+                unitTest.assert.isTrue(JSON.stringify(neuralNetwork.getFeatureSchema()) === before,
+                                       "Training without samples changed the schema");
+
+                var result = neuralNetwork.train(createSamples([100, 200, 300, 400]), 1, function() {
+                    throw new Error("Interrupted");
+                });
+                unitTest.assert.strictEqual(result.error, "Interrupted");
+                unitTest.assert.isTrue(JSON.stringify(neuralNetwork.getFeatureSchema()) === before,
+                                       "Interrupted training changed the schema");
+            });
+        });
+    }
+};
@@ -0,0 +1,186 @@
+/**
+ * Replay Unit Tests for Subway Surfers Bot
+ * Implements Phase 6.1: Automated Testing - Unit tests of the frame replay tools
+ *
+ * Features:
+ * - Labelled-frame manifest loading
+ * - Detection scoring: screen type accuracy, per-method precision/recall, lane and obstacle scores
+ * - Baseline regression checks
+ *
+ * The replay tools read files with Node.js, so these suites run with run_replay_tests.js
+ * instead of the test runner on the device.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Import test modules
+var unitTest = require('./unit_test.js');
+
+// Import modules to test
+var detectionScorer = require('../replay/detection_scorer.js');
+
+/**
+ * Creates a manifest frame entry
+ * @param {Object} expected - Expected detection
+ * @return {Object} Frame entry
+ */
+function createFrame(expected) {
+    return { frame: "frame.png", expected: expected };
+}
+
+/**
+ * Creates a detection as returned by evaluateManifest
+ * @param {string} screenType - Detected screen type
+ * @param {Object} votes - Votes per detection method
+ * @param {Object} state - Detected game state
+ * @return {Object} Detection
+ */
+function createDetection(screenType, votes, state) {
+    return { frame: "frame.png", votes: votes || {}, screenType: screenType, state: state || null };
+}
+
+/**
+ * Loads a manifest through a file in a temporary directory
+ * @param {Object} content - Manifest content
+ * @return {Object} {path, manifest} with the path the manifest was loaded from
+ */
+function loadManifestFile(content) {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "subwaybot-manifest-"));
+    var manifestPath = path.join(dir, "manifest.json");
+    fs.writeFileSync(manifestPath, JSON.stringify(content));
+
+    try {
+        return { path: manifestPath, manifest: detectionScorer.loadManifest(manifestPath) };
+    } finally {
+        fs.unlinkSync(manifestPath);
+        fs.rmdirSync(dir);
+    }
+}
+
+module.exports = {
+    /**
+     * Defines the unit tests of the frame replay tools
+     */
+    defineTests: function() {
+        unitTest.describe("Detection Scorer", function() {
+            unitTest.it("should resolve frame paths relative to the manifest", function() {
+                var loaded = loadManifestFile({
+                    version: 1,
+                    frames: [{ frame: "screenshots/a.png", expected: { screenType: "menu" } }]
+                });
+                unitTest.assert.strictEqual(loaded.manifest.frames[0].path,
+                                            path.join(path.dirname(loaded.path), "screenshots", "a.png"));
+            });
+
+            unitTest.it("should reject frames without an expected screen type", function() {
+                var error = null;
+                try {
+                    loadManifestFile({ version: 1, frames: [{ frame: "a.png", expected: {} }] });
+                } catch (e) {
+                    error = e;
+                }
+                unitTest.assert.isTrue(error !== null && error.message.indexOf("screenType") !== -1,
+                                       "Frame without a screen type was accepted");
+            });
+
+            unitTest.it("should score screen types with a confusion matrix", function() {
+                var manifest = { frames: [
+                    createFrame({ screenType: "gameplay" }),
+                    createFrame({ screenType: "gameplay" }),
+                    createFrame({ screenType: "menu" }),
+                    createFrame({ screenType: "menu" })
+                ] };
+                var report = detectionScorer.scoreDetections(manifest, [
+                    createDetection("gameplay"),
+                    createDetection("menu"),
+                    createDetection("menu"),
+                    createDetection(null)
+                ]);
+
+                unitTest.assert.strictEqual(report.screenType.accuracy, 0.5);
+                unitTest.assert.strictEqual(report.screenType.confusion.gameplay.menu, 1);
+                unitTest.assert.strictEqual(report.screenType.confusion.menu.unknown, 1);
+                unitTest.assert.strictEqual(report.screenType.perType.menu.precision, 0.5);
+                unitTest.assert.strictEqual(report.screenType.perType.gameplay.recall, 0.5);
+                unitTest.assert.strictEqual(report.metrics["screenType.accuracy"], 0.5);
+            });
+
+            unitTest.it("should count abstaining methods against coverage, not precision", function() {
+                var manifest = { frames: [
+                    createFrame({ screenType: "gameplay" }),
+                    createFrame({ screenType: "menu" })
+                ] };
+                var report = detectionScorer.scoreDetections(manifest, [
+                    createDetection("gameplay", {
+                        ocr: { type: "gameplay", confidence: 0.9 },
+                        color: { type: "menu", confidence: 0.4 }
+                    }),
+                    createDetection("menu", { color: { type: "menu", confidence: 0.8 } })
+                ]);
+
+                unitTest.assert.strictEqual(report.methods.ocr.coverage, 0.5);
+                unitTest.assert.strictEqual(report.methods.ocr.precision, 1);
+                unitTest.assert.strictEqual(report.methods.color.coverage, 1);
+                unitTest.assert.strictEqual(report.methods.color.perType.menu.precision, 0.5);
+                unitTest.assert.strictEqual(report.methods.elements.coverage, 0);
+            });
+
+            unitTest.it("should match obstacles by lane and distance", function() {
+                var manifest = { frames: [createFrame({
+                    screenType: "gameplay",
+                    obstacles: [{ lane: "left", distance: "near" }, { lane: "right", distance: "far" }]
+                })] };
+                var report = detectionScorer.scoreDetections(manifest, [createDetection("gameplay", {}, {
+                    obstacles: [{ lane: "left", distance: "near" }, { lane: "right", distance: "near" }]
+                })]);
+
+                unitTest.assert.strictEqual(report.obstacles.precision, 0.5);
+                unitTest.assert.strictEqual(report.obstacles.recall, 0.5);
+            });
+
+            unitTest.it("should only score lanes and player position on frames that label them", function() {
+                var manifest = { frames: [
+                    createFrame({
+                        screenType: "gameplay",
+                        playerPosition: "center",
+                        lanes: { left: { obstacles: true, coins: false } }
+                    }),
+                    createFrame({ screenType: "gameplay" })
+                ] };
+                var report = detectionScorer.scoreDetections(manifest, [
+                    createDetection("gameplay", {}, {
+                        playerPosition: "left",
+                        lanes: { left: { obstacles: true, coins: true } }
+                    }),
+                    createDetection("gameplay", {}, { playerPosition: "center" })
+                ]);
+
+                unitTest.assert.strictEqual(report.lanes.frames, 1);
+                unitTest.assert.strictEqual(report.lanes.obstacleAccuracy, 1);
+                unitTest.assert.strictEqual(report.lanes.coinAccuracy, 0);
+                unitTest.assert.strictEqual(report.playerPosition.frames, 1);
+                unitTest.assert.strictEqual(report.playerPosition.accuracy, 0);
+            });
+
+            unitTest.it("should flag drops beyond the tolerance as regressions", function() {
+                var baseline = { metrics: { "screenType.accuracy": 0.9, "obstacles.recall": 0.5, "lanes.coinAccuracy": 0.8 } };
+                var report = { metrics: { "screenType.accuracy": 0.89, "obstacles.recall": 0.7, "lanes.coinAccuracy": 0.7 } };
+                var comparison = detectionScorer.compareToBaseline(report, baseline, 0.02);
+
+                unitTest.assert.strictEqual(comparison.regressions.length, 1);
+                unitTest.assert.strictEqual(comparison.regressions[0].metric, "lanes.coinAccuracy");
+                unitTest.assert.strictEqual(comparison.improvements.length, 1);
+                unitTest.assert.strictEqual(comparison.improvements[0].metric, "obstacles.recall");
+            });
+
+            unitTest.it("should flag a metric that can no longer be measured", function() {
+                var comparison = detectionScorer.compareToBaseline({ metrics: { "obstacles.precision": null } },
+                                                                   { metrics: { "obstacles.precision": 0.6 } }, 0.02);
+                unitTest.assert.strictEqual(comparison.regressions.length, 1);
+                unitTest.assert.strictEqual(comparison.regressions[0].current, null);
+            });
+        });
+    }
+};
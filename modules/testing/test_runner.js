@@ -14,6 +14,8 @@ var unitTest = require('./unit_test.js');
 var performanceBenchmark = require('./performance_benchmark.js');
 var stabilityTest = require('./stability_test.js');
 var compatibilityTest = require('./compatibility_test.js');
+var visionUnitTests = require('./vision_unit_tests.js');
+var aiUnitTests = require('./ai_unit_tests.js');
 
 // Import modules to test
 var utils = require('/storage/emulated/0/SubwayBot/modules/utils.js');
@@ -455,6 +457,12 @@ module.exports = {
             });
         });
         
+        // Vision modules
+        visionUnitTests.defineTests();
+        
+        // Decision and learning modules
+        aiUnitTests.defineTests();
+        
         // Game Elements module
     }
 }
\ No newline at end of file
@@ -195,6 +195,19 @@ module.exports = {
             }
         },
         
+        /**
+         * Assert that a number is within a tolerance of the expected value
+         * @param {number} actual - Actual value
+         * @param {number} expected - Expected value
+         * @param {number} tolerance - Largest allowed difference
+         * @param {string} message - Error message if assertion fails
+         */
+        closeTo: function(actual, expected, tolerance, message) {
+            if (typeof actual !== 'number' || !(Math.abs(actual - expected) <= tolerance)) {
+                throw new Error(message || "Expected " + expected + " (+/- " + tolerance + ") but got " + actual);
+            }
+        },
+        
         /**
          * Assert that a value is not undefined
          * @param {*} value - Value to check
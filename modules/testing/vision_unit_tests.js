@@ -0,0 +1,204 @@
+/**
+ * Vision Unit Tests for Subway Surfers Bot
+ * Implements Phase 6.1: Automated Testing - Unit tests of the vision modules
+ *
+ * Features:
+ * - Obstacle tracker speeds, time to collision and moving train promotion
+ * - HUD digit reading from rendered glyphs
+ *
+ * The suites run on the unit_test.js framework; test_runner.js defines them with the other unit tests.
+ */
+
+// Import test modules
+var unitTest = require('./unit_test.js');
+
+// Import modules to test
+var obstacleTracker = require('../obstacle_tracker.js');
+var digitReader = require('../digit_reader.js');
+
+// Fixed tracker settings, so expectations do not follow config changes
+var TRACKER_CONFIG = {
+    obstacleTracker: {
+        enabled: true,
+        collisionLine: 0.7,
+        associationGate: 0.15,
+        smoothing: 0.5,
+        defaultApproachSpeed: 0.5,
+        maxMisses: 2,
+        maxFrameGap: 1000,
+        movingTrainSpeed: 0.9
+    }
+};
+
+// Fixed digit reader settings; the template file does not exist, so only built-in glyphs are used
+var READER_CONFIG = {
+    digitReader: {
+        inkMinBrightness: 200,
+        inkMaxSaturation: 80,
+        minGlyphHeight: 0.6,
+        minSimilarity: 0.6,
+        templatePath: "/storage/emulated/0/SubwayBot/test_data/missing_digit_templates.json"
+    }
+};
+
+// Glyphs drawn into test images, in the style of the HUD font
+var TEST_GLYPHS = {
+    "0": ["01110", "10001", "10011", "10101", "11001", "10001", "01110"],
+    "1": ["00100", "01100", "00100", "00100", "00100", "00100", "01110"],
+    "2": ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+    "4": ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+    "5": ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+    "x": ["00000", "00000", "10001", "01010", "00100", "01010", "10001"]
+};
+
+// Stand-ins for the AutoJS images and colors globals over test images
+var testImages = {
+    pixel: function(img, x, y) {
+        return img.pixels[y * img.width + x];
+    }
+};
+
+var testColors = {
+    red: function(color) {
+        return (color >> 16) & 0xFF;
+    },
+    green: function(color) {
+        return (color >> 8) & 0xFF;
+    },
+    blue: function(color) {
+        return color & 0xFF;
+    }
+};
+
+/**
+ * Draws text in white on a dark background
+ * @param {string} text - Text made of TEST_GLYPHS characters
+ * @param {number} scale - Pixels per glyph cell
+ * @return {Object} Test image {width, height, pixels}
+ */
+function renderText(text, scale) {
+    var margin = 2;
+    var width = margin * 2 + text.length * 6 * scale;
+    var height = margin * 2 + 7 * scale;
+    var pixels = [];
+    var i, x, y;
+
+    for (i = 0; i < width * height; i++) {
+        pixels.push(0xFF203040 | 0);
+    }
+
+    for (i = 0; i < text.length; i++) {
+        var rows = TEST_GLYPHS[text.charAt(i)];
+        for (y = 0; y < 7 * scale; y++) {
+            for (x = 0; x < 5 * scale; x++) {
+                if (rows[Math.floor(y / scale)].charAt(Math.floor(x / scale)) === "1") {
+                    pixels[(margin + y) * width + margin + i * 6 * scale + x] = 0xFFFFFFFF | 0;
+                }
+            }
+        }
+    }
+
+    return { width: width, height: height, pixels: pixels };
+}
+
+/**
+ * Gets the region covering a whole test image
+ * @param {Object} img - Test image
+ * @return {Array} Region [x, y, width, height]
+ */
+function fullRegion(img) {
+    return [0, 0, img.width, img.height];
+}
+
+module.exports = {
+    /**
+     * Defines the unit tests of the vision modules
+     */
+    defineTests: function() {
+        unitTest.describe("Obstacle Tracker", function() {
+            var trackFrame = function(timestamp, obstacles) {
+                return obstacleTracker.track({ obstacles: obstacles, timestamp: timestamp }, 1000, TRACKER_CONFIG);
+            };
+
+            unitTest.it("should use the default speed before measuring one", function() {
+                obstacleTracker.reset();
+                // 0.25 screen heights to the collision line at 0.5 per second
+                var state = trackFrame(1000, [{ lane: "center", type: "low_barrier", y: 450 }]);
+                unitTest.assert.strictEqual(state.timeToCollision.center, 500);
+                unitTest.assert.strictEqual(state.timeToCollision.left, null);
+            });
+
+            unitTest.it("should measure the approach speed across frames", function() {
+                obstacleTracker.reset();
+                trackFrame(1000, [{ lane: "center", type: "low_barrier", y: 400 }]);
+                var state = trackFrame(1100, [{ lane: "center", type: "low_barrier", y: 500 }]);
+                unitTest.assert.closeTo(state.trackedObstacles[0].speed, 1, 1e-9);
+                unitTest.assert.strictEqual(state.timeToCollision.center, 200);
+            });
+
+            unitTest.it("should promote fast trains to moving trains", function() {
+                obstacleTracker.reset();
+                trackFrame(1000, [{ lane: "right", type: "train", y: 400 }]);
+                var state = trackFrame(1100, [{ lane: "right", type: "train", y: 500 }]);
+                unitTest.assert.strictEqual(state.trackedObstacles[0].type, "moving_train");
+            });
+
+            unitTest.it("should drop tracks after a frame gap", function() {
+                obstacleTracker.reset();
+                trackFrame(1000, [{ lane: "center", type: "low_barrier", y: 400 }]);
+                trackFrame(1100, [{ lane: "center", type: "low_barrier", y: 500 }]);
+                // A new track starts at the default speed: 0.05 screen heights at 0.5 per second
+                var state = trackFrame(5000, [{ lane: "center", type: "low_barrier", y: 650 }]);
+                unitTest.assert.strictEqual(state.trackedObstacles.length, 1);
+                unitTest.assert.strictEqual(state.timeToCollision.center, 100);
+            });
+
+            unitTest.it("should flag lanes whose obstacle arrives within the window", function() {
+                var timeToCollision = { left: null, center: 200, right: 900 };
+                unitTest.assert.isTrue(obstacleTracker.isThreat(timeToCollision, "center", 600), "Center is no threat");
+                unitTest.assert.isFalse(obstacleTracker.isThreat(timeToCollision, "right", 600), "Right is a threat");
+                unitTest.assert.isFalse(obstacleTracker.isThreat(timeToCollision, "left", 600), "Left is a threat");
+            });
+        });
+
+        unitTest.describe("Digit Reader", function() {
+            unitTest.it("should read rendered digits", function() {
+                var img = renderText("1045", 3);
+                var reading = digitReader.readRegion(img, fullRegion(img), testImages, testColors, READER_CONFIG);
+                unitTest.assert.strictEqual(reading.text, "1045");
+                unitTest.assert.isTrue(reading.confidence > 0.9, "Confidence " + reading.confidence);
+            });
+
+            unitTest.it("should read the multiplier without its x", function() {
+                digitReader.initialize(READER_CONFIG);
+                var img = renderText("x12", 2);
+                var reading = digitReader.readField(img, "multiplier", fullRegion(img), testImages, testColors, READER_CONFIG);
+                unitTest.assert.strictEqual(reading.value, 12);
+                unitTest.assert.isTrue(reading.fresh, "Reading is not fresh");
+            });
+
+            unitTest.it("should keep the last confident value when a frame cannot be read", function() {
+                digitReader.initialize(READER_CONFIG);
+                digitReader.resetReadings();
+                var digits = renderText("25", 3);
+                var blank = renderText("", 3);
+                digitReader.readField(digits, "coins", fullRegion(digits), testImages, testColors, READER_CONFIG);
+
+                var reading = digitReader.readField(blank, "coins", fullRegion(blank), testImages, testColors, READER_CONFIG);
+                unitTest.assert.strictEqual(reading.value, 25);
+                unitTest.assert.isFalse(reading.fresh, "Blank frame gave a fresh reading");
+
+                digitReader.resetReadings();
+                unitTest.assert.strictEqual(digitReader.getLastValue("coins"), null);
+            });
+
+            unitTest.it("should drop specks much shorter than the digits", function() {
+                var img = renderText("11", 3);
+                img.pixels[(img.height - 3) * img.width + img.width - 2] = 0xFFFFFFFF | 0;
+                var glyphs = digitReader.segmentGlyphs(digitReader.binarize(img, fullRegion(img), testImages, testColors,
+                                                                            READER_CONFIG), READER_CONFIG);
+                unitTest.assert.strictEqual(glyphs.length, 2);
+            });
+        });
+    }
+};
@@ -0,0 +1,518 @@
+/**
+ * Training Pipeline Module for Subway Surfers Bot
+ * Implements Phase 5.2 (Neural Network Implementation): behavior cloning from recorded sessions to a registered model
+ *
+ * Features:
+ * - One run turns selected session ids into a model through the stages
+ *   merge -> clean -> version -> split -> train -> evaluate -> quantize -> register
+ * - Each stage writes its output to the run directory and a report to the run state,
+ *   so an interrupted or failed run resumes at the first unfinished stage
+ * - Any stage can be rerun (with the stages after it), e.g. to retrain on the same split
+ * - Validation holds out the latest samples of each session, since neighbouring frames are near duplicates
+ * - With config.neuralNet.inference.quantize, int8 weights are verified on the validation set and
+ *   benchmarked against float32, and both results are saved with the model (auto-play uses int8 only
+ *   when it passed and was faster); inference speed is benchmarked either way
+ * - The model is registered with its dataset version, hyperparameters and evaluation,
+ *   and optionally promoted to production
+ *
+ * Runs live in config.trainingPipeline.runsPath/<run id>/ as run.json (state and stage reports),
+ * samples.json, cleaned.json, train.json, validation.json and model.json.
+ */
+
+// Import required modules
+var dataCollection = require('./data_collection.js');
+var dataProcessing = require('./data_processing.js');
+var neuralNetwork = require('./neural_network.js');
+var modelRegistry = require('./model_registry.js');
+var files = require('./utils/files.js');
+var gameActions = require('./utils/actions.js');
+
+// Stages in the order they run
+var STAGES = ["merge", "clean", "version", "split", "train", "evaluate", "quantize", "register"];
+
+/**
+ * Gets the directory of a run
+ * @param {string} runId - Run id
+ * @param {Object} config - Configuration settings
+ * @return {string} Directory path ending with a slash
+ */
+function runDir(runId, config) {
+    return config.trainingPipeline.runsPath + runId + "/";
+}
+
+/**
+ * Writes a JSON file of a run
+ * @param {Object} run - Run state
+ * @param {string} name - File name
+ * @param {Object} data - Data to write
+ * @param {Object} config - Configuration settings
+ */
+function writeArtifact(run, name, data, config) {
+    var path = runDir(run.id, config) + name;
+    files.createWithDirs(path);
+    files.write(path, JSON.stringify(data));
+}
+
+/**
+ * Reads a JSON file written by an earlier stage
+ * @param {Object} run - Run state
+ * @param {string} name - File name
+ * @param {Object} config - Configuration settings
+ * @return {Object} Data
+ */
+function readArtifact(run, name, config) {
+    var path = runDir(run.id, config) + name;
+    if (!files.exists(path)) {
+        throw new Error(name + " is missing, rerun the stage that writes it");
+    }
+    return JSON.parse(files.read(path));
+}
+
+/**
+ * Counts samples per action
+ * @param {Array} samples - Samples {gameState, action}
+ * @return {Object} Count by action
+ */
+function countActions(samples) {
+    var counts = {};
+    samples.forEach(function(sample) {
+        counts[sample.action] = (counts[sample.action] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Turns a merged dataset into labelled samples
+ * Recorded actions become samples of their action; with an idle window, frames without any
+ * action within the window before or after them become "none" samples
+ * @param {Object} merged - Merged dataset from data_collection.mergeSessionsIntoDataset
+ * @param {number} idleWindow - ms, 0 to skip "none" samples
+ * @return {Array} Samples {gameState, action, sessionId, timestamp}
+ */
+function labelSamples(merged, idleWindow) {
+    var samples = [];
+    var actionTimes = {};
+
+    merged.actions.forEach(function(record) {
+        var action = gameActions.ACTION_ALIASES[record.actionType];
+        if (!action) {
+            return;
+        }
+        samples.push({ gameState: record.gameState, action: action, sessionId: record.sessionId, timestamp: record.timestamp });
+        (actionTimes[record.sessionId] = actionTimes[record.sessionId] || []).push(record.timestamp);
+    });
+
+    if (idleWindow > 0) {
+        merged.samples.forEach(function(frame) {
+            var times = actionTimes[frame.sessionId] || [];
+            for (var i = 0; i < times.length; i++) {
+                if (Math.abs(times[i] - frame.timestamp) <= idleWindow) {
+                    return;
+                }
+            }
+            samples.push({ gameState: frame.gameState, action: "none", sessionId: frame.sessionId, timestamp: frame.timestamp });
+        });
+    }
+
+    return samples;
+}
+
+/**
+ * Holds out the latest samples of each session
+ * @param {Array} samples - Samples {gameState, action, sessionId, timestamp}
+ * @param {number} fraction - Fraction of each session held out
+ * @return {Object} {train, validation}
+ */
+function splitBySession(samples, fraction) {
+    var sessions = {};
+    samples.forEach(function(sample) {
+        var key = sample.sessionId || "unknown";
+        (sessions[key] = sessions[key] || []).push(sample);
+    });
+
+    var split = { train: [], validation: [] };
+    for (var key in sessions) {
+        var session = sessions[key].sort(function(a, b) {
+            return (a.timestamp || 0) - (b.timestamp || 0);
+        });
+        var held = Math.floor(session.length * fraction);
+        split.train = split.train.concat(session.slice(0, session.length - held));
+        split.validation = split.validation.concat(session.slice(session.length - held));
+    }
+    return split;
+}
+
+// Stage implementations: each returns the stage report and may store results on the run
+var STAGE_HANDLERS = {
+    merge: function(run, config) {
+        var merged = dataCollection.mergeSessionsIntoDataset(run.sessionIds, "pipeline_" + run.id);
+        if (!merged) {
+            throw new Error("Sessions could not be merged");
+        }
+
+        var samples = labelSamples(merged, config.trainingPipeline.idleLabelWindow);
+        if (samples.length === 0) {
+            throw new Error("The sessions contain no recorded actions");
+        }
+        writeArtifact(run, "samples.json", samples, config);
+
+        return {
+            sessions: merged.sessions.length,
+            frames: merged.samples.length,
+            actions: merged.actions.length,
+            samples: samples.length,
+            byAction: countActions(samples)
+        };
+    },
+
+    clean: function(run, config) {
+        var samples = readArtifact(run, "samples.json", config);
+        var cleaned = dataProcessing.normalizeDataset(dataProcessing.cleanDataset(samples));
+        if (cleaned.length === 0) {
+            throw new Error("No samples left after cleaning");
+        }
+        writeArtifact(run, "cleaned.json", cleaned, config);
+
+        return {
+            input: samples.length,
+            output: cleaned.length,
+            removed: samples.length - cleaned.length,
+            byAction: countActions(cleaned)
+        };
+    },
+
+    version: function(run, config) {
+        var cleaned = readArtifact(run, "cleaned.json", config);
+        var versionId = dataProcessing.createDatasetVersion(cleaned, {
+            source: "training_pipeline",
+            pipelineRun: run.id,
+            sessions: run.sessionIds
+        }, config.modelRegistry.datasetPath);
+        if (!versionId) {
+            throw new Error("Dataset version could not be created");
+        }
+
+        run.datasetVersion = versionId;
+        return { datasetVersion: versionId, samples: cleaned.length };
+    },
+
+    split: function(run, config) {
+        var split = splitBySession(readArtifact(run, "cleaned.json", config), config.trainingPipeline.validationSplit);
+        if (split.train.length === 0 || split.validation.length === 0) {
+            throw new Error("Too few samples to hold out a validation set");
+        }
+        writeArtifact(run, "train.json", split.train, config);
+        writeArtifact(run, "validation.json", split.validation, config);
+
+        return {
+            train: split.train.length,
+            validation: split.validation.length,
+            trainByAction: countActions(split.train),
+            validationByAction: countActions(split.validation)
+        };
+    },
+
+    train: function(run, config) {
+        var train = readArtifact(run, "train.json", config);
+        var validation = readArtifact(run, "validation.json", config);
+        var modelPath = runDir(run.id, config) + "model.json";
+
+        // A fresh network; training fits the feature normalization on this run's data and saves it with the model
+        neuralNetwork.initialize(config);
+        var result = neuralNetwork.train(train, config.trainingPipeline.epochs, null, {
+            validationData: validation,
+            checkpointPath: modelPath
+        });
+        if (!result.success) {
+            throw new Error("Training failed: " + result.error);
+        }
+        if (!result.checkpointPath && !neuralNetwork.saveModel(modelPath)) {
+            throw new Error("Trained model could not be saved");
+        }
+
+        return {
+            architecture: neuralNetwork.describeArchitecture(),
+            epochs: result.epochs,
+            bestEpoch: result.bestEpoch,
+            bestValidationLoss: result.bestLoss,
+            finalTrainLoss: result.finalError,
+            stoppedEarly: result.stoppedEarly,
+            samples: result.samplesProcessed,
+            featureSchema: result.featureSchema
+        };
+    },
+
+    evaluate: function(run, config) {
+        var validation = readArtifact(run, "validation.json", config);
+        if (!neuralNetwork.loadModel(runDir(run.id, config) + "model.json")) {
+            throw new Error("Trained model could not be loaded");
+        }
+
+        var evaluation = neuralNetwork.evaluate(validation);
+        if (!evaluation || evaluation.samples === 0) {
+            throw new Error("No validation samples the model can be evaluated on");
+        }
+
+        // Accuracy per expected action
+        var byAction = {};
+        validation.forEach(function(sample) {
+            var stats = byAction[sample.action] = byAction[sample.action] || { samples: 0, correct: 0 };
+            stats.samples++;
+            if (neuralNetwork.predict(sample.gameState).action === sample.action) {
+                stats.correct++;
+            }
+        });
+        for (var action in byAction) {
+            byAction[action].accuracy = byAction[action].correct / byAction[action].samples;
+        }
+
+        run.evaluation = {
+            loss: evaluation.loss,
+            accuracy: evaluation.accuracy,
+            samples: evaluation.samples,
+            datasetVersion: run.datasetVersion,
+            byAction: byAction
+        };
+        return run.evaluation;
+    },
+
+    quantize: function(run, config) {
+        var validation = readArtifact(run, "validation.json", config);
+        var modelPath = runDir(run.id, config) + "model.json";
+        if (!neuralNetwork.loadModel(modelPath)) {
+            throw new Error("Trained model could not be loaded");
+        }
+
+        var report = { quantized: false };
+        if (config.neuralNet.inference && config.neuralNet.inference.quantize) {
+            var result = neuralNetwork.quantize(validation);
+            report = {
+                quantized: result.passed,
+                agreement: result.agreement,
+                floatAccuracy: result.floatAccuracy,
+                int8Accuracy: result.int8Accuracy,
+                maxOutputError: result.maxOutputError,
+                int8Bytes: result.int8Bytes,
+                floatBytes: result.floatBytes
+            };
+        }
+        report.msPerInference = neuralNetwork.benchmarkInference(validation.slice(0, 100), 1000);
+
+        if (report.quantized) {
+            // The model file carries the verification and the benchmark, so auto-play only uses
+            // int8 weights that passed and ran faster than float32
+            report.int8Faster = neuralNetwork.getQuantization().int8Faster;
+            if (!neuralNetwork.saveModel(modelPath)) {
+                throw new Error("Quantized model could not be saved");
+            }
+        }
+
+        if (run.evaluation) {
+            run.evaluation.quantization = report;
+        }
+        return report;
+    },
+
+    register: function(run, config) {
+        if (!neuralNetwork.loadModel(runDir(run.id, config) + "model.json")) {
+            throw new Error("Trained model could not be loaded");
+        }
+
+        var trainReport = run.stages.train.report;
+        modelRegistry.initialize(config);
+        var entry = modelRegistry.saveAndRegister({
+            datasetVersion: run.datasetVersion,
+            evaluation: run.evaluation,
+            hyperparameters: {
+                epochs: config.trainingPipeline.epochs,
+                trainedEpochs: trainReport.epochs,
+                bestEpoch: trainReport.bestEpoch,
+                validationSplit: config.trainingPipeline.validationSplit,
+                idleLabelWindow: config.trainingPipeline.idleLabelWindow,
+                sessions: run.sessionIds,
+                pipelineRun: run.id
+            },
+            note: "Training pipeline run " + run.id
+        }, config);
+        if (!entry) {
+            throw new Error("Model could not be saved and registered");
+        }
+
+        run.modelId = entry.id;
+        var promoted = config.trainingPipeline.promote ? modelRegistry.promote(entry.id, config) : false;
+        return { modelId: entry.id, path: entry.path, promoted: promoted };
+    }
+};
+
+module.exports = {
+    STAGES: STAGES,
+
+    /**
+     * Starts a run on a set of recorded sessions
+     * @param {Array} sessionIds - Session ids from data_collection
+     * @param {Object} config - Configuration settings
+     * @return {Object} Run state after running as far as possible
+     */
+    start: function(sessionIds, config) {
+        var run = {
+            id: "run_" + Date.now(),
+            sessionIds: sessionIds,
+            createdAt: Date.now(),
+            status: "pending",
+            stages: {},
+            datasetVersion: null,
+            evaluation: null,
+            modelId: null
+        };
+        STAGES.forEach(function(stage) {
+            run.stages[stage] = { status: "pending", report: null };
+        });
+
+        console.log("Training pipeline run " + run.id + " on " + sessionIds.length + " sessions");
+        return this.execute(run, config);
+    },
+
+    /**
+     * Resumes a run at its first unfinished stage, or reruns it from a given stage
+     * @param {string} runId - Run id
+     * @param {Object} config - Configuration settings
+     * @param {string} fromStage - Optional stage to rerun along with every stage after it
+     * @return {Object} Run state after running as far as possible, or null if the run does not exist
+     */
+    resume: function(runId, config, fromStage) {
+        var run = this.getRun(runId, config);
+        if (!run) {
+            console.error("Training pipeline run " + runId + " not found");
+            return null;
+        }
+
+        if (fromStage) {
+            var from = STAGES.indexOf(fromStage);
+            if (from === -1) {
+                console.error("Unknown pipeline stage: " + fromStage);
+                return run;
+            }
+            for (var i = from; i < STAGES.length; i++) {
+                run.stages[STAGES[i]] = { status: "pending", report: null };
+            }
+        }
+
+        return this.execute(run, config);
+    },
+
+    /**
+     * Runs the unfinished stages of a run in order, saving the run state after each
+     * Stops at the first failing stage
+     * @param {Object} run - Run state
+     * @param {Object} config - Configuration settings
+     * @return {Object} Run state
+     */
+    execute: function(run, config) {
+        run.status = "running";
+        this.saveRun(run, config);
+
+        for (var i = 0; i < STAGES.length; i++) {
+            // Runs saved before a stage existed get it as pending
+            var stage = run.stages[STAGES[i]] = run.stages[STAGES[i]] || { status: "pending", report: null };
+            if (stage.status === "done") {
+                continue;
+            }
+
+            console.log("Pipeline stage " + STAGES[i] + "...");
+            stage.startedAt = Date.now();
+            try {
+                stage.report = STAGE_HANDLERS[STAGES[i]](run, config);
+                stage.status = "done";
+                stage.error = null;
+            } catch (e) {
+                stage.status = "failed";
+                stage.error = e.message;
+                run.status = "failed";
+                console.error("Pipeline stage " + STAGES[i] + " failed: " + e.message);
+            }
+            stage.finishedAt = Date.now();
+            this.saveRun(run, config);
+
+            if (run.status === "failed") {
+                return run;
+            }
+            console.log("  " + JSON.stringify(stage.report));
+        }
+
+        run.status = "done";
+        this.saveRun(run, config);
+        console.log("Training pipeline run " + run.id + " finished, model " + run.modelId);
+        return run;
+    },
+
+    /**
+     * Saves the state of a run
+     * @param {Object} run - Run state
+     * @param {Object} config - Configuration settings
+     * @return {boolean} Success status
+     */
+    saveRun: function(run, config) {
+        try {
+            run.updatedAt = Date.now();
+            writeArtifact(run, "run.json", run, config);
+            return true;
+        } catch (e) {
+            console.error("Error saving pipeline run: " + e.message);
+            return false;
+        }
+    },
+
+    /**
+     * Loads the state of a run
+     * @param {string} runId - Run id
+     * @param {Object} config - Configuration settings
+     * @return {Object} Run state, or null if not found
+     */
+    getRun: function(runId, config) {
+        var path = runDir(runId, config) + "run.json";
+        try {
+            return files.exists(path) ? JSON.parse(files.read(path)) : null;
+        } catch (e) {
+            console.error("Error loading pipeline run " + runId + ": " + e.message);
+            return null;
+        }
+    },
+
+    /**
+     * Lists the runs, newest first
+     * @param {Object} config - Configuration settings
+     * @return {Array} Run states
+     */
+    listRuns: function(config) {
+        var runsPath = config.trainingPipeline.runsPath;
+        if (!files.exists(runsPath)) {
+            return [];
+        }
+
+        var runs = [];
+        files.listDir(runsPath).forEach(function(name) {
+            var run = this.getRun(name, config);
+            if (run) {
+                runs.push(run);
+            }
+        }, this);
+        return runs.sort(function(a, b) {
+            return b.createdAt - a.createdAt;
+        });
+    },
+
+    /**
+     * Formats the stage reports of a run
+     * @param {Object} run - Run state
+     * @return {string} One line per stage
+     */
+    formatReport: function(run) {
+        var lines = ["Run " + run.id + " (" + run.status + ", " + run.sessionIds.length + " sessions)"];
+        STAGES.forEach(function(name) {
+            var stage = run.stages[name] || { status: "pending", report: null };
+            var detail = stage.status === "failed" ? stage.error : (stage.report ? JSON.stringify(stage.report) : "");
+            lines.push("  " + name + ": " + stage.status + (detail ? " - " + detail : ""));
+        });
+        return lines.join("\n");
+    }
+};
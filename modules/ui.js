@@ -1,3 +1,5 @@
+var templateLibrary = require('./template_library.js');
+
 module.exports = {
     launchGame: function(config) {
         console.log("Launching Subway Surfers...");
@@ -184,6 +186,11 @@ module.exports = {
             }
         }
         
+        // Look for the play button by its captured templates
+        if (this.clickButtonTemplate(["play"], config)) {
+            return true;
+        }
+        
         // Try clicking center of screen as fallback
         console.log("No play button found, clicking center of screen");
         click(device.width / 2, device.height / 2);
@@ -205,6 +212,11 @@ module.exports = {
                 }
             }
             
+            // Look for the play again buttons by their captured templates
+            if (this.clickButtonTemplate(["play_again", "play"], config)) {
+                return true;
+            }
+            
             // Try clicking center of screen
             console.log("No game over button found, clicking center of screen");
             click(device.width / 2, device.height / 2);
@@ -223,6 +235,39 @@ module.exports = {
         return true;
     },
     
+    clickButtonTemplate: function(buttonNames, config) {
+        // Find a button in the template library and click its center
+        var img = null;
+        
+        try {
+            img = captureScreen();
+            if (!img) return false;
+            
+            var region = [0, 0, img.getWidth(), img.getHeight()];
+            for (var i = 0; i < buttonNames.length; i++) {
+                if (!templateLibrary.hasTemplates(templateLibrary.CATEGORIES.BUTTON, buttonNames[i], config)) {
+                    continue;
+                }
+                
+                var match = templateLibrary.match(img, templateLibrary.CATEGORIES.BUTTON, buttonNames[i], region, images, config);
+                if (match) {
+                    console.log("Found " + buttonNames[i] + " button by template " + match.id);
+                    click(match.x, match.y);
+                    sleep(1000);
+                    return true;
+                }
+            }
+        } catch (e) {
+            console.error("Error matching button templates: " + e.message);
+        } finally {
+            if (img && img.recycle) {
+                try { img.recycle(); } catch (e) {}
+            }
+        }
+        
+        return false;
+    },
+    
     handleShop: function(config) {
         // Just press back to exit the shop
         console.log("Exiting shop");
@@ -340,6 +385,14 @@ module.exports = {
                 var pos = adPositions[i];
                 
                 // Look for white Xin ad positions
+                var closeIcon = this.findCloseIconNear(img, pos.x, pos.y, config);
+                if (closeIcon) {
+                    console.log("Closing ad at " + closeIcon.x + "," + closeIcon.y + " (template " + closeIcon.id + ")");
+                    click(closeIcon.x, closeIcon.y);
+                    sleep(1000);
+                    return true;
+                }
+                
                 if (this.isCloseButton(img, pos.x, pos.y)) {
                     console.log("Closing ad at " + pos.x + "," + pos.y);
                     click(pos.x, pos.y);
@@ -349,7 +402,7 @@ module.exports = {
             }
             
             // Try to find X buttons by scanning the screen
-            var foundCloseButton = this.findCloseButtonOnScreen(img);
+            var foundCloseButton = this.findCloseButtonOnScreen(img, config);
             if (foundCloseButton) {
                 console.log("Found close button by scanning: " + foundCloseButton.x + "," + foundCloseButton.y);
                 click(foundCloseButton.x, foundCloseButton.y);
@@ -404,12 +457,30 @@ module.exports = {
         }
     },
     
-    findCloseButtonOnScreen: function(img) {
+    findCloseIconNear: function(img, x, y, config) {
+        // Match captured ad-close icons around a known ad position
+        var category = templateLibrary.CATEGORIES.AD_CLOSE;
+        if (!config.templateLibrary.enabled || templateLibrary.getNames(category, config).length === 0) {
+            return null;
+        }
+        
+        var radius = config.templateLibrary.closeButtonRadius;
+        var matches = templateLibrary.findAll(img, category, [x - radius, y - radius, radius * 2, radius * 2], images, config);
+        return matches.length > 0 ? matches[0] : null;
+    },
+    
+    findCloseButtonOnScreen: function(img, config) {
         try {
             // Look for X shapes or close buttons
             var width = img.getWidth();
             var height = img.getHeight();
             
+            // Captured close icons are more reliable than the white X heuristic
+            if (config && config.templateLibrary.enabled) {
+                var matches = templateLibrary.findAll(img, templateLibrary.CATEGORIES.AD_CLOSE, [0, 0, width, height], images, config);
+                if (matches.length > 0) return {x: matches[0].x, y: matches[0].y};
+            }
+            
             // First check top right corner (common for ads)
             var topRight = this.scanRegionForCloseButton(img, width * 0.7, 0, width * 0.3, height * 0.3);
             if (topRight) return topRight;
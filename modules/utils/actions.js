@@ -0,0 +1,26 @@
+/**
+ * Gameplay action names for the Subway Surfers bot
+ * Recorded gestures and the rule engine use swipe names, policies, models and the trace use
+ * action names; everything that converts between the two goes through this module.
+ */
+
+// Swipe gesture names, mapped to actions
+var ACTION_ALIASES = {
+    swipe_left: "left",
+    swipe_right: "right",
+    swipe_up: "jump",
+    swipe_down: "roll"
+};
+
+module.exports = {
+    ACTION_ALIASES: ACTION_ALIASES,
+
+    /**
+     * Converts a swipe gesture name to its action
+     * @param {string} action - Gesture or action name
+     * @return {string} Action name (names that are not gestures are returned unchanged)
+     */
+    normalize: function(action) {
+        return ACTION_ALIASES[action] || action;
+    }
+};
@@ -0,0 +1,53 @@
+/**
+ * Color utility functions for the Subway Surfers bot
+ * Wraps the AutoJS colors global so modules can swap it for another backend
+ */
+
+module.exports = {
+    /**
+     * Parses a color string into an ARGB integer
+     * @param {String} colorString - Color string such as "#FF0000"
+     * @return {Number} ARGB color value
+     */
+    parseColor: function(colorString) {
+        return colors.parseColor(colorString);
+    },
+
+    /**
+     * Gets the red channel of a color
+     * @param {Number} color - ARGB color value
+     * @return {Number} Red value (0-255)
+     */
+    red: function(color) {
+        return colors.red(color);
+    },
+
+    /**
+     * Gets the green channel of a color
+     * @param {Number} color - ARGB color value
+     * @return {Number} Green value (0-255)
+     */
+    green: function(color) {
+        return colors.green(color);
+    },
+
+    /**
+     * Gets the blue channel of a color
+     * @param {Number} color - ARGB color value
+     * @return {Number} Blue value (0-255)
+     */
+    blue: function(color) {
+        return colors.blue(color);
+    },
+
+    /**
+     * Builds a color from its channels
+     * @param {Number} red - Red value (0-255)
+     * @param {Number} green - Green value (0-255)
+     * @param {Number} blue - Blue value (0-255)
+     * @return {Number} ARGB color value
+     */
+    rgb: function(red, green, blue) {
+        return colors.rgb(red, green, blue);
+    }
+};
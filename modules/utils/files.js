@@ -0,0 +1,116 @@
+/**
+ * File utility functions for the Subway Surfers bot
+ * Wraps the AutoJS files global so modules can swap it for another backend
+ *
+ * Off the device (frame replay, detection scoring, tests) there is no files global:
+ * reads then find nothing and writes report failure, unless a backend was installed
+ * with setBackend() (e.g. the Node.js one from replay/node_image_backend.js).
+ */
+
+// Backend installed with setBackend(), null to use the AutoJS global
+var backend = null;
+
+/**
+ * Gets the files implementation in use
+ * @return {Object} Backend, the AutoJS files global, or null if neither exists
+ */
+function getApi() {
+    if (backend) {
+        return backend;
+    }
+    return typeof files !== 'undefined' ? files : null;
+}
+
+module.exports = {
+    /**
+     * Replaces the files implementation
+     * @param {Object} api - Object with the AutoJS files methods used by the bot, or null to restore the AutoJS global
+     */
+    setBackend: function(api) {
+        backend = api || null;
+    },
+
+    /**
+     * Checks whether files can be read and written
+     * @return {boolean} True on the device or with a backend installed
+     */
+    isAvailable: function() {
+        return getApi() !== null;
+    },
+
+    /**
+     * Checks whether a file or directory exists
+     * @param {String} path - File path
+     * @return {boolean} True if it exists
+     */
+    exists: function(path) {
+        var api = getApi();
+        return api !== null && api.exists(path);
+    },
+
+    /**
+     * Reads a text file
+     * @param {String} path - File path
+     * @return {String} File content, or null without a files implementation
+     */
+    read: function(path) {
+        var api = getApi();
+        return api !== null ? api.read(path) : null;
+    },
+
+    /**
+     * Writes a text file, replacing its content
+     * @param {String} path - File path
+     * @param {String} text - Content to write
+     * @return {boolean} False without a files implementation or if the backend refused the write
+     */
+    write: function(path, text) {
+        var api = getApi();
+        return api !== null && api.write(path, text) !== false;
+    },
+
+    /**
+     * Appends text to a file
+     * @param {String} path - File path
+     * @param {String} text - Text to append
+     * @return {boolean} False without a files implementation or if the backend refused the write
+     */
+    append: function(path, text) {
+        var api = getApi();
+        return api !== null && api.append(path, text) !== false;
+    },
+
+    /**
+     * Creates a file and its parent directories (a path ending in "/" creates a directory)
+     * @param {String} path - File path
+     * @return {boolean} False without a files implementation
+     */
+    createWithDirs: function(path) {
+        var api = getApi();
+        return api !== null && api.createWithDirs(path);
+    },
+
+    /**
+     * Lists the entries of a directory
+     * @param {String} path - Directory path
+     * @param {Function} filter - Optional filter called with each entry name
+     * @return {Array} Entry names (empty without a files implementation)
+     */
+    listDir: function(path, filter) {
+        var api = getApi();
+        if (api === null) {
+            return [];
+        }
+        return filter ? api.listDir(path, filter) : api.listDir(path);
+    },
+
+    /**
+     * Deletes a file
+     * @param {String} path - File path
+     * @return {boolean} True if the file was deleted
+     */
+    remove: function(path) {
+        var api = getApi();
+        return api !== null && api.remove(path);
+    }
+};
@@ -70,6 +70,38 @@ module.exports = {
         return point;
     },
 
+    /**
+     * Finds all occurrences of specified color in image
+     * @param {Object} img - Image to search
+     * @param {Object} color - Target color
+     * @param {Object} options - Search options (region, threshold)
+     * @return {Array} Found points
+     */
+    findAllPointsForColor: function(img, color, options) {
+        var points = images.findAllPointsForColor(img, color, options || {});
+        return points || [];
+    },
+
+    /**
+     * Finds a template image within an image
+     * @param {Object} img - Image to search
+     * @param {Object} template - Template image
+     * @param {Object} options - Search options (region, threshold)
+     * @return {Object|null} Top-left point of the match or null
+     */
+    findImage: function(img, template, options) {
+        return images.findImage(img, template, options || {}) || null;
+    },
+
+    /**
+     * Loads an image from file
+     * @param {String} path - File path
+     * @return {Object|null} Image or null if it cannot be read
+     */
+    read: function(path) {
+        return images.read(path) || null;
+    },
+
     /**
      * Saves image to file
      * @param {Object} img - Image to save
@@ -13,11 +13,46 @@
  */
 
 // Import required modules
-// Using Auto.js built-in colors module
-var colors = {};
-var images = require('./utils/images');
 var gameElements = require('./gameElements.js');
-var utils = require('./utils.js');
+var detectorRegistry = require('./detector_registry.js');
+var obstacleTracker = require('./obstacle_tracker.js');
+var obstacleClassifier = require('./obstacle_classifier.js');
+var digitReader = require('./digit_reader.js');
+var templateLibrary = require('./template_library.js');
+var fileUtils = require('./utils/files.js');
+var deviceProfiles = require('./device_profiles.js');
+
+// utils.js pulls in AutoJS-only dependencies, so tolerate it being unavailable
+// (e.g. when replaying frames on a plain Node.js box)
+var utils;
+try {
+    utils = require('./utils.js');
+} catch (e) {
+    console.log("Utils module not available in vision module: " + e.message);
+    utils = {};
+}
+
+// Image backend - wraps the AutoJS images/colors globals by default and can be
+// replaced through setImageBackend() for offline analysis
+var defaultImageBackend = {
+    images: require('./utils/images'),
+    colors: require('./utils/colors')
+};
+var images = defaultImageBackend.images;
+var colors = defaultImageBackend.colors;
+
+// Frame source - live screen capture by default, replaceable through setFrameSource()
+var liveFrameSource = {
+    captureTime: 0,
+    capture: function() {
+        this.captureTime = Date.now();
+        return captureScreen();
+    },
+    timestamp: function() {
+        return this.captureTime;
+    }
+};
+var frameSource = liveFrameSource;
 
 // Try to import timing optimization library if available
 var TimingOptimizer;
@@ -53,6 +88,13 @@ var resolutionCache = {
     adaptedConfig: null
 };
 
+// Screen type tracking across consecutive frames (hysteresis)
+var screenTracking = {
+    stableType: "unknown",
+    candidateType: null,
+    candidateFrames: 0
+};
+
 // Cache for learned element patterns
 var learnedPatterns = {
     obstacles: [],
@@ -111,18 +153,70 @@ try {
 }
 
 module.exports = {
+    /**
+     * Replaces the source of frames used by analyzeEnvironment
+     * @param {Object} source - Object with a capture() method returning an image and optionally a timestamp()
+     *                          method giving the current frame's time in ms, or null to restore live capture
+     */
+    setFrameSource: function(source) {
+        if (source && typeof source.capture !== 'function') {
+            console.error("Frame source must provide a capture() method");
+            return false;
+        }
+        
+        frameSource = source || liveFrameSource;
+        return true;
+    },
+    
+    /**
+     * Replaces the image backend used for pixel and color operations
+     * A backend may also bring a files implementation, which then serves the template library
+     * and the other modules reading bot data through utils/files.js
+     * @param {Object} backend - Object with images and colors (and optionally files) implementations,
+     *                           or null to restore AutoJS globals
+     */
+    setImageBackend: function(backend) {
+        backend = backend || defaultImageBackend;
+        
+        if (!backend.images || !backend.colors) {
+            console.error("Image backend must provide both images and colors");
+            return false;
+        }
+        
+        images = backend.images;
+        colors = backend.colors;
+        fileUtils.setBackend(backend.files || null);
+        
+        // Templates are read with the backend, so load them again from its files
+        templateLibrary.unload();
+        return true;
+    },
+    
+    /**
+     * Gets the time the current frame was taken, so replayed frames keep their recorded timing
+     * @return {number} Frame time in ms (the current time if the frame source does not provide one)
+     */
+    getFrameTimestamp: function() {
+        var timestamp = typeof frameSource.timestamp === 'function' ? frameSource.timestamp() : null;
+        return typeof timestamp === 'number' && timestamp > 0 ? timestamp : Date.now();
+    },
+    
     /**
      * Analyzes the current game environment and returns a comprehensive game state
      * Enhanced for Phase 2.1 and 2.2: Vision & Detection System
      * @param {Object} config - Configuration settings
+     * @param {Object} frame - Optional frame the caller already captured {img, screen, timestamp}: img is
+     *                         analyzed instead of a new capture and stays the caller's to recycle, and a
+     *                         screen result from classifyScreenType or detectScreenType is used as is
      * @return {Object} Complete game state information
      */
-    analyzeEnvironment: function(config) {
+    analyzeEnvironment: function(config, frame) {
+        frame = frame || {};
         var img = null;
         var startTime = Date.now();
         
         try {
-            img = captureScreen();
+            img = frame.img || frameSource.capture();
             if (!img) {
                 console.error("Failed to capture screen");
                 return this.getEmptyGameState();
@@ -130,39 +224,36 @@ module.exports = {
             
             var width = img.getWidth();
             var height = img.getHeight();
+            var timestamp = frame.timestamp || this.getFrameTimestamp();
             
             // Adapt to different screen resolutions
             var adaptedConfig = this.adaptToScreenResolution(width, height, config);
             
-            // Enhanced screen type detection with OCR support
-            var screenType = this.detectScreenType(img, width, height, adaptedConfig);
+            // Enhanced screen type detection with OCR support, unless the caller classified the frame
+            var screen = frame.screen || this.classifyScreenType(img, width, height, adaptedConfig);
+            var screenType = screen.type;
             if (screenType !== "gameplay") {
                 return {
                     screenType: screenType,
+                    screenConfidence: screen.confidence,
                     resolution: [width, height],
-                    timestamp: Date.now(),
+                    timestamp: timestamp,
                     processingTime: Date.now() - startTime
                 };
             }
             
-            // Full game state analysis with enhanced detection
-            var gameState = {
-                screenType: "gameplay",
-                resolution: [width, height],
-                lanes: {
-                    left: this.analyzeLane(img, 0.2, width, height, adaptedConfig),
-                    center: this.analyzeLane(img, 0.5, width, height, adaptedConfig),
-                    right: this.analyzeLane(img, 0.8, width, height, adaptedConfig)
-                },
-                playerPosition: this.detectPlayer(img, width, height, adaptedConfig),
-                powerups: this.detectPowerups(img, width, height, adaptedConfig),
-                coins: this.countCoins(img, width, height, adaptedConfig),
-                score: this.detectScore(img, width, height, adaptedConfig),
-                obstacles: this.detectObstacles(img, width, height, adaptedConfig),
-                specialEvents: this.detectSpecialEvents(img, width, height, adaptedConfig),
-                timestamp: Date.now(),
-                processingTime: Date.now() - startTime
-            };
+            // Full game state analysis composed from the detectors enabled in config
+            var detection = detectorRegistry.runEnabled(img, width, height, adaptedConfig);
+            var gameState = detection.state;
+            gameState.screenType = "gameplay";
+            gameState.screenConfidence = screen.confidence;
+            gameState.resolution = [width, height];
+            gameState.skippedDetectors = detection.skipped;
+            gameState.timestamp = timestamp;
+            
+            // Follow obstacles across frames for time-to-collision estimates
+            obstacleTracker.track(gameState, height, adaptedConfig);
+            gameState.processingTime = Date.now() - startTime;
             
             // Learn from current frame if enabled
             if (adaptedConfig.vision && adaptedConfig.vision.enableLearning) {
@@ -178,8 +269,8 @@ module.exports = {
             console.error("Error analyzing environment: " + e.message);
             return this.getEmptyGameState();
         } finally {
-            // Properly clean up the image resource
-            if (img && img.recycle) {
+            // Properly clean up the image resource we captured
+            if (img && img !== frame.img && img.recycle) {
                 try { img.recycle(); } catch (e) {}
             }
         }
@@ -193,18 +284,20 @@ module.exports = {
      * @return {Object} Adapted configuration
      */
     adaptToScreenResolution: function(width, height, config) {
-        // Use cached config if resolution hasn't changed
+        // Use cached config if neither the resolution nor the device profile has changed
         if (width === resolutionCache.lastWidth && 
             height === resolutionCache.lastHeight &&
-            resolutionCache.adaptedConfig) {
+            resolutionCache.adaptedConfig &&
+            resolutionCache.adaptedConfig.currentProfile === deviceProfiles.getProfile(width, height)) {
             return resolutionCache.adaptedConfig;
         }
         
         // Create a deep copy of the config to avoid modifying the original
         var adaptedConfig = JSON.parse(JSON.stringify(config));
         
-        // Calculate aspect ratio
-        var aspectRatio = width / height;
+        // Calculate the aspect ratio of the area the game draws on
+        var content = deviceProfiles.getContentArea(width, height);
+        var aspectRatio = content.width / content.height;
         
         // Adjust detection regions based on aspect ratio
         if (aspectRatio > 1.8) { // Ultra-wide screens
@@ -224,12 +317,13 @@ module.exports = {
         }
         
         // Scale thresholds based on resolution
-        var resolutionScale = Math.sqrt((width * height) / (1280 * 720)); // Relative to 720p
+        var resolutionScale = Math.sqrt((content.width * content.height) / (1280 * 720)); // Relative to 720p
         adaptedConfig.vision.colorThreshold = Math.round(config.vision.colorThreshold * resolutionScale);
         adaptedConfig.vision.playerThreshold = Math.round(config.vision.playerThreshold * resolutionScale);
         
-        // Store resolution in config for reference
+        // Store resolution and device profile in config for reference
         adaptedConfig.currentResolution = [width, height];
+        adaptedConfig.currentProfile = deviceProfiles.getProfile(width, height);
         
         // Cache the adapted config
         resolutionCache.lastWidth = width;
@@ -241,13 +335,138 @@ module.exports = {
 
     /**
      * Enhanced screen type detection with OCR support and multi-language detection
+     * Tracks consecutive frames so the reported type only changes after a confident,
+     * repeated detection of the new screen
      * @param {Image} img - Captured screen image
      * @param {number} width - Screen width
      * @param {number} height - Screen height
-     * @param {Object} config - Adapted configuration settings
-     * @return {string} Detected screen type
+     * @param {Object} config - Configuration settings
+     * @return {Object} {type, confidence, votes, rawType, stable, changed}
      */
     detectScreenType: function(img, width, height, config) {
+        var detection = this.classifyScreenType(img, width, height, config);
+        return this.trackScreenType(detection, config);
+    },
+    
+    /**
+     * Classifies a single frame by weighted voting of the detection methods
+     * @param {Image} img - Captured screen image
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} config - Configuration settings
+     * @return {Object} {type, confidence, votes, scores}
+     */
+    classifyScreenType: function(img, width, height, config) {
+        var votes = this.getScreenTypeVotes(img, width, height, config);
+        return this.combineScreenTypeVotes(votes, config);
+    },
+    
+    /**
+     * Combines method votes using the configured per-method weights
+     * Confidence is the winning type's weighted score over the total weight of the
+     * methods that voted, so disagreement between methods lowers it
+     * @param {Object} votes - Votes from getScreenTypeVotes
+     * @param {Object} config - Configuration settings
+     * @return {Object} {type, confidence, votes, scores} with scores normalized per type
+     */
+    combineScreenTypeVotes: function(votes, config) {
+        var weights = config.vision.screenDetection.methodWeights;
+        var scores = {};
+        var totalWeight = 0;
+        
+        for (var method in votes) {
+            var weight = weights[method] !== undefined ? weights[method] : 1.0;
+            if (weight <= 0) continue;
+            
+            scores[votes[method].type] = (scores[votes[method].type] || 0) + weight * votes[method].confidence;
+            totalWeight += weight;
+        }
+        
+        // Normalize so each score is that type's share of the voting weight
+        var bestType = "unknown";
+        var bestScore = 0;
+        for (var type in scores) {
+            scores[type] = scores[type] / totalWeight;
+            if (scores[type] > bestScore) {
+                bestType = type;
+                bestScore = scores[type];
+            }
+        }
+        
+        return {
+            type: bestType,
+            confidence: bestScore,
+            votes: votes,
+            scores: scores
+        };
+    },
+    
+    /**
+     * Applies hysteresis to per-frame classifications
+     * A new screen type replaces the stable one only after it has been detected with at
+     * least minConfidence on hysteresisFrames consecutive frames
+     * @param {Object} detection - Result of classifyScreenType
+     * @param {Object} config - Configuration settings
+     * @return {Object} {type, confidence, votes, rawType, stable, changed}
+     */
+    trackScreenType: function(detection, config) {
+        var settings = config.vision.screenDetection;
+        var confident = detection.confidence >= settings.minConfidence;
+        var changed = false;
+        
+        if (detection.type === screenTracking.stableType || !confident) {
+            screenTracking.candidateType = null;
+            screenTracking.candidateFrames = 0;
+        } else {
+            if (detection.type === screenTracking.candidateType) {
+                screenTracking.candidateFrames++;
+            } else {
+                screenTracking.candidateType = detection.type;
+                screenTracking.candidateFrames = 1;
+            }
+            
+            if (screenTracking.candidateFrames >= settings.hysteresisFrames) {
+                console.log("Screen changed: " + screenTracking.stableType + " -> " + detection.type +
+                            " (confidence " + detection.confidence.toFixed(2) + ")");
+                screenTracking.stableType = detection.type;
+                screenTracking.candidateType = null;
+                screenTracking.candidateFrames = 0;
+                changed = true;
+            }
+        }
+        
+        var stableType = screenTracking.stableType;
+        
+        return {
+            type: stableType,
+            // Support for the tracked type in the current frame
+            confidence: detection.scores[stableType] || 0,
+            votes: detection.votes,
+            rawType: detection.type,
+            // The current frame agrees with the tracked type and is confident about it
+            stable: detection.type === stableType && confident,
+            changed: changed
+        };
+    },
+    
+    /**
+     * Clears screen type tracking (e.g. when replaying unrelated frames)
+     */
+    resetScreenTracking: function() {
+        screenTracking.stableType = "unknown";
+        screenTracking.candidateType = null;
+        screenTracking.candidateFrames = 0;
+    },
+    
+    /**
+     * Runs each screen type detection method independently
+     * @param {Image} img - Captured screen image
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @param {Object} config - Adapted configuration settings
+     * @return {Object} Vote {type, confidence} of each method ({ocr, color, elements}); abstaining methods are omitted
+     */
+    getScreenTypeVotes: function(img, width, height, config) {
         // Use multiple detection methods for better accuracy
         var detectionResults = {};
         
@@ -261,30 +480,34 @@ module.exports = {
                 var missionTexts = ["MISSION", "TASK", "CHALLENGE", "OBJETIVO"];
                 
                 // Top region for score/game over
-                var topRegion = this.cropImage(img, width * 0.2, 0, width * 0.6, height * 0.2);
+                var topBounds = deviceProfiles.mapFractionRegion(0.2, 0, 0.6, 0.2, width, height);
+                var topRegion = this.cropImage(img, topBounds[0], topBounds[1], topBounds[2], topBounds[3]);
                 var topText = this.performOCR(topRegion);
                 
                 // Center region for menu buttons
-                var centerRegion = this.cropImage(img, width * 0.3, height * 0.4, width * 0.4, height * 0.2);
+                var centerBounds = deviceProfiles.mapFractionRegion(0.3, 0.4, 0.4, 0.2, width, height);
+                var centerRegion = this.cropImage(img, centerBounds[0], centerBounds[1], centerBounds[2], centerBounds[3]);
                 var centerText = this.performOCR(centerRegion);
                 
                 // Bottom region for shop/mission indicators
-                var bottomRegion = this.cropImage(img, width * 0.2, height * 0.8, width * 0.6, height * 0.2);
+                var bottomBounds = deviceProfiles.mapFractionRegion(0.2, 0.8, 0.6, 0.2, width, height);
+                var bottomRegion = this.cropImage(img, bottomBounds[0], bottomBounds[1], bottomBounds[2], bottomBounds[3]);
                 var bottomText = this.performOCR(bottomRegion);
                 
                 // Analyze text results
                 if (this.textContainsAny(topText, gameOverTexts)) {
-                    detectionResults.ocr = "game_over";
+                    detectionResults.ocr = { type: "game_over", confidence: 0.9 };
                 } else if (this.textContainsAny(centerText, menuTexts)) {
-                    detectionResults.ocr = "menu";
+                    detectionResults.ocr = { type: "menu", confidence: 0.8 };
                 } else if (this.textContainsAny(bottomText, shopTexts)) {
-                    detectionResults.ocr = "shop";
+                    detectionResults.ocr = { type: "shop", confidence: 0.8 };
                 } else if (this.textContainsAny(bottomText, missionTexts) || 
                            this.textContainsAny(centerText, missionTexts)) {
-                    detectionResults.ocr = "mission";
+                    detectionResults.ocr = { type: "mission", confidence: 0.8 };
                 } else if (topText && topText.match(/\d{2,}/)) {
-                    // If there's a number in the top region, likely gameplay (score)
-                    detectionResults.ocr = "gameplay";
+                    // A number in the top region is likely the score, but shop and mission
+                    // screens show coin totals there too, so this is only weak evidence
+                    detectionResults.ocr = { type: "gameplay", confidence: 0.4 };
                 }
             } catch (e) {
                 console.error("OCR detection failed: " + e.message);
@@ -295,14 +518,14 @@ module.exports = {
         // Method 2: Color-based detection
         try {
             // Check for lane pattern (characteristic of gameplay)
-            var leftLaneRegion = [width * 0.2, height * 0.4, width * 0.1, height * 0.4];
-            var centerLaneRegion = [width * 0.45, height * 0.4, width * 0.1, height * 0.4];
-            var rightLaneRegion = [width * 0.7, height * 0.4, width * 0.1, height * 0.4];
+            var leftLaneRegion = deviceProfiles.mapFractionRegion(0.2, 0.4, 0.1, 0.4, width, height);
+            var centerLaneRegion = deviceProfiles.mapFractionRegion(0.45, 0.4, 0.1, 0.4, width, height);
+            var rightLaneRegion = deviceProfiles.mapFractionRegion(0.7, 0.4, 0.1, 0.4, width, height);
             
             var lanePatternDetected = this.detectLanePattern(img, leftLaneRegion, centerLaneRegion, rightLaneRegion, config);
             
             // Check for menu button colors
-            var menuButtonRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.1];
+            var menuButtonRegion = deviceProfiles.mapFractionRegion(0.4, 0.6, 0.2, 0.1, width, height);
             var menuButtonDetected = false;
             
             for (var i = 0; i < config.ui.colors.menuButtons.length; i++) {
@@ -314,17 +537,17 @@ module.exports = {
 
             
             // Check for game over screen colors (usually dark overlay with bright buttons)
-            var gameOverRegion = [0, 0, width, height];
+            var gameOverRegion = deviceProfiles.mapFractionRegion(0, 0, 1, 1, width, height);
             var gameOverDetected = this.findColorDensityInRegion(img, "#000000", gameOverRegion, 30, 0.7) && // Dark overlay
                                   this.findColorInRegion(img, "#FFFFFF", menuButtonRegion, config.vision.colorThreshold); // Bright button
             
             // Determine screen type based on color detection
             if (lanePatternDetected && !menuButtonDetected && !gameOverDetected) {
-                detectionResults.color = "gameplay";
+                detectionResults.color = { type: "gameplay", confidence: 0.7 };
             } else if (gameOverDetected) {
-                detectionResults.color = "game_over";
+                detectionResults.color = { type: "game_over", confidence: 0.8 };
             } else if (menuButtonDetected) {
-                detectionResults.color = "menu";
+                detectionResults.color = { type: "menu", confidence: 0.6 };
             }
         } catch (e) {
             console.error("Color detection failed: " + e.message);
@@ -334,7 +557,7 @@ module.exports = {
         // Method 3: UI element detection
         try {
             // Check for score display (gameplay indicator)
-            var scoreRegion = [width * 0.4, 0, width * 0.2, height * 0.1];
+            var scoreRegion = deviceProfiles.mapFractionRegion(0.4, 0, 0.2, 0.1, width, height);
             var scoreDetected = false;
             
             for (var j = 0; j < config.ui.colors.score.length; j++) {
@@ -346,7 +569,7 @@ module.exports = {
 
             
             // Check for player character (gameplay indicator)
-            var playerRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.2];
+            var playerRegion = deviceProfiles.mapFractionRegion(0.4, 0.6, 0.2, 0.2, width, height);
             var playerDetected = false;
             
             for (var k = 0; k < config.ui.colors.player.length; k++) {
@@ -357,32 +580,14 @@ module.exports = {
             }
             
             if (scoreDetected && playerDetected) {
-                detectionResults.elements = "gameplay";
+                detectionResults.elements = { type: "gameplay", confidence: 0.6 };
             }
         } catch (e) {
             console.error("UI element detection failed: " + e.message);
         }
 
         
-        // Combine results from all methods with priority
-        if (detectionResults.ocr === "gameplay" || 
-            detectionResults.color === "gameplay" || 
-            detectionResults.elements === "gameplay") {
-            return "gameplay";
-        } else if (detectionResults.ocr === "game_over" || 
-                  detectionResults.color === "game_over") {
-            return "game_over";
-        } else if (detectionResults.ocr === "menu" || 
-                  detectionResults.color === "menu") {
-            return "menu";
-        } else if (detectionResults.ocr === "shop") {
-            return "shop";
-        } else if (detectionResults.ocr === "mission") {
-            return "mission";
-        }
-        
-        // Default to unknown if no clear detection
-        return "unknown";
+        return detectionResults;
     },
     
     /**
@@ -444,16 +649,20 @@ module.exports = {
     analyzeLane: function(img, xPercentage, width, height, config) {
         try {
             // Use the lane width from config if available (set by adaptToScreenResolution)
-            var laneWidth = width * (config.vision.laneWidthPercent || 0.3);
-            var xStart = Math.floor(width * xPercentage - laneWidth / 2);
-            var yStart = Math.floor(height * config.vision.regions.obstacles.topPercent);
-            var regionHeight = height * config.vision.regions.obstacles.heightPercent;
+            var lanePercent = config.vision.laneWidthPercent || 0.3;
+            var laneRegion = deviceProfiles.mapFractionRegion(xPercentage - lanePercent / 2, config.vision.regions.obstacles.topPercent,
+                                                              lanePercent, config.vision.regions.obstacles.heightPercent, width, height);
+            var laneWidth = laneRegion[2];
+            var xStart = laneRegion[0];
+            var yStart = laneRegion[1];
+            var regionHeight = laneRegion[3];
             
             // Divide lane into sub-regions for more precise detection
             var subRegions = 3; // Number of vertical sub-regions
             var subRegionHeight = regionHeight / subRegions;
             
             // Track obstacle and coin positions within the lane
+            var obstacleColors = this.getObstacleColors(config);
             var obstaclePositions = [];
             var coinPositions = [];
             
@@ -464,9 +673,9 @@ module.exports = {
                 var distance = r === 0 ? "far" : (r === 1 ? "medium" : "near");
                 
                 // Advanced obstacle detection with pattern recognition
-                for (var i = 0; i < config.ui.colors.obstacles.length; i++) {
+                for (var i = 0; i < obstacleColors.length; i++) {
                     // Use a more efficient color search with density threshold
-                    if (this.findColorDensityInRegion(img, config.ui.colors.obstacles[i], subRegion, 
+                    if (this.findColorDensityInRegion(img, obstacleColors[i], subRegion, 
                                                     config.vision.colorThreshold, 0.05)) { // 5% density threshold
                         obstaclePositions.push({
                             distance: distance,
@@ -514,1033 +723,589 @@ module.exports = {
     },
     
     /**
-     * Checks if text contains any of the specified keywords
-     * @param {string} text - Text to check
-     * @param {Array} keywords - Keywords to look for
-     * @return {boolean} True if any keyword is found
+     * Registers a custom detector with the detector registry
+     * @param {Object} detector - Detector definition (see detector_registry.js)
+     * @return {boolean} Success status
      */
-    textContainsAny: function(text, keywords) {
-        if (!text) return false;
+    registerDetector: function(detector) {
+        return detectorRegistry.register(detector);
+    },
+    
+    /**
+     * Runs a single registered detector on a frame
+     * @param {Image} img - Captured screen image
+     * @param {string} name - Detector name (e.g. "obstacles")
+     * @param {Object} config - Configuration settings
+     * @return {*} Detector result or null if the detector is not registered
+     */
+    detectWithROI: function(img, name, config) {
+        var detector = detectorRegistry.get(name);
+        if (!detector || !img) {
+            console.error("Unknown detector: " + name);
+            return null;
+        }
         
-        for (var i = 0; i < keywords.length; i++) {
-            if (text.indexOf(keywords[i]) !== -1) {
-                return true;
+        var width = img.getWidth();
+        var height = img.getHeight();
+        var adaptedConfig = this.adaptToScreenResolution(width, height, config);
+        
+        return detectorRegistry.runDetector(detector, img, width, height, adaptedConfig);
+    },
+    
+    /**
+     * Gets timing statistics of the registered detectors
+     * @return {Object} Stats keyed by detector name
+     */
+    getDetectorStats: function() {
+        return detectorRegistry.getStats();
+    },
+    
+    /**
+     * Crops a region out of an image
+     * @param {Image} img - Image to crop
+     * @param {number} x - Start x coordinate
+     * @param {number} y - Start y coordinate
+     * @param {number} width - Region width
+     * @param {number} height - Region height
+     * @return {Image} Cropped image
+     */
+    cropImage: function(img, x, y, width, height) {
+        return images.clip(img, Math.floor(x), Math.floor(y), Math.floor(width), Math.floor(height));
+    },
+    
+    /**
+     * Checks whether the lane regions look like running track
+     * The three lanes share the same ground texture during gameplay, while menus and
+     * overlays show flat or unrelated colors
+     * @param {Image} img - Captured screen image
+     * @param {Array} leftRegion - Left lane region [x, y, width, height]
+     * @param {Array} centerRegion - Center lane region [x, y, width, height]
+     * @param {Array} rightRegion - Right lane region [x, y, width, height]
+     * @param {Object} config - Configuration settings
+     * @return {boolean} True if the lane pattern is present
+     */
+    detectLanePattern: function(img, leftRegion, centerRegion, rightRegion, config) {
+        var regions = [leftRegion, centerRegion, rightRegion];
+        var averages = [];
+        
+        for (var i = 0; i < regions.length; i++) {
+            var samples = this.sampleRegionColors(img, regions[i], 5, 10);
+            
+            // Flat regions (overlays, solid backgrounds) are not track
+            if (this.calculateColorVariance(samples) < 100) {
+                return false;
+            }
+            
+            // Medians, so obstacles and coins in a lane do not shift its ground color
+            averages.push({
+                r: this.calculateMedian(samples.map(function(c) { return colors.red(c); })),
+                g: this.calculateMedian(samples.map(function(c) { return colors.green(c); })),
+                b: this.calculateMedian(samples.map(function(c) { return colors.blue(c); }))
+            });
+        }
+        
+        // Lanes should have similar ground colors
+        var tolerance = config.vision.colorThreshold * 1.5;
+        for (var j = 1; j < averages.length; j++) {
+            if (Math.abs(averages[j].r - averages[0].r) > tolerance ||
+                Math.abs(averages[j].g - averages[0].g) > tolerance ||
+                Math.abs(averages[j].b - averages[0].b) > tolerance) {
+                return false;
             }
         }
         
-        return false;
+        return true;
     },
     
     /**
-     * Finds a color in a specific region of the image
+     * Samples pixel colors on a regular grid inside a region
+     * @param {Image} img - Image to sample
+     * @param {Array} region - Region [x, y, width, height]
+     * @param {number} columns - Samples per row
+     * @param {number} rows - Number of rows
+     * @return {Array} Sampled colors
+     */
+    sampleRegionColors: function(img, region, columns, rows) {
+        var samples = [];
+        
+        for (var row = 0; row < rows; row++) {
+            var y = region[1] + (row + 0.5) * region[3] / rows;
+            for (var col = 0; col < columns; col++) {
+                var x = region[0] + (col + 0.5) * region[2] / columns;
+                samples.push(images.pixel(img, Math.floor(x), Math.floor(y)));
+            }
+        }
+        
+        return samples;
+    },
+    
+    /**
+     * Finds all points matching a color in a region
      * @param {Image} img - Image to analyze
      * @param {string} colorHex - Hex color code to find
      * @param {Array} region - Region to search [x, y, width, height]
      * @param {number} threshold - Color matching threshold
-     * @return {boolean} True if color is found
+     * @return {Array} Matching points [{x, y}]
      */
-    findColorInRegion: function(img, colorHex, region, threshold) {
+    findColorPointsInRegion: function(img, colorHex, region, threshold) {
         try {
-            // Convert hex to RGB
-            var rgb = colors.parseColor(colorHex);
-            
-            // Define search region
-            var x = region[0];
-            var y = region[1];
-            var width = region[2];
-            var height = region[3];
-            
-            // Search for color in region with threshold
-            var point = images.findColor(img, rgb, {
-                region: [x, y, width, height],
+            return images.findAllPointsForColor(img, colors.parseColor(colorHex), {
+                region: [Math.floor(region[0]), Math.floor(region[1]), Math.floor(region[2]), Math.floor(region[3])],
                 threshold: threshold
-            });
-            
-            return point !== null;
+            }) || [];
         } catch (e) {
-            console.error("Error finding color: " + e.message);
-            return false;
+            console.error("Error finding color points: " + e.message);
+            return [];
         }
     },
     
     /**
-     * Finds color density in a specific region of the image
-     * @param {Image} img - Image to analyze
-     * @param {string} colorHex - Hex color code to find
-     * @param {Array} region - Region to search [x, y, width, height]
-     * @param {number} threshold - Color matching threshold
-     * @param {number} densityThreshold - Minimum density required (0-1)
-     * @return {boolean} True if color density exceeds threshold
+     * Groups matching points into coin-sized clusters
+     * @param {Array} points - Points [{x, y}]
+     * @param {number} radius - Maximum distance of a point from its cluster center
+     * @return {Array} Clusters [{x, y, count}]
      */
-    findColorDensityInRegion: function(img, colorHex, region, threshold, densityThreshold) {
-        try {
-            // Convert hex to RGB
-            var rgb = colors.parseColor(colorHex);
-            
-            // Define search region
-            var x = region[0];
-            var y = region[1];
-            var width = region[2];
-            var height = region[3];
-            
-            // Count matching pixels
-            var matchingPixels = 0;
-            var totalPixels = width * height;
-            
-            // Sample pixels in the region
-            var sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 50)); // Adaptive sampling rate based on resolution with higher precision
-            
-            for (var i = x; i < x + width; i += sampleStep) {
-                for (var j = y; j < y + height; j += sampleStep) {
-                    var pixel = images.pixel(img, i, j);
-                    var r = colors.red(pixel);
-                    var g = colors.green(pixel);
-                    var b = colors.blue(pixel);
-                    
-                    // Check if pixel color matches target color within threshold
-                    if (Math.abs(r - colors.red(rgb)) <= threshold &&
-                        Math.abs(g - colors.green(rgb)) <= threshold &&
-                        Math.abs(b - colors.blue(rgb)) <= threshold) {
-                        matchingPixels++;
-                    }
+    identifyCoinClusters: function(points, radius) {
+        var clusters = [];
+        
+        for (var i = 0; i < points.length; i++) {
+            var cluster = null;
+            
+            for (var j = 0; j < clusters.length; j++) {
+                var dx = points[i].x - clusters[j].x;
+                var dy = points[i].y - clusters[j].y;
+                if (dx * dx + dy * dy <= radius * radius) {
+                    cluster = clusters[j];
+                    break;
                 }
             }
             
-            // Calculate density
-            var density = matchingPixels / (totalPixels / (sampleStep * sampleStep));
-            
-            return density >= densityThreshold;
-        } catch (e) {
-            console.error("Error in findColorDensityInRegion: " + e.message);
-            return false;
+            if (cluster) {
+                // Move the cluster center towards the new point
+                cluster.x = (cluster.x * cluster.count + points[i].x) / (cluster.count + 1);
+                cluster.y = (cluster.y * cluster.count + points[i].y) / (cluster.count + 1);
+                cluster.count++;
+            } else {
+                clusters.push({ x: points[i].x, y: points[i].y, count: 1 });
+            }
         }
-    }
-};
-
-/**
- * Detects obstacles using GPU-accelerated template matching
- * @param {Image} img - Captured screen image
- * @param {number} width - Screen width
- * @param {number} height - Screen height
- * @param {Object} config - Adapted configuration settings
- * @return {Array} Detected obstacles
- */
-module.exports = {
+        
+        // Ignore specks that are too small to be coins
+        return clusters.filter(function(c) {
+            return c.count >= 3;
+        });
+    },
+    
     /**
-     * Analyzes the current game environment and returns a comprehensive game state
-     * Enhanced for Phase 2.1 and 2.2: Vision & Detection System
+     * Detects which lane the player is in
+     * @param {Image} img - Captured screen image
+     * @param {Array} roi - Player region [x, y, width, height]
      * @param {Object} config - Configuration settings
-     * @return {Object} Complete game state information
+     * @return {string} Player lane ("left", "center" or "right")
      */
-    analyzeEnvironment: function(config) {
-        var img = null;
-        var startTime = Date.now();
+    detectPlayer: function(img, roi, config) {
+        var laneWidth = roi[2] / 3;
+        var laneNames = ["left", "center", "right"];
         
-        try {
-            img = captureScreen();
-            if (!img) {
-                console.error("Failed to capture screen");
-                return this.getEmptyGameState();
+        for (var i = 0; i < config.ui.colors.player.length; i++) {
+            for (var lane = 0; lane < laneNames.length; lane++) {
+                var laneRegion = [roi[0] + lane * laneWidth, roi[1], laneWidth, roi[3]];
+                if (this.findColorInRegion(img, config.ui.colors.player[i], laneRegion, config.vision.playerThreshold)) {
+                    return laneNames[lane];
+                }
             }
-            
-            var width = img.getWidth();
-            var height = img.getHeight();
-            
-            // Adapt to different screen resolutions
-            var adaptedConfig = this.adaptToScreenResolution(width, height, config);
-            
-            // Enhanced screen type detection with OCR support
-            var screenType = this.detectScreenType(img, width, height, adaptedConfig);
-            if (screenType !== "gameplay") {
-                return {
-                    screenType: screenType,
-                    resolution: [width, height],
-                    timestamp: Date.now(),
-                    processingTime: Date.now() - startTime
-                };
+        }
+        
+        // Default to center if no player detected
+        return "center";
+    },
+    
+    /**
+     * Detects collectible powerups on the track
+     * Powerups with templates in the template library are matched by image; the others
+     * are detected when all of their configured colors appear in the region
+     * @param {Image} img - Captured screen image
+     * @param {Array} roi - Powerup region [x, y, width, height]
+     * @param {Object} config - Configuration settings
+     * @return {Array} Detected powerup names
+     */
+    detectPowerups: function(img, roi, config) {
+        var powerups = [];
+        var powerupColors = config.ui.colors.powerups;
+        var category = templateLibrary.CATEGORIES.POWERUP;
+        
+        templateLibrary.findAll(img, category, roi, images, config).forEach(function(match) {
+            powerups.push(match.name);
+        });
+        
+        for (var type in powerupColors) {
+            if (templateLibrary.hasTemplates(category, type, config)) {
+                continue;
             }
             
-            // Full game state analysis with enhanced detection
-            var gameState = {
-                screenType: "gameplay",
-                resolution: [width, height],
-                lanes: {
-                    left: this.analyzeLane(img, 0.2, width, height, adaptedConfig),
-                    center: this.analyzeLane(img, 0.5, width, height, adaptedConfig),
-                    right: this.analyzeLane(img, 0.8, width, height, adaptedConfig)
-                },
-                playerPosition: this.detectPlayer(img, width, height, adaptedConfig),
-                powerups: this.detectPowerups(img, width, height, adaptedConfig),
-                coins: this.countCoins(img, width, height, adaptedConfig),
-                score: this.detectScore(img, width, height, adaptedConfig),
-                obstacles: this.detectObstacles(img, width, height, adaptedConfig),
-                specialEvents: this.detectSpecialEvents(img, width, height, adaptedConfig),
-                timestamp: Date.now(),
-                processingTime: Date.now() - startTime
-            };
+            var allFound = true;
             
-            // Learn from current frame if enabled
-            if (adaptedConfig.vision && adaptedConfig.vision.enableLearning) {
-                this.learnFromGameState(gameState, img, adaptedConfig);
+            for (var i = 0; i < powerupColors[type].length; i++) {
+                if (!this.findColorInRegion(img, powerupColors[type][i], roi, config.vision.colorThreshold)) {
+                    allFound = false;
+                    break;
+                }
             }
             
-            if (adaptedConfig.debug) {
-                console.log("Vision analysis completed in " + gameState.processingTime + "ms");
+            if (allFound) {
+                powerups.push(type);
             }
-            
-            return gameState;
-        } catch (e) {
-            console.error("Error analyzing environment: " + e.message);
-            return this.getEmptyGameState();
-        } finally {
-            // Properly clean up the image resource
-            if (img && img.recycle) {
-                try { img.recycle(); } catch (e) {}
-            }
-        }
-    },
-    
-    /**
-     * Adapts detection regions based on screen resolution
-     * @param {number} width - Screen width
-     * @param {number} height - Screen height
-     * @param {Object} config - Configuration settings to be adjusted
-     * @return {Object} Adapted configuration
-     */
-    adaptToScreenResolution: function(width, height, config) {
-        // Use cached config if resolution hasn't changed
-        if (width === resolutionCache.lastWidth && 
-            height === resolutionCache.lastHeight &&
-            resolutionCache.adaptedConfig) {
-            return resolutionCache.adaptedConfig;
-        }
-        
-        // Create a deep copy of the config to avoid modifying the original
-        var adaptedConfig = JSON.parse(JSON.stringify(config));
-        
-        // Calculate aspect ratio
-        var aspectRatio = width / height;
-        
-        // Adjust detection regions based on aspect ratio
-        if (aspectRatio > 1.8) { // Ultra-wide screens
-            // Adjust lane widths for wider screens
-            adaptedConfig.vision.laneWidthPercent = 0.25; // Narrower lanes on wide screens
-            adaptedConfig.vision.regions.obstacles.topPercent = 0.35;
-            adaptedConfig.vision.regions.obstacles.heightPercent = 0.4;
-        } else if (aspectRatio < 1.5) { // Taller screens
-            // Adjust vertical regions for taller screens
-            adaptedConfig.vision.regions.obstacles.topPercent = 0.35;
-            adaptedConfig.vision.regions.obstacles.heightPercent = 0.35;
-            adaptedConfig.vision.regions.player.topPercent = 0.55;
-            adaptedConfig.vision.laneWidthPercent = 0.35; // Wider lanes on tall screens
-        } else {
-            // Standard 16:9 aspect ratio
-            adaptedConfig.vision.laneWidthPercent = 0.3; // Default lane width
         }
         
-        // Scale thresholds based on resolution
-        var resolutionScale = Math.sqrt((width * height) / (1280 * 720)); // Relative to 720p
-        adaptedConfig.vision.colorThreshold = Math.round(config.vision.colorThreshold * resolutionScale);
-        adaptedConfig.vision.playerThreshold = Math.round(config.vision.playerThreshold * resolutionScale);
-        
-        // Store resolution in config for reference
-        adaptedConfig.currentResolution = [width, height];
-        
-        // Cache the adapted config
-        resolutionCache.lastWidth = width;
-        resolutionCache.lastHeight = height;
-        resolutionCache.adaptedConfig = adaptedConfig;
-        
-        return adaptedConfig;
+        return powerups;
     },
-
+    
     /**
-     * Enhanced screen type detection with OCR support and multi-language detection
+     * Counts coins visible on the track
      * @param {Image} img - Captured screen image
-     * @param {number} width - Screen width
-     * @param {number} height - Screen height
-     * @param {Object} config - Adapted configuration settings
-     * @return {string} Detected screen type
+     * @param {Array} roi - Coin region [x, y, width, height]
+     * @param {Object} config - Configuration settings
+     * @return {number} Number of coin clusters
      */
-    detectScreenType: function(img, width, height, config) {
-        // Use multiple detection methods for better accuracy
-        var detectionResults = {};
-        
-        // Method 1: OCR-based detection if available
-        if (ocr !== null) {
-            try {
-                // Check for key text indicators in different regions
-                var menuTexts = ["PLAY", "START", "JUGAR", "GIOCA", "JOUER", "SPIELEN"];
-                var gameOverTexts = ["GAME OVER", "TRY AGAIN", "CONTINUE", "REVIVE"];
-                var shopTexts = ["SHOP", "STORE", "BUY", "PURCHASE"];
-                var missionTexts = ["MISSION", "TASK", "CHALLENGE", "OBJETIVO"];
-                
-                // Top region for score/game over
-                var topRegion = this.cropImage(img, width * 0.2, 0, width * 0.6, height * 0.2);
-                var topText = this.performOCR(topRegion);
-                
-                // Center region for menu buttons
-                var centerRegion = this.cropImage(img, width * 0.3, height * 0.4, width * 0.4, height * 0.2);
-                var centerText = this.performOCR(centerRegion);
-                
-                // Bottom region for shop/mission indicators
-                var bottomRegion = this.cropImage(img, width * 0.2, height * 0.8, width * 0.6, height * 0.2);
-                var bottomText = this.performOCR(bottomRegion);
-                
-                // Analyze text results
-                if (this.textContainsAny(topText, gameOverTexts)) {
-                    detectionResults.ocr = "game_over";
-                } else if (this.textContainsAny(centerText, menuTexts)) {
-                    detectionResults.ocr = "menu";
-                } else if (this.textContainsAny(bottomText, shopTexts)) {
-                    detectionResults.ocr = "shop";
-                } else if (this.textContainsAny(bottomText, missionTexts) || 
-                           this.textContainsAny(centerText, missionTexts)) {
-                    detectionResults.ocr = "mission";
-                } else if (topText && topText.match(/\d{2,}/)) {
-                    // If there's a number in the top region, likely gameplay (score)
-                    detectionResults.ocr = "gameplay";
-                }
-            } catch (e) {
-                console.error("OCR detection failed: " + e.message);
-                // Fall back to color-based detection
-            }
-        }
-        
-        // Method 2: Color-based detection
-        try {
-            // Check for lane pattern (characteristic of gameplay)
-            var leftLaneRegion = [width * 0.2, height * 0.4, width * 0.1, height * 0.4];
-            var centerLaneRegion = [width * 0.45, height * 0.4, width * 0.1, height * 0.4];
-            var rightLaneRegion = [width * 0.7, height * 0.4, width * 0.1, height * 0.4];
-            
-            var lanePatternDetected = this.detectLanePattern(img, leftLaneRegion, centerLaneRegion, rightLaneRegion, config);
-            
-            // Check for menu button colors
-            var menuButtonRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.1];
-            var menuButtonDetected = false;
-            
-            for (var i = 0; i < config.ui.colors.menuButtons.length; i++) {
-                if (this.findColorInRegion(img, config.ui.colors.menuButtons[i], menuButtonRegion, config.vision.colorThreshold)) {
-                    menuButtonDetected = true;
-                    break;
-                }
-            }
-
-            
-            // Check for game over screen colors (usually dark overlay with bright buttons)
-            var gameOverRegion = [0, 0, width, height];
-            var gameOverDetected = this.findColorDensityInRegion(img, "#000000", gameOverRegion, 30, 0.7) && // Dark overlay
-                                  this.findColorInRegion(img, "#FFFFFF", menuButtonRegion, config.vision.colorThreshold); // Bright button
-            
-            // Determine screen type based on color detection
-            if (lanePatternDetected && !menuButtonDetected && !gameOverDetected) {
-                detectionResults.color = "gameplay";
-            } else if (gameOverDetected) {
-                detectionResults.color = "game_over";
-            } else if (menuButtonDetected) {
-                detectionResults.color = "menu";
-            }
-        } catch (e) {
-            console.error("Color detection failed: " + e.message);
-        }
-
-        
-        // Method 3: UI element detection
-        try {
-            // Check for score display (gameplay indicator)
-            var scoreRegion = [width * 0.4, 0, width * 0.2, height * 0.1];
-            var scoreDetected = false;
-            
-            for (var j = 0; j < config.ui.colors.score.length; j++) {
-                if (this.findColorInRegion(img, config.ui.colors.score[j], scoreRegion, config.vision.colorThreshold)) {
-                    scoreDetected = true;
-                    break;
-                }
-            }
-
-            
-            // Check for player character (gameplay indicator)
-            var playerRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.2];
-            var playerDetected = false;
-            
-            for (var k = 0; k < config.ui.colors.player.length; k++) {
-                if (this.findColorInRegion(img, config.ui.colors.player[k], playerRegion, config.vision.colorThreshold)) {
-                    playerDetected = true;
-                    break;
-                }
-            }
-            
-            if (scoreDetected && playerDetected) {
-                detectionResults.elements = "gameplay";
-            }
-        } catch (e) {
-            console.error("UI element detection failed: " + e.message);
-        }
-
+    countCoins: function(img, roi, config) {
+        var coinCount = 0;
         
-        // Combine results from all methods with priority
-        if (detectionResults.ocr === "gameplay" || 
-            detectionResults.color === "gameplay" || 
-            detectionResults.elements === "gameplay") {
-            return "gameplay";
-        } else if (detectionResults.ocr === "game_over" || 
-                  detectionResults.color === "game_over") {
-            return "game_over";
-        } else if (detectionResults.ocr === "menu" || 
-                  detectionResults.color === "menu") {
-            return "menu";
-        } else if (detectionResults.ocr === "shop") {
-            return "shop";
-        } else if (detectionResults.ocr === "mission") {
-            return "mission";
+        for (var i = 0; i < config.ui.colors.coins.length; i++) {
+            var points = this.findColorPointsInRegion(img, config.ui.colors.coins[i], roi, config.vision.colorThreshold);
+            coinCount += this.identifyCoinClusters(points, 20).length;
         }
         
-        // Default to unknown if no clear detection
-        return "unknown";
+        return coinCount;
     },
     
     /**
-     * Performs OCR on an image region
-     * @param {Image} img - Image to analyze
-     * @return {string} Recognized text
+     * Reads a numeric HUD field with the template digit reader
+     * @param {Image} img - Captured screen image
+     * @param {string} field - HUD field ("score", "coins", "multiplier" or "hoverboards")
+     * @param {Array} roi - Field region [x, y, width, height]
+     * @param {Object} config - Configuration settings
+     * @return {number} Last confident reading, or null if the field has not been read yet
      */
-    performOCR: function(img) {
-        if (ocr === null) return "";
-        
-        try {
-            // Convert image to format suitable for OCR
-            var bitmap = img.getBitmap();
-            
-            // Perform OCR
-            var text = ocr.recognize(bitmap);
-            
-            // Clean up the text
-            return text.replace(/\s+/g, " ").trim().toUpperCase();
-        } catch (e) {
-            console.error("OCR failed: " + e.message);
-            return "";
-        }
-
+    readHudField: function(img, field, roi, config) {
+        return digitReader.readField(img, field, roi, images, colors, config).value;
     },
     
     /**
-     * Returns an empty game state object
-     * @return {Object} Empty game state with default values
+     * Reads the score from the HUD
+     * @param {Image} img - Captured screen image
+     * @param {Array} roi - Score region [x, y, width, height]
+     * @param {Object} config - Configuration settings
+     * @return {number} Score, or null if it has not been read yet
      */
-    getEmptyGameState: function() {
-        return {
-            screenType: "unknown",
-            lanes: {
-                left: {obstacles: false, coins: false},
-                center: {obstacles: false, coins: false},
-                right: {obstacles: false, coins: false}
-            },
-            playerPosition: "center",
-            powerups: [],
-            coins: 0,
-            score: 0,
-            obstacles: [],
-            specialEvents: [],
-            timestamp: Date.now(),
-            processingTime: 0
-        }
+    detectScore: function(img, roi, config) {
+        return this.readHudField(img, "score", roi, config);
     },
     
     /**
-     * Analyzes a lane for obstacles and coins
+     * Detects obstacles per lane and distance band, classifying each by type
      * @param {Image} img - Captured screen image
-     * @param {number} xPercentage - X position of lane as percentage of screen width
+     * @param {Array} roi - Obstacle region [x, y, width, height]
      * @param {number} width - Screen width
-     * @param {number} height - Screen height
      * @param {Object} config - Configuration settings
-     * @return {Object} Lane analysis results
+     * @return {Array} Obstacles [{lane, distance, x, y, type, typeConfidence, bounds}]
      */
-    analyzeLane: function(img, xPercentage, width, height, config) {
-        try {
-            // Use the lane width from config if available (set by adaptToScreenResolution)
-            var laneWidth = width * (config.vision.laneWidthPercent || 0.3);
-            var xStart = Math.floor(width * xPercentage - laneWidth / 2);
-            var yStart = Math.floor(height * config.vision.regions.obstacles.topPercent);
-            var regionHeight = height * config.vision.regions.obstacles.heightPercent;
-            
-            // Divide lane into sub-regions for more precise detection
-            var subRegions = 3; // Number of vertical sub-regions
-            var subRegionHeight = regionHeight / subRegions;
-            
-            // Track obstacle and coin positions within the lane
-            var obstaclePositions = [];
-            var coinPositions = [];
+    detectObstacles: function(img, roi, width, config) {
+        var obstacles = [];
+        var laneCenters = [0.2, 0.5, 0.8];
+        var laneNames = ["left", "center", "right"];
+        var distanceNames = ["far", "medium", "near"]; // Top to bottom
+        // The obstacle ROI spans the content area of the device profile
+        var laneWidth = roi[2] * (config.vision.laneWidthPercent || 0.3);
+        var bandHeight = roi[3] / distanceNames.length;
+        var obstacleColors = this.getObstacleColors(config);
+        
+        for (var lane = 0; lane < laneCenters.length; lane++) {
+            var xStart = Math.floor(roi[0] + roi[2] * laneCenters[lane] - laneWidth / 2);
+            var laneObstacles = [];
             
-            // Analyze each sub-region separately for better precision
-            for (var r = 0; r < subRegions; r++) {
-                var subYStart = yStart + (r * subRegionHeight);
-                var subRegion = [xStart, subYStart, laneWidth, subRegionHeight];
-                var distance = r === 0 ? "far" : (r === 1 ? "medium" : "near");
+            for (var band = 0; band < distanceNames.length; band++) {
+                var yStart = roi[1] + band * bandHeight;
                 
-                // Advanced obstacle detection with pattern recognition
-                for (var i = 0; i < config.ui.colors.obstacles.length; i++) {
-                    // Use a more efficient color search with density threshold
-                    if (this.findColorDensityInRegion(img, config.ui.colors.obstacles[i], subRegion, 
-                                                    config.vision.colorThreshold, 0.05)) { // 5% density threshold
-                        obstaclePositions.push({
-                            distance: distance,
-                            y: subYStart + (subRegionHeight / 2)
+                for (var i = 0; i < obstacleColors.length; i++) {
+                    if (this.findColorDensityInRegion(img, obstacleColors[i], [xStart, yStart, laneWidth, bandHeight],
+                                                      config.vision.colorThreshold, 0.05)) {
+                        laneObstacles.push({
+                            lane: laneNames[lane],
+                            distance: distanceNames[band],
+                            x: xStart + laneWidth / 2,
+                            y: yStart + bandHeight / 2,
+                            band: band,
+                            color: obstacleColors[i]
                         });
+                        // Don't check other colors once we found an obstacle here
                         break;
                     }
                 }
-                
-                // Enhanced coin detection with better precision
-                for (var j = 0; j < config.ui.colors.coins.length; j++) {
-                    // Look for coin patterns (circular clusters of similar color)
-                    var coinPoints = this.findColorPointsInRegion(img, config.ui.colors.coins[j], 
-                                                               subRegion, config.vision.colorThreshold);
-                    
-                    if (coinPoints && coinPoints.length > 0) {
-                        // Filter points to identify coin clusters
-                        var coinClusters = this.identifyCoinClusters(coinPoints, 20); // 20px radius for clustering
-                        
-                        if (coinClusters.length > 0) {
-                            coinPositions.push({
-                                distance: distance,
-                                y: subYStart + (subRegionHeight / 2),
-                                count: coinClusters.length
-                            });
-                        }
-                    }
-                }
             }
             
-            // Determine lane type based on position
-            var laneType = xPercentage < 0.3 ? "left" : (xPercentage > 0.7 ? "right" : "center");
-            
-            return {
-                obstacles: obstaclePositions.length > 0,
-                obstacleDetails: obstaclePositions,
-                coins: coinPositions.length > 0,
-                coinDetails: coinPositions,
-                lane: laneType
-            }
-        } catch (e) {
-            console.error("Error analyzing lane: " + e.message);
-            return {obstacles: false, coins: false, lane: xPercentage < 0.3 ? "left" : (xPercentage > 0.7 ? "right" : "center")};
+            this.classifyLaneObstacles(img, laneObstacles, [xStart, roi[1], laneWidth, roi[3]], bandHeight, config);
+            obstacles = obstacles.concat(laneObstacles);
         }
-    },
-    
-    /**
-     * Checks if text contains any of the specified keywords
-     * @param {string} text - Text to check
-     * @param {Array} keywords - Keywords to look for
-     * @return {boolean} True if any keyword is found
-     */
-    textContainsAny: function(text, keywords) {
-        if (!text) return false;
         
-        for (var i = 0; i < keywords.length; i++) {
-            if (text.indexOf(keywords[i]) !== -1) {
-                return true;
-            }
-        }
-        
-        return false;
-    },
-    
-    /**
-     * Finds a color in a specific region of the image
-     * @param {Image} img - Image to analyze
-     * @param {string} colorHex - Hex color code to find
-     * @param {Array} region - Region to search [x, y, width, height]
-     * @param {number} threshold - Color matching threshold
-     * @return {boolean} True if color is found
-     */
-    findColorInRegion: function(img, colorHex, region, threshold) {
-        try {
-            // Convert hex to RGB
-            var rgb = colors.parseColor(colorHex);
-            
-            // Define search region
-            var x = region[0];
-            var y = region[1];
-            var width = region[2];
-            var height = region[3];
-            
-            // Search for color in region with threshold
-            var point = images.findColor(img, rgb, {
-                region: [x, y, width, height],
-                threshold: threshold
-            });
-            
-            return point !== null;
-        } catch (e) {
-            console.error("Error finding color: " + e.message);
-            return false;
-        }
+        return obstacles;
     },
     
     /**
-     * Finds color density in a specific region of the image
-     * @param {Image} img - Image to analyze
-     * @param {string} colorHex - Hex color code to find
-     * @param {Array} region - Region to search [x, y, width, height]
-     * @param {number} threshold - Color matching threshold
-     * @param {number} densityThreshold - Minimum density required (0-1)
-     * @return {boolean} True if color density exceeds threshold
-     */
-    findColorDensityInRegion: function(img, colorHex, region, threshold, densityThreshold) {
-        try {
-            // Convert hex to RGB
-            var rgb = colors.parseColor(colorHex);
-            
-            // Define search region
-            var x = region[0];
-            var y = region[1];
-            var width = region[2];
-            var height = region[3];
-            
-            // Count matching pixels
-            var matchingPixels = 0;
-            var totalPixels = width * height;
-            
-            // Sample pixels in the region
-            var sampleStep = Math.max(1, Math.floor(Math.min(width, height) / 50)); // Adaptive sampling rate based on resolution with higher precision
-            
-            for (var i = x; i < x + width; i += sampleStep) {
-                for (var j = y; j < y + height; j += sampleStep) {
-                    var pixel = images.pixel(img, i, j);
-                    var r = colors.red(pixel);
-                    var g = colors.green(pixel);
-                    var b = colors.blue(pixel);
-                    
-                    // Check if pixel color matches target color within threshold
-                    if (Math.abs(r - colors.red(rgb)) <= threshold &&
-                        Math.abs(g - colors.green(rgb)) <= threshold &&
-                        Math.abs(b - colors.blue(rgb)) <= threshold) {
-                        matchingPixels++;
-                    }
-                }
-            }
-            
-            // Calculate density
-            var density = matchingPixels / (totalPixels / (sampleStep * sampleStep));
-            
-            return density >= densityThreshold;
-        } catch (e) {
-            console.error("Error in findColorDensityInRegion: " + e.message);
-            return false;
-        }
-    }
-};
-
-/**
- * Detects obstacles using GPU-accelerated template matching
- * @param {Image} img - Captured screen image
- * @param {number} width - Screen width
- * @param {number} height - Screen height
- * @param {Object} config - Adapted configuration settings
- * @return {Array} Detected obstacles
- */
-module.exports = {
-    /**
-     * Analyzes the current game environment and returns a comprehensive game state
-     * Enhanced for Phase 2.1 and 2.2: Vision & Detection System
+     * Gets the obstacle colors to search for: the configured colors plus the most
+     * confident approved colors from the learned element store
      * @param {Object} config - Configuration settings
-     * @return {Object} Complete game state information
+     * @return {Array} Colors "#RRGGBB"
      */
-    analyzeEnvironment: function(config) {
-        var img = null;
-        var startTime = Date.now();
+    getObstacleColors: function(config) {
+        var obstacleColors = config.ui.colors.obstacles.slice();
+        var learned = gameElements.getLearnedColors("obstacle:", config);
+        var added = 0;
         
-        try {
-            img = captureScreen();
-            if (!img) {
-                console.error("Failed to capture screen");
-                return this.getEmptyGameState();
-            }
-            
-            var width = img.getWidth();
-            var height = img.getHeight();
-            
-            // Adapt to different screen resolutions
-            var adaptedConfig = this.adaptToScreenResolution(width, height, config);
-            
-            // Enhanced screen type detection with OCR support
-            var screenType = this.detectScreenType(img, width, height, adaptedConfig);
-            if (screenType !== "gameplay") {
-                return {
-                    screenType: screenType,
-                    resolution: [width, height],
-                    timestamp: Date.now(),
-                    processingTime: Date.now() - startTime
-                };
-            }
-            
-            // Full game state analysis with enhanced detection
-            var gameState = {
-                screenType: "gameplay",
-                resolution: [width, height],
-                lanes: {
-                    left: this.analyzeLane(img, 0.2, width, height, adaptedConfig),
-                    center: this.analyzeLane(img, 0.5, width, height, adaptedConfig),
-                    right: this.analyzeLane(img, 0.8, width, height, adaptedConfig)
-                },
-                playerPosition: this.detectPlayer(img, width, height, adaptedConfig),
-                powerups: this.detectPowerups(img, width, height, adaptedConfig),
-                coins: this.countCoins(img, width, height, adaptedConfig),
-                score: this.detectScore(img, width, height, adaptedConfig),
-                obstacles: this.detectObstacles(img, width, height, adaptedConfig),
-                specialEvents: this.detectSpecialEvents(img, width, height, adaptedConfig),
-                timestamp: Date.now(),
-                processingTime: Date.now() - startTime
-            };
-            
-            // Learn from current frame if enabled
-            if (adaptedConfig.vision && adaptedConfig.vision.enableLearning) {
-                this.learnFromGameState(gameState, img, adaptedConfig);
-            }
-            
-            if (adaptedConfig.debug) {
-                console.log("Vision analysis completed in " + gameState.processingTime + "ms");
+        for (var i = 0; i < learned.length && added < config.learnedElements.maxLearnedObstacleColors; i++) {
+            if (obstacleColors.indexOf(learned[i]) === -1) {
+                obstacleColors.push(learned[i]);
+                added++;
             }
-            
-            return gameState;
-        } catch (e) {
-            console.error("Error analyzing environment: " + e.message);
-            return this.getEmptyGameState();
-        } finally {
-            // Properly clean up the image resource
-            if (img && img.recycle) {
-                try { img.recycle(); } catch (e) {}
-            }
-        }
-    },
-    
-    /**
-     * Adapts detection regions based on screen resolution
-     * @param {number} width - Screen width
-     * @param {number} height - Screen height
-     * @param {Object} config - Configuration settings to be adjusted
-     * @return {Object} Adapted configuration
-     */
-    adaptToScreenResolution: function(width, height, config) {
-        // Use cached config if resolution hasn't changed
-        if (width === resolutionCache.lastWidth && 
-            height === resolutionCache.lastHeight &&
-            resolutionCache.adaptedConfig) {
-            return resolutionCache.adaptedConfig;
-        }
-        
-        // Create a deep copy of the config to avoid modifying the original
-        var adaptedConfig = JSON.parse(JSON.stringify(config));
-        
-        // Calculate aspect ratio
-        var aspectRatio = width / height;
-        
-        // Adjust detection regions based on aspect ratio
-        if (aspectRatio > 1.8) { // Ultra-wide screens
-            // Adjust lane widths for wider screens
-            adaptedConfig.vision.laneWidthPercent = 0.25; // Narrower lanes on wide screens
-            adaptedConfig.vision.regions.obstacles.topPercent = 0.35;
-            adaptedConfig.vision.regions.obstacles.heightPercent = 0.4;
-        } else if (aspectRatio < 1.5) { // Taller screens
-            // Adjust vertical regions for taller screens
-            adaptedConfig.vision.regions.obstacles.topPercent = 0.35;
-            adaptedConfig.vision.regions.obstacles.heightPercent = 0.35;
-            adaptedConfig.vision.regions.player.topPercent = 0.55;
-            adaptedConfig.vision.laneWidthPercent = 0.35; // Wider lanes on tall screens
-        } else {
-            // Standard 16:9 aspect ratio
-            adaptedConfig.vision.laneWidthPercent = 0.3; // Default lane width
         }
         
-        // Scale thresholds based on resolution
-        var resolutionScale = Math.sqrt((width * height) / (1280 * 720)); // Relative to 720p
-        adaptedConfig.vision.colorThreshold = Math.round(config.vision.colorThreshold * resolutionScale);
-        adaptedConfig.vision.playerThreshold = Math.round(config.vision.playerThreshold * resolutionScale);
-        
-        // Store resolution in config for reference
-        adaptedConfig.currentResolution = [width, height];
-        
-        // Cache the adapted config
-        resolutionCache.lastWidth = width;
-        resolutionCache.lastHeight = height;
-        resolutionCache.adaptedConfig = adaptedConfig;
-        
-        return adaptedConfig;
+        return obstacleColors;
     },
-
+    
     /**
-     * Enhanced screen type detection with OCR support and multi-language detection
+     * Classifies the obstacles found in one lane
+     * Adjacent bands of the same color are one object (e.g. a train spanning several
+     * bands), so they are classified together and share the result
      * @param {Image} img - Captured screen image
-     * @param {number} width - Screen width
-     * @param {number} height - Screen height
-     * @param {Object} config - Adapted configuration settings
-     * @return {string} Detected screen type
-     */
-    detectScreenType: function(img, width, height, config) {
-        // Use multiple detection methods for better accuracy
-        var detectionResults = {};
-        
-        // Method 1: OCR-based detection if available
-        if (ocr !== null) {
-            try {
-                // Check for key text indicators in different regions
-                var menuTexts = ["PLAY", "START", "JUGAR", "GIOCA", "JOUER", "SPIELEN"];
-                var gameOverTexts = ["GAME OVER", "TRY AGAIN", "CONTINUE", "REVIVE"];
-                var shopTexts = ["SHOP", "STORE", "BUY", "PURCHASE"];
-                var missionTexts = ["MISSION", "TASK", "CHALLENGE", "OBJETIVO"];
-                
-                // Top region for score/game over
-                var topRegion = this.cropImage(img, width * 0.2, 0, width * 0.6, height * 0.2);
-                var topText = this.performOCR(topRegion);
-                
-                // Center region for menu buttons
-                var centerRegion = this.cropImage(img, width * 0.3, height * 0.4, width * 0.4, height * 0.2);
-                var centerText = this.performOCR(centerRegion);
-                
-                // Bottom region for shop/mission indicators
-                var bottomRegion = this.cropImage(img, width * 0.2, height * 0.8, width * 0.6, height * 0.2);
-                var bottomText = this.performOCR(bottomRegion);
-                
-                // Analyze text results
-                if (this.textContainsAny(topText, gameOverTexts)) {
-                    detectionResults.ocr = "game_over";
-                } else if (this.textContainsAny(centerText, menuTexts)) {
-                    detectionResults.ocr = "menu";
-                } else if (this.textContainsAny(bottomText, shopTexts)) {
-                    detectionResults.ocr = "shop";
-                } else if (this.textContainsAny(bottomText, missionTexts) || 
-                           this.textContainsAny(centerText, missionTexts)) {
-                    detectionResults.ocr = "mission";
-                } else if (topText && topText.match(/\d{2,}/)) {
-                    // If there's a number in the top region, likely gameplay (score)
-                    detectionResults.ocr = "gameplay";
-                }
-            } catch (e) {
-                console.error("OCR detection failed: " + e.message);
-                // Fall back to color-based detection
-            }
-        }
-        
-        // Method 2: Color-based detection
-        try {
-            // Check for lane pattern (characteristic of gameplay)
-            var leftLaneRegion = [width * 0.2, height * 0.4, width * 0.1, height * 0.4];
-            var centerLaneRegion = [width * 0.45, height * 0.4, width * 0.1, height * 0.4];
-            var rightLaneRegion = [width * 0.7, height * 0.4, width * 0.1, height * 0.4];
-            
-            var lanePatternDetected = this.detectLanePattern(img, leftLaneRegion, centerLaneRegion, rightLaneRegion, config);
-            
-            // Check for menu button colors
-            var menuButtonRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.1];
-            var menuButtonDetected = false;
-            
-            for (var i = 0; i < config.ui.colors.menuButtons.length; i++) {
-                if (this.findColorInRegion(img, config.ui.colors.menuButtons[i], menuButtonRegion, config.vision.colorThreshold)) {
-                    menuButtonDetected = true;
-                    break;
-                }
-            }
-
-            
-            // Check for game over screen colors (usually dark overlay with bright buttons)
-            var gameOverRegion = [0, 0, width, height];
-            var gameOverDetected = this.findColorDensityInRegion(img, "#000000", gameOverRegion, 30, 0.7) && // Dark overlay
-                                  this.findColorInRegion(img, "#FFFFFF", menuButtonRegion, config.vision.colorThreshold); // Bright button
-            
-            // Determine screen type based on color detection
-            if (lanePatternDetected && !menuButtonDetected && !gameOverDetected) {
-                detectionResults.color = "gameplay";
-            } else if (gameOverDetected) {
-                detectionResults.color = "game_over";
-            } else if (menuButtonDetected) {
-                detectionResults.color = "menu";
-            }
-        } catch (e) {
-            console.error("Color detection failed: " + e.message);
-        }
-
-        
-        // Method 3: UI element detection
-        try {
-            // Check for score display (gameplay indicator)
-            var scoreRegion = [width * 0.4, 0, width * 0.2, height * 0.1];
-            var scoreDetected = false;
-            
-            for (var j = 0; j < config.ui.colors.score.length; j++) {
-                if (this.findColorInRegion(img, config.ui.colors.score[j], scoreRegion, config.vision.colorThreshold)) {
-                    scoreDetected = true;
-                    break;
-                }
+     * @param {Array} laneObstacles - Obstacles of the lane in band order, updated in place
+     * @param {Array} laneRegion - Lane column of the obstacle region [x, y, width, height]
+     * @param {number} bandHeight - Height of one distance band
+     * @param {Object} config - Configuration settings
+     */
+    classifyLaneObstacles: function(img, laneObstacles, laneRegion, bandHeight, config) {
+        var i = 0;
+        
+        while (i < laneObstacles.length) {
+            // Collect the run of adjacent bands with the same color
+            var j = i;
+            while (j + 1 < laneObstacles.length &&
+                   laneObstacles[j + 1].band === laneObstacles[j].band + 1 &&
+                   laneObstacles[j + 1].color === laneObstacles[i].color) {
+                j++;
             }
-
             
-            // Check for player character (gameplay indicator)
-            var playerRegion = [width * 0.4, height * 0.6, width * 0.2, height * 0.2];
-            var playerDetected = false;
-            
-            for (var k = 0; k < config.ui.colors.player.length; k++) {
-                if (this.findColorInRegion(img, config.ui.colors.player[k], playerRegion, config.vision.colorThreshold)) {
-                    playerDetected = true;
-                    break;
-                }
+            // Search half a band beyond the run so the full shape (and any gap under it) is visible
+            var top = Math.max(laneRegion[1], laneRegion[1] + laneObstacles[i].band * bandHeight - bandHeight / 2);
+            var bottom = Math.min(laneRegion[1] + laneRegion[3], laneRegion[1] + (laneObstacles[j].band + 1) * bandHeight + bandHeight / 2);
+            var region = [laneRegion[0], top, laneRegion[2], bottom - top];
+            
+            var points = this.findColorPointsInRegion(img, laneObstacles[i].color, region, config.vision.colorThreshold);
+            var features = obstacleClassifier.extractFeatures(points, region, laneRegion[2], laneRegion[3]);
+            var classification = obstacleClassifier.classify(features, laneObstacles[i].color, config);
+            
+            for (var k = i; k <= j; k++) {
+                laneObstacles[k].type = classification.type;
+                laneObstacles[k].typeConfidence = classification.confidence;
+                laneObstacles[k].bounds = features ? features.bounds : null;
+                delete laneObstacles[k].band;
+                delete laneObstacles[k].color;
             }
             
-            if (scoreDetected && playerDetected) {
-                detectionResults.elements = "gameplay";
+            i = j + 1;
+        }
+    },
+    
+    /**
+     * Detects special game events like missions, bonus rounds, and power-up activations
+     * @param {Image} img - Captured screen image
+     * @param {Array} roi - Banner region used for mission and bonus notifications [x, y, width, height]
+     * @param {number} width - Screen width
+     * @param {number} height - Screen height
+     * @return {Array} Array of detected special events
+     */
+    detectSpecialEvents: function(img, roi, width, height) {
+        var events = [];
+        
+        // Check for mission activation
+        if (this.findColorInRegion(img, "#FFFF00", roi, 40)) {
+            events.push({
+                type: "mission",
+                timestamp: Date.now()
+            });
+        }
+        
+        // Check for bonus round activation (typically bright flashing effects)
+        var bonusColors = ["#FFFFFF", "#FFFF00", "#00FFFF"];
+        for (var i = 0; i < bonusColors.length; i++) {
+            if (this.findColorDensityInRegion(img, bonusColors[i], roi, 40, 0.2)) { // 20% density threshold
+                events.push({
+                    type: "bonus_round",
+                    timestamp: Date.now()
+                });
+                break;
+            }
+        }
+        
+        // Check for power-up activation animations
+        var powerupActivationRegion = deviceProfiles.mapFractionRegion(0.3, 0.3, 0.4, 0.4, width, height);
+        var activationColors = ["#00FFFF", "#FF00FF", "#FFFF00"];
+        var activationTypes = ["hoverboard", "magnet", "jetpack"];
+        
+        for (var j = 0; j < activationColors.length; j++) {
+            if (this.findColorDensityInRegion(img, activationColors[j], powerupActivationRegion, 40, 0.15)) {
+                events.push({
+                    type: "powerup_activation",
+                    powerup: activationTypes[j],
+                    timestamp: Date.now()
+                });
+                break;
             }
-        } catch (e) {
-            console.error("UI element detection failed: " + e.message);
         }
-
         
-        // Combine results from all methods with priority
-        if (detectionResults.ocr === "gameplay" || 
-            detectionResults.color === "gameplay" || 
-            detectionResults.elements === "gameplay") {
-            return "gameplay";
-        } else if (detectionResults.ocr === "game_over" || 
-                  detectionResults.color === "game_over") {
-            return "game_over";
-        } else if (detectionResults.ocr === "menu" || 
-                  detectionResults.color === "menu") {
-            return "menu";
-        } else if (detectionResults.ocr === "shop") {
-            return "shop";
-        } else if (detectionResults.ocr === "mission") {
-            return "mission";
+        // Check for game speed change (typically indicated by visual effects)
+        var speedChangeRegion = deviceProfiles.mapFractionRegion(0, 0.4, 1, 0.2, width, height);
+        if (this.detectMotionBlur(img, speedChangeRegion)) {
+            events.push({
+                type: "speed_change",
+                timestamp: Date.now()
+            });
         }
         
-        // Default to unknown if no clear detection
-        return "unknown";
+        return events;
     },
     
     /**
-     * Performs OCR on an image region
-     * @param {Image} img - Image to analyze
-     * @return {string} Recognized text
+     * Detects motion blur in a region to identify speed changes
+     * @param {Image} img - Captured screen image
+     * @param {Array} region - Region to analyze [x, y, width, height]
+     * @return {boolean} True if motion blur detected
      */
-    performOCR: function(img) {
-        if (ocr === null) return "";
+    detectMotionBlur: function(img, region) {
+        // Simplified motion blur detection by analyzing color variance along sampled lines
+        var lineVariances = [];
         
-        try {
-            // Convert image to format suitable for OCR
-            var bitmap = img.getBitmap();
-            
-            // Perform OCR
-            var text = ocr.recognize(bitmap);
-            
-            // Clean up the text
-            return text.replace(/\s+/g, " ").trim().toUpperCase();
-        } catch (e) {
-            console.error("OCR failed: " + e.message);
-            return "";
+        for (var row = 0; row < 4; row++) {
+            var line = this.sampleRegionColors(img, [region[0], region[1] + row * region[3] / 4, region[2], region[3] / 4], 20, 1);
+            lineVariances.push(this.calculateColorVariance(line));
         }
-
+        
+        // High variance indicates sharp edges, low variance indicates blur
+        return this.calculateAverage(lineVariances) < 1000;
     },
     
     /**
-     * Returns an empty game state object
-     * @return {Object} Empty game state with default values
+     * Calculates color variance in an array of colors
+     * @param {Array} pixelColors - Array of color values
+     * @return {number} Summed variance of the red, green and blue channels
      */
-    getEmptyGameState: function() {
-        return {
-            screenType: "unknown",
-            lanes: {
-                left: {obstacles: false, coins: false},
-                center: {obstacles: false, coins: false},
-                right: {obstacles: false, coins: false}
-            },
-            playerPosition: "center",
-            powerups: [],
-            coins: 0,
-            score: 0,
-            obstacles: [],
-            specialEvents: [],
-            timestamp: Date.now(),
-            processingTime: 0
+    calculateColorVariance: function(pixelColors) {
+        if (!pixelColors || pixelColors.length === 0) return 0;
+        
+        var redValues = pixelColors.map(function(c) { return colors.red(c); });
+        var greenValues = pixelColors.map(function(c) { return colors.green(c); });
+        var blueValues = pixelColors.map(function(c) { return colors.blue(c); });
+        
+        return this.calculateVariance(redValues) + this.calculateVariance(greenValues) + this.calculateVariance(blueValues);
+    },
+    
+    /**
+     * Calculates the average of an array of numbers
+     * @param {Array} values - Numbers
+     * @return {number} Average (0 for an empty array)
+     */
+    calculateAverage: function(values) {
+        if (!values || values.length === 0) return 0;
+        
+        var sum = 0;
+        for (var i = 0; i < values.length; i++) {
+            sum += values[i];
         }
+        return sum / values.length;
     },
     
     /**
-     * Analyzes a lane for obstacles and coins
+     * Calculates the median of an array of numbers
+     * @param {Array} values - Numbers
+     * @return {number} Median (0 for an empty array)
+     */
+    calculateMedian: function(values) {
+        if (!values || values.length === 0) return 0;
+        
+        var sorted = values.slice().sort(function(a, b) { return a - b; });
+        var middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    },
+    
+    /**
+     * Calculates the variance of an array of numbers
+     * @param {Array} values - Numbers
+     * @return {number} Variance (0 for an empty array)
+     */
+    calculateVariance: function(values) {
+        if (!values || values.length === 0) return 0;
+        
+        var average = this.calculateAverage(values);
+        var sum = 0;
+        for (var i = 0; i < values.length; i++) {
+            sum += (values[i] - average) * (values[i] - average);
+        }
+        return sum / values.length;
+    },
+    
+    /**
+     * Records element observations from an analyzed frame for later pattern learning
+     * @param {Object} gameState - Analyzed game state
      * @param {Image} img - Captured screen image
-     * @param {number} xPercentage - X position of lane as percentage of screen width
-     * @param {number} width - Screen width
-     * @param {number} height - Screen height
      * @param {Object} config - Configuration settings
-     * @return {Object} Lane analysis results
      */
-    analyzeLane: function(img, xPercentage, width, height, config) {
-        try {
-            // Use the lane width from config if available (set by adaptToScreenResolution)
-            var laneWidth = width * (config.vision.laneWidthPercent || 0.3);
-            var xStart = Math.floor(width * xPercentage - laneWidth / 2);
-            var yStart = Math.floor(height * config.vision.regions.obstacles.topPercent);
-            var regionHeight = height * config.vision.regions.obstacles.heightPercent;
-            
-            // Divide lane into sub-regions for more precise detection
-            var subRegions = 3; // Number of vertical sub-regions
-            var subRegionHeight = regionHeight / subRegions;
-            
-            // Track obstacle and coin positions within the lane
-            var obstaclePositions = [];
-            var coinPositions = [];
-            
-            // Analyze each sub-region separately for better precision
-            for (var r = 0; r < subRegions; r++) {
-                var subYStart = yStart + (r * subRegionHeight);
-                var subRegion = [xStart, subYStart, laneWidth, subRegionHeight];
-                var distance = r === 0 ? "far" : (r === 1 ? "medium" : "near");
-                
-                // Advanced obstacle detection with pattern recognition
-                for (var i = 0; i < config.ui.colors.obstacles.length; i++) {
-                    // Use a more efficient color search with density threshold
-                    if (this.findColorDensityInRegion(img, config.ui.colors.obstacles[i], subRegion, 
-                                                    config.vision.colorThreshold, 0.05)) { // 5% density threshold
-                        obstaclePositions.push({
-                            distance: distance,
-                            y: subYStart + (subRegionHeight / 2)
-                        });
-                        break;
-                    }
-                }
+    learnFromGameState: function(gameState, img, config) {
+        var now = Date.now();
+        if (now - learnedPatterns.lastUpdate < config.vision.learningInterval) {
+            return;
+        }
+        learnedPatterns.lastUpdate = now;
+        
+        (gameState.obstacles || []).forEach(function(obstacle) {
+            learnedPatterns.obstacles.push({ lane: obstacle.lane, distance: obstacle.distance, timestamp: now });
+        });
+        if (gameState.visibleCoins > 0) {
+            learnedPatterns.coins.push({ count: gameState.visibleCoins, timestamp: now });
+        }
+        (gameState.powerups || []).forEach(function(powerup) {
+            learnedPatterns.powerups.push({ type: powerup, timestamp: now });
+        });
+        
+        // Stage the colors of detected obstacles in the learned element store for review
+        if (config.learnedElements && config.learnedElements.enabled) {
+            (gameState.obstacles || []).forEach(function(obstacle) {
+                if (!obstacle.bounds) return;
                 
-                // Enhanced coin detection with better precision
-                for (var j = 0; j < config.ui.colors.coins.length; j++) {
-                    // Look for coin patterns (circular clusters of similar color)
-                    var coinPoints = this.findColorPointsInRegion(img, config.ui.colors.coins[j], 
-                                                               subRegion, config.vision.colorThreshold);
-                    
-                    if (coinPoints && coinPoints.length > 0) {
-                        // Filter points to identify coin clusters
-                        var coinClusters = this.identifyCoinClusters(coinPoints, 20); // 20px radius for clustering
-                        
-                        if (coinClusters.length > 0) {
-                            coinPositions.push({
-                                distance: distance,
-                                y: subYStart + (subRegionHeight / 2),
-                                count: coinClusters.length
-                            });
-                        }
-                    }
+                var pixel = images.pixel(img, obstacle.bounds.x + obstacle.bounds.width / 2, obstacle.bounds.y + obstacle.bounds.height / 2);
+                var colorHex = this.toHexColor(pixel);
+                if (obstacle.type === obstacleClassifier.TYPES.UNKNOWN) {
+                    gameElements.learnNewElement("obstacle", colorHex, obstacle.bounds, config);
+                } else {
+                    gameElements.learnColor("obstacle:" + obstacle.type, colorHex, config);
                 }
-            }
-            
-            // Determine lane type based on position
-            var laneType = xPercentage < 0.3 ? "left" : (xPercentage > 0.7 ? "right" : "center");
-            
-            return {
-                obstacles: obstaclePositions.length > 0,
-                obstacleDetails: obstaclePositions,
-                coins: coinPositions.length > 0,
-                coinDetails: coinPositions,
-                lane: laneType
-            }
-        } catch (e) {
-            console.error("Error analyzing lane: " + e.message);
-            return {obstacles: false, coins: false, lane: xPercentage < 0.3 ? "left" : (xPercentage > 0.7 ? "right" : "center")};
+            }, this);
         }
+        
+        // Keep only the most recent observations
+        ["obstacles", "coins", "powerups"].forEach(function(key) {
+            if (learnedPatterns[key].length > 100) {
+                learnedPatterns[key] = learnedPatterns[key].slice(-100);
+            }
+        });
+    },
+    
+    /**
+     * Converts a pixel color to a "#RRGGBB" string
+     * @param {number} pixel - Color value
+     * @return {string} Hex color
+     */
+    toHexColor: function(pixel) {
+        return "#" + [colors.red(pixel), colors.green(pixel), colors.blue(pixel)].map(function(channel) {
+            return (channel < 16 ? "0" : "") + channel.toString(16).toUpperCase();
+        }).join("");
     },
     
     /**
@@ -1647,81 +1412,157 @@ module.exports = {
     }
 };
 
-/**
- * Detects obstacles using GPU-accelerated template matching
- * @param {Image} img - Captured screen image
- * @param {number} width - Screen width
- * @param {number} height - Screen height
- * @param {Object} config - Adapted configuration settings
- * @return {Array} Detected obstacles
- */
-module.exports = {
-    /**
-     * Analyzes the current game environment and returns a comprehensive game state
-     * Enhanced for Phase 2.1 and 2.2: Vision & Detection System
-     * @param {Object} config - Configuration settings
-     * @return {Object} Complete game state information
-     */
-    analyzeEnvironment: function(config) {
-        var img = null;
-        var startTime = Date.now();
-        
-        try {
-            img = captureScreen();
-            if (!img) {
-                console.error("Failed to capture screen");
-                return this.getEmptyGameState();
-            }
-            
-            var width = img.getWidth();
-            var height = img.getHeight();
-            
-            // Adapt to different screen resolutions
-            var adaptedConfig = this.adaptToScreenResolution(width, height, config);
-            
-            // Enhanced screen type detection with OCR support
-            var screenType = this.detectScreenType(img, width, height, adaptedConfig);
-            if (screenType !== "gameplay") {
-                return {
-                    screenType: screenType,
-                    resolution: [width, height],
-                    timestamp: Date.now(),
-                    processingTime: Date.now() - startTime
-                };
-            }
-            
-            // Full game state analysis with enhanced detection
-            var gameState = {
-                screenType: "gameplay",
-                resolution: [width, height],
-                lanes: {
-                    left: this.analyzeLane(img, 0.2, width, height, adaptedConfig),
-                    center: this.analyzeLane(img, 0.5, width, height, adaptedConfig),
-                    right: this.analyzeLane(img, 0.8, width, height, adaptedConfig)
-                },
-                playerPosition: this.detectPlayer(img, width, height, adaptedConfig),
-                powerups: this.detectPowerups(img, width, height, adaptedConfig),
-                coins: this.countCoins(img, width, height, adaptedConfig),
-                score: this.detectScore(img, width, height, adaptedConfig),
-                obstacles: this.detectObstacles(img, width, height, adaptedConfig),
-                specialEvents: this.detectSpecialEvents(img, width, height, adaptedConfig),
-                timestamp: Date.now(),
-                processingTime: Date.now() - startTime
-            };
-            
-            // Learn from current frame if enabled
-            if (adaptedConfig.vision && adaptedConfig.vision.enableLearning) {
-                this.learnFromGameState(gameState, img, adaptedConfig);
-            }
-            
-            if (adaptedConfig.debug) {
-                console.log("Vision analysis completed in " + gameState.processingTime + "ms");
-            }
-            
-            return gameState;
-        } catch (e) {
-            console.error("Error analyzing environment: " + e.message);
-            return this.getEmptyGameState();
-        }
+// Built-in detectors, run by analyzeEnvironment in this order
+var vision = module.exports;
+
+detectorRegistry.register({
+    name: "lanes",
+    costBudget: 25,
+    essential: true,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0, config.vision.regions.obstacles.topPercent, 1, config.vision.regions.obstacles.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return {
+            left: {obstacles: false, coins: false},
+            center: {obstacles: false, coins: false},
+            right: {obstacles: false, coins: false}
+        };
+    },
+    detect: function(img, roi, width, height, config) {
+        return {
+            left: vision.analyzeLane(img, 0.2, width, height, config),
+            center: vision.analyzeLane(img, 0.5, width, height, config),
+            right: vision.analyzeLane(img, 0.8, width, height, config)
+        };
     }
-};
+});
+
+detectorRegistry.register({
+    name: "player",
+    stateKey: "playerPosition",
+    costBudget: 10,
+    essential: true,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0, config.vision.regions.player.topPercent, 1, config.vision.regions.player.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return "center";
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.detectPlayer(img, roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "obstacles",
+    costBudget: 20,
+    essential: true,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0, config.vision.regions.obstacles.topPercent, 1, config.vision.regions.obstacles.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return [];
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.detectObstacles(img, roi, width, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "coins",
+    costBudget: 10,
+    roi: function(width, height, config) {
+        return digitReader.getFieldRegion("coins", width, height);
+    },
+    defaultValue: function() {
+        return digitReader.getLastValue("coins");
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.readHudField(img, "coins", roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "visibleCoins",
+    costBudget: 20,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0.1, config.vision.regions.coins.topPercent, 0.8, config.vision.regions.coins.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return 0;
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.countCoins(img, roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "powerups",
+    costBudget: 10,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0.1, config.vision.regions.powerups.topPercent, 0.8, config.vision.regions.powerups.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return [];
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.detectPowerups(img, roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "score",
+    costBudget: 15,
+    roi: function(width, height, config) {
+        return digitReader.getFieldRegion("score", width, height);
+    },
+    defaultValue: function() {
+        return digitReader.getLastValue("score");
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.detectScore(img, roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "multiplier",
+    costBudget: 5,
+    roi: function(width, height, config) {
+        return digitReader.getFieldRegion("multiplier", width, height);
+    },
+    defaultValue: function() {
+        return digitReader.getLastValue("multiplier");
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.readHudField(img, "multiplier", roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "hoverboards",
+    costBudget: 5,
+    roi: function(width, height, config) {
+        return digitReader.getFieldRegion("hoverboards", width, height);
+    },
+    defaultValue: function() {
+        return digitReader.getLastValue("hoverboards");
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.readHudField(img, "hoverboards", roi, config);
+    }
+});
+
+detectorRegistry.register({
+    name: "specialEvents",
+    costBudget: 15,
+    roi: function(width, height, config) {
+        return deviceProfiles.mapFractionRegion(0.1, config.vision.regions.specialEvents.topPercent, 0.8, config.vision.regions.specialEvents.heightPercent, width, height);
+    },
+    defaultValue: function() {
+        return [];
+    },
+    detect: function(img, roi, width, height, config) {
+        return vision.detectSpecialEvents(img, roi, width, height);
+    }
+});
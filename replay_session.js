@@ -0,0 +1,78 @@
+// Frame Replay Command for Subway Surfers Bot
+// Runs the vision pipeline over recorded training sessions on plain Node.js (no emulator)
+//
+// Usage:
+//   node replay_session.js <screenshotsDir> [sessionId ...] [--out results.jsonl]
+//
+// Without a session ID every session found in <screenshotsDir> is replayed.
+// One JSON line is written per frame with the detected game state.
+
+// Keep stdout for frame results - module load messages go to stderr
+console.log = console.error;
+
+var fs = require('fs');
+var config = require('./config.js');
+var vision = require('./modules/vision.js');
+var frameReplay = require('./modules/replay/frame_replay.js');
+
+function parseArgs(argv) {
+    var args = { screenshotsDir: null, sessionIds: [], out: null };
+
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === "--out") {
+            args.out = argv[++i];
+        } else if (!args.screenshotsDir) {
+            args.screenshotsDir = argv[i];
+        } else {
+            args.sessionIds.push(argv[i]);
+        }
+    }
+
+    return args;
+}
+
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+    if (!args.screenshotsDir) {
+        console.error("Usage: node replay_session.js <screenshotsDir> [sessionId ...] [--out results.jsonl]");
+        process.exit(1);
+    }
+
+    var sessionIds = args.sessionIds.length > 0 ? args.sessionIds : frameReplay.listSessions(args.screenshotsDir);
+    if (sessionIds.length === 0) {
+        console.error("No sessions found in " + args.screenshotsDir);
+        process.exit(1);
+    }
+
+    var output = args.out ? fs.openSync(args.out, "w") : null;
+    var frameCount = 0;
+
+    sessionIds.forEach(function(sessionId) {
+        console.error("Replaying " + sessionId + "...");
+
+        frameReplay.replaySession(vision, config, args.screenshotsDir, sessionId, function(result) {
+            var line = JSON.stringify({
+                sessionId: sessionId,
+                index: result.index,
+                filename: result.filename,
+                recordedScreenType: result.recordedState.screenType || null,
+                detectedState: result.detectedState,
+                error: result.error || null
+            });
+
+            if (output !== null) {
+                fs.writeSync(output, line + "\n");
+            } else {
+                process.stdout.write(line + "\n");
+            }
+            frameCount++;
+        });
+    });
+
+    if (output !== null) {
+        fs.closeSync(output);
+    }
+    console.error("Replayed " + frameCount + " frames from " + sessionIds.length + " session(s)");
+}
+
+main();
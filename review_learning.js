@@ -0,0 +1,66 @@
+// Learned Element Review Tool for Subway Surfers Bot
+// Reviews what the bot has learned during play before it is used for detection
+//
+// Run this script on the device. Staged colors and unclassified elements can be
+// approved as a new version or rejected, and any approved version can be rolled
+// back to (e.g. after a game update made a learning pass pick up wrong colors).
+
+var config = require('./config.js');
+var gameElements = require('./modules/gameElements.js');
+
+console.show();
+gameElements.initialize(config);
+
+/**
+ * Prints the staged changes
+ * @param {Object} pending - Summary from gameElements.getPendingChanges()
+ */
+function printPending(pending) {
+    console.log("Pending changes since " + new Date(pending.startedAt).toLocaleString() + ":");
+
+    for (var key in pending.colorProfiles) {
+        pending.colorProfiles[key].forEach(function(profile) {
+            console.log("  " + key + " " + profile.color + (profile.isNew ? " (new)" : "") +
+                        " confidence " + profile.confidence.toFixed(2) + ", seen " + profile.observations + "x");
+        });
+    }
+
+    console.log("  " + pending.newElements.length + " unclassified elements");
+}
+
+var running = true;
+while (running) {
+    console.log("Learned elements v" + gameElements.getLearnedElementsVersion(config));
+    var pending = gameElements.getPendingChanges(config);
+    if (pending) {
+        printPending(pending);
+    } else {
+        console.log("No pending changes");
+    }
+
+    var choice = dialogs.select("Learned elements", ["Approve pending", "Reject pending", "Roll back", "Exit"]);
+
+    switch (choice) {
+        case 0:
+            var note = dialogs.rawInput("Approval note", "");
+            toast("Approved as v" + gameElements.approvePending(note, config));
+            break;
+        case 1:
+            if (dialogs.confirm("Reject pending changes?", "Staged observations will be discarded")) {
+                gameElements.rejectPending(config);
+            }
+            break;
+        case 2:
+            var history = gameElements.getLearnedElementsHistory(config);
+            var items = ["v0 (empty store)"].concat(history.map(function(entry) {
+                return "v" + entry.version + " " + new Date(entry.approvedAt).toLocaleString() + (entry.note ? " - " + entry.note : "");
+            }));
+            var index = dialogs.select("Roll back to", items);
+            if (index >= 0) {
+                gameElements.rollbackLearnedElements(index === 0 ? 0 : history[index - 1].version, config);
+            }
+            break;
+        default:
+            running = false;
+    }
+}
@@ -0,0 +1,17 @@
+// Replay Test Runner for Subway Surfers Bot
+// Runs the unit tests of the frame replay tools on plain Node.js (no emulator)
+//
+// Usage:
+//   node run_replay_tests.js
+//
+// Exits with status 1 when any test fails.
+
+var unitTest = require('./modules/testing/unit_test.js');
+var replayUnitTests = require('./modules/testing/replay_unit_tests.js');
+
+unitTest.initialize({});
+replayUnitTests.defineTests();
+
+unitTest.runTests().then(function(results) {
+    process.exit(results.failed > 0 ? 1 : 0);
+});
@@ -0,0 +1,94 @@
+// Detection Scoring Command for Subway Surfers Bot
+// Scores the vision pipeline against a labelled-frame manifest on plain Node.js
+//
+// Usage:
+//   node score_detection.js <manifest.json> [--baseline baseline.json] [--save-baseline]
+//                           [--tolerance 0.02] [--out report.json]
+//
+// --save-baseline writes the report to the --baseline path instead of comparing against it.
+// Exits with status 2 when any tracked metric drops below the baseline by more than the tolerance.
+// See modules/replay/detection_scorer.js for the manifest format.
+
+// Keep stdout for the report - module load messages go to stderr
+console.log = console.error;
+
+var fs = require('fs');
+var config = require('./config.js');
+var vision = require('./modules/vision.js');
+var detectionScorer = require('./modules/replay/detection_scorer.js');
+
+function parseArgs(argv) {
+    var args = { manifest: null, baseline: null, saveBaseline: false, tolerance: undefined, out: null };
+
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === "--baseline") {
+            args.baseline = argv[++i];
+        } else if (argv[i] === "--save-baseline") {
+            args.saveBaseline = true;
+        } else if (argv[i] === "--tolerance") {
+            args.tolerance = parseFloat(argv[++i]);
+        } else if (argv[i] === "--out") {
+            args.out = argv[++i];
+        } else {
+            args.manifest = argv[i];
+        }
+    }
+
+    return args;
+}
+
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+    if (args.saveBaseline && !args.baseline) {
+        console.error("--save-baseline needs --baseline <path> to save to");
+    }
+    if (!args.manifest || (args.saveBaseline && !args.baseline)) {
+        console.error("Usage: node score_detection.js <manifest.json> [--baseline baseline.json] " +
+                      "[--save-baseline] [--tolerance 0.02] [--out report.json]");
+        process.exit(1);
+    }
+
+    var manifest = detectionScorer.loadManifest(args.manifest);
+    var detections = detectionScorer.evaluateManifest(vision, config, manifest);
+    var report = detectionScorer.scoreDetections(manifest, detections);
+
+    process.stdout.write(detectionScorer.formatReport(report) + "\n");
+
+    if (args.out) {
+        fs.writeFileSync(args.out, JSON.stringify({ report: report, detections: detections }, null, 2));
+    }
+
+    if (!args.baseline) {
+        return;
+    }
+
+    if (args.saveBaseline) {
+        detectionScorer.saveBaseline(report, args.baseline);
+        process.stdout.write("Baseline saved to " + args.baseline + "\n");
+        return;
+    }
+
+    var baseline = detectionScorer.loadBaseline(args.baseline);
+    if (!baseline) {
+        console.error("Baseline not found: " + args.baseline + " (use --save-baseline to create it)");
+        process.exit(1);
+    }
+
+    var comparison = detectionScorer.compareToBaseline(report, baseline, args.tolerance);
+    comparison.improvements.forEach(function(change) {
+        process.stdout.write("IMPROVED  " + change.metric + ": " + change.baseline.toFixed(3) +
+                             " -> " + change.current.toFixed(3) + "\n");
+    });
+    comparison.regressions.forEach(function(change) {
+        process.stdout.write("REGRESSED " + change.metric + ": " + change.baseline.toFixed(3) +
+                             " -> " + (change.current === null ? "n/a" : change.current.toFixed(3)) + "\n");
+    });
+
+    if (comparison.regressions.length > 0) {
+        process.stdout.write(comparison.regressions.length + " metric(s) regressed against the baseline\n");
+        process.exit(2);
+    }
+    process.stdout.write("No regressions against the baseline\n");
+}
+
+main();
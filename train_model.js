@@ -0,0 +1,62 @@
+// Model Training Tool for Subway Surfers Bot
+// Trains a neural network model from recorded training sessions in one step
+//
+// Run this script on the device. Pick the sessions to learn from and the training
+// pipeline merges, cleans and versions them, trains, evaluates and registers the
+// model (see manage_models.js to promote it). Unfinished runs can be resumed, and
+// finished ones rerun from any stage, e.g. to retrain after changing settings.
+
+var config = require('./config.js');
+var dataCollection = require('./modules/data_collection.js');
+var dataProcessing = require('./modules/data_processing.js');
+var trainingPipeline = require('./modules/training_pipeline.js');
+
+console.show();
+dataCollection.initialize(config);
+dataProcessing.initialize(config);
+
+var choice = dialogs.select("Train model", ["New run from sessions", "Resume or rerun", "Exit"]);
+var run = null;
+
+switch (choice) {
+    case 0:
+        var sessions = dataCollection.getRecordedSessions();
+        if (sessions.length === 0) {
+            toast("No recorded sessions");
+            break;
+        }
+        var indices = dialogs.multiChoice("Sessions to learn from", sessions.map(function(session) {
+            return new Date(session.startTime).toLocaleString() + " - " + session.actionCount + " actions";
+        }));
+        if (indices && indices.length > 0) {
+            run = trainingPipeline.start(indices.map(function(index) {
+                return sessions[index].sessionId;
+            }), config);
+        }
+        break;
+    case 1:
+        var runs = trainingPipeline.listRuns(config);
+        if (runs.length === 0) {
+            toast("No pipeline runs");
+            break;
+        }
+        var runIndex = dialogs.select("Run", runs.map(function(entry) {
+            return entry.id + " (" + entry.status + ")";
+        }));
+        if (runIndex >= 0) {
+            var stages = ["Resume"].concat(trainingPipeline.STAGES.map(function(stage) {
+                return "Rerun from " + stage;
+            }));
+            var stageIndex = dialogs.select("Stage", stages);
+            if (stageIndex >= 0) {
+                run = trainingPipeline.resume(runs[runIndex].id, config,
+                                              stageIndex === 0 ? null : trainingPipeline.STAGES[stageIndex - 1]);
+            }
+        }
+        break;
+}
+
+if (run) {
+    console.log(trainingPipeline.formatReport(run));
+    toast(run.status === "done" ? "Registered model " + run.modelId : "Run " + run.status + ", see the log");
+}